@@ -0,0 +1,164 @@
+// Admin.js - Staff area: sign-in, catalog management and contact inbox
+import { getSession, login, clearSession } from "../session.js";
+import { renderAdminProducts } from "./AdminProducts.js";
+import { renderAdminInbox } from "./AdminInbox.js";
+
+const SECTIONS = [
+    { id: "products", label: "Products", icon: "bi-box-seam", render: renderAdminProducts },
+    { id: "inbox", label: "Inbox", icon: "bi-inbox", render: renderAdminInbox }
+];
+
+// Renders the admin area for a section id ("products" or "inbox"), or the
+// sign-in form when there is no staff session
+export function renderAdmin(container, section = "products", query = {}) {
+    document.title = "Admin | Maschem";
+    addAdminStyles();
+
+    const session = getSession();
+    if (!session) {
+        renderLogin(container, () => renderAdmin(container, section, query));
+        return;
+    }
+
+    const current = SECTIONS.find(s => s.id === section) || SECTIONS[0];
+
+    container.innerHTML = `
+    <div class="container py-4 admin-page">
+      <div class="d-flex flex-wrap justify-content-between align-items-center gap-3 mb-4">
+        <div>
+          <h1 class="h3 fw-bold mb-0">Admin</h1>
+          <small class="text-muted">Signed in as <span class="admin-user"></span></small>
+        </div>
+        <button type="button" class="btn btn-outline-secondary btn-sm" id="adminSignOut">
+          <i class="bi bi-box-arrow-right me-1"></i>Sign out
+        </button>
+      </div>
+      <ul class="nav nav-tabs mb-4">
+        ${SECTIONS.map(s => `
+          <li class="nav-item">
+            <a class="nav-link ${s === current ? "active" : ""}" href="#/admin/${s.id}" ${s === current ? 'aria-current="page"' : ""}>
+              <i class="bi ${s.icon} me-1"></i>${s.label}
+            </a>
+          </li>
+        `).join("")}
+      </ul>
+      <div id="adminSection"></div>
+    </div>
+    `;
+
+    container.querySelector(".admin-user").textContent = `${session.user.name || session.user.email} (${session.user.role})`;
+    container.querySelector("#adminSignOut").addEventListener("click", () => {
+        clearSession();
+        renderAdmin(container, section, query);
+    });
+
+    current.render(container.querySelector("#adminSection"), {
+        query,
+        // Sections call this when the API rejects the token
+        onSessionExpired: () => renderAdmin(container, section, query)
+    });
+}
+
+function renderLogin(container, onSuccess) {
+    container.innerHTML = `
+    <div class="container py-5 admin-page">
+      <div class="admin-login mx-auto bg-white rounded-4 shadow-sm p-4 p-lg-5">
+        <h1 class="h4 mb-1"><i class="bi bi-shield-lock me-2 text-primary"></i>Staff sign-in</h1>
+        <p class="text-muted mb-4">Sign in to manage products and contact messages.</p>
+        <div class="admin-login-alert" role="alert" aria-live="polite"></div>
+        <form id="adminLoginForm" novalidate>
+          <div class="mb-3">
+            <label for="adminEmail" class="form-label">Email</label>
+            <input type="email" class="form-control" id="adminEmail" name="email" autocomplete="username" required>
+          </div>
+          <div class="mb-4">
+            <label for="adminPassword" class="form-label">Password</label>
+            <input type="password" class="form-control" id="adminPassword" name="password" autocomplete="current-password" required>
+          </div>
+          <div class="d-grid">
+            <button type="submit" class="btn btn-primary">
+              <span class="spinner-border spinner-border-sm me-2 d-none" role="status" aria-hidden="true"></span>
+              Sign in
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+    `;
+
+    const form = container.querySelector("#adminLoginForm");
+    const alertBox = container.querySelector(".admin-login-alert");
+    const submitButton = form.querySelector("button[type=submit]");
+    const spinner = submitButton.querySelector(".spinner-border");
+
+    form.addEventListener("submit", async (event) => {
+        event.preventDefault();
+        const email = form.elements.email.value.trim();
+        const password = form.elements.password.value;
+
+        if (!email || !password) {
+            showAdminAlert(alertBox, "danger", "Enter your email and password.");
+            return;
+        }
+
+        submitButton.disabled = true;
+        spinner.classList.remove("d-none");
+
+        try {
+            await login(email, password);
+            onSuccess();
+        } catch (error) {
+            showAdminAlert(alertBox, "danger", error.message);
+            submitButton.disabled = false;
+            spinner.classList.add("d-none");
+        }
+    });
+}
+
+// Shared by the admin sections
+export function showAdminAlert(alertBox, type, message) {
+    const alert = document.createElement("div");
+    alert.className = `alert alert-${type} alert-dismissible d-flex align-items-center`;
+    alert.innerHTML = `
+      <i class="bi ${type === "success" ? "bi-check-circle-fill" : "bi-exclamation-triangle-fill"} me-2"></i>
+      <span></span>
+      <button type="button" class="btn-close" aria-label="Close"></button>
+    `;
+    alert.querySelector("span").textContent = message;
+    alert.querySelector(".btn-close").addEventListener("click", () => alert.remove());
+    alertBox.replaceChildren(alert);
+}
+
+function addAdminStyles() {
+    if (document.getElementById("admin-styles")) return;
+
+    const style = document.createElement("style");
+    style.id = "admin-styles";
+    style.textContent = `
+    .admin-login {
+      max-width: 420px;
+    }
+
+    .admin-table td,
+    .admin-table th {
+      vertical-align: middle;
+    }
+
+    .admin-message-row {
+      cursor: pointer;
+    }
+
+    .admin-message-row.is-unread td {
+      font-weight: 600;
+    }
+
+    .admin-message-body {
+      white-space: pre-wrap;
+    }
+
+    .variant-row + .variant-row {
+      margin-top: 0.5rem;
+    }
+    `;
+    document.head.appendChild(style);
+}
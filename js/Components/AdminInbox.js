@@ -0,0 +1,432 @@
+// AdminInbox.js - Contact submissions inbox for staff
+import { staffRequest, hasRole, getSession } from "../session.js";
+import { replaceQuery } from "../router.js";
+import { SUBJECTS } from "./ContactForm.js";
+import { showAdminAlert } from "./Admin.js";
+import { escapeHtml } from "../html.js";
+
+// Matches the PATCH /api/contact/submissions/:id status rule
+export const SUBMISSION_STATUSES = [
+    { value: "pending", label: "Pending", badge: "bg-warning text-dark" },
+    { value: "read", label: "Read", badge: "bg-info text-dark" },
+    { value: "responded", label: "Responded", badge: "bg-success" },
+    { value: "archived", label: "Archived", badge: "bg-secondary" },
+    { value: "spam", label: "Spam", badge: "bg-danger" }
+];
+
+// Matches the POST /api/contact/submissions/:id/replies channel rule
+const REPLY_CHANNELS = [
+    { value: "email", label: "Email", icon: "bi-envelope" },
+    { value: "phone", label: "Phone", icon: "bi-telephone" },
+    { value: "other", label: "Other", icon: "bi-chat" }
+];
+
+// Why the server flagged a message as spam (server/services/spam.js)
+const SPAM_REASONS = {
+    honeypot: "a hidden field was filled in",
+    missing_token: "it was not sent from the website form",
+    invalid_token: "the form token was not valid",
+    expired_token: "the form was loaded over a day earlier",
+    too_fast: "it was sent seconds after the form loaded",
+    too_many_links: "it has many links",
+    blocked_term: "it contains a blocked term",
+    duplicate: "the same message was sent recently"
+};
+
+// Options:
+// - query: { status, assignedTo, overdue } filters from the URL
+// - onSessionExpired: called when the API rejects the staff token
+export function renderAdminInbox(container, { query = {}, onSessionExpired }) {
+    const canEdit = hasRole("admin", "sales");
+    const currentUserId = getSession()?.user.id;
+    const filters = {
+        status: query.status || "",
+        assignedTo: query.assignedTo || "",
+        overdue: query.overdue === "true" ? "true" : ""
+    };
+
+    container.innerHTML = `
+      <div class="admin-alert" role="alert" aria-live="polite"></div>
+      <div class="d-flex flex-wrap gap-2 mb-2 inbox-filters" role="group" aria-label="Filter by status">
+        ${[{ value: "", label: "All" }, ...SUBMISSION_STATUSES].map(s => `
+          <button type="button" class="btn btn-sm rounded-pill" data-status="${s.value}">${s.label}</button>
+        `).join("")}
+      </div>
+      <div class="d-flex flex-wrap align-items-center gap-3 mb-3">
+        <div class="d-flex align-items-center gap-2">
+          <label for="inboxAssignee" class="form-label small text-muted mb-0">Assigned to</label>
+          <select class="form-select form-select-sm w-auto" id="inboxAssignee">
+            <option value="">Anyone</option>
+            <option value="me">Me</option>
+            <option value="none">Nobody</option>
+          </select>
+        </div>
+        <div class="form-check mb-0">
+          <input class="form-check-input" type="checkbox" id="inboxOverdue">
+          <label class="form-check-label small" for="inboxOverdue">Overdue only</label>
+        </div>
+      </div>
+      <div id="inboxResults"></div>
+    `;
+
+    const alertBox = container.querySelector(".admin-alert");
+    const results = container.querySelector("#inboxResults");
+    const assigneeFilter = container.querySelector("#inboxAssignee");
+    const overdueFilter = container.querySelector("#inboxOverdue");
+    let submissions = [];
+    let assignees = [];
+
+    overdueFilter.checked = filters.overdue === "true";
+
+    function handleError(error) {
+        if (error.status === 401) {
+            onSessionExpired();
+            return;
+        }
+        showAdminAlert(alertBox, "danger", error.message);
+    }
+
+    function staffName(userId) {
+        if (!userId) return "Nobody";
+        if (userId === currentUserId) return "Me";
+        const user = assignees.find(a => a.id === userId);
+        return user ? user.name || user.email : "Former staff";
+    }
+
+    function syncFilterButtons() {
+        container.querySelectorAll(".inbox-filters button").forEach(button => {
+            const active = button.dataset.status === filters.status;
+            button.classList.toggle("btn-primary", active);
+            button.classList.toggle("btn-outline-primary", !active);
+            button.setAttribute("aria-pressed", active);
+        });
+    }
+
+    // Staff names for the assignee filter, the assign picker and the
+    // timeline. The inbox still works without them; only a lost session
+    // stops it.
+    async function loadAssignees() {
+        try {
+            ({ data: assignees } = await staffRequest("/contact/submissions/assignees"));
+        } catch (error) {
+            if (error.status === 401) {
+                onSessionExpired();
+                return false;
+            }
+        }
+
+        assigneeFilter.insertAdjacentHTML("beforeend", assignees
+            .filter(a => a.id !== currentUserId)
+            .map(a => `<option value="${escapeHtml(a.id)}">${escapeHtml(a.name || a.email)}</option>`)
+            .join(""));
+        assigneeFilter.value = filters.assignedTo;
+        if (assigneeFilter.value !== filters.assignedTo) {
+            filters.assignedTo = "";
+            assigneeFilter.value = "";
+        }
+        return true;
+    }
+
+    async function load() {
+        replaceQuery(filters);
+        syncFilterButtons();
+        results.innerHTML = `
+          <div class="text-center py-5">
+            <div class="spinner-border text-primary" role="status">
+              <span class="visually-hidden">Loading...</span>
+            </div>
+          </div>
+        `;
+
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value) params.set(key, value);
+        });
+
+        try {
+            ({ data: submissions } = await staffRequest(`/contact/submissions?${params}`));
+            renderList();
+        } catch (error) {
+            results.innerHTML = "";
+            handleError(error);
+        }
+    }
+
+    function renderList() {
+        if (submissions.length === 0) {
+            results.innerHTML = `
+              <div class="text-center text-muted py-5">
+                <i class="bi bi-inbox fs-1"></i>
+                <p class="mt-3 mb-0">No messages${filters.status ? ` with status "${escapeHtml(filters.status)}"` : ""}.</p>
+              </div>
+            `;
+            return;
+        }
+
+        results.innerHTML = `
+          <div class="table-responsive bg-white rounded-3 shadow-sm">
+            <table class="table table-hover admin-table mb-0">
+              <thead>
+                <tr>
+                  <th scope="col">Received</th>
+                  <th scope="col">From</th>
+                  <th scope="col">Subject</th>
+                  <th scope="col">Assigned to</th>
+                  <th scope="col">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${submissions.map(renderRow).join("")}
+              </tbody>
+            </table>
+          </div>
+        `;
+    }
+
+    function renderRow(submission) {
+        const subject = SUBJECTS.find(s => s.value === submission.subject)?.label || submission.subject;
+        return `
+          <tr class="admin-message-row ${submission.status === "pending" ? "is-unread" : ""}" data-id="${escapeHtml(submission.id)}" tabindex="0" aria-expanded="false">
+            <td class="text-nowrap">${new Date(submission.createdAt).toLocaleString()}</td>
+            <td>
+              ${escapeHtml(`${submission.firstName} ${submission.lastName}`)}
+              <div class="small text-muted">${escapeHtml(submission.email)}</div>
+            </td>
+            <td>${escapeHtml(subject)}</td>
+            <td class="small">${escapeHtml(staffName(submission.assignedTo))}</td>
+            <td>
+              ${statusBadge(submission.status)}
+              ${submission.sla?.overdue ? `<span class="badge bg-danger">Overdue</span>` : ""}
+            </td>
+          </tr>
+        `;
+    }
+
+    function renderDetail(submission) {
+        const id = escapeHtml(submission.id);
+        return `
+          <tr class="admin-message-detail">
+            <td colspan="5" class="bg-light">
+              ${submission.spamReasons ? `
+                <div class="small text-muted mb-2">
+                  <i class="bi bi-shield-exclamation me-1"></i>Flagged as spam because ${escapeHtml(submission.spamReasons.map(r => SPAM_REASONS[r] || r).join(", "))}.
+                  ${submission.status === "spam" && canEdit ? "Set it to Pending if it is a real message." : ""}
+                </div>
+              ` : ""}
+              <div class="admin-message-body mb-3">${escapeHtml(submission.message)}</div>
+              <div class="d-flex flex-wrap align-items-center gap-2 mb-3">
+                ${submission.phone ? `<span class="text-muted me-3"><i class="bi bi-telephone me-1"></i>${escapeHtml(submission.phone)}</span>` : ""}
+                <a class="btn btn-sm btn-outline-primary" href="mailto:${encodeURIComponent(submission.email)}">
+                  <i class="bi bi-reply me-1"></i>Reply by email
+                </a>
+                ${submission.sla ? `
+                  <span class="small ${submission.sla.overdue ? "text-danger" : "text-muted"}">
+                    <i class="bi bi-clock me-1"></i>Reply ${submission.sla.overdue ? "was" : "is"} due ${new Date(submission.sla.dueAt).toLocaleString()}
+                  </span>
+                ` : ""}
+                ${canEdit ? `
+                  <label class="visually-hidden" for="status-${id}">Status</label>
+                  <select class="form-select form-select-sm w-auto status-select" id="status-${id}">
+                    ${SUBMISSION_STATUSES.map(s => `
+                      <option value="${s.value}" ${s.value === submission.status ? "selected" : ""}>${s.label}</option>
+                    `).join("")}
+                  </select>
+                  <label class="visually-hidden" for="assignee-${id}">Assigned to</label>
+                  <select class="form-select form-select-sm w-auto assignee-select" id="assignee-${id}">
+                    <option value="">Unassigned</option>
+                    ${assignees.map(a => `
+                      <option value="${escapeHtml(a.id)}" ${a.id === submission.assignedTo ? "selected" : ""}>${escapeHtml(staffName(a.id))}</option>
+                    `).join("")}
+                  </select>
+                ` : ""}
+              </div>
+              ${renderTimeline(submission)}
+              ${canEdit ? `
+                <div class="row g-3 mt-1">
+                  <form class="col-md-6 note-form">
+                    <label for="note-${id}" class="form-label small fw-semibold">Internal note</label>
+                    <textarea class="form-control form-control-sm mb-2" id="note-${id}" name="text" rows="2" maxlength="2000" required></textarea>
+                    <button type="submit" class="btn btn-sm btn-outline-secondary">
+                      <i class="bi bi-sticky me-1"></i>Add note
+                    </button>
+                  </form>
+                  <form class="col-md-6 reply-form">
+                    <label for="reply-${id}" class="form-label small fw-semibold">Log a reply sent to the customer</label>
+                    <textarea class="form-control form-control-sm mb-2" id="reply-${id}" name="message" rows="2" maxlength="5000" required></textarea>
+                    <div class="d-flex gap-2">
+                      <label class="visually-hidden" for="channel-${id}">Sent by</label>
+                      <select class="form-select form-select-sm w-auto" id="channel-${id}" name="channel">
+                        ${REPLY_CHANNELS.map(c => `<option value="${c.value}">${c.label}</option>`).join("")}
+                      </select>
+                      <button type="submit" class="btn btn-sm btn-outline-primary">
+                        <i class="bi bi-journal-check me-1"></i>Log reply
+                      </button>
+                    </div>
+                  </form>
+                </div>
+              ` : ""}
+            </td>
+          </tr>
+        `;
+    }
+
+    // Notes, logged replies and status/assignment changes, oldest first. A
+    // reply and the status change it causes share a time; the reply is listed
+    // first.
+    function renderTimeline(submission) {
+        const statusLabel = value => SUBMISSION_STATUSES.find(s => s.value === value)?.label || value;
+        const events = [
+            ...submission.notes.map(note => ({
+                at: note.createdAt,
+                icon: "bi-sticky",
+                text: `${staffName(note.userId)} noted:`,
+                body: note.text
+            })),
+            ...submission.replies.map(reply => {
+                const channel = REPLY_CHANNELS.find(c => c.value === reply.channel) || REPLY_CHANNELS[2];
+                return {
+                    at: reply.sentAt,
+                    icon: channel.icon,
+                    text: `${staffName(reply.userId)} replied (${channel.label.toLowerCase()}):`,
+                    body: reply.message
+                };
+            }),
+            ...submission.history.map(change => ({
+                at: change.at,
+                icon: change.type === "status" ? "bi-flag" : "bi-person",
+                text: change.type === "status"
+                    ? `${staffName(change.userId)} changed the status from ${statusLabel(change.from)} to ${statusLabel(change.to)}`
+                    : `${staffName(change.userId)} assigned it to ${staffName(change.to)}`
+            }))
+        ].sort((a, b) => new Date(a.at) - new Date(b.at));
+
+        if (events.length === 0) return "";
+
+        return `
+          <ul class="list-unstyled small mb-0">
+            ${events.map(event => `
+              <li class="mb-1">
+                <i class="bi ${event.icon} text-muted me-1"></i>
+                <span class="text-muted me-1">${new Date(event.at).toLocaleString()}</span>
+                ${escapeHtml(event.text)}
+                ${event.body ? `<div class="admin-message-body ms-4">${escapeHtml(event.body)}</div>` : ""}
+              </li>
+            `).join("")}
+          </ul>
+        `;
+    }
+
+    function rowFor(id) {
+        return [...results.querySelectorAll(".admin-message-row")].find(r => r.dataset.id === id);
+    }
+
+    // The submission a row, or anything in its open detail, belongs to
+    function submissionFor(element) {
+        const detail = element.closest(".admin-message-detail");
+        const row = detail ? detail.previousElementSibling : element.closest(".admin-message-row");
+        return row ? submissions.find(s => s.id === row.dataset.id) : null;
+    }
+
+    function toggleDetail(row) {
+        const open = row.nextElementSibling?.classList.contains("admin-message-detail");
+        results.querySelectorAll(".admin-message-detail").forEach(detail => detail.remove());
+        results.querySelectorAll(".admin-message-row").forEach(r => r.setAttribute("aria-expanded", "false"));
+        if (open) return;
+
+        const submission = submissionFor(row);
+        row.setAttribute("aria-expanded", "true");
+        row.insertAdjacentHTML("afterend", renderDetail(submission));
+
+        // Opening a pending message marks it as read
+        if (canEdit && submission.status === "pending") {
+            update(submission, "", { method: "PATCH", body: { status: "read" } });
+        }
+    }
+
+    // Send a change for a submission, then redraw its row and open detail.
+    // Resolves to false if the API refused it.
+    async function update(submission, path, options) {
+        try {
+            const { data } = await staffRequest(`/contact/submissions/${encodeURIComponent(submission.id)}${path}`, options);
+            Object.assign(submission, data);
+        } catch (error) {
+            handleError(error);
+            return false;
+        }
+
+        const row = rowFor(submission.id);
+        if (row) {
+            const open = row.nextElementSibling?.classList.contains("admin-message-detail");
+            if (open) row.nextElementSibling.outerHTML = renderDetail(submission);
+            row.outerHTML = renderRow(submission);
+            if (open) rowFor(submission.id).setAttribute("aria-expanded", "true");
+        }
+        return true;
+    }
+
+    // Rows and details are redrawn after every change, so listen once on
+    // the results instead of on each of them
+    results.addEventListener("click", event => {
+        const row = event.target.closest(".admin-message-row");
+        if (row) toggleDetail(row);
+    });
+
+    results.addEventListener("keydown", event => {
+        if (!event.target.matches(".admin-message-row")) return;
+        if (event.key === "Enter" || event.key === " ") {
+            event.preventDefault();
+            toggleDetail(event.target);
+        }
+    });
+
+    results.addEventListener("change", event => {
+        const submission = submissionFor(event.target);
+        if (event.target.matches(".status-select")) {
+            update(submission, "", { method: "PATCH", body: { status: event.target.value } });
+        } else if (event.target.matches(".assignee-select")) {
+            update(submission, "", { method: "PATCH", body: { assignedTo: event.target.value || null } });
+        }
+    });
+
+    results.addEventListener("submit", async event => {
+        event.preventDefault();
+        const form = event.target;
+        const submission = submissionFor(form);
+        const [path, body] = form.matches(".note-form")
+            ? ["/notes", { text: form.elements.text.value.trim() }]
+            : ["/replies", { channel: form.elements.channel.value, message: form.elements.message.value.trim() }];
+        if (!body.text && !body.message) return;
+
+        const button = form.querySelector("button[type=submit]");
+        button.disabled = true;
+        if (!await update(submission, path, { method: "POST", body })) {
+            button.disabled = false;
+        }
+    });
+
+    container.querySelectorAll(".inbox-filters button").forEach(button => {
+        button.addEventListener("click", () => {
+            filters.status = button.dataset.status;
+            load();
+        });
+    });
+
+    assigneeFilter.addEventListener("change", () => {
+        filters.assignedTo = assigneeFilter.value;
+        load();
+    });
+
+    overdueFilter.addEventListener("change", () => {
+        filters.overdue = overdueFilter.checked ? "true" : "";
+        load();
+    });
+
+    loadAssignees().then(ok => {
+        if (ok) load();
+    });
+}
+
+function statusBadge(status) {
+    const match = SUBMISSION_STATUSES.find(s => s.value === status);
+    return `<span class="badge ${match ? match.badge : "bg-light text-dark"}">${escapeHtml(match ? match.label : status)}</span>`;
+}
@@ -0,0 +1,442 @@
+// AdminProducts.js - Product table with create, edit and delete forms
+import { API_BASE, apiRequestAll } from "../api.js";
+import { staffRequest, hasRole } from "../session.js";
+import { formatPrice } from "./Product.js";
+import { GHS_PICTOGRAMS } from "./ProductDetail.js";
+import { showAdminAlert } from "./Admin.js";
+import { escapeHtml } from "../html.js";
+
+// Options:
+// - onSessionExpired: called when the API rejects the staff token
+export function renderAdminProducts(container, { onSessionExpired }) {
+    const canEdit = hasRole("admin", "sales");
+
+    container.innerHTML = `
+      <div class="admin-alert" role="alert" aria-live="polite"></div>
+      <div class="d-flex justify-content-between align-items-center mb-3">
+        <span class="text-muted product-count"></span>
+        ${canEdit ? `
+          <button type="button" class="btn btn-primary btn-sm" id="newProductBtn">
+            <i class="bi bi-plus-lg me-1"></i>New product
+          </button>
+        ` : ""}
+      </div>
+      <div id="productEditor"></div>
+      <div id="productTable"></div>
+    `;
+
+    const alertBox = container.querySelector(".admin-alert");
+    const editor = container.querySelector("#productEditor");
+    const table = container.querySelector("#productTable");
+    let products = [];
+    let categories = [];
+
+    function handleError(error) {
+        if (error.status === 401) {
+            onSessionExpired();
+            return;
+        }
+        showAdminAlert(alertBox, "danger", error.message);
+    }
+
+    async function load() {
+        try {
+            [products, categories] = await Promise.all([
+                apiRequestAll("/products?sort=name_asc"),
+                apiRequestAll("/products/categories")
+            ]);
+            renderTable();
+        } catch (error) {
+            handleError(error);
+        }
+    }
+
+    function renderTable() {
+        container.querySelector(".product-count").textContent =
+            `${products.length} product${products.length === 1 ? "" : "s"}`;
+
+        table.innerHTML = `
+          <div class="table-responsive bg-white rounded-3 shadow-sm">
+            <table class="table table-hover admin-table mb-0">
+              <thead>
+                <tr>
+                  <th scope="col">SKU</th>
+                  <th scope="col">Name</th>
+                  <th scope="col">Category</th>
+                  <th scope="col">Sizes</th>
+                  <th scope="col">From</th>
+                  ${canEdit ? '<th scope="col"><span class="visually-hidden">Actions</span></th>' : ""}
+                </tr>
+              </thead>
+              <tbody>
+                ${products.map(product => `
+                  <tr data-id="${product.id}">
+                    <td class="text-nowrap">${escapeHtml(product.sku)}</td>
+                    <td><a href="#/products/${encodeURIComponent(product.slug)}">${escapeHtml(product.name)}</a></td>
+                    <td>${escapeHtml(product.category)}</td>
+                    <td>${escapeHtml(product.packaging)}</td>
+                    <td class="text-nowrap">${formatPrice(product.price)}</td>
+                    ${canEdit ? `
+                      <td class="text-end text-nowrap">
+                        <button type="button" class="btn btn-sm btn-outline-primary edit-product" aria-label="Edit ${escapeHtml(product.name)}">
+                          <i class="bi bi-pencil"></i>
+                        </button>
+                        <button type="button" class="btn btn-sm btn-outline-danger delete-product" aria-label="Delete ${escapeHtml(product.name)}">
+                          <i class="bi bi-trash"></i>
+                        </button>
+                      </td>
+                    ` : ""}
+                  </tr>
+                `).join("")}
+              </tbody>
+            </table>
+          </div>
+        `;
+
+        table.querySelectorAll("tr[data-id]").forEach(row => {
+            const product = products.find(p => String(p.id) === row.dataset.id);
+            row.querySelector(".edit-product")?.addEventListener("click", () => openEditor(product));
+            row.querySelector(".delete-product")?.addEventListener("click", () => deleteProduct(product));
+        });
+    }
+
+    function openEditor(product = null) {
+        renderProductForm(editor, {
+            product,
+            categories,
+            onCancel: () => { editor.innerHTML = ""; },
+            onSave: async (payload, { imageFile, removeImage, document }) => {
+                const { data, message } = product
+                    ? await staffRequest(`/products/${product.id}`, { method: "PUT", body: payload })
+                    : await staffRequest("/products", { method: "POST", body: payload });
+
+                // The product is saved by now, so reload the table even if
+                // the image or document step fails
+                try {
+                    if (imageFile) {
+                        const upload = new FormData();
+                        upload.append("image", imageFile);
+                        await staffRequest(`/products/${data.id}/image`, { method: "POST", body: upload });
+                    } else if (removeImage) {
+                        await staffRequest(`/products/${data.id}/image`, { method: "DELETE" });
+                    }
+                    if (document) {
+                        const upload = new FormData();
+                        upload.append("document", document.file);
+                        upload.append("revisionDate", document.revisionDate);
+                        await staffRequest(`/products/${data.id}/documents/${document.type}`, { method: "POST", body: upload });
+                    }
+                } catch (error) {
+                    editor.innerHTML = "";
+                    await load();
+                    throw error;
+                }
+
+                editor.innerHTML = "";
+                showAdminAlert(alertBox, "success", `${message}: ${data.name}`);
+                await load();
+            },
+            onError: handleError
+        });
+        editor.scrollIntoView({ behavior: "smooth", block: "start" });
+    }
+
+    async function deleteProduct(product) {
+        if (!window.confirm(`Delete "${product.name}"? This cannot be undone.`)) return;
+
+        try {
+            await staffRequest(`/products/${product.id}`, { method: "DELETE" });
+            showAdminAlert(alertBox, "success", `Deleted ${product.name}`);
+            await load();
+        } catch (error) {
+            handleError(error);
+        }
+    }
+
+    container.querySelector("#newProductBtn")?.addEventListener("click", () => openEditor());
+    load();
+}
+
+// Form fields hold safety notes one per line and dilutions as
+// "Application: ratio" lines
+function renderProductForm(container, { product, categories, onCancel, onSave, onError }) {
+    const variants = product ? product.variants : [{ size: "", price: 0, stock: 0 }];
+    const dilution = (product?.dilution || []).map(d => `${d.application}: ${d.ratio}`).join("\n");
+    const ghs = product?.ghs || { pictograms: [], signalWord: null };
+    const sheets = Object.entries(product?.documents || {})
+        .map(([type, versions]) => ({ type, latest: versions[versions.length - 1] }));
+
+    container.innerHTML = `
+      <form class="bg-white rounded-3 shadow-sm p-4 mb-4" id="productForm" novalidate>
+        <div class="d-flex justify-content-between align-items-center mb-3">
+          <h2 class="h5 mb-0">${product ? `Edit ${escapeHtml(product.name)}` : "New product"}</h2>
+          <button type="button" class="btn-close cancel-edit" aria-label="Close"></button>
+        </div>
+        <div class="product-form-alert" role="alert" aria-live="polite"></div>
+        <div class="row g-3">
+          <div class="col-md-6">
+            <label class="form-label" for="productName">Name *</label>
+            <input type="text" class="form-control" id="productName" name="name" required value="${escapeHtml(product?.name)}">
+            <div class="invalid-feedback"></div>
+          </div>
+          <div class="col-md-6">
+            <label class="form-label" for="productCategory">Category *</label>
+            <input type="text" class="form-control" id="productCategory" name="category" list="productCategories" required value="${escapeHtml(product?.category)}">
+            <datalist id="productCategories">
+              ${categories.map(c => `<option value="${escapeHtml(c)}"></option>`).join("")}
+            </datalist>
+            <div class="invalid-feedback"></div>
+          </div>
+          <div class="col-12">
+            <label class="form-label" for="productDescription">Description *</label>
+            <textarea class="form-control" id="productDescription" name="description" rows="2" required>${escapeHtml(product?.description)}</textarea>
+            <div class="invalid-feedback"></div>
+          </div>
+          <div class="col-md-6">
+            <label class="form-label" for="productImage">Image path</label>
+            <input type="text" class="form-control" id="productImage" name="image" placeholder="Images/..." value="${escapeHtml(product?.image)}">
+            <div class="invalid-feedback"></div>
+          </div>
+          <div class="col-md-6">
+            <label class="form-label" for="productImageFile">Upload image</label>
+            <input type="file" class="form-control" id="productImageFile" name="imageFile" accept="image/jpeg,image/png,image/webp">
+            <div class="form-text">JPEG, PNG or WebP. Replaces the current image when saved.</div>
+          </div>
+          <div class="col-md-6 d-flex align-items-center gap-3">
+            ${product?.images ? `
+              <img src="${escapeHtml(product.images.thumb.jpeg)}" alt="" class="rounded border" width="64" height="64" style="object-fit: cover;">
+              <div class="form-check">
+                <input class="form-check-input" type="checkbox" id="productRemoveImage" name="removeImage">
+                <label class="form-check-label" for="productRemoveImage">Remove uploaded image</label>
+              </div>
+            ` : ""}
+          </div>
+          <div class="col-md-6">
+            <label class="form-label" for="productSku">SKU</label>
+            <input type="text" class="form-control" id="productSku" name="sku" placeholder="Generated if left blank" value="${escapeHtml(product?.sku)}">
+            <div class="invalid-feedback"></div>
+          </div>
+          <div class="col-12">
+            <label class="form-label mb-1">Pack sizes *</label>
+            <div class="form-text mt-0 mb-2">Size, price (R) and total stock across all stores.</div>
+            <div class="variant-rows"></div>
+            <button type="button" class="btn btn-sm btn-outline-secondary mt-2 add-variant">
+              <i class="bi bi-plus-lg me-1"></i>Add size
+            </button>
+          </div>
+          <div class="col-12">
+            <label class="form-label" for="productUsage">Usage</label>
+            <textarea class="form-control" id="productUsage" name="usage" rows="2">${escapeHtml(product?.usage)}</textarea>
+          </div>
+          <div class="col-12">
+            <label class="form-label" for="productTags">Search tags</label>
+            <input type="text" class="form-control" id="productTags" name="tags" value="${escapeHtml((product?.tags || []).join(", "))}" placeholder="kitchen, grease">
+            <div class="form-text">Extra words customers might search for, separated by commas.</div>
+          </div>
+          <div class="col-md-6">
+            <label class="form-label" for="productDilution">Dilution</label>
+            <textarea class="form-control" id="productDilution" name="dilution" rows="3" placeholder="Floors: 1:50">${escapeHtml(dilution)}</textarea>
+            <div class="form-text">One per line, as "Application: ratio".</div>
+            <div class="invalid-feedback"></div>
+          </div>
+          <div class="col-md-6">
+            <label class="form-label" for="productSafety">Safety notes</label>
+            <textarea class="form-control" id="productSafety" name="safety" rows="3">${escapeHtml((product?.safety || []).join("\n"))}</textarea>
+            <div class="form-text">One note per line.</div>
+          </div>
+          <div class="col-md-8">
+            <label class="form-label mb-1">GHS pictograms</label>
+            <div class="d-flex flex-wrap gap-3">
+              ${Object.entries(GHS_PICTOGRAMS).map(([code, label]) => `
+                <div class="form-check">
+                  <input class="form-check-input" type="checkbox" name="ghsPictograms" id="ghs-${code}" value="${code}" ${ghs.pictograms.includes(code) ? "checked" : ""}>
+                  <label class="form-check-label small" for="ghs-${code}">${code} ${escapeHtml(label)}</label>
+                </div>
+              `).join("")}
+            </div>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="productSignalWord">Signal word</label>
+            <select class="form-select" id="productSignalWord" name="signalWord">
+              ${["", "Warning", "Danger"].map(word => `
+                <option value="${word}" ${(ghs.signalWord || "") === word ? "selected" : ""}>${word || "None"}</option>
+              `).join("")}
+            </select>
+          </div>
+          <div class="col-12">
+            <label class="form-label mb-1">Data sheets</label>
+            ${sheets.length > 0 ? `
+              <ul class="list-unstyled small mb-2">
+                ${sheets.map(({ type, latest }) => `
+                  <li>
+                    <a href="${API_BASE}/products/${product.id}/documents/${type}">${type.toUpperCase()} v${latest.version}</a>
+                    <span class="text-muted">revised ${escapeHtml(latest.revisionDate)}, ${escapeHtml(latest.fileName)}</span>
+                  </li>
+                `).join("")}
+              </ul>
+            ` : ""}
+            <div class="row g-2">
+              <div class="col-md-3">
+                <select class="form-select form-select-sm" name="documentType" aria-label="Data sheet type">
+                  <option value="sds">Safety Data Sheet</option>
+                  <option value="tds">Technical Data Sheet</option>
+                </select>
+              </div>
+              <div class="col-md-3">
+                <input type="date" class="form-control form-control-sm" name="documentRevisionDate" aria-label="Revision date">
+                <div class="invalid-feedback"></div>
+              </div>
+              <div class="col-md-6">
+                <input type="file" class="form-control form-control-sm" name="documentFile" accept="application/pdf" aria-label="Data sheet PDF">
+              </div>
+            </div>
+            <div class="form-text">PDF with its revision date. Uploading adds a new version; earlier versions are kept.</div>
+          </div>
+          <div class="col-12 d-flex justify-content-end gap-2">
+            <button type="button" class="btn btn-outline-secondary cancel-edit">Cancel</button>
+            <button type="submit" class="btn btn-primary">
+              <span class="spinner-border spinner-border-sm me-2 d-none" role="status" aria-hidden="true"></span>
+              ${product ? "Save changes" : "Create product"}
+            </button>
+          </div>
+        </div>
+      </form>
+    `;
+
+    const form = container.querySelector("#productForm");
+    const rows = form.querySelector(".variant-rows");
+    const alertBox = form.querySelector(".product-form-alert");
+    const submitButton = form.querySelector("button[type=submit]");
+    const spinner = submitButton.querySelector(".spinner-border");
+
+    function addVariantRow(variant = { size: "", price: 0, stock: 0 }) {
+        rows.insertAdjacentHTML("beforeend", `
+          <div class="row g-2 align-items-center variant-row" data-sku="${escapeHtml(variant.sku)}">
+            <div class="col-4">
+              <input type="text" class="form-control form-control-sm variant-size" placeholder="Size, e.g. 5L" aria-label="Size" value="${escapeHtml(variant.size)}">
+            </div>
+            <div class="col-3">
+              <input type="number" min="0" step="0.01" class="form-control form-control-sm variant-price" aria-label="Price (R)" value="${variant.price}">
+            </div>
+            <div class="col-3">
+              <input type="number" class="form-control form-control-sm variant-stock" aria-label="Stock (all stores)" title="Stock across all stores. Change it through store stock movements." value="${variant.stock || 0}" readonly>
+            </div>
+            <div class="col-2 text-end">
+              <button type="button" class="btn btn-sm btn-outline-danger remove-variant" aria-label="Remove size">
+                <i class="bi bi-x-lg"></i>
+              </button>
+            </div>
+          </div>
+        `);
+        rows.lastElementChild.querySelector(".remove-variant").addEventListener("click", event => {
+            if (rows.children.length > 1) event.currentTarget.closest(".variant-row").remove();
+        });
+    }
+
+    variants.forEach(variant => addVariantRow(variant));
+    form.querySelector(".add-variant").addEventListener("click", () => addVariantRow());
+    form.querySelectorAll(".cancel-edit").forEach(button => button.addEventListener("click", onCancel));
+
+    form.addEventListener("submit", async (event) => {
+        event.preventDefault();
+        alertBox.innerHTML = "";
+
+        const { payload, errors } = readProductForm(form);
+        const documentFile = form.elements.documentFile.files[0] || null;
+        if (documentFile && !form.elements.documentRevisionDate.value) {
+            errors.push({ field: "documentRevisionDate", message: "Enter the data sheet's revision date" });
+        }
+        showFieldErrors(form, errors);
+        if (errors.length > 0) {
+            showAdminAlert(alertBox, "danger", errors.map(e => e.message).join(". "));
+            return;
+        }
+
+        submitButton.disabled = true;
+        spinner.classList.remove("d-none");
+
+        try {
+            await onSave(payload, {
+                imageFile: form.elements.imageFile.files[0] || null,
+                removeImage: Boolean(form.elements.removeImage?.checked),
+                document: documentFile && {
+                    type: form.elements.documentType.value,
+                    revisionDate: form.elements.documentRevisionDate.value,
+                    file: documentFile
+                }
+            });
+        } catch (error) {
+            // The form is gone once the product itself was saved
+            if (error.status === 401 || !form.isConnected) {
+                onError(error);
+                return;
+            }
+            showFieldErrors(form, error.errors);
+            const details = error.errors.map(e => e.message).join(". ");
+            showAdminAlert(alertBox, "danger", details || error.message);
+        } finally {
+            submitButton.disabled = false;
+            spinner.classList.add("d-none");
+        }
+    });
+}
+
+// Collect the form into a request body for POST or PUT /api/products
+function readProductForm(form) {
+    const value = name => form.elements[name].value.trim();
+    const lines = name => value(name).split("\n").map(line => line.trim()).filter(Boolean);
+    const errors = [];
+
+    ["name", "category", "description"].forEach(field => {
+        if (!value(field)) {
+            errors.push({ field, message: `${field[0].toUpperCase()}${field.slice(1)} is required` });
+        }
+    });
+
+    const variants = [...form.querySelectorAll(".variant-row")].map(row => ({
+        ...(row.dataset.sku && { sku: row.dataset.sku }),
+        size: row.querySelector(".variant-size").value.trim(),
+        price: Number(row.querySelector(".variant-price").value || 0)
+    }));
+    if (variants.some(v => !v.size)) {
+        errors.push({ field: "variants", message: "Every pack size needs a size" });
+    }
+
+    const dilution = lines("dilution").map(line => {
+        const [application, ...ratio] = line.split(":");
+        return { application: application.trim(), ratio: ratio.join(":").trim() };
+    });
+    if (dilution.some(d => !d.application || !d.ratio)) {
+        errors.push({ field: "dilution", message: 'Write each dilution as "Application: ratio"' });
+    }
+
+    const payload = {
+        name: value("name"),
+        category: value("category"),
+        description: value("description"),
+        variants,
+        usage: value("usage"),
+        dilution,
+        safety: lines("safety"),
+        tags: value("tags").split(",").map(tag => tag.trim()).filter(Boolean),
+        ghs: {
+            pictograms: [...form.querySelectorAll("input[name=ghsPictograms]:checked")].map(input => input.value),
+            signalWord: value("signalWord") || null
+        }
+    };
+    if (value("image")) payload.image = value("image");
+    if (value("sku")) payload.sku = value("sku");
+
+    return { payload, errors };
+}
+
+function showFieldErrors(form, errors) {
+    form.querySelectorAll(".is-invalid").forEach(input => input.classList.remove("is-invalid"));
+    errors.forEach(({ field, message }) => {
+        const input = form.elements[field];
+        if (!input || !input.classList) return;
+        input.classList.add("is-invalid");
+        const feedback = input.parentElement.querySelector(".invalid-feedback");
+        if (feedback) feedback.textContent = message;
+    });
+}
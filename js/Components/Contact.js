@@ -1,4 +1,21 @@
-export function renderContactTab(container) {
+import { apiRequest } from "../api.js";
+import { escapeHtml } from "../html.js";
+import { renderContactForm } from "./ContactForm.js";
+
+const DAY_NAMES = {
+    monday: "Mon",
+    tuesday: "Tue",
+    wednesday: "Wed",
+    thursday: "Thu",
+    friday: "Fri",
+    saturday: "Sat",
+    sunday: "Sun"
+};
+
+// Upcoming closures shown on each store card
+const MAX_CLOSURES_SHOWN = 3;
+
+export function renderContactTab(container, query = {}) {
     const contactHTML = `
     <section class="contact-section py-5 bg-light">
       <div class="container">
@@ -10,125 +27,26 @@ export function renderContactTab(container) {
           </div>
         </div>
         
-        <div class="row g-4">
-          <!-- Thohoyandou Store -->
-          <div class="col-lg-4 col-md-6">
-            <div class="store-card p-4 p-lg-5 rounded-4 shadow-sm bg-white h-100">
-              <h3 class="h4 mb-4 d-flex align-items-center">
-                <i class="bi bi-shop fs-3 text-primary me-3"></i>
-                Thohoyandou Store
-              </h3>
-              <div class="mb-4">
-                <div class="map-container rounded-3 overflow-hidden mb-3" style="height: 200px;">
-                  <iframe 
-                    src="https://www.google.com/maps/embed?pb=!1m18!1m12!1m3!1d3728.123456789012!2d30.4846413150288!3d-22.9512345847349!2m3!1f0!2f0!3f0!3m2!1i1024!2i768!4f13.1!3m3!1m2!1s0x1ec6d9d9d9d9d9d9%3A0x1ec6d9d9d9d9d9d9!2s1+Mphephu+drive,+Thohoyandou!5e0!3m2!1sen!2sza!4v1620000000000!5m2!1sen!2sza" 
-                    width="100%" 
-                    height="100%" 
-                    style="border:0;" 
-                    allowfullscreen="" 
-                    loading="lazy"
-                    referrerpolicy="no-referrer-when-downgrade">
-                  </iframe>
-                </div>
-                <div class="d-flex align-items-start">
-                  <div class="icon-box bg-primary-light text-primary rounded-circle p-2 me-3 flex-shrink-0">
-                    <i class="bi bi-geo-alt-fill fs-5"></i>
-                  </div>
-                  <div>
-                    <p class="mb-1 fw-medium">Address:</p>
-                    <p class="text-muted mb-0">Mphephu Drive, Thohoyandou</p>
-                  </div>
-                </div>
-              </div>
-              <div class="d-grid">
-                <a href="https://www.google.com/maps/dir//Mphephu+drive,+Thohoyandou" 
-                   class="btn btn-outline-primary btn-sm" 
-                   target="_blank">
-                  <i class="bi bi-arrow-up-right-circle me-2"></i>Directions
-                </a>
-              </div>
-            </div>
-          </div>
-          
-          <!-- Polokwane Store -->
-          <div class="col-lg-4 col-md-6">
-            <div class="store-card p-4 p-lg-5 rounded-4 shadow-sm bg-white h-100">
-              <h3 class="h4 mb-4 d-flex align-items-center">
-                <i class="bi bi-shop fs-3 text-primary me-3"></i>
-                Polokwane Store
-              </h3>
-              <div class="mb-4">
-                <div class="map-container rounded-3 overflow-hidden mb-3" style="height: 200px;">
-                  <iframe 
-                    src="https://www.google.com/maps/embed?pb=!1m18!1m12!1m3!1d3583.692331693012!2d29.4486233150288!3d-23.8964978847349!2m3!1f0!2f0!3f0!3m2!1i1024!2i768!4f13.1!3m3!1m2!1s0x1ec6d9d9d9d9d9d9%3A0x1ec6d9d9d9d9d9d9!2s56%20Schoeman%20St%2C%20Polokwane%2C%200699!5e0!3m2!1sen!2sza!4v1620000000000!5m2!1sen!2sza" 
-                    width="100%" 
-                    height="100%" 
-                    style="border:0;" 
-                    allowfullscreen="" 
-                    loading="lazy"
-                    referrerpolicy="no-referrer-when-downgrade">
-                  </iframe>
-                </div>
-                <div class="d-flex align-items-start">
-                  <div class="icon-box bg-primary-light text-primary rounded-circle p-2 me-3 flex-shrink-0">
-                    <i class="bi bi-geo-alt-fill fs-5"></i>
-                  </div>
-                  <div>
-                    <p class="mb-1 fw-medium">Address:</p>
-                    <p class="text-muted mb-0">56 Schoeman Street, Polokwane, Limpopo</p>
-                  </div>
-                </div>
-              </div>
-              <div class="d-grid">
-                <a href="https://www.google.com/maps/dir//56+Schoeman+St,+Polokwane,+0699" 
-                   class="btn btn-outline-primary btn-sm" 
-                   target="_blank">
-                  <i class="bi bi-arrow-up-right-circle me-2"></i>Directions
-                </a>
-              </div>
-            </div>
-          </div>
-          
-          <!-- Louis Trichardt Store -->
-          <div class="col-lg-4 col-md-6">
-            <div class="store-card p-4 p-lg-5 rounded-4 shadow-sm bg-white h-100">
-              <h3 class="h4 mb-4 d-flex align-items-center">
-                <i class="bi bi-shop fs-3 text-primary me-3"></i>
-                Louis Trichardt Store
-              </h3>
-              <div class="mb-4">
-                <div class="map-container rounded-3 overflow-hidden mb-3" style="height: 200px;">
-                  <iframe 
-                    src="https://www.google.com/maps/embed?pb=!1m18!1m12!1m3!1d3583.692331693012!2d29.4486233150288!3d-23.8964978847349!2m3!1f0!2f0!3f0!3m2!1i1024!2i768!4f13.1!3m3!1m2!1s0x1ec6d9d9d9d9d9d9%3A0x1ec6d9d9d9d9d9d9!2sPlot+30+Rondebosch,+Louis+Trichardt,+0920!5e0!3m2!1sen!2sza!4v1620000000000!5m2!1sen!2sza" 
-                    width="100%" 
-                    height="100%" 
-                    style="border:0;" 
-                    allowfullscreen="" 
-                    loading="lazy"
-                    referrerpolicy="no-referrer-when-downgrade">
-                  </iframe>
-                </div>
-                <div class="d-flex align-items-start">
-                  <div class="icon-box bg-primary-light text-primary rounded-circle p-2 me-3 flex-shrink-0">
-                    <i class="bi bi-geo-alt-fill fs-5"></i>
-                  </div>
-                  <div>
-                    <p class="mb-1 fw-medium">Address:</p>
-                    <p class="text-muted mb-0">Plot 30, Rondebosch, Louis Trichardt, Limpopo, 0920</p>
-                  </div>
-                </div>
-              </div>
-              <div class="d-grid">
-                <a href="https://www.google.com/maps/dir//Plot+30+Rondebosch,+Louis+Trichardt,+0920" 
-                   class="btn btn-outline-primary btn-sm" 
-                   target="_blank">
-                  <i class="bi bi-arrow-up-right-circle me-2"></i>Directions
-                </a>
-              </div>
+        <div class="text-center mb-4">
+          <button type="button" class="btn btn-outline-primary" id="findNearestStore">
+            <i class="bi bi-crosshair me-2"></i>Find my nearest store
+          </button>
+          <p class="small text-muted mt-2 mb-0" id="nearestStoreStatus" aria-live="polite"></p>
+        </div>
+        
+        <div class="row g-4" id="storeCards">
+          <div class="col-12 text-center py-5">
+            <div class="spinner-border text-primary" role="status">
+              <span class="visually-hidden">Loading stores...</span>
             </div>
           </div>
         </div>
         
+        <!-- Contact Form -->
+        <div class="row mt-5">
+          <div class="col-lg-8 mx-auto" id="contactFormContainer"></div>
+        </div>
+        
         <!-- Contact Information -->
         <div class="row mt-5">
           <div class="col-lg-8 mx-auto">
@@ -181,15 +99,21 @@ export function renderContactTab(container) {
     `;
     
     container.innerHTML = contactHTML;
+    renderContactForm(container.querySelector('#contactFormContainer'), { subject: query.subject });
     setupContactPage();
+    loadStores(container);
 }
 
 function setupContactPage() {
     // Add dynamic styles
+    if (document.getElementById('contact-styles')) return;
+
     const style = document.createElement('style');
+    style.id = 'contact-styles';
     style.textContent = `
         .store-card,
-        .contact-info-card {
+        .contact-info-card,
+        .contact-form-card {
             border: 1px solid rgba(0,0,0,0.05);
             transition: all 0.3s ease;
         }
@@ -250,6 +174,216 @@ function setupContactPage() {
         .contact-info-card:hover .icon-box {
             transform: rotate(15deg);
         }
+        
+        .store-card.nearest {
+            border: 2px solid var(--bs-primary);
+        }
+        
+        .store-hours li {
+            display: flex;
+            justify-content: space-between;
+        }
     `;
     document.head.appendChild(style);
-}
\ No newline at end of file
+}
+
+// =============================================================================
+// STORE CARDS
+// =============================================================================
+
+async function loadStores(container) {
+    const cards = container.querySelector("#storeCards");
+    const nearestButton = container.querySelector("#findNearestStore");
+
+    try {
+        const { data } = await apiRequest("/stores");
+        cards.innerHTML = data.map(storeCard).join("");
+        nearestButton.addEventListener("click", () => findNearestStore(container, data));
+    } catch (error) {
+        cards.innerHTML = `
+          <div class="col-12">
+            <div class="alert alert-warning text-center mb-0">
+              <i class="bi bi-exclamation-triangle-fill me-2"></i>
+              We couldn't load our store details right now. Please call us on +27 (0)64 948 6557.
+            </div>
+          </div>`;
+        nearestButton.hidden = true;
+    }
+}
+
+function storeCard(store) {
+    const { lat, lng } = store.coordinates;
+    const address = [store.address.street, store.address.town, store.address.province, store.address.postalCode]
+        .filter(Boolean)
+        .join(", ");
+    const closures = upcomingClosures(store);
+
+    return `
+      <div class="col-lg-4 col-md-6" data-store-id="${escapeHtml(store.id)}">
+        <div class="store-card p-4 p-lg-5 rounded-4 shadow-sm bg-white h-100">
+          <h3 class="h4 mb-2 d-flex align-items-center">
+            <i class="bi bi-shop fs-3 text-primary me-3"></i>
+            ${escapeHtml(store.name)} Store
+          </h3>
+          <div class="mb-4">
+            <span class="badge ${store.status.open ? "bg-success" : "bg-secondary"}">${store.status.open ? "Open now" : "Closed"}</span>
+            <span class="small text-muted ms-1">${escapeHtml(store.status.label.replace(/^Closed · /, ""))}</span>
+            <span class="badge bg-primary ms-1 nearest-badge" hidden>Nearest to you</span>
+            <div class="small text-muted store-distance"></div>
+          </div>
+          <div class="mb-4">
+            <div class="map-container rounded-3 overflow-hidden mb-3" style="height: 200px;">
+              <iframe 
+                src="https://maps.google.com/maps?q=${lat},${lng}&z=15&output=embed" 
+                title="Map of the ${escapeHtml(store.name)} store"
+                width="100%" 
+                height="100%" 
+                style="border:0;" 
+                allowfullscreen="" 
+                loading="lazy"
+                referrerpolicy="no-referrer-when-downgrade">
+              </iframe>
+            </div>
+            <div class="d-flex align-items-start mb-3">
+              <div class="icon-box bg-primary-light text-primary rounded-circle p-2 me-3 flex-shrink-0">
+                <i class="bi bi-geo-alt-fill fs-5"></i>
+              </div>
+              <div>
+                <p class="mb-1 fw-medium">Address:</p>
+                <p class="text-muted mb-0">${escapeHtml(address)}</p>
+              </div>
+            </div>
+            ${store.phone ? `
+            <div class="d-flex align-items-start mb-3">
+              <div class="icon-box bg-primary-light text-primary rounded-circle p-2 me-3 flex-shrink-0">
+                <i class="bi bi-telephone-fill fs-5"></i>
+              </div>
+              <div>
+                <p class="mb-1 fw-medium">Phone:</p>
+                <a href="tel:${escapeHtml(store.phone.replace("(0)", "").replace(/[^\d+]/g, ""))}" class="text-muted">${escapeHtml(store.phone)}</a>
+              </div>
+            </div>` : ""}
+            <div class="d-flex align-items-start">
+              <div class="icon-box bg-primary-light text-primary rounded-circle p-2 me-3 flex-shrink-0">
+                <i class="bi bi-clock-fill fs-5"></i>
+              </div>
+              <div class="flex-grow-1">
+                <p class="mb-1 fw-medium">Trading hours:</p>
+                <ul class="list-unstyled text-muted small mb-0 store-hours">
+                  ${formatHours(store.hours).map(([days, hours]) => `<li><span>${days}</span><span>${hours}</span></li>`).join("")}
+                </ul>
+                ${closures.length ? `
+                <p class="small text-danger mt-2 mb-0">
+                  ${closures.map(c => `Closed ${formatDate(c.date)} (${escapeHtml(c.name)})`).join("<br>")}
+                </p>` : ""}
+              </div>
+            </div>
+          </div>
+          <div class="d-grid">
+            <a href="https://www.google.com/maps/dir/?api=1&destination=${lat},${lng}" 
+               class="btn btn-outline-primary btn-sm" 
+               target="_blank" rel="noopener">
+              <i class="bi bi-arrow-up-right-circle me-2"></i>Directions
+            </a>
+          </div>
+        </div>
+      </div>`;
+}
+
+/**
+ * Group consecutive days with the same hours, e.g. [["Mon-Fri", "08:00-17:00"], ["Sat-Sun", "Closed"]]
+ */
+function formatHours(hours) {
+    const groups = [];
+
+    Object.keys(DAY_NAMES).forEach(day => {
+        const text = hours[day] ? `${hours[day].open}-${hours[day].close}` : "Closed";
+        const last = groups[groups.length - 1];
+        if (last && last.text === text) {
+            last.to = DAY_NAMES[day];
+        } else {
+            groups.push({ from: DAY_NAMES[day], to: null, text });
+        }
+    });
+
+    return groups.map(g => [g.to ? `${g.from}-${g.to}` : g.from, g.text]);
+}
+
+function upcomingClosures(store) {
+    const today = new Date().toLocaleDateString("en-CA");
+    return (store.closures || [])
+        .filter(closure => closure.date >= today)
+        .slice(0, MAX_CLOSURES_SHOWN);
+}
+
+function formatDate(date) {
+    return new Date(`${date}T00:00:00`).toLocaleDateString("en-ZA", { day: "numeric", month: "short" });
+}
+
+// =============================================================================
+// NEAREST STORE
+// =============================================================================
+
+function findNearestStore(container, stores) {
+    const status = container.querySelector("#nearestStoreStatus");
+
+    if (!navigator.geolocation) {
+        status.textContent = "Your browser can't share your location.";
+        return;
+    }
+
+    status.textContent = "Finding your location...";
+    navigator.geolocation.getCurrentPosition(
+        position => {
+            const here = { lat: position.coords.latitude, lng: position.coords.longitude };
+            const ranked = stores
+                .map(store => ({ store, km: distanceKm(here, store.coordinates) }))
+                .sort((a, b) => a.km - b.km);
+
+            showNearestStore(container, ranked);
+            status.textContent = `Your nearest store is ${ranked[0].store.name}, about ${formatKm(ranked[0].km)} away.`;
+        },
+        error => {
+            status.textContent = error.code === error.PERMISSION_DENIED
+                ? "Location access was blocked. Allow it in your browser to find your nearest store."
+                : "We couldn't find your location. Please try again.";
+        },
+        { timeout: 10000, maximumAge: 10 * 60 * 1000 }
+    );
+}
+
+/**
+ * Order the cards by distance and highlight the nearest one
+ */
+function showNearestStore(container, ranked) {
+    const cards = container.querySelector("#storeCards");
+    const columns = [...cards.querySelectorAll("[data-store-id]")];
+
+    ranked.forEach(({ store, km }, index) => {
+        const column = columns.find(c => c.dataset.storeId === store.id);
+        if (!column) return;
+
+        column.querySelector(".store-card").classList.toggle("nearest", index === 0);
+        column.querySelector(".nearest-badge").hidden = index !== 0;
+        column.querySelector(".store-distance").textContent = `About ${formatKm(km)} away`;
+        cards.appendChild(column);
+    });
+}
+
+/**
+ * Great-circle distance between two { lat, lng } points (haversine formula)
+ */
+function distanceKm(a, b) {
+    const EARTH_RADIUS_KM = 6371;
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+function formatKm(km) {
+    return km < 10 ? `${km.toFixed(1)} km` : `${Math.round(km)} km`;
+}
@@ -0,0 +1,227 @@
+// ContactForm.js - Contact form posting to /api/contact
+import { apiRequest } from "../api.js";
+
+export const SUBJECTS = [
+    { value: "general", label: "General enquiry" },
+    { value: "products", label: "Products" },
+    { value: "orders", label: "Orders" },
+    { value: "support", label: "Support" },
+    { value: "partnership", label: "Partnership" }
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const PHONE_PATTERN = /^[+]?[\d\s\-()]{7,20}$/;
+
+// Client-side copy of the express-validator rules in server/routes/contact.js.
+// Each rule returns an error message, or null when the value is valid.
+const RULES = {
+    firstName: value => {
+        if (!value) return "First name is required";
+        if (value.length < 2 || value.length > 50) return "First name must be 2-50 characters";
+        return null;
+    },
+    lastName: value => {
+        if (!value) return "Last name is required";
+        if (value.length < 2 || value.length > 50) return "Last name must be 2-50 characters";
+        return null;
+    },
+    email: value => {
+        if (!value) return "Email is required";
+        if (!EMAIL_PATTERN.test(value)) return "Please provide a valid email address";
+        return null;
+    },
+    phone: value => {
+        if (value && !PHONE_PATTERN.test(value)) return "Please provide a valid phone number";
+        return null;
+    },
+    subject: value => {
+        if (!value) return "Subject is required";
+        if (!SUBJECTS.some(s => s.value === value)) return "Invalid subject selected";
+        return null;
+    },
+    message: value => {
+        if (!value) return "Message is required";
+        if (value.length < 10 || value.length > 2000) return "Message must be 10-2000 characters";
+        return null;
+    }
+};
+
+// Validate trimmed form values; returns [{ field, message }]
+export function validateContactForm(values) {
+    return Object.entries(RULES)
+        .map(([field, rule]) => ({ field, message: rule(values[field] || "") }))
+        .filter(error => error.message);
+}
+
+// Options:
+// - subject: preselected subject value
+export function renderContactForm(container, { subject = "" } = {}) {
+    container.innerHTML = `
+    <div class="contact-form-card p-4 p-lg-5 rounded-4 shadow-sm bg-white">
+      <h3 class="h4 mb-2">Send Us a Message</h3>
+      <p class="text-muted mb-4">Fill in the form and our team will get back to you.</p>
+
+      <div class="contact-form-alert" role="alert" aria-live="polite"></div>
+
+      <form id="contactForm" novalidate>
+        <div class="row g-3">
+          <div class="col-md-6">
+            <label for="firstName" class="form-label">First name *</label>
+            <input type="text" class="form-control" id="firstName" name="firstName" maxlength="50" autocomplete="given-name" required>
+            <div class="invalid-feedback"></div>
+          </div>
+          <div class="col-md-6">
+            <label for="lastName" class="form-label">Last name *</label>
+            <input type="text" class="form-control" id="lastName" name="lastName" maxlength="50" autocomplete="family-name" required>
+            <div class="invalid-feedback"></div>
+          </div>
+          <div class="col-md-6">
+            <label for="email" class="form-label">Email *</label>
+            <input type="email" class="form-control" id="email" name="email" autocomplete="email" required>
+            <div class="invalid-feedback"></div>
+          </div>
+          <div class="col-md-6">
+            <label for="phone" class="form-label">Phone</label>
+            <input type="tel" class="form-control" id="phone" name="phone" maxlength="20" autocomplete="tel">
+            <div class="invalid-feedback"></div>
+          </div>
+          <div class="col-12">
+            <label for="subject" class="form-label">Subject *</label>
+            <select class="form-select" id="subject" name="subject" required>
+              <option value="">Choose a subject...</option>
+              ${SUBJECTS.map(s => `<option value="${s.value}">${s.label}</option>`).join("")}
+            </select>
+            <div class="invalid-feedback"></div>
+          </div>
+          <div class="col-12">
+            <label for="message" class="form-label">Message *</label>
+            <textarea class="form-control" id="message" name="message" rows="5" maxlength="2000" required></textarea>
+            <div class="form-text text-end"><span class="message-count">0</span>/2000</div>
+            <div class="invalid-feedback"></div>
+          </div>
+          <div class="visually-hidden" aria-hidden="true">
+            <label for="website">Leave this field empty</label>
+            <input type="text" id="website" name="website" tabindex="-1" autocomplete="off">
+          </div>
+          <div class="col-12 d-grid d-md-flex justify-content-md-end">
+            <button type="submit" class="btn btn-primary px-4">
+              <span class="spinner-border spinner-border-sm me-2 d-none" role="status" aria-hidden="true"></span>
+              <i class="bi bi-send me-2"></i>Send Message
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+    `;
+
+    setupContactForm(container, subject);
+}
+
+function setupContactForm(container, subject) {
+    const form = container.querySelector("#contactForm");
+    const alertBox = container.querySelector(".contact-form-alert");
+    const submitButton = form.querySelector("button[type=submit]");
+    const spinner = submitButton.querySelector(".spinner-border");
+    const messageCount = form.querySelector(".message-count");
+
+    if (SUBJECTS.some(s => s.value === subject)) {
+        form.elements.subject.value = subject;
+    }
+
+    // The API times how long the form took to fill in from this token. A
+    // message sent without one is still accepted, but lands in spam.
+    let formToken = null;
+    const loadFormToken = async () => {
+        try {
+            const { data } = await apiRequest("/contact/token");
+            formToken = data.token;
+        } catch {
+            formToken = null;
+        }
+    };
+    loadFormToken();
+
+    const readValues = () => Object.fromEntries(
+        Object.keys(RULES).map(field => [field, form.elements[field].value.trim()])
+    );
+
+    // Re-check a field once the visitor leaves it, and as they fix it
+    Object.keys(RULES).forEach(field => {
+        const input = form.elements[field];
+        const check = () => setFieldError(form, field, RULES[field](input.value.trim()));
+        input.addEventListener("blur", check);
+        input.addEventListener("input", () => {
+            if (input.classList.contains("is-invalid")) check();
+        });
+    });
+
+    form.elements.message.addEventListener("input", () => {
+        messageCount.textContent = form.elements.message.value.length;
+    });
+
+    form.addEventListener("submit", async (event) => {
+        event.preventDefault();
+        alertBox.innerHTML = "";
+
+        const values = readValues();
+        const errors = validateContactForm(values);
+        showErrors(form, errors);
+        if (errors.length > 0) {
+            form.querySelector(".is-invalid")?.focus();
+            return;
+        }
+
+        // The API treats an empty phone as invalid, so leave it out entirely
+        const payload = { ...values, website: form.elements.website.value };
+        if (!payload.phone) delete payload.phone;
+        if (formToken) payload.formToken = formToken;
+
+        submitButton.disabled = true;
+        spinner.classList.remove("d-none");
+
+        try {
+            const response = await apiRequest("/contact", { method: "POST", body: payload });
+            form.reset();
+            messageCount.textContent = "0";
+            loadFormToken();
+            showAlert(alertBox, "success", response.message || "Thank you for your message!");
+        } catch (error) {
+            if (error.errors.length > 0) {
+                showErrors(form, error.errors);
+                showAlert(alertBox, "danger", "Please correct the highlighted fields.");
+            } else if (error.status >= 500 && error.requestId) {
+                // Give the customer something to quote if they call us
+                showAlert(alertBox, "danger", `${error.message} (Reference: ${error.requestId})`);
+            } else {
+                showAlert(alertBox, "danger", error.message);
+            }
+        } finally {
+            submitButton.disabled = false;
+            spinner.classList.add("d-none");
+        }
+    });
+}
+
+// Mark every field as valid, then flag the ones with errors
+function showErrors(form, errors) {
+    Object.keys(RULES).forEach(field => setFieldError(form, field, null));
+    errors.forEach(({ field, message }) => {
+        if (form.elements[field]) setFieldError(form, field, message);
+    });
+}
+
+function setFieldError(form, field, message) {
+    const input = form.elements[field];
+    const feedback = input.parentElement.querySelector(".invalid-feedback");
+    input.classList.toggle("is-invalid", Boolean(message));
+    input.setAttribute("aria-invalid", message ? "true" : "false");
+    feedback.textContent = message || "";
+}
+
+function showAlert(alertBox, type, message) {
+    const alert = document.createElement("div");
+    alert.className = `alert alert-${type} d-flex align-items-center`;
+    alert.innerHTML = `<i class="bi ${type === "success" ? "bi-check-circle-fill" : "bi-exclamation-triangle-fill"} me-2"></i>`;
+    alert.append(message);
+    alertBox.replaceChildren(alert);
+}
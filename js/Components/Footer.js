@@ -3,7 +3,7 @@ export function renderFooter() {
     const footerHTML = `
     <footer class="bg-light py-3 border-top mt-auto"  style="background-color: #2c3e50">
       <div class="container text-center">
-        <small class="text-muted">TheNetworkCo © ${new Date().getFullYear()}</small>
+        <small class="text-muted">TheNetworkCo © ${new Date().getFullYear()} · <a href="#/admin" class="text-muted">Staff login</a></small>
       </div>
     </footer>
     `;
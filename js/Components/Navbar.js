@@ -3,7 +3,7 @@ export function renderNavbar(containerId = "app") {
     const navbarHTML = `
     <nav class="navbar navbar-expand-lg navbar-light bg-white shadow-sm">
       <div class="container">
-        <a class="navbar-brand d-flex align-items-center" href="#" id="logo">
+        <a class="navbar-brand d-flex align-items-center" href="#/" id="logo">
           <img src="./Images/Maschem-logo.png" alt="Maschem Logo" class="maschem-logo me-2"/>
           <span class="fw-bold">Maschem</span>
         </a>
@@ -15,29 +15,36 @@ export function renderNavbar(containerId = "app") {
         <div class="collapse navbar-collapse" id="navbarNav">
           <ul class="navbar-nav ms-auto">
             <li class="nav-item">
-              <a class="nav-link active d-flex align-items-center" id="home-link" href="#">
+              <a class="nav-link active d-flex align-items-center" id="home-link" href="#/">
                 <i class="bi bi-house-door me-2"></i>
                 <span>Home</span>
               </a>
             </li>
             <li class="nav-item">
-              <a class="nav-link d-flex align-items-center" href="#" id="products-link">
+              <a class="nav-link d-flex align-items-center" href="#/products" id="products-link">
                 <i class="bi bi-box-seam me-2"></i>
                 <span>Products</span>
               </a>
             </li>
             <li class="nav-item">
-              <a class="nav-link d-flex align-items-center" href="#" id="about-link">
+              <a class="nav-link d-flex align-items-center" href="#/about" id="about-link">
                 <i class="bi bi-building me-2"></i>
                 <span>About Us</span>
               </a>
             </li>
             <li class="nav-item">
-              <a class="nav-link d-flex align-items-center" href="#" id="contact-link">
+              <a class="nav-link d-flex align-items-center" href="#/contact" id="contact-link">
                 <i class="bi bi-telephone me-2"></i>
                 <span>Contact</span>
               </a>
             </li>
+            <li class="nav-item">
+              <a class="nav-link d-flex align-items-center" href="#/quote" id="quote-link">
+                <i class="bi bi-cart me-2"></i>
+                <span>Quote</span>
+                <span class="badge rounded-pill bg-primary ms-2 quote-count d-none">0</span>
+              </a>
+            </li>
           </ul>
         </div>
       </div>
@@ -0,0 +1,25 @@
+// NotFound.js - Shown for routes that do not exist
+export function renderNotFound(container, path) {
+    container.innerHTML = `
+    <section class="not-found-section py-5">
+      <div class="container text-center py-5">
+        <i class="bi bi-signpost-split display-1 text-primary"></i>
+        <h1 class="display-5 fw-bold mt-4 mb-3">Page not found</h1>
+        <p class="lead text-muted mb-4">
+          We couldn't find <code class="not-found-path"></code>. It may have moved, or the link may be incorrect.
+        </p>
+        <div class="d-flex justify-content-center gap-3">
+          <a href="#/" class="btn btn-primary">
+            <i class="bi bi-house-door me-2"></i>Go Home
+          </a>
+          <a href="#/products" class="btn btn-outline-primary">
+            <i class="bi bi-box-seam me-2"></i>Browse Products
+          </a>
+        </div>
+      </div>
+    </section>
+    `;
+
+    // Set as text so the path from the URL is never interpreted as HTML
+    container.querySelector('.not-found-path').textContent = path;
+}
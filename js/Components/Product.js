@@ -1,79 +1,460 @@
-export function renderProductsTab(container) {
+import { apiRequest, apiRequestAll } from "../api.js";
+import { replaceQuery } from "../router.js";
+import { escapeHtml } from "../html.js";
+import { addToCart, MAX_QUANTITY } from "../quoteCart.js";
+
+const FILTER_KEYS = ["search", "category", "minPrice", "maxPrice", "sort"];
+const SEARCH_DEBOUNCE_MS = 300;
+const SUGGEST_DEBOUNCE_MS = 150;
+const SUGGEST_LIMIT = 5;
+
+// Stores holding each pack size, from /api/inventory/availability:
+// { stores: [{ id, name }], data: { [productId]: { [sku]: [storeId] } } }
+let storeAvailability = null;
+
+// Renders the catalog with filters. The query holds the filter state from the
+// URL (#/products?category=Laundry&sort=name_asc), so filtered views can be shared.
+export function renderProductsTab(container, query = {}) {
   container.className = "products-page";
-  fetch("products.json")
-    .then(response => response.json())
-    .then(products => {
-      const categories = {};
-      products.forEach(product => {
-        const category = product.category || "Uncategorized";
-        if (!categories[category]) {
-          categories[category] = [];
-        }
-        categories[category].push(product);
+
+  const filters = {};
+  FILTER_KEYS.forEach(key => { filters[key] = query[key] || ""; });
+
+  container.innerHTML = `
+    <div class="products-header text-center py-5 bg-white">
+      <div class="container">
+        <h1 class="display-4 fw-bold text-primary mb-3">Our Products</h1>
+        <p class="lead text-muted max-w-800 mx-auto">Premium cleaning solutions for industrial, commercial and residential needs</p>
+        <div class="divider mx-auto my-4 bg-primary"></div>
+      </div>
+    </div>
+    ${renderFilterBar(filters)}
+    <div id="productResults"></div>
+  `;
+  addProductsStyles();
+
+  const results = container.querySelector("#productResults");
+  let requestCounter = 0;
+
+  // Stock indicators are a nice-to-have; the catalog works without them
+  const availabilityRequest = apiRequest("/inventory/availability")
+    .then(payload => { storeAvailability = payload; })
+    .catch(error => { console.warn("Stock availability unavailable:", error.message); });
+
+  // The category chips list every category, whatever the filters
+  const categoriesRequest = apiRequestAll("/products/categories");
+
+  function loadProducts() {
+    const requestId = ++requestCounter;
+    replaceQuery(filters);
+
+    const params = new URLSearchParams();
+    FILTER_KEYS.forEach(key => { if (filters[key]) params.set(key, filters[key]); });
+
+    results.innerHTML = `
+      <div class="text-center py-5">
+        <div class="spinner-border text-primary" role="status">
+          <span class="visually-hidden">Loading...</span>
+        </div>
+      </div>
+    `;
+
+    Promise.all([apiRequestAll(`/products?${params}`), categoriesRequest])
+      .then(([products, categories]) => {
+        // Ignore responses that arrive after a newer request
+        if (requestId !== requestCounter) return;
+
+        renderCategoryChips(container, categories, filters, loadProducts);
+        results.innerHTML = products.length > 0
+          ? renderResults(products, filters)
+          : `
+            <div class="container text-center py-5">
+              <i class="bi bi-search fs-1 text-muted"></i>
+              <p class="lead text-muted mt-3 mb-3">No products match your filters.</p>
+              <button type="button" class="btn btn-outline-primary" id="clearFiltersBtn">Clear filters</button>
+            </div>
+          `;
+
+        results.querySelector("#clearFiltersBtn")?.addEventListener("click", () => {
+          FILTER_KEYS.forEach(key => { filters[key] = ""; });
+          syncFilterInputs(container, filters);
+          loadProducts();
+        });
+        addProductCardInteractions();
+        addVariantSelectors(results, products);
+        addQuoteButtons(results, products);
+        availabilityRequest.then(() => {
+          if (requestId === requestCounter) showStockIndicators(results, products);
+        });
+      })
+      .catch(error => {
+        if (requestId !== requestCounter) return;
+        console.error("Failed to load products:", error);
+        results.innerHTML = `
+          <div class="alert alert-danger text-center py-4">
+            <i class="bi bi-exclamation-triangle-fill me-2"></i>
+            Failed to load products. Please try again later.
+          </div>
+        `;
       });
+  }
 
-      let output = `
-        <div class="products-header text-center py-5 bg-white">
-          <div class="container">
-            <h1 class="display-4 fw-bold text-primary mb-3">Our Products</h1>
-            <p class="lead text-muted max-w-800 mx-auto">Premium cleaning solutions for industrial, commercial and residential needs</p>
-            <div class="divider mx-auto my-4 bg-primary"></div>
+  setupFilterBar(container, filters, loadProducts);
+  loadProducts();
+}
+
+function renderFilterBar(filters) {
+  return `
+    <div class="filter-bar bg-white border-bottom py-3">
+      <div class="container">
+        <div class="row g-2 align-items-end">
+          <div class="col-lg-4 col-md-12">
+            <label class="form-label small text-muted mb-1" for="productSearch">Search</label>
+            <div class="search-box position-relative">
+              <div class="input-group">
+                <span class="input-group-text bg-white"><i class="bi bi-search"></i></span>
+                <input type="search" class="form-control" id="productSearch" placeholder="Search products..." value="${escapeHtml(filters.search)}"
+                  role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="searchSuggestions" autocomplete="off">
+              </div>
+              <div class="list-group search-suggestions shadow" id="searchSuggestions" role="listbox" hidden></div>
+            </div>
+          </div>
+          <div class="col-lg-2 col-md-3 col-6">
+            <label class="form-label small text-muted mb-1" for="minPrice">Min price (R)</label>
+            <input type="number" min="0" step="1" class="form-control" id="minPrice" value="${escapeHtml(filters.minPrice)}">
+          </div>
+          <div class="col-lg-2 col-md-3 col-6">
+            <label class="form-label small text-muted mb-1" for="maxPrice">Max price (R)</label>
+            <input type="number" min="0" step="1" class="form-control" id="maxPrice" value="${escapeHtml(filters.maxPrice)}">
+          </div>
+          <div class="col-lg-4 col-md-6">
+            <label class="form-label small text-muted mb-1" for="productSort">Sort by</label>
+            <select class="form-select" id="productSort">
+              <option value="">Category</option>
+              <option value="name_asc">Name (A-Z)</option>
+              <option value="name_desc">Name (Z-A)</option>
+              <option value="price_asc">Price (low to high)</option>
+              <option value="price_desc">Price (high to low)</option>
+            </select>
           </div>
         </div>
-      `;
-
-      let categoryCounter = 0;
-      for (const category in categories) {
-        const bgClass = categoryCounter % 2 === 0 ? 'bg-light' : 'bg-white';
-        output += `
-          <section class="category-section ${bgClass} py-5">
-            <div class="container">
-              <div class="category-header d-flex align-items-center mb-5 px-3">
-                <div class="category-icon-bg bg-primary-light rounded-circle p-3 me-4">
-                  <i class="bi bi-tags-fill fs-2 text-primary"></i>
-                </div>
-                <div>
-                  <h2 class="category-title mb-1">${category}</h2>
-                  <div class="category-divider bg-primary"></div>
-                </div>
-              </div>
-              <div class="row g-4">
-                ${categories[category].map(product => `
-                  <div class="col-xl-3 col-lg-4 col-md-6">
-                    <div class="product-card h-100 border-0 shadow-sm rounded-3 overflow-hidden transition-all">
-                      <div class="product-image-container position-relative">
-                        <img src="${product.image}" alt="${product.name}" class="product-image w-100" loading="lazy">
-                        <div class="packaging-badge position-absolute top-0 end-0 bg-primary text-white px-3 py-1 m-2 rounded-pill small fw-medium">
-                          ${product.packaging}
-                        </div>
-                      </div>
-                      <div class="card-body p-4">
-                        <h3 class="h5 mb-3 fw-semibold">${product.name}</h3>
-                        <p class="text-muted mb-0">${product.description}</p>
-                      </div>
-                    </div>
-                  </div>
-                `).join('')}
-              </div>
+        <div class="category-chips d-flex flex-wrap gap-2 mt-3" role="group" aria-label="Filter by category"></div>
+      </div>
+    </div>
+  `;
+}
+
+function syncFilterInputs(container, filters) {
+  container.querySelector("#productSearch").value = filters.search;
+  container.querySelector("#minPrice").value = filters.minPrice;
+  container.querySelector("#maxPrice").value = filters.maxPrice;
+  container.querySelector("#productSort").value = filters.sort;
+  syncSortLabel(container, filters);
+}
+
+// Without a sort order, search results come best match first
+function syncSortLabel(container, filters) {
+  container.querySelector('#productSort option[value=""]').textContent = filters.search ? "Best match" : "Category";
+}
+
+function setupFilterBar(container, filters, onChange) {
+  syncFilterInputs(container, filters);
+
+  let searchTimer;
+  container.querySelector("#productSearch").addEventListener("input", event => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      filters.search = event.target.value.trim();
+      syncSortLabel(container, filters);
+      onChange();
+    }, SEARCH_DEBOUNCE_MS);
+  });
+  setupSearchSuggestions(container);
+
+  ["minPrice", "maxPrice"].forEach(key => {
+    container.querySelector(`#${key}`).addEventListener("change", event => {
+      filters[key] = event.target.value;
+      onChange();
+    });
+  });
+
+  container.querySelector("#productSort").addEventListener("change", event => {
+    filters.sort = event.target.value;
+    onChange();
+  });
+}
+
+// Autocomplete under the search box from /api/products/suggest. Picking a
+// suggestion opens that product; arrow keys move through the list.
+function setupSearchSuggestions(container) {
+  const box = container.querySelector(".search-box");
+  const input = box.querySelector("#productSearch");
+  const list = box.querySelector("#searchSuggestions");
+  let timer;
+  let requestCounter = 0;
+
+  function hide() {
+    list.hidden = true;
+    input.setAttribute("aria-expanded", "false");
+  }
+
+  function show(suggestions) {
+    list.innerHTML = suggestions.map(s => `
+      <a href="#/products/${encodeURIComponent(s.slug)}" class="list-group-item list-group-item-action" role="option">
+        <span class="fw-semibold">${escapeHtml(s.name)}</span>
+        <small class="text-muted ms-2">${escapeHtml(s.category)}</small>
+      </a>
+    `).join("");
+    list.hidden = suggestions.length === 0;
+    input.setAttribute("aria-expanded", String(!list.hidden));
+  }
+
+  input.addEventListener("input", () => {
+    clearTimeout(timer);
+    const text = input.value.trim();
+    if (text.length < 2) {
+      requestCounter++;
+      hide();
+      return;
+    }
+    timer = setTimeout(() => {
+      const requestId = ++requestCounter;
+      const params = new URLSearchParams({ q: text, limit: SUGGEST_LIMIT });
+      apiRequest(`/products/suggest?${params}`)
+        .then(({ data }) => { if (requestId === requestCounter) show(data); })
+        .catch(() => { if (requestId === requestCounter) hide(); });
+    }, SUGGEST_DEBOUNCE_MS);
+  });
+
+  box.addEventListener("keydown", event => {
+    const options = [...list.querySelectorAll("a")];
+    const index = options.indexOf(document.activeElement);
+
+    if (event.key === "Escape") {
+      hide();
+      input.focus();
+    } else if (event.key === "Enter" && event.target === input) {
+      hide();
+    } else if ((event.key === "ArrowDown" || event.key === "ArrowUp") && !list.hidden && options.length > 0) {
+      event.preventDefault();
+      const step = event.key === "ArrowDown" ? 1 : -1;
+      const next = index + step;
+      if (next < 0) input.focus();
+      else options[Math.min(next, options.length - 1)].focus();
+    }
+  });
+
+  // Close when focus leaves the search box, but not when it moves into the list
+  box.addEventListener("focusout", event => {
+    if (!box.contains(event.relatedTarget)) hide();
+  });
+  list.addEventListener("click", hide);
+}
+
+function renderCategoryChips(container, categories = [], filters, onChange) {
+  const chips = container.querySelector(".category-chips");
+  const options = ["", ...categories];
+
+  chips.innerHTML = options.map(category => {
+    const active = filters.category.toLowerCase() === category.toLowerCase();
+    return `
+      <button type="button" class="btn btn-sm rounded-pill ${active ? "btn-primary" : "btn-outline-primary"}" data-category="${escapeHtml(category)}" aria-pressed="${active}">
+        ${escapeHtml(category || "All")}
+      </button>
+    `;
+  }).join("");
+
+  chips.querySelectorAll("button").forEach(button => {
+    button.addEventListener("click", () => {
+      filters.category = button.dataset.category;
+      onChange();
+    });
+  });
+}
+
+// Group by category unless the visitor chose a sort order or searched
+function renderResults(products, filters) {
+  if (filters.sort || filters.search) {
+    return `
+      <section class="category-section bg-light py-5">
+        <div class="container">
+          <p class="text-muted mb-4 px-3">${products.length} product${products.length === 1 ? "" : "s"}</p>
+          <div class="row g-4">
+            ${products.map(product => renderProductCard(product)).join('')}
+          </div>
+        </div>
+      </section>
+    `;
+  }
+
+  const categories = {};
+  products.forEach(product => {
+    const category = product.category || "Uncategorized";
+    if (!categories[category]) {
+      categories[category] = [];
+    }
+    categories[category].push(product);
+  });
+
+  let output = "";
+  let categoryCounter = 0;
+  for (const category in categories) {
+    const bgClass = categoryCounter % 2 === 0 ? 'bg-light' : 'bg-white';
+    output += `
+      <section class="category-section ${bgClass} py-5">
+        <div class="container">
+          <div class="category-header d-flex align-items-center mb-5 px-3">
+            <div class="category-icon-bg bg-primary-light rounded-circle p-3 me-4">
+              <i class="bi bi-tags-fill fs-2 text-primary"></i>
             </div>
-          </section>
-        `;
-        categoryCounter++;
-      }
+            <div>
+              <h2 class="category-title mb-1">${escapeHtml(category)}</h2>
+              <div class="category-divider bg-primary"></div>
+            </div>
+          </div>
+          <div class="row g-4">
+            ${categories[category].map(product => renderProductCard(product)).join('')}
+          </div>
+        </div>
+      </section>
+    `;
+    categoryCounter++;
+  }
+  return output;
+}
+
+// Variants of a product, falling back to its single packaging
+export function getVariants(product) {
+  if (Array.isArray(product.variants) && product.variants.length > 0) {
+    return product.variants;
+  }
+  return [{ sku: product.sku, size: product.packaging, price: product.price }];
+}
+
+// <picture> for an uploaded image rendition ("thumb", "medium" or "large"),
+// preferring WebP; products without uploads get a plain <img>
+export function productImage(product, size, attrs = "") {
+  const rendition = product.images?.[size];
+  if (!rendition) {
+    return `<img src="${escapeHtml(product.image)}" alt="${escapeHtml(product.name)}" ${attrs}>`;
+  }
+  return `
+    <picture>
+      <source srcset="${escapeHtml(rendition.webp)}" type="image/webp">
+      <img src="${escapeHtml(rendition.jpeg)}" alt="${escapeHtml(product.name)}" width="${escapeHtml(rendition.width)}" height="${escapeHtml(rendition.height)}" ${attrs}>
+    </picture>
+  `;
+}
+
+export function formatPrice(price) {
+  return price > 0 ? `R ${Number(price).toFixed(2)}` : "Price on request";
+}
 
-      container.innerHTML = output;
-      addProductCardInteractions();
-      addProductsStyles();
-    })
-    .catch(error => {
-      console.error("Failed to load products:", error);
-      container.innerHTML = `
-        <div class="alert alert-danger text-center py-4">
-          <i class="bi bi-exclamation-triangle-fill me-2"></i>
-          Failed to load products. Please try again later.
+function renderProductCard(product) {
+  const variants = getVariants(product);
+  const selected = variants[0];
+
+  return `
+    <div class="col-xl-3 col-lg-4 col-md-6">
+      <div class="product-card h-100 border-0 shadow-sm rounded-3 overflow-hidden transition-all" data-product-id="${escapeHtml(product.id)}">
+        <div class="product-image-container position-relative">
+          ${productImage(product, "medium", 'class="product-image w-100" loading="lazy"')}
+          <div class="packaging-badge position-absolute top-0 end-0 bg-primary text-white px-3 py-1 m-2 rounded-pill small fw-medium">
+            ${escapeHtml(selected.size)}
+          </div>
         </div>
-      `;
+        <div class="card-body p-4">
+          <h3 class="h5 mb-3 fw-semibold">
+            <a href="#/products/${encodeURIComponent(product.slug)}" class="product-link text-reset text-decoration-none">${escapeHtml(product.name)}</a>
+          </h3>
+          <p class="text-muted mb-3">${escapeHtml(product.description)}</p>
+          ${variants.length > 1 ? `
+            <label class="form-label small text-muted mb-1" for="size-${escapeHtml(product.id)}">Size</label>
+            <select class="form-select form-select-sm variant-select mb-2" id="size-${escapeHtml(product.id)}">
+              ${variants.map(v => `<option value="${escapeHtml(v.sku)}">${escapeHtml(v.size)}</option>`).join('')}
+            </select>
+          ` : ''}
+          <p class="stock-indicator small mb-2" aria-live="polite"></p>
+          <div class="d-flex justify-content-between align-items-center">
+            <p class="variant-price fw-semibold text-primary mb-0">${formatPrice(selected.price)}</p>
+            <a href="#/products/${encodeURIComponent(product.slug)}" class="btn btn-link btn-sm px-0">View details <i class="bi bi-arrow-right"></i></a>
+          </div>
+          <div class="input-group input-group-sm mt-3">
+            <input type="number" class="form-control quote-qty" min="1" max="${MAX_QUANTITY}" step="1" value="1" aria-label="Quantity of ${escapeHtml(product.name)}">
+            <button type="button" class="btn btn-outline-primary add-to-quote">
+              <i class="bi bi-cart-plus me-1"></i>Add to quote
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+// Keep the size badge and price in step with the selected variant
+function addVariantSelectors(container, products) {
+  container.querySelectorAll('.variant-select').forEach(select => {
+    const card = select.closest('.product-card');
+    const product = products.find(p => String(p.id) === card.dataset.productId);
+    if (!product) return;
+
+    select.addEventListener('change', () => {
+      const variant = getVariants(product).find(v => v.sku === select.value);
+      if (!variant) return;
+      card.querySelector('.packaging-badge').textContent = variant.size;
+      card.querySelector('.variant-price').textContent = formatPrice(variant.price);
+      updateStockIndicator(card, product, variant.sku);
+    });
+  });
+}
+
+function showStockIndicators(container, products) {
+  container.querySelectorAll('.product-card').forEach(card => {
+    const product = products.find(p => String(p.id) === card.dataset.productId);
+    if (!product) return;
+    const select = card.querySelector('.variant-select');
+    updateStockIndicator(card, product, select ? select.value : getVariants(product)[0].sku);
+  });
+}
+
+// "In stock at Polokwane, Thohoyandou" for the selected pack size
+function updateStockIndicator(card, product, sku) {
+  const indicator = card.querySelector('.stock-indicator');
+  if (!indicator || !storeAvailability) return;
+
+  const storeIds = storeAvailability.data[product.id]?.[sku] || [];
+  const names = storeAvailability.stores
+    .filter(store => storeIds.includes(store.id))
+    .map(store => store.name);
+
+  indicator.className = `stock-indicator small mb-2 ${names.length > 0 ? 'text-success' : 'text-muted'}`;
+  indicator.innerHTML = names.length > 0
+    ? `<i class="bi bi-check-circle-fill me-1"></i>In stock at ${escapeHtml(names.join(', '))}`
+    : `<i class="bi bi-clock me-1"></i>Available to order`;
+}
+
+// Add the selected pack size to the quote cart
+function addQuoteButtons(container, products) {
+  container.querySelectorAll('.add-to-quote').forEach(button => {
+    const card = button.closest('.product-card');
+    const product = products.find(p => String(p.id) === card.dataset.productId);
+    if (!product) return;
+
+    button.addEventListener('click', () => {
+      const variants = getVariants(product);
+      const select = card.querySelector('.variant-select');
+      const variant = variants.find(v => v.sku === select?.value) || variants[0];
+      const quantity = card.querySelector('.quote-qty').value;
+
+      addToCart(product, variant, quantity);
+
+      button.innerHTML = '<i class="bi bi-check-lg me-1"></i>Added';
+      clearTimeout(button.resetTimer);
+      button.resetTimer = setTimeout(() => {
+        button.innerHTML = '<i class="bi bi-cart-plus me-1"></i>Add to quote';
+      }, 1500);
     });
+  });
 }
 
 function addProductCardInteractions() {
@@ -91,7 +472,10 @@ function addProductCardInteractions() {
 }
 
 function addProductsStyles() {
+  if (document.getElementById('products-styles')) return;
+
   const style = document.createElement('style');
+  style.id = 'products-styles';
   style.textContent = `
     .products-page {
       --category-divider-width: 60px;
@@ -102,6 +486,21 @@ function addProductsStyles() {
       border-bottom: 1px solid rgba(0,0,0,0.05);
     }
     
+    .filter-bar {
+      position: sticky;
+      top: 0;
+      z-index: 10;
+    }
+    
+    .search-suggestions {
+      position: absolute;
+      top: 100%;
+      left: 0;
+      right: 0;
+      z-index: 20;
+      margin-top: 2px;
+    }
+    
     .max-w-800 {
       max-width: 800px;
     }
@@ -154,6 +553,10 @@ function addProductsStyles() {
       border: 1px solid rgba(0,0,0,0.05);
     }
     
+    .product-link:hover {
+      color: var(--bs-primary) !important;
+    }
+    
     .product-image {
       height: 200px;
       object-fit: cover;
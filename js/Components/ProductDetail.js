@@ -0,0 +1,327 @@
+// ProductDetail.js - Single product page (#/products/:slug)
+import { API_BASE, apiRequest } from "../api.js";
+import { formatPrice, getVariants, productImage } from "./Product.js";
+import { escapeHtml } from "../html.js";
+import { renderNotFound } from "./NotFound.js";
+
+const RELATED_LIMIT = 4;
+
+// GHS hazard pictograms by code, as stored in product.ghs.pictograms
+export const GHS_PICTOGRAMS = {
+  GHS01: 'Explosive',
+  GHS02: 'Flammable',
+  GHS03: 'Oxidising',
+  GHS04: 'Gas under pressure',
+  GHS05: 'Corrosive',
+  GHS06: 'Acute toxicity',
+  GHS07: 'Harmful or irritant',
+  GHS08: 'Health hazard',
+  GHS09: 'Hazardous to the environment'
+};
+
+const DOCUMENT_TYPES = {
+  sds: 'Safety Data Sheet',
+  tds: 'Technical Data Sheet'
+};
+
+export function renderProductDetail(container, slug) {
+  // The visitor may navigate elsewhere while this loads; only render if the
+  // placeholder for this request is still on screen
+  const token = String(Date.now() + Math.random());
+  const isCurrent = () => container.querySelector(`.product-detail-loading[data-token="${token}"]`);
+
+  container.className = "product-detail-page";
+  container.innerHTML = `
+    <div class="product-detail-loading text-center py-5" data-token="${token}">
+      <div class="spinner-border text-primary" role="status">
+        <span class="visually-hidden">Loading...</span>
+      </div>
+    </div>
+  `;
+
+  apiRequest(`/products/slug/${encodeURIComponent(slug)}`)
+    .then(async ({ data: product }) => {
+      // One extra in case the product itself is on the page
+      const params = new URLSearchParams({
+        category: product.category,
+        limit: RELATED_LIMIT + 1,
+        fields: "slug,name,image,images,packaging"
+      });
+      const { data: sameCategory } = await apiRequest(`/products?${params}`)
+        .catch(() => ({ data: [] }));
+      const related = sameCategory.filter(p => p.id !== product.id).slice(0, RELATED_LIMIT);
+
+      if (!isCurrent()) return;
+
+      container.innerHTML = renderDetail(product, related);
+      document.title = `${product.name} | Maschem`;
+      setupShareButton(container, product);
+      addProductDetailStyles();
+    })
+    .catch(error => {
+      if (!isCurrent()) return;
+      if (error.status === 404) {
+        renderNotFound(container, `/products/${slug}`);
+        return;
+      }
+      console.error("Failed to load product:", error);
+      container.innerHTML = `
+        <div class="alert alert-danger text-center py-4">
+          <i class="bi bi-exclamation-triangle-fill me-2"></i>
+          Failed to load this product. Please try again later.
+        </div>
+      `;
+    });
+}
+
+function renderDetail(product, related) {
+  return `
+    <section class="py-5 bg-white">
+      <div class="container">
+        <nav aria-label="breadcrumb" class="mb-4">
+          <ol class="breadcrumb">
+            <li class="breadcrumb-item"><a href="#/products">Products</a></li>
+            <li class="breadcrumb-item text-muted">${escapeHtml(product.category)}</li>
+            <li class="breadcrumb-item active" aria-current="page">${escapeHtml(product.name)}</li>
+          </ol>
+        </nav>
+
+        <div class="row g-5">
+          <div class="col-lg-5">
+            <div class="detail-image-container rounded-4 shadow-sm p-4 bg-light">
+              ${productImage(product, "large", 'class="img-fluid w-100"')}
+            </div>
+          </div>
+
+          <div class="col-lg-7">
+            <span class="badge bg-primary-light text-primary mb-2">${escapeHtml(product.category)}</span>
+            <h1 class="display-6 fw-bold mb-2">${escapeHtml(product.name)}</h1>
+            <p class="text-muted small mb-4">SKU: ${escapeHtml(product.sku)}</p>
+            <p class="lead mb-4">${escapeHtml(product.description)}</p>
+
+            ${renderSizes(product)}
+            ${renderUsage(product)}
+            ${renderDilution(product)}
+            ${renderSafety(product)}
+
+            <div class="d-flex flex-wrap gap-2 mt-4">
+              <button type="button" class="btn btn-outline-primary" id="shareProductBtn">
+                <i class="bi bi-share me-2"></i>Share
+              </button>
+              <a href="#/contact?subject=products" class="btn btn-primary">
+                <i class="bi bi-envelope me-2"></i>Enquire
+              </a>
+            </div>
+            <p class="share-feedback small text-success mt-2 mb-0" aria-live="polite"></p>
+          </div>
+        </div>
+      </div>
+    </section>
+
+    ${related.length > 0 ? renderRelated(related) : ''}
+  `;
+}
+
+function renderSizes(product) {
+  return `
+    <h2 class="h5 fw-semibold mb-3">Available sizes</h2>
+    <div class="table-responsive mb-4">
+      <table class="table table-sm align-middle">
+        <thead class="table-light">
+          <tr><th>Size</th><th>SKU</th><th class="text-end">Price</th></tr>
+        </thead>
+        <tbody>
+          ${getVariants(product).map(v => `
+            <tr>
+              <td>${escapeHtml(v.size)}</td>
+              <td class="text-muted small">${escapeHtml(v.sku)}</td>
+              <td class="text-end">${formatPrice(v.price)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+function renderUsage(product) {
+  if (!product.usage) return '';
+  return `
+    <h2 class="h5 fw-semibold mb-3">How to use</h2>
+    <p class="mb-4">${escapeHtml(product.usage)}</p>
+  `;
+}
+
+function renderDilution(product) {
+  if (!Array.isArray(product.dilution) || product.dilution.length === 0) return '';
+  return `
+    <h2 class="h5 fw-semibold mb-3">Dilution ratios</h2>
+    <ul class="list-group list-group-flush mb-4">
+      ${product.dilution.map(d => `
+        <li class="list-group-item d-flex justify-content-between px-0">
+          <span>${escapeHtml(d.application)}</span>
+          <span class="fw-semibold">${escapeHtml(d.ratio)}</span>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
+
+function renderSafety(product) {
+  const lines = Array.isArray(product.safety) ? product.safety : [];
+  const ghs = product.ghs || { pictograms: [] };
+  const sheets = Object.keys(DOCUMENT_TYPES)
+    .map(type => ({ type, versions: (product.documents && product.documents[type]) || [] }))
+    .filter(sheet => sheet.versions.length > 0);
+
+  return `
+    <section class="safety-info border-start border-4 border-warning bg-light rounded-3 p-3 mb-2" aria-labelledby="safetyHeading">
+      <h2 class="h5 fw-semibold mb-3" id="safetyHeading">
+        <i class="bi bi-exclamation-triangle-fill text-warning me-2"></i>Safety
+      </h2>
+      ${ghs.signalWord ? `
+        <p class="mb-2">
+          <span class="badge ${ghs.signalWord === 'Danger' ? 'bg-danger' : 'bg-warning text-dark'} fs-6 signal-word">${escapeHtml(ghs.signalWord)}</span>
+        </p>
+      ` : ''}
+      ${ghs.pictograms.length > 0 ? `
+        <ul class="list-unstyled d-flex flex-wrap gap-3 mb-3 ghs-pictograms">
+          ${ghs.pictograms.map(code => `
+            <li class="text-center" title="${escapeHtml(GHS_PICTOGRAMS[code] || code)}">
+              <span class="ghs-diamond"><span>${escapeHtml(code)}</span></span>
+              <span class="d-block small mt-2">${escapeHtml(GHS_PICTOGRAMS[code] || code)}</span>
+            </li>
+          `).join('')}
+        </ul>
+      ` : ''}
+      ${lines.length > 0
+        ? `<ul class="mb-3 small">${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`
+        : `<p class="mb-3 small text-muted">Keep out of reach of children.</p>`}
+      ${sheets.length > 0 ? `
+        <ul class="list-group mb-0 data-sheets">
+          ${sheets.map(({ type, versions }) => {
+            const latest = versions[versions.length - 1];
+            return `
+              <li class="list-group-item d-flex justify-content-between align-items-center">
+                <span>
+                  <i class="bi bi-file-earmark-pdf text-danger me-2"></i>${DOCUMENT_TYPES[type]}
+                  <span class="d-block small text-muted">Revision ${formatDate(latest.revisionDate)} &middot; version ${escapeHtml(latest.version)}</span>
+                </span>
+                <a class="btn btn-sm btn-outline-primary" href="${API_BASE}/products/${encodeURIComponent(product.id)}/documents/${type}" download>
+                  <i class="bi bi-download me-1"></i>Download PDF
+                </a>
+              </li>
+            `;
+          }).join('')}
+        </ul>
+      ` : `
+        <p class="mb-0 small text-muted">
+          Need the Safety Data Sheet? <a href="#/contact?subject=products">Contact us</a> and we will send it.
+        </p>
+      `}
+    </section>
+  `;
+}
+
+function formatDate(date) {
+  return new Date(`${date}T00:00:00`).toLocaleDateString('en-ZA', { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+function renderRelated(related) {
+  return `
+    <section class="py-5 bg-light">
+      <div class="container">
+        <h2 class="h4 fw-semibold mb-4">Related products</h2>
+        <div class="row g-4">
+          ${related.map(p => `
+            <div class="col-lg-3 col-md-6">
+              <a href="#/products/${encodeURIComponent(p.slug)}" class="related-card d-block h-100 bg-white rounded-3 shadow-sm overflow-hidden text-decoration-none">
+                ${productImage(p, "medium", 'class="w-100 related-image" loading="lazy"')}
+                <div class="p-3">
+                  <h3 class="h6 fw-semibold text-dark mb-1">${escapeHtml(p.name)}</h3>
+                  <p class="small text-muted mb-0">${escapeHtml(p.packaging)}</p>
+                </div>
+              </a>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    </section>
+  `;
+}
+
+// Share via the native share sheet where available, otherwise copy the link
+function setupShareButton(container, product) {
+  const button = container.querySelector('#shareProductBtn');
+  const feedback = container.querySelector('.share-feedback');
+  if (!button) return;
+
+  button.addEventListener('click', async () => {
+    const url = window.location.href;
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: product.name, text: product.description, url });
+        return;
+      }
+      await navigator.clipboard.writeText(url);
+      feedback.textContent = 'Link copied to clipboard.';
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      feedback.textContent = url;
+    }
+  });
+}
+
+function addProductDetailStyles() {
+  if (document.getElementById('product-detail-styles')) return;
+
+  const style = document.createElement('style');
+  style.id = 'product-detail-styles';
+  style.textContent = `
+    .detail-image-container img {
+      max-height: 420px;
+      object-fit: contain;
+    }
+
+    .bg-primary-light {
+      background-color: rgba(13, 110, 253, 0.1);
+    }
+
+    .related-card {
+      transition: all 0.3s ease;
+    }
+
+    .related-card:hover {
+      transform: translateY(-5px);
+      box-shadow: 0 12px 24px rgba(0,0,0,0.1) !important;
+    }
+
+    .related-image {
+      height: 160px;
+      object-fit: cover;
+    }
+
+    .ghs-pictograms li {
+      width: 96px;
+    }
+
+    .ghs-diamond {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      width: 56px;
+      height: 56px;
+      margin: 8px auto 0;
+      background: #fff;
+      border: 4px solid #dc3545;
+      transform: rotate(45deg);
+    }
+
+    .ghs-diamond span {
+      transform: rotate(-45deg);
+      font-size: 0.7rem;
+      font-weight: 700;
+    }
+  `;
+  document.head.appendChild(style);
+}
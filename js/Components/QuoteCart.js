@@ -0,0 +1,258 @@
+// QuoteCart.js - Quote cart page posting quote requests to /api/quotes
+import { apiRequest } from "../api.js";
+import { escapeHtml } from "../html.js";
+import {
+    getCart,
+    updateQuantity,
+    removeFromCart,
+    clearCart,
+    cartCount,
+    onCartChange,
+    MAX_QUANTITY
+} from "../quoteCart.js";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const PHONE_PATTERN = /^[+]?[\d\s\-()]{7,20}$/;
+
+// Client-side copy of the express-validator rules in server/routes/quotes.js
+const RULES = {
+    name: value => {
+        if (!value) return "Name is required";
+        if (value.length < 2 || value.length > 100) return "Name must be 2-100 characters";
+        return null;
+    },
+    company: value => {
+        if (value.length > 100) return "Company must be at most 100 characters";
+        return null;
+    },
+    email: value => {
+        if (!value) return "Email is required";
+        if (!EMAIL_PATTERN.test(value)) return "Please provide a valid email address";
+        return null;
+    },
+    phone: value => {
+        if (value && !PHONE_PATTERN.test(value)) return "Please provide a valid phone number";
+        return null;
+    },
+    notes: value => {
+        if (value.length > 2000) return "Notes must be at most 2000 characters";
+        return null;
+    }
+};
+
+let stopListening = null;
+
+export function renderQuoteCart(container) {
+    document.title = "Request a Quote | Maschem";
+
+    container.innerHTML = `
+    <div class="container py-4 quote-page">
+      <h1 class="h2 fw-bold mb-1">Request a Quote</h1>
+      <p class="text-muted mb-4">Bulk and trade orders are priced on request. Add products from the catalog, then send us your list.</p>
+      <div class="quote-alert" role="alert" aria-live="polite"></div>
+      <div class="row g-4">
+        <div class="col-lg-7">
+          <div class="quote-lines bg-white rounded-4 shadow-sm p-4"></div>
+        </div>
+        <div class="col-lg-5">
+          ${renderQuoteForm()}
+        </div>
+      </div>
+    </div>
+    `;
+
+    const lines = container.querySelector(".quote-lines");
+    const form = container.querySelector("#quoteForm");
+
+    renderLines(lines, getCart(), form);
+
+    // Re-render on every cart change, including changes from other tabs
+    if (stopListening) stopListening();
+    stopListening = onCartChange(cart => {
+        if (!container.isConnected) {
+            stopListening();
+            stopListening = null;
+            return;
+        }
+        renderLines(lines, cart, form);
+    });
+
+    setupQuoteForm(container, form);
+}
+
+function renderLines(target, lines, form) {
+    form.querySelector("button[type=submit]").disabled = lines.length === 0;
+
+    if (lines.length === 0) {
+        target.innerHTML = `
+          <div class="text-center py-5">
+            <i class="bi bi-cart fs-1 text-muted"></i>
+            <p class="lead text-muted mt-3 mb-3">Your quote cart is empty.</p>
+            <a href="#/products" class="btn btn-outline-primary">Browse products</a>
+          </div>
+        `;
+        return;
+    }
+
+    target.innerHTML = `
+      <div class="table-responsive">
+        <table class="table align-middle mb-3">
+          <thead>
+            <tr>
+              <th scope="col">Product</th>
+              <th scope="col" style="width: 7rem;">Quantity</th>
+              <th scope="col"><span class="visually-hidden">Remove</span></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${lines.map(line => `
+              <tr data-sku="${escapeHtml(line.sku)}">
+                <td>
+                  <div class="fw-semibold">${escapeHtml(line.name)}</div>
+                  <div class="small text-muted">${escapeHtml(line.size)} &middot; ${escapeHtml(line.sku)}</div>
+                </td>
+                <td>
+                  <input type="number" class="form-control form-control-sm quote-qty" min="1" max="${MAX_QUANTITY}" step="1" value="${line.quantity}" aria-label="Quantity of ${escapeHtml(line.name)} ${escapeHtml(line.size)}">
+                </td>
+                <td class="text-end">
+                  <button type="button" class="btn btn-sm btn-outline-danger quote-remove" aria-label="Remove ${escapeHtml(line.name)} ${escapeHtml(line.size)}">
+                    <i class="bi bi-trash"></i>
+                  </button>
+                </td>
+              </tr>
+            `).join("")}
+          </tbody>
+        </table>
+      </div>
+      <div class="d-flex justify-content-between align-items-center">
+        <span class="text-muted">${cartCount(lines)} unit${cartCount(lines) === 1 ? "" : "s"} in ${lines.length} line${lines.length === 1 ? "" : "s"}</span>
+        <button type="button" class="btn btn-sm btn-link text-danger quote-clear">Clear cart</button>
+      </div>
+    `;
+
+    target.querySelectorAll("tr[data-sku]").forEach(row => {
+        const sku = row.dataset.sku;
+        row.querySelector(".quote-qty").addEventListener("change", event => updateQuantity(sku, event.target.value));
+        row.querySelector(".quote-remove").addEventListener("click", () => removeFromCart(sku));
+    });
+    target.querySelector(".quote-clear").addEventListener("click", clearCart);
+}
+
+function renderQuoteForm() {
+    return `
+      <div class="bg-white rounded-4 shadow-sm p-4">
+        <h2 class="h5 mb-3">Your details</h2>
+        <form id="quoteForm" novalidate>
+          <div class="mb-3">
+            <label for="quoteName" class="form-label">Name *</label>
+            <input type="text" class="form-control" id="quoteName" name="name" maxlength="100" autocomplete="name" required>
+            <div class="invalid-feedback"></div>
+          </div>
+          <div class="mb-3">
+            <label for="quoteCompany" class="form-label">Company</label>
+            <input type="text" class="form-control" id="quoteCompany" name="company" maxlength="100" autocomplete="organization">
+            <div class="invalid-feedback"></div>
+          </div>
+          <div class="mb-3">
+            <label for="quoteEmail" class="form-label">Email *</label>
+            <input type="email" class="form-control" id="quoteEmail" name="email" autocomplete="email" required>
+            <div class="invalid-feedback"></div>
+          </div>
+          <div class="mb-3">
+            <label for="quotePhone" class="form-label">Phone</label>
+            <input type="tel" class="form-control" id="quotePhone" name="phone" maxlength="20" autocomplete="tel">
+            <div class="invalid-feedback"></div>
+          </div>
+          <div class="mb-3">
+            <label for="quoteNotes" class="form-label">Notes</label>
+            <textarea class="form-control" id="quoteNotes" name="notes" rows="3" maxlength="2000" placeholder="Delivery location, required dates, ..."></textarea>
+            <div class="invalid-feedback"></div>
+          </div>
+          <div class="d-grid">
+            <button type="submit" class="btn btn-primary">
+              <span class="spinner-border spinner-border-sm me-2 d-none" role="status" aria-hidden="true"></span>
+              <i class="bi bi-send me-2"></i>Request Quote
+            </button>
+          </div>
+        </form>
+      </div>
+    `;
+}
+
+function setupQuoteForm(container, form) {
+    const alertBox = container.querySelector(".quote-alert");
+    const submitButton = form.querySelector("button[type=submit]");
+    const spinner = submitButton.querySelector(".spinner-border");
+
+    form.addEventListener("submit", async (event) => {
+        event.preventDefault();
+        alertBox.innerHTML = "";
+
+        const values = Object.fromEntries(
+            Object.keys(RULES).map(field => [field, form.elements[field].value.trim()])
+        );
+        const errors = Object.entries(RULES)
+            .map(([field, rule]) => ({ field, message: rule(values[field]) }))
+            .filter(error => error.message);
+
+        showErrors(form, errors);
+        if (errors.length > 0) {
+            form.querySelector(".is-invalid")?.focus();
+            return;
+        }
+
+        // Leave optional fields out rather than sending empty strings
+        const payload = Object.fromEntries(Object.entries(values).filter(([, value]) => value));
+        payload.items = getCart().map(({ productId, sku, quantity }) => ({ productId, sku, quantity }));
+
+        submitButton.disabled = true;
+        spinner.classList.remove("d-none");
+
+        try {
+            const { data } = await apiRequest("/quotes", { method: "POST", body: payload });
+            clearCart();
+            form.reset();
+            showAlert(alertBox, "success",
+                `Thank you! Your quote reference is ${data.reference}. We have emailed you a copy of your request.`);
+        } catch (error) {
+            // Field errors belong to the form; line item errors to the cart
+            const fieldErrors = error.errors.filter(e => form.elements[e.field]);
+            const itemErrors = error.errors.filter(e => !form.elements[e.field]);
+            showErrors(form, fieldErrors);
+
+            if (itemErrors.length > 0) {
+                showAlert(alertBox, "danger", `${error.message}: ${itemErrors.map(e => e.message).join("; ")}`);
+            } else if (fieldErrors.length > 0) {
+                showAlert(alertBox, "danger", "Please correct the highlighted fields.");
+            } else {
+                showAlert(alertBox, "danger", error.message);
+            }
+        } finally {
+            submitButton.disabled = getCart().length === 0;
+            spinner.classList.add("d-none");
+        }
+    });
+}
+
+function showErrors(form, errors) {
+    Object.keys(RULES).forEach(field => setFieldError(form, field, null));
+    errors.forEach(({ field, message }) => {
+        if (form.elements[field]) setFieldError(form, field, message);
+    });
+}
+
+function setFieldError(form, field, message) {
+    const input = form.elements[field];
+    const feedback = input.parentElement.querySelector(".invalid-feedback");
+    input.classList.toggle("is-invalid", Boolean(message));
+    input.setAttribute("aria-invalid", message ? "true" : "false");
+    feedback.textContent = message || "";
+}
+
+function showAlert(alertBox, type, message) {
+    const alert = document.createElement("div");
+    alert.className = `alert alert-${type} d-flex align-items-center`;
+    alert.innerHTML = `<i class="bi ${type === "success" ? "bi-check-circle-fill" : "bi-exclamation-triangle-fill"} me-2"></i>`;
+    alert.append(message);
+    alertBox.replaceChildren(alert);
+}
@@ -0,0 +1,78 @@
+// api.js - Thin wrapper around the backend REST API
+//
+// Every endpoint answers with { success, data, error, errors }. apiRequest
+// resolves to that payload on success and throws an ApiError otherwise.
+// Failures are application/problem+json documents with a stable `code`
+// (see server/errors/index.js) and the `requestId` to quote to support.
+
+export const API_BASE = "/api";
+
+// Wording the site uses for some error codes; other codes show the server's
+// message. Translations of the site would key on the same codes.
+const ERROR_MESSAGES = {
+    network_error: "Could not reach the server. Please check your connection.",
+    rate_limited: "You are sending requests too quickly. Please wait a minute and try again.",
+    internal_error: "Something went wrong on our side. Please try again later.",
+    storage_unavailable: "Something went wrong on our side. Please try again later.",
+    token_expired: "Your session has expired. Please sign in again.",
+    invalid_token: "Your session has expired. Please sign in again."
+};
+
+export class ApiError extends Error {
+    constructor(message, status, errors = [], { code = null, requestId = null } = {}) {
+        super(message);
+        this.name = "ApiError";
+        this.status = status;
+        this.errors = errors;
+        this.code = code;
+        this.requestId = requestId;
+    }
+}
+
+export async function apiRequest(path, { method = "GET", body, headers = {} } = {}) {
+    const options = { method, headers: { ...headers } };
+
+    // FormData (file uploads) sets its own multipart Content-Type
+    if (body instanceof FormData) {
+        options.body = body;
+    } else if (body !== undefined) {
+        options.headers["Content-Type"] = "application/json";
+        options.body = JSON.stringify(body);
+    }
+
+    let response;
+    try {
+        response = await fetch(`${API_BASE}${path}`, options);
+    } catch {
+        throw new ApiError(ERROR_MESSAGES.network_error, 0, [], { code: "network_error" });
+    }
+
+    const payload = await response.json().catch(() => ({}));
+
+    if (!response.ok || payload.success === false) {
+        throw new ApiError(
+            ERROR_MESSAGES[payload.code] || payload.detail || payload.error || `Request failed (${response.status})`,
+            response.status,
+            payload.errors || [],
+            { code: payload.code || null, requestId: payload.requestId || response.headers.get("X-Request-Id") }
+        );
+    }
+
+    return payload;
+}
+
+// Every item of a paged list endpoint, following links.next from page to page
+export async function apiRequestAll(path, options) {
+    const items = [];
+    let next = path;
+
+    while (next) {
+        const payload = await apiRequest(next, options);
+        items.push(...payload.data);
+        next = payload.links && payload.links.next
+            ? payload.links.next.slice(API_BASE.length)
+            : null;
+    }
+
+    return items;
+}
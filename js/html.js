@@ -0,0 +1,14 @@
+// html.js - Escaping for text put into HTML templates
+//
+// Components build markup with template strings, so every value that came
+// from the API, the URL or the visitor must go through escapeHtml() before
+// it lands in innerHTML - in element text and in attribute values alike.
+
+export function escapeHtml(value) {
+    return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
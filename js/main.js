@@ -5,61 +5,83 @@ import { renderAboutTab } from "./Components/About.js";
 import { renderContactTab } from "./Components/Contact.js";
 import { renderFooter } from "./Components/Footer.js";
 import { renderWhatsAppButton } from "./Components/WhatsAppButton.js";
+import { renderProductDetail } from "./Components/ProductDetail.js";
+import { renderNotFound } from "./Components/NotFound.js";
+import { renderQuoteCart } from "./Components/QuoteCart.js";
+import { renderAdmin } from "./Components/Admin.js";
+import { startRouter } from "./router.js";
+import { getCart, cartCount, onCartChange } from "./quoteCart.js";
 
-// Render content based on tab
-function renderContent(tab) {
+// Navbar link for each tab
+const navLinks = [
+    { id: "home-link", tab: "home" },
+    { id: "products-link", tab: "products" },
+    { id: "about-link", tab: "about" },
+    { id: "contact-link", tab: "contact" },
+    { id: "quote-link", tab: "quote" }
+];
+
+// Render a page into the content area
+function renderContent(render) {
     const contentArea = document.getElementById("contentArea");
     if (!contentArea) return;
 
     // Clear previous content
     contentArea.innerHTML = '';
+    contentArea.className = "container-fluid py-3";
+    document.title = "Maschem";
 
-    switch (tab) {
-        case "home":
-            renderHomeTab(contentArea);
-            break;
-        case "products":
-            renderProductsTab(contentArea);
-            break;
-        case "about":
-            renderAboutTab(contentArea);
-            break;
-        case "contact":
-            renderContactTab(contentArea);
-            break;
-        default:
-            contentArea.innerHTML = `<p class="alert alert-warning">Unknown tab: ${tab}</p>`;
-    }
+    render(contentArea);
 
     // Ensure footer stays at bottom
     renderFooter();
+    window.scrollTo(0, 0);
 }
 
-// Setup navbar navigation
-function setupNavbarNavigation() {
-    const navLinks = [
-        { id: "home-link", tab: "home" },
-        { id: "products-link", tab: "products" },
-        { id: "about-link", tab: "about" },
-        { id: "contact-link", tab: "contact" }
-    ];
+// Routes, in match order
+const routes = [
+    { path: "/", tab: "home", render: () => renderContent(renderHomeTab) },
+    {
+        path: "/products",
+        tab: "products",
+        render: (params, query) => renderContent(area => renderProductsTab(area, query))
+    },
+    {
+        path: "/products/:slug",
+        tab: "products",
+        render: ({ slug }) => renderContent(area => renderProductDetail(area, slug))
+    },
+    { path: "/about", tab: "about", render: () => renderContent(renderAboutTab) },
+    {
+        path: "/contact",
+        tab: "contact",
+        render: (params, query) => renderContent(area => renderContactTab(area, query))
+    },
+    { path: "/quote", tab: "quote", render: () => renderContent(renderQuoteCart) },
+    { path: "/admin", tab: "admin", render: (params, query) => renderContent(area => renderAdmin(area, "products", query)) },
+    {
+        path: "/admin/:section",
+        tab: "admin",
+        render: ({ section }, query) => renderContent(area => renderAdmin(area, section, query))
+    }
+];
 
+// Highlight the navbar link of the current tab
+function updateActiveLink(route) {
     navLinks.forEach(({ id, tab }) => {
-        const link = document.getElementById(id);
-        if (link) {
-            link.addEventListener("click", (e) => {
-                e.preventDefault();
-                // Update active state
-                navLinks.forEach(({ id }) => {
-                    document.getElementById(id)?.classList.remove("active");
-                });
-                link.classList.add("active");
-                renderContent(tab);
-            });
-        }
+        document.getElementById(id)?.classList.toggle("active", route?.tab === tab);
     });
 }
 
+// Show the number of units in the quote cart next to the navbar link
+function updateQuoteBadge(lines) {
+    const badge = document.querySelector("#quote-link .quote-count");
+    if (!badge) return;
+    const count = cartCount(lines);
+    badge.textContent = count;
+    badge.classList.toggle("d-none", count === 0);
+}
+
 // Initialize the application
 function initApp() {
     const app = document.getElementById("app");
@@ -70,6 +92,8 @@ function initApp() {
 
     // Render navbar
     renderNavbar("app");
+    updateQuoteBadge(getCart());
+    onCartChange(updateQuoteBadge);
 
     // Create content area
     const contentArea = document.createElement("div");
@@ -77,13 +101,15 @@ function initApp() {
     contentArea.className = "container-fluid py-3";
     app.appendChild(contentArea);
 
-    // Set up navigation and render default tab
-    setupNavbarNavigation();
-    renderContent("home");
-    
+    // Render the page for the current URL and follow hash changes
+    startRouter(routes, {
+        notFound: path => renderContent(area => renderNotFound(area, path)),
+        onChange: updateActiveLink
+    });
+
     // Render WhatsApp button (added this line)
     renderWhatsAppButton();
 }
 
 // Start the application when DOM is ready
-document.addEventListener("DOMContentLoaded", initApp);
\ No newline at end of file
+document.addEventListener("DOMContentLoaded", initApp);
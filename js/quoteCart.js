@@ -0,0 +1,88 @@
+// quoteCart.js - Client-side quote cart persisted in localStorage
+//
+// Each line is { productId, sku, name, size, quantity }, one per pack size.
+// Every change is saved and announced with a "quotecart:change" event on
+// window, so the navbar badge and open views can stay in step.
+
+const STORAGE_KEY = "maschem.quoteCart";
+const CHANGE_EVENT = "quotecart:change";
+export const MAX_QUANTITY = 10000;
+
+function clampQuantity(quantity) {
+    const value = Math.floor(Number(quantity));
+    if (!Number.isFinite(value) || value < 1) return 1;
+    return Math.min(value, MAX_QUANTITY);
+}
+
+export function getCart() {
+    try {
+        const lines = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return Array.isArray(lines) ? lines.filter(line => line && line.sku) : [];
+    } catch {
+        return [];
+    }
+}
+
+function saveCart(lines) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(lines));
+    } catch (error) {
+        console.error("Failed to save quote cart:", error);
+    }
+    window.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: lines }));
+    return lines;
+}
+
+// Add a pack size to the cart, or increase its quantity if already there
+export function addToCart(product, variant, quantity = 1) {
+    const lines = getCart();
+    const existing = lines.find(line => line.sku === variant.sku);
+
+    if (existing) {
+        existing.quantity = clampQuantity(existing.quantity + clampQuantity(quantity));
+    } else {
+        lines.push({
+            productId: product.id,
+            sku: variant.sku,
+            name: product.name,
+            size: variant.size,
+            quantity: clampQuantity(quantity)
+        });
+    }
+    return saveCart(lines);
+}
+
+export function updateQuantity(sku, quantity) {
+    return saveCart(getCart().map(line =>
+        line.sku === sku ? { ...line, quantity: clampQuantity(quantity) } : line
+    ));
+}
+
+export function removeFromCart(sku) {
+    return saveCart(getCart().filter(line => line.sku !== sku));
+}
+
+export function clearCart() {
+    return saveCart([]);
+}
+
+// Total number of units in the cart
+export function cartCount(lines = getCart()) {
+    return lines.reduce((total, line) => total + line.quantity, 0);
+}
+
+// Call listener(lines) on every change, including changes made in other tabs.
+// Returns a function that removes the listener.
+export function onCartChange(listener) {
+    const onChange = event => listener(event.detail);
+    const onStorage = event => {
+        if (event.key === STORAGE_KEY) listener(getCart());
+    };
+
+    window.addEventListener(CHANGE_EVENT, onChange);
+    window.addEventListener("storage", onStorage);
+    return () => {
+        window.removeEventListener(CHANGE_EVENT, onChange);
+        window.removeEventListener("storage", onStorage);
+    };
+}
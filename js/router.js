@@ -0,0 +1,83 @@
+// router.js - Hash-based client-side router
+//
+// Routes are patterns like "/products/:slug". The current route lives in
+// the URL hash (#/products/dish-delux?sort=name_asc), so links can be shared,
+// refreshing keeps the page, and back/forward work through the browser's own
+// history.
+
+// Split "#/products/x?a=1" into its path and query parameters
+export function parseHash(hash = window.location.hash) {
+    const raw = hash.replace(/^#/, '') || '/';
+    const [path, queryString = ''] = raw.split('?');
+    const query = Object.fromEntries(new URLSearchParams(queryString));
+    return { path: path || '/', query };
+}
+
+// Build a hash from a path and query parameters, skipping empty values
+export function buildHash(path, query = {}) {
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            params.set(key, value);
+        }
+    });
+    const queryString = params.toString();
+    return `#${path}${queryString ? `?${queryString}` : ''}`;
+}
+
+// Match a path against a pattern, returning its params or null
+function matchPath(pattern, path) {
+    const patternParts = pattern.split('/').filter(Boolean);
+    const pathParts = path.split('/').filter(Boolean);
+    if (patternParts.length !== pathParts.length) return null;
+
+    const params = {};
+    for (let i = 0; i < patternParts.length; i++) {
+        const part = patternParts[i];
+        if (part.startsWith(':')) {
+            params[part.slice(1)] = decodeURIComponent(pathParts[i]);
+        } else if (part !== pathParts[i]) {
+            return null;
+        }
+    }
+    return params;
+}
+
+// Navigate to a path, adding a history entry
+export function navigate(path, query) {
+    const hash = buildHash(path, query);
+    if (window.location.hash === hash) return;
+    window.location.hash = hash;
+}
+
+// Update the query of the current route without adding a history entry or
+// re-rendering, e.g. to reflect filter state in the URL
+export function replaceQuery(query) {
+    const { path } = parseHash();
+    history.replaceState(null, '', buildHash(path, query));
+}
+
+// Start routing. Each route is { path, render(params, query) }; notFound is
+// called with the unmatched path. onChange runs after every render.
+export function startRouter(routes, { notFound, onChange } = {}) {
+    function resolve() {
+        const { path, query } = parseHash();
+
+        for (const route of routes) {
+            const params = matchPath(route.path, path);
+            if (params) {
+                route.render(params, query);
+                if (onChange) onChange(route, params, query);
+                return;
+            }
+        }
+
+        if (notFound) notFound(path);
+        if (onChange) onChange(null, {}, query);
+    }
+
+    window.addEventListener('hashchange', resolve);
+    resolve();
+
+    return () => window.removeEventListener('hashchange', resolve);
+}
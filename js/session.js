@@ -0,0 +1,56 @@
+// session.js - Staff session for the admin area
+//
+// The token from POST /api/auth/login is kept in sessionStorage, so it is
+// dropped when the browser tab closes. staffRequest() sends it with every
+// call and ends the session when the server rejects it.
+
+import { apiRequest } from "./api.js";
+
+const STORAGE_KEY = "maschem.staffSession";
+
+export function getSession() {
+    try {
+        const session = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+        return session && session.token ? session : null;
+    } catch {
+        return null;
+    }
+}
+
+export function clearSession() {
+    sessionStorage.removeItem(STORAGE_KEY);
+}
+
+export async function login(email, password) {
+    const { data } = await apiRequest("/auth/login", {
+        method: "POST",
+        body: { email, password }
+    });
+    const session = { token: data.token, user: data.user };
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+    return session;
+}
+
+// True when the signed-in user has one of the given roles
+export function hasRole(...roles) {
+    const session = getSession();
+    return Boolean(session && roles.includes(session.user.role));
+}
+
+// apiRequest with the staff token. A 401 means the token expired or the
+// account was disabled, so the session is cleared before rethrowing.
+export async function staffRequest(path, options = {}) {
+    const session = getSession();
+    try {
+        return await apiRequest(path, {
+            ...options,
+            headers: {
+                ...options.headers,
+                ...(session && { Authorization: `Bearer ${session.token}` })
+            }
+        });
+    } catch (error) {
+        if (error.status === 401) clearSession();
+        throw error;
+    }
+}
@@ -0,0 +1,148 @@
+/**
+ * Application Errors
+ *
+ * Throw (or pass to next()) one of these instead of building error JSON in
+ * a route. The error handler turns them into application/problem+json
+ * responses (RFC 7807) with a stable `code` the frontend can translate:
+ *
+ *   throw new NotFoundError('Product not found', { code: 'product_not_found' });
+ *   throw new ValidationError('Invalid product', { errors: [{ field, message }] });
+ *
+ * Codes are lower_snake_case and never change once published; messages
+ * may. Each class has a default code, and call sites pass a more specific
+ * one where the frontend may want to say something different.
+ *
+ * Any other error is treated as a bug: it is logged with its stack and the
+ * client only sees a generic 500 internal_error.
+ */
+
+const TYPE_PREFIX = 'urn:maschem:problem:';
+
+class AppError extends Error {
+    static status = 500;
+    static title = 'Internal Server Error';
+    static defaultCode = 'internal_error';
+
+    /**
+     * @param {string} message - Human-readable detail, safe to show users
+     * @param {object} [options]
+     * @param {string} [options.code] - Stable machine-readable code
+     * @param {Array<{field: string, message: string}>} [options.errors] - Per-field problems
+     * @param {object} [options.extensions] - Extra members for the problem document
+     * @param {Error} [options.cause] - Underlying error, logged but never sent
+     */
+    constructor(message, { code, errors, extensions, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.code = code || this.constructor.defaultCode;
+        if (errors) this.errors = errors;
+        if (extensions) this.extensions = extensions;
+    }
+
+    get statusCode() {
+        return this.constructor.status;
+    }
+}
+
+class ValidationError extends AppError {
+    static status = 400;
+    static title = 'Bad Request';
+    static defaultCode = 'validation_failed';
+}
+
+class UnauthorizedError extends AppError {
+    static status = 401;
+    static title = 'Unauthorized';
+    static defaultCode = 'authentication_required';
+}
+
+class ForbiddenError extends AppError {
+    static status = 403;
+    static title = 'Forbidden';
+    static defaultCode = 'forbidden';
+}
+
+class NotFoundError extends AppError {
+    static status = 404;
+    static title = 'Not Found';
+    static defaultCode = 'not_found';
+}
+
+class ConflictError extends AppError {
+    static status = 409;
+    static title = 'Conflict';
+    static defaultCode = 'conflict';
+}
+
+class PayloadTooLargeError extends AppError {
+    static status = 413;
+    static title = 'Payload Too Large';
+    static defaultCode = 'payload_too_large';
+}
+
+class UnprocessableError extends AppError {
+    static status = 422;
+    static title = 'Unprocessable Entity';
+    static defaultCode = 'unprocessable';
+}
+
+class RateLimitedError extends AppError {
+    static status = 429;
+    static title = 'Too Many Requests';
+    static defaultCode = 'rate_limited';
+
+    /**
+     * @param {string} message
+     * @param {object} [options] - AppError options plus retryAfter (seconds)
+     */
+    constructor(message, { retryAfter, ...options } = {}) {
+        super(message, options);
+        this.retryAfter = retryAfter;
+    }
+}
+
+class StorageFailureError extends AppError {
+    static status = 503;
+    static title = 'Service Unavailable';
+    static defaultCode = 'storage_unavailable';
+}
+
+/**
+ * Problem document for an error. Non-AppErrors become a generic 500 so
+ * internals (file paths, driver messages) never reach the client.
+ * `success` and `error` keep the API's usual envelope for older clients.
+ */
+function toProblem(err, instance) {
+    const error = err instanceof AppError
+        ? err
+        : new AppError('Something went wrong on our side. Please try again later.');
+    const Type = error.constructor;
+
+    return {
+        type: `${TYPE_PREFIX}${error.code}`,
+        title: Type.title,
+        status: Type.status,
+        detail: error.message,
+        instance,
+        code: error.code,
+        ...(error.errors && { errors: error.errors }),
+        ...(error.retryAfter !== undefined && { retryAfter: error.retryAfter }),
+        ...error.extensions,
+        success: false,
+        error: error.message
+    };
+}
+
+module.exports = {
+    AppError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    PayloadTooLargeError,
+    UnprocessableError,
+    RateLimitedError,
+    StorageFailureError,
+    toProblem
+};
@@ -0,0 +1,132 @@
+/**
+ * Logger
+ *
+ * Structured logging with levels. Each line is one JSON object:
+ *
+ *   {"time":"...","level":"info","msg":"Request","requestId":"...","status":200,...}
+ *
+ * Lines written while handling a request carry its requestId, including
+ * those from services and background work it started (mail retries, stock
+ * alerts), because the ID travels with the async context.
+ *
+ * Configuration:
+ * - LOG_LEVEL   debug | info | warn | error (default: info, debug in development)
+ * - LOG_FORMAT  json | text (default: json; text is one readable line per entry)
+ * - LOG_REDACT  true | false - mask emails, IPs and phone numbers
+ *               (default: true in production)
+ *
+ * Usage:
+ *   const logger = require('../logger');
+ *   logger.info('New quote request', { reference, email });
+ *
+ *   const log = logger.child({ component: 'mail' });
+ *   log.warn('Mail failed', { to, attempt });
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { redact } = require('./redact');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const requestContext = new AsyncLocalStorage();
+
+let settings;
+
+function config() {
+    if (!settings) {
+        const production = process.env.NODE_ENV === 'production';
+        const level = (process.env.LOG_LEVEL || (process.env.NODE_ENV === 'development' ? 'debug' : 'info')).toLowerCase();
+        if (!LEVELS[level]) {
+            throw new Error(`Unknown LOG_LEVEL "${level}". Use one of: ${Object.keys(LEVELS).join(', ')}`);
+        }
+        settings = {
+            level,
+            format: process.env.LOG_FORMAT === 'text' ? 'text' : 'json',
+            redact: process.env.LOG_REDACT ? process.env.LOG_REDACT === 'true' : production
+        };
+    }
+    return settings;
+}
+
+// Errors do not serialize to JSON on their own
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code && { code: error.code }),
+        ...(error.statusCode && { statusCode: error.statusCode }),
+        stack: error.stack,
+        ...(error.cause instanceof Error && { cause: serializeError(error.cause) })
+    };
+}
+
+function normalize(fields) {
+    return Object.fromEntries(Object.entries(fields)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => [key, value instanceof Error ? serializeError(value) : value]));
+}
+
+function format(entry) {
+    if (config().format === 'json') return JSON.stringify(entry);
+
+    const { time, level, msg, ...fields } = entry;
+    const extras = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+    return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extras ? ` ${extras}` : ''}`;
+}
+
+function write(level, bindings, msg, fields = {}) {
+    const { level: minimum, redact: shouldRedact } = config();
+    if (LEVELS[level] < LEVELS[minimum]) return;
+
+    const context = requestContext.getStore();
+    let entry = {
+        time: new Date().toISOString(),
+        level,
+        msg,
+        ...(context && { requestId: context.requestId }),
+        ...normalize({ ...bindings, ...fields })
+    };
+    if (shouldRedact) entry = redact(entry);
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${format(entry)}\n`);
+}
+
+function createLogger(bindings = {}) {
+    return {
+        debug: (msg, fields) => write('debug', bindings, msg, fields),
+        info: (msg, fields) => write('info', bindings, msg, fields),
+        warn: (msg, fields) => write('warn', bindings, msg, fields),
+        error: (msg, fields) => write('error', bindings, msg, fields),
+
+        /**
+         * Logger adding the given fields to every line
+         */
+        child: extra => createLogger({ ...bindings, ...extra })
+    };
+}
+
+/**
+ * Run fn with a request context; everything it logs, directly or through
+ * async work it starts, carries context.requestId
+ */
+function runWithContext(context, fn) {
+    return requestContext.run(context, fn);
+}
+
+/**
+ * ID of the request being handled, if any
+ */
+function currentRequestId() {
+    const context = requestContext.getStore();
+    return context ? context.requestId : undefined;
+}
+
+module.exports = {
+    ...createLogger(),
+    runWithContext,
+    currentRequestId,
+    LEVELS
+};
@@ -0,0 +1,61 @@
+/**
+ * PII Redaction for Log Lines
+ *
+ * Masks email addresses, IP addresses and phone numbers so logs can be
+ * shared and kept without holding customer contact details:
+ * - jane.doe@example.com  -> ja***@example.com
+ * - 203.0.113.42          -> 203.0.113.x
+ * - 2001:db8:85a3::8a2e   -> 2001:db8:85a3:x
+ * - +27 11 555 0123       -> ***0123
+ */
+
+// Fields masked whatever their content
+const SENSITIVE_FIELDS = new Set(['email', 'to', 'replyto', 'ip', 'ipaddress', 'phone']);
+
+const EMAIL_PATTERN = /([^\s@"'<>,;:]{1,2})[^\s@"'<>,;:]*@([^\s@"'<>,;:]+\.[^\s@"'<>,;:]+)/g;
+
+const MAX_DEPTH = 5;
+
+function maskEmails(text) {
+    return text.replace(EMAIL_PATTERN, '$1***@$2');
+}
+
+function maskIp(ip) {
+    const v4 = ip.match(/^(?:::ffff:)?(\d+\.\d+\.\d+)\.\d+$/);
+    if (v4) return `${v4[1]}.x`;
+    if (ip.includes(':')) return `${ip.split(':').filter(Boolean).slice(0, 3).join(':')}:x`;
+    return '***';
+}
+
+function maskField(key, value) {
+    const text = String(value);
+    switch (key) {
+        case 'ip':
+        case 'ipaddress':
+            return maskIp(text);
+        case 'phone':
+            return `***${text.replace(/\D/g, '').slice(-4)}`;
+        default:
+            return text.includes('@') ? maskEmails(text) : '***';
+    }
+}
+
+/**
+ * Copy of a log value with sensitive fields masked and email addresses
+ * in free text masked
+ */
+function redact(value, depth = 0) {
+    if (typeof value === 'string') return maskEmails(value);
+    if (value === null || typeof value !== 'object' || depth >= MAX_DEPTH) return value;
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => {
+        const name = key.toLowerCase();
+        if (SENSITIVE_FIELDS.has(name) && field !== null && field !== undefined && typeof field !== 'object') {
+            return [key, maskField(name, field)];
+        }
+        return [key, redact(field, depth + 1)];
+    }));
+}
+
+module.exports = { redact, maskIp, maskEmails };
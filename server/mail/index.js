@@ -0,0 +1,112 @@
+/**
+ * Mail Subsystem
+ *
+ * Templated notifications sent through a background retry queue.
+ *
+ * Configuration:
+ * - MAIL_TRANSPORT         smtp | file | console (default: smtp if SMTP_HOST is set)
+ * - MAIL_FROM              sender address (default: SMTP_USER or no-reply@maschem.co.za)
+ * - CONTACT_EMAIL          sales team inbox for new submissions
+ * - INVENTORY_ALERT_EMAIL  recipient of low-stock alerts (default: CONTACT_EMAIL)
+ * - MAIL_MAX_ATTEMPTS      delivery attempts per message (default: 5)
+ * - MAIL_RETRY_DELAY_MS    first retry delay, doubled each time (default: 30000)
+ *
+ * Usage:
+ *   const mail = require('../mail');
+ *   mail.notifyNewSubmission(submission);
+ */
+
+const { createTransport } = require('./transports');
+const { createMailQueue } = require('./queue');
+const templates = require('./templates');
+
+let queue = null;
+
+/**
+ * Get the queue, creating the configured transport on first use
+ */
+function getQueue() {
+    if (!queue) {
+        queue = createMailQueue(createTransport(), {
+            maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 5,
+            retryDelayMs: parseInt(process.env.MAIL_RETRY_DELAY_MS, 10) || 30 * 1000
+        });
+    }
+    return queue;
+}
+
+function sender() {
+    return process.env.MAIL_FROM || process.env.SMTP_USER || 'no-reply@maschem.co.za';
+}
+
+/**
+ * Queue a rendered template for delivery
+ */
+function send(to, { subject, text, html }, { replyTo } = {}) {
+    return getQueue().enqueue({
+        from: sender(),
+        to,
+        ...(replyTo && { replyTo }),
+        subject,
+        text,
+        html
+    });
+}
+
+/**
+ * Tell the sales team about a new contact submission and acknowledge it
+ * to the customer. Replies from the sales team go straight to the customer.
+ */
+function notifyNewSubmission(submission) {
+    if (process.env.CONTACT_EMAIL) {
+        send(process.env.CONTACT_EMAIL, templates.salesNotification(submission), {
+            replyTo: submission.email
+        });
+    }
+
+    send(submission.email, templates.customerAcknowledgement(submission), {
+        replyTo: process.env.CONTACT_EMAIL
+    });
+}
+
+/**
+ * Tell the sales team about a new quote request and acknowledge it to the
+ * customer with their reference number
+ */
+function notifyNewQuote(quote) {
+    if (process.env.CONTACT_EMAIL) {
+        send(process.env.CONTACT_EMAIL, templates.quoteNotification(quote), {
+            replyTo: quote.email
+        });
+    }
+
+    send(quote.email, templates.quoteAcknowledgement(quote), {
+        replyTo: process.env.CONTACT_EMAIL
+    });
+}
+
+/**
+ * Tell staff a pack size is running low at a store
+ */
+function notifyLowStock(alert) {
+    const to = process.env.INVENTORY_ALERT_EMAIL || process.env.CONTACT_EMAIL;
+    if (to) {
+        send(to, templates.lowStockAlert(alert));
+    }
+}
+
+/**
+ * Wait for queued mail to be delivered or dropped
+ */
+function drain() {
+    return queue ? queue.drain() : Promise.resolve();
+}
+
+module.exports = {
+    send,
+    notifyNewSubmission,
+    notifyNewQuote,
+    notifyLowStock,
+    drain,
+    templates
+};
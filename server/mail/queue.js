@@ -0,0 +1,88 @@
+/**
+ * Mail Retry Queue
+ *
+ * Sends messages in the background so requests never wait on SMTP.
+ * Failed sends are retried with exponential backoff:
+ * retryDelayMs, 2x, 4x... up to maxAttempts, after which the message is
+ * dropped and logged.
+ */
+
+const logger = require('../logger').child({ component: 'mail' });
+
+/**
+ * Create a queue delivering through the given transport
+ */
+function createMailQueue(transport, {
+    maxAttempts = 5,
+    retryDelayMs = 30 * 1000
+} = {}) {
+    const pending = new Set();
+    let idleWaiters = [];
+
+    function settle(job) {
+        pending.delete(job);
+        if (pending.size === 0) {
+            idleWaiters.forEach(resolve => resolve());
+            idleWaiters = [];
+        }
+    }
+
+    async function attempt(job) {
+        job.attempts++;
+        try {
+            await transport.send(job.message);
+            settle(job);
+        } catch (error) {
+            if (job.attempts >= maxAttempts) {
+                logger.error('Mail dropped after repeated failures', {
+                    to: job.message.to,
+                    subject: job.message.subject,
+                    attempts: job.attempts,
+                    reason: error.message
+                });
+                settle(job);
+                return;
+            }
+
+            const delay = retryDelayMs * 2 ** (job.attempts - 1);
+            logger.warn('Mail failed, retrying', {
+                to: job.message.to,
+                subject: job.message.subject,
+                attempt: job.attempts,
+                retryInMs: delay,
+                reason: error.message
+            });
+            const timer = setTimeout(() => attempt(job), delay);
+            timer.unref();
+        }
+    }
+
+    return {
+        /**
+         * Queue a message for delivery
+         */
+        enqueue(message) {
+            const job = { message, attempts: 0 };
+            pending.add(job);
+            setImmediate(() => attempt(job));
+            return job;
+        },
+
+        /**
+         * Number of messages not yet delivered or dropped
+         */
+        size() {
+            return pending.size;
+        },
+
+        /**
+         * Resolve once every queued message is delivered or dropped
+         */
+        drain() {
+            if (pending.size === 0) return Promise.resolve();
+            return new Promise(resolve => idleWaiters.push(resolve));
+        }
+    };
+}
+
+module.exports = { createMailQueue };
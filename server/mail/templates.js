@@ -0,0 +1,238 @@
+/**
+ * Mail Templates
+ *
+ * Each template takes a record and returns { subject, text, html }.
+ * All record values are HTML-escaped before they reach the html body.
+ */
+
+const SUBJECT_LABELS = {
+    general: 'General enquiry',
+    products: 'Products',
+    orders: 'Orders',
+    support: 'Support',
+    partnership: 'Partnership'
+};
+
+/**
+ * Escape text for safe inclusion in HTML
+ */
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Wrap body HTML in the shared Maschem layout
+ */
+function layout(title, bodyHtml) {
+    return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f8f9fa;font-family:Arial,sans-serif;color:#2c3e50;">
+    <div style="max-width:600px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px;">
+        <h1 style="margin-top:0;font-size:20px;color:#0d6efd;">${escapeHtml(title)}</h1>
+        ${bodyHtml}
+        <p style="margin-top:32px;font-size:12px;color:#6c757d;">Maschem - Trusted Cleaning, Proven Results</p>
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * Notification to the sales team about a new contact submission
+ */
+function salesNotification(submission) {
+    const name = `${submission.firstName} ${submission.lastName}`;
+    const subjectLabel = SUBJECT_LABELS[submission.subject] || submission.subject;
+    const rows = [
+        ['Name', name],
+        ['Email', submission.email],
+        ['Phone', submission.phone || '-'],
+        ['Subject', subjectLabel],
+        ['Received', submission.createdAt],
+        ['Reference', submission.id]
+    ];
+
+    return {
+        subject: `[Website] ${subjectLabel} - ${name}`,
+        text: [
+            'A new message was submitted through the website contact form.',
+            '',
+            ...rows.map(([label, value]) => `${label}: ${value}`),
+            '',
+            submission.message
+        ].join('\n'),
+        html: layout('New contact form submission', `
+        <table style="width:100%;border-collapse:collapse;margin-bottom:24px;">
+            ${rows.map(([label, value]) => `
+            <tr>
+                <td style="padding:6px 12px 6px 0;font-weight:bold;white-space:nowrap;">${escapeHtml(label)}</td>
+                <td style="padding:6px 0;">${escapeHtml(value)}</td>
+            </tr>`).join('')}
+        </table>
+        <div style="white-space:pre-wrap;border-left:4px solid #0d6efd;padding-left:12px;">${escapeHtml(submission.message)}</div>`)
+    };
+}
+
+/**
+ * Automatic acknowledgement sent to the customer. Anyone can type any
+ * address into the public form, so this is fixed text with only our
+ * reference: nothing the sender wrote is quoted back.
+ */
+function customerAcknowledgement(submission) {
+    return {
+        subject: 'We received your message - Maschem',
+        text: [
+            'Hello,',
+            '',
+            'Thank you for contacting Maschem. We have received your message and',
+            'a member of our team will get back to you soon.',
+            '',
+            `Your reference: ${submission.id}`,
+            '',
+            'If you did not contact us, you can ignore this email.',
+            '',
+            'Kind regards,',
+            'The Maschem Team'
+        ].join('\n'),
+        html: layout('Thank you for contacting us', `
+        <p>Hello,</p>
+        <p>Thank you for contacting Maschem. We have received your message and a member of our team will get back to you soon.</p>
+        <p style="font-size:13px;color:#6c757d;">Your reference: ${escapeHtml(submission.id)}</p>
+        <p style="font-size:13px;color:#6c757d;">If you did not contact us, you can ignore this email.</p>
+        <p>Kind regards,<br>The Maschem Team</p>`)
+    };
+}
+
+/**
+ * Plain-text and HTML renderings of a quote's line items
+ */
+function quoteLines(quote) {
+    return {
+        text: quote.items.map(item => `- ${item.quantity} x ${item.name} ${item.size} (${item.sku})`),
+        html: `
+        <table style="width:100%;border-collapse:collapse;margin-bottom:24px;">
+            <tr>
+                <th style="text-align:left;padding:6px 12px 6px 0;border-bottom:1px solid #dee2e6;">Product</th>
+                <th style="text-align:left;padding:6px 12px 6px 0;border-bottom:1px solid #dee2e6;">SKU</th>
+                <th style="text-align:right;padding:6px 0;border-bottom:1px solid #dee2e6;">Qty</th>
+            </tr>
+            ${quote.items.map(item => `
+            <tr>
+                <td style="padding:6px 12px 6px 0;">${escapeHtml(item.name)} ${escapeHtml(item.size)}</td>
+                <td style="padding:6px 12px 6px 0;">${escapeHtml(item.sku)}</td>
+                <td style="padding:6px 0;text-align:right;">${escapeHtml(item.quantity)}</td>
+            </tr>`).join('')}
+        </table>`
+    };
+}
+
+/**
+ * Notification to the sales team about a new quote request
+ */
+function quoteNotification(quote) {
+    const lines = quoteLines(quote);
+    const rows = [
+        ['Reference', quote.reference],
+        ['Name', quote.name],
+        ['Company', quote.company || '-'],
+        ['Email', quote.email],
+        ['Phone', quote.phone || '-'],
+        ['Received', quote.createdAt]
+    ];
+
+    return {
+        subject: `[Quote ${quote.reference}] ${quote.items.length} item${quote.items.length === 1 ? '' : 's'} - ${quote.company || quote.name}`,
+        text: [
+            'A new quote request was submitted through the website.',
+            '',
+            ...rows.map(([label, value]) => `${label}: ${value}`),
+            '',
+            ...lines.text,
+            ...(quote.notes ? ['', quote.notes] : [])
+        ].join('\n'),
+        html: layout('New quote request', `
+        <table style="width:100%;border-collapse:collapse;margin-bottom:24px;">
+            ${rows.map(([label, value]) => `
+            <tr>
+                <td style="padding:6px 12px 6px 0;font-weight:bold;white-space:nowrap;">${escapeHtml(label)}</td>
+                <td style="padding:6px 0;">${escapeHtml(value)}</td>
+            </tr>`).join('')}
+        </table>
+        ${lines.html}
+        ${quote.notes ? `<div style="white-space:pre-wrap;border-left:4px solid #0d6efd;padding-left:12px;">${escapeHtml(quote.notes)}</div>` : ''}`)
+    };
+}
+
+/**
+ * Automatic acknowledgement of a quote request sent to the customer. Like
+ * customerAcknowledgement(), fixed text with only the reference.
+ */
+function quoteAcknowledgement(quote) {
+    return {
+        subject: `Your quote request ${quote.reference} - Maschem`,
+        text: [
+            'Hello,',
+            '',
+            'Thank you for your quote request. Our sales team will send you',
+            'pricing and availability soon.',
+            '',
+            `Your reference: ${quote.reference}`,
+            '',
+            'If you did not request a quote, you can ignore this email.',
+            '',
+            'Kind regards,',
+            'The Maschem Team'
+        ].join('\n'),
+        html: layout('Thank you for your quote request', `
+        <p>Hello,</p>
+        <p>Thank you for your quote request. Our sales team will send you pricing and availability soon.</p>
+        <p style="font-size:13px;color:#6c757d;">Your reference: <strong>${escapeHtml(quote.reference)}</strong></p>
+        <p style="font-size:13px;color:#6c757d;">If you did not request a quote, you can ignore this email.</p>
+        <p>Kind regards,<br>The Maschem Team</p>`)
+    };
+}
+
+/**
+ * Alert to staff that a pack size is running low at a store
+ */
+function lowStockAlert(alert) {
+    const rows = [
+        ['Product', `${alert.productName} ${alert.size}`],
+        ['SKU', alert.sku],
+        ['Store', alert.storeName],
+        ['In stock', alert.quantity],
+        ['Alert level', alert.lowStockThreshold]
+    ];
+
+    return {
+        subject: `[Low stock] ${alert.productName} ${alert.size} at ${alert.storeName}`,
+        text: [
+            'A product is running low and may need to be reordered.',
+            '',
+            ...rows.map(([label, value]) => `${label}: ${value}`)
+        ].join('\n'),
+        html: layout('Low stock alert', `
+        <p>A product is running low and may need to be reordered.</p>
+        <table style="width:100%;border-collapse:collapse;">
+            ${rows.map(([label, value]) => `
+            <tr>
+                <td style="padding:6px 12px 6px 0;font-weight:bold;white-space:nowrap;">${escapeHtml(label)}</td>
+                <td style="padding:6px 0;">${escapeHtml(value)}</td>
+            </tr>`).join('')}
+        </table>`)
+    };
+}
+
+module.exports = {
+    escapeHtml,
+    layout,
+    salesNotification,
+    customerAcknowledgement,
+    quoteNotification,
+    quoteAcknowledgement,
+    lowStockAlert
+};
@@ -0,0 +1,97 @@
+/**
+ * Mail Transports
+ *
+ * Each transport exposes send(message) -> Promise, where message is
+ * { from, to, replyTo, subject, text, html }.
+ *
+ * - smtp    - delivers through SMTP_HOST using nodemailer
+ * - file    - writes each message as JSON to MAIL_OUTBOX_DIR (local dev, tests)
+ * - console - logs each message (local dev)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../logger');
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '..', 'data', 'mail-outbox');
+
+/**
+ * SMTP transport backed by nodemailer
+ */
+function createSmtpTransport() {
+    const nodemailer = require('nodemailer');
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: port === 465,
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    });
+
+    return {
+        name: 'smtp',
+        send: message => transporter.sendMail(message)
+    };
+}
+
+/**
+ * File transport: one JSON file per message
+ */
+function createFileTransport({ dir = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR } = {}) {
+    return {
+        name: 'file',
+        async send(message) {
+            await fs.mkdir(dir, { recursive: true });
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const file = path.join(dir, `${stamp}-${crypto.randomBytes(4).toString('hex')}.json`);
+            await fs.writeFile(file, JSON.stringify(message, null, 4), 'utf8');
+            return { file };
+        }
+    };
+}
+
+/**
+ * Console transport: logs the plain-text version
+ */
+function createConsoleTransport() {
+    return {
+        name: 'console',
+        async send(message) {
+            logger.info('Mail', {
+                component: 'mail',
+                to: message.to,
+                subject: message.subject,
+                text: message.text
+            });
+        }
+    };
+}
+
+const TRANSPORTS = {
+    smtp: createSmtpTransport,
+    file: createFileTransport,
+    console: createConsoleTransport
+};
+
+/**
+ * Create the transport named by MAIL_TRANSPORT. Defaults to smtp when
+ * SMTP_HOST is configured, otherwise console.
+ */
+function createTransport(name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console')) {
+    const factory = TRANSPORTS[name];
+    if (!factory) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    return factory();
+}
+
+module.exports = {
+    createTransport,
+    createSmtpTransport,
+    createFileTransport,
+    createConsoleTransport
+};
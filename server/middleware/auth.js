@@ -0,0 +1,160 @@
+/**
+ * Authentication & Authorization Middleware
+ *
+ * Verifies signed JWT bearer tokens and enforces role-based access.
+ * - authenticate - require a valid token, attaches req.user
+ * - authorize(...roles) - require req.user to hold one of the roles
+ * - protectWrites(...roles) - authenticate + authorize for non-GET requests only
+ * - identifyUser(req) - the user behind a valid token, or null (never rejects the request)
+ * - jwtSecretProblem(secret) - why a secret is not fit for production, or null
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const users = require('../services/users');
+const { UnauthorizedError, ForbiddenError } = require('../errors');
+
+const NODE_ENV = process.env.NODE_ENV || 'development';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '8h';
+
+// Shortest secret accepted in production: 32 characters, as from
+// crypto.randomBytes(16).toString('hex')
+const MIN_SECRET_LENGTH = 32;
+
+// Values copied from examples and tutorials, compared without case or separators
+const PLACEHOLDER_SECRETS = ['changeme', 'secret', 'jwtsecret', 'yoursecret', 'yourjwtsecret', 'testsecret', 'password', 'maschem'];
+
+/**
+ * Why a JWT secret is not fit for production, or null if it is
+ */
+function jwtSecretProblem(secret) {
+    if (!secret) {
+        return 'JWT_SECRET must be set in production';
+    }
+    if (PLACEHOLDER_SECRETS.includes(secret.toLowerCase().replace(/[^a-z]/g, ''))) {
+        return 'JWT_SECRET is a placeholder; generate a random one';
+    }
+    if (secret.length < MIN_SECRET_LENGTH) {
+        return `JWT_SECRET must be at least ${MIN_SECRET_LENGTH} characters in production`;
+    }
+    return null;
+}
+
+// Refuse to run in production without a proper secret. In development a
+// random secret is generated, so tokens do not survive a restart.
+const secretProblem = NODE_ENV === 'production' ? jwtSecretProblem(process.env.JWT_SECRET) : null;
+if (secretProblem) {
+    throw new Error(`${secretProblem}. Generate one with: node -e "console.log(require('crypto').randomBytes(32).toString('hex'))"`);
+}
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Sign an access token for a user
+ */
+function signToken(user) {
+    return jwt.sign(
+        { sub: user.id, email: user.email, role: user.role },
+        JWT_SECRET,
+        { expiresIn: JWT_EXPIRES_IN }
+    );
+}
+
+/**
+ * The active user behind the request's bearer token, or null when there is
+ * no valid token. For middleware that treats staff differently without
+ * requiring a login.
+ */
+async function identifyUser(req) {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) return null;
+
+    try {
+        const payload = jwt.verify(token, JWT_SECRET);
+        const user = await users.findById(payload.sub);
+        return user && user.active ? users.toPublicUser(user) : null;
+    } catch (error) {
+        if (error instanceof jwt.JsonWebTokenError) return null;
+        throw error;
+    }
+}
+
+/**
+ * Require a valid bearer token
+ */
+async function authenticate(req, res, next) {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return next(new UnauthorizedError('Authentication required'));
+    }
+
+    try {
+        const payload = jwt.verify(token, JWT_SECRET);
+
+        // Make sure the account still exists and is active
+        const user = await users.findById(payload.sub);
+        if (!user || !user.active) {
+            return next(new UnauthorizedError('Invalid or expired token', { code: 'invalid_token' }));
+        }
+
+        req.user = users.toPublicUser(user);
+        next();
+    } catch (error) {
+        if (error instanceof jwt.JsonWebTokenError) {
+            const code = error instanceof jwt.TokenExpiredError ? 'token_expired' : 'invalid_token';
+            return next(new UnauthorizedError('Invalid or expired token', { code }));
+        }
+        next(error);
+    }
+}
+
+/**
+ * Require the authenticated user to hold one of the given roles
+ */
+function authorize(...roles) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return next(new UnauthorizedError('Authentication required'));
+        }
+
+        if (!roles.includes(req.user.role)) {
+            return next(new ForbiddenError('Insufficient permissions'));
+        }
+
+        next();
+    };
+}
+
+/**
+ * Leave read requests public, require one of the roles for everything else
+ */
+function protectWrites(...roles) {
+    const checkRole = authorize(...roles);
+
+    return (req, res, next) => {
+        if (SAFE_METHODS.includes(req.method)) {
+            return next();
+        }
+
+        if (req.user) {
+            return checkRole(req, res, next);
+        }
+
+        authenticate(req, res, (err) => {
+            if (err) return next(err);
+            checkRole(req, res, next);
+        });
+    };
+}
+
+module.exports = {
+    signToken,
+    authenticate,
+    authorize,
+    protectWrites,
+    identifyUser,
+    jwtSecretProblem
+};
@@ -1,49 +1,75 @@
 /**
  * Global Error Handler Middleware
- * 
- * Catches all errors and returns consistent JSON responses.
- * In production, stack traces are hidden for security.
+ *
+ * Turns errors into application/problem+json responses (RFC 7807); see
+ * errors/index.js for the error classes and their codes. Errors that are
+ * not AppErrors are bugs or infrastructure failures: they are logged with
+ * their stack and answered with a generic 500, so internals never leak.
+ * In development the stack is included in the response.
+ * Every response carries the request ID, so a user's report can be
+ * matched to the logs.
  */
 
-const errorHandler = (err, req, res, next) => {
-    // Log error for debugging
-    console.error('Error:', {
-        message: err.message,
-        stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
-        path: req.path,
-        method: req.method,
-        timestamp: new Date().toISOString()
-    });
+const logger = require('../logger');
+const {
+    AppError,
+    ValidationError,
+    NotFoundError,
+    PayloadTooLargeError,
+    toProblem
+} = require('../errors');
 
-    // Default error status and message
-    let statusCode = err.statusCode || 500;
-    let message = err.message || 'Internal Server Error';
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
 
-    // Handle specific error types
-    if (err.name === 'ValidationError') {
-        statusCode = 400;
-        message = 'Validation Error';
-    }
+/**
+ * Map errors raised by Express itself (body parsing, static files) to AppErrors
+ */
+function normalizeError(err) {
+    if (err instanceof AppError) return err;
 
-    if (err.name === 'SyntaxError' && err.body) {
-        statusCode = 400;
-        message = 'Invalid JSON in request body';
+    if (err.type === 'entity.parse.failed') {
+        return new ValidationError('Invalid JSON in request body', { code: 'invalid_json', cause: err });
     }
-
-    if (err.code === 'ENOENT') {
-        statusCode = 404;
-        message = 'Resource not found';
+    if (err.type === 'entity.too.large') {
+        return new PayloadTooLargeError('The request body is too large', { cause: err });
+    }
+    // A missing file under a static mount such as /uploads. The original
+    // message holds the file's absolute path, so it is not passed on.
+    if (err.statusCode === 404 || err.status === 404) {
+        return new NotFoundError('File not found', { code: 'file_not_found', cause: err });
     }
+    if (err.expose && err.status >= 400 && err.status < 500) {
+        return new ValidationError(err.message, { code: 'bad_request', cause: err });
+    }
+
+    return err;
+}
+
+const errorHandler = (err, req, res, next) => {
+    const error = normalizeError(err);
+    const problem = toProblem(error, req.originalUrl);
 
-    // Send error response
-    res.status(statusCode).json({
-        success: false,
-        error: message,
-        ...(process.env.NODE_ENV === 'development' && {
-            stack: err.stack,
-            details: err.details
-        })
+    // Log with the stack for server errors; client errors only need the reason
+    const log = problem.status >= 500 ? logger.error : logger.warn;
+    log('Request failed', {
+        method: req.method,
+        path: req.originalUrl,
+        status: problem.status,
+        code: problem.code,
+        error: problem.status >= 500 ? err : error.message
     });
+
+    if (res.headersSent) return next(err);
+
+    if (error.retryAfter !== undefined) res.set('Retry-After', String(error.retryAfter));
+
+    res.status(problem.status)
+        .type(PROBLEM_CONTENT_TYPE)
+        .send(JSON.stringify({
+            ...problem,
+            requestId: req.id,
+            ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
+        }));
 };
 
 module.exports = errorHandler;
@@ -0,0 +1,81 @@
+/**
+ * Rate Limiting Middleware
+ *
+ * Per-IP request limits, configured from the environment:
+ * - apiLimiter     - every /api request
+ *                    RATE_LIMIT_WINDOW_MS (default 15 minutes), RATE_LIMIT_MAX_REQUESTS (default 100)
+ * - contactLimiter - POST /api/contact
+ *                    RATE_LIMIT_CONTACT_WINDOW_MS (default 1 hour), RATE_LIMIT_CONTACT_MAX (default 5)
+ * - loginLimiter   - POST /api/auth/login
+ *                    RATE_LIMIT_LOGIN_WINDOW_MS (default 15 minutes), RATE_LIMIT_LOGIN_MAX (default 10)
+ *
+ * Requests with an admin's token are never limited. Counters live in memory
+ * unless RATE_LIMIT_STORE selects a persistent store (see
+ * storage/rateLimitStore.js). Limited requests get a 429 rate_limited
+ * problem with a Retry-After header.
+ */
+
+const rateLimit = require('express-rate-limit');
+const { identifyUser } = require('./auth');
+const { RateLimitedError } = require('../errors');
+const { createRateLimitStore } = require('../storage/rateLimitStore');
+const logger = require('../logger');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Admins are exempt. A failed token lookup counts the request as usual.
+ */
+async function isAdmin(req) {
+    try {
+        const user = await identifyUser(req);
+        return Boolean(user && user.role === 'admin');
+    } catch (error) {
+        logger.warn('Could not check the token for the rate limit exemption', { reason: error.message });
+        return false;
+    }
+}
+
+/**
+ * A limiter answering with a RateLimitedError
+ */
+function createLimiter({ name, windowMs, max, message }) {
+    return rateLimit({
+        windowMs,
+        limit: max,
+        standardHeaders: true,
+        legacyHeaders: false,
+        store: createRateLimitStore(name),
+        skip: isAdmin,
+        handler: (req, res, next) => next(new RateLimitedError(message, {
+            retryAfter: Number(res.get('Retry-After')) || undefined
+        }))
+    });
+}
+
+const apiLimiter = createLimiter({
+    name: 'api',
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 15 * MINUTE_MS,
+    max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 100,
+    message: 'Too many requests, please try again later.'
+});
+
+const contactLimiter = createLimiter({
+    name: 'contact',
+    windowMs: parseInt(process.env.RATE_LIMIT_CONTACT_WINDOW_MS, 10) || 60 * MINUTE_MS,
+    max: parseInt(process.env.RATE_LIMIT_CONTACT_MAX, 10) || 5,
+    message: 'You have sent several messages already. Please try again later.'
+});
+
+const loginLimiter = createLimiter({
+    name: 'login',
+    windowMs: parseInt(process.env.RATE_LIMIT_LOGIN_WINDOW_MS, 10) || 15 * MINUTE_MS,
+    max: parseInt(process.env.RATE_LIMIT_LOGIN_MAX, 10) || 10,
+    message: 'Too many login attempts. Please wait a few minutes and try again.'
+});
+
+module.exports = {
+    apiLimiter,
+    contactLimiter,
+    loginLimiter
+};
@@ -0,0 +1,52 @@
+/**
+ * Request Context Middleware
+ *
+ * - assignRequestId - give each request an ID (req.id), echo it in the
+ *   X-Request-Id response header and attach it to every log line written
+ *   while handling the request
+ * - logRequests - one access log line per response
+ *
+ * A well-formed X-Request-Id from the client or a proxy is kept, so a
+ * request can be followed across services.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const VALID_REQUEST_ID = /^[\w.:-]{1,100}$/;
+
+/**
+ * Assign the request ID and run the rest of the chain in its log context
+ */
+function assignRequestId(req, res, next) {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : uuidv4();
+    res.set(REQUEST_ID_HEADER, req.id);
+    logger.runWithContext({ requestId: req.id }, next);
+}
+
+/**
+ * Log method, path, status and duration once the response is sent.
+ * Server errors log at error level, client errors at warn.
+ */
+function logRequests(req, res, next) {
+    const started = process.hrtime.bigint();
+
+    res.on('finish', () => {
+        const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+        logger[level]('Request', {
+            method: req.method,
+            path: req.originalUrl,
+            status: res.statusCode,
+            durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10,
+            ip: req.ip,
+            userAgent: req.get('User-Agent'),
+            userId: req.user ? req.user.id : undefined
+        });
+    });
+
+    next();
+}
+
+module.exports = { assignRequestId, logRequests, REQUEST_ID_HEADER };
@@ -0,0 +1,752 @@
+/**
+ * OpenAPI Components
+ *
+ * Shared schemas, parameters and responses for the OpenAPI document, plus
+ * small helpers the path files use to describe the { success, ... }
+ * envelopes every route answers with.
+ *
+ * Enumerations are taken from the modules that enforce them, so the
+ * document cannot drift from the validation rules.
+ */
+
+const { GHS_PICTOGRAMS, SIGNAL_WORDS, DOCUMENT_TYPES } = require('../schemas/product');
+const { ROLES } = require('../services/users');
+const { MOVEMENT_TYPES } = require('../services/inventory');
+const { DAYS } = require('../services/stores');
+const { SUBMISSION_STATUSES, REPLY_CHANNELS } = require('../services/submissions');
+
+// Phone numbers accepted by the contact, quote and store routes
+const PHONE_PATTERN = '^[+]?[\\d\\s\\-()]{7,20}$';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Reference a schema under components.schemas
+ */
+function ref(name) {
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * A JSON success response wrapping data in the standard envelope.
+ * extra adds top-level properties next to data (count, message, ...).
+ */
+function success(description, data, extra = {}) {
+    return {
+        description,
+        content: {
+            'application/json': {
+                schema: {
+                    type: 'object',
+                    required: ['success'],
+                    properties: {
+                        success: { type: 'boolean', enum: [true] },
+                        ...extra,
+                        ...(data && { data })
+                    }
+                }
+            }
+        }
+    };
+}
+
+/**
+ * A success response for a list: { success, count, data: [item] }
+ */
+function list(description, item, extra = {}) {
+    return success(description, { type: 'array', items: item }, {
+        count: { type: 'integer', description: 'Number of items in data' },
+        ...extra
+    });
+}
+
+/**
+ * A success response for a paged list (see the Page schema)
+ */
+function page(description, item, extra = {}) {
+    return {
+        description,
+        content: {
+            'application/json': {
+                schema: {
+                    allOf: [
+                        ref('Page'),
+                        {
+                            type: 'object',
+                            properties: {
+                                ...extra,
+                                data: { type: 'array', items: item }
+                            }
+                        }
+                    ]
+                }
+            }
+        }
+    };
+}
+
+/**
+ * A JSON request body
+ */
+function jsonBody(schema, { required = true } = {}) {
+    return {
+        required,
+        content: { 'application/json': { schema } }
+    };
+}
+
+/**
+ * Responses shared by many routes, by status code
+ */
+function errors(...codes) {
+    const known = {
+        400: { $ref: '#/components/responses/BadRequest' },
+        401: { $ref: '#/components/responses/Unauthorized' },
+        403: { $ref: '#/components/responses/Forbidden' },
+        404: { $ref: '#/components/responses/NotFound' },
+        409: { $ref: '#/components/responses/Conflict' },
+        413: { $ref: '#/components/responses/PayloadTooLarge' },
+        422: { $ref: '#/components/responses/Unprocessable' }
+    };
+    return Object.fromEntries(codes.map(code => [code, known[code]]));
+}
+
+/**
+ * Security requirement and description for staff-only operations
+ */
+function staffOnly(...roles) {
+    return {
+        security: [{ bearerAuth: [] }],
+        'x-roles': roles,
+        description: `Requires a staff token with role ${roles.join(' or ')}.`
+    };
+}
+
+// =============================================================================
+// SCHEMAS
+// =============================================================================
+
+// A stock movement, declared apart so StockChange can reuse it as nullable
+const movementSchema = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', format: 'uuid' },
+        storeId: { type: 'string' },
+        sku: { type: 'string' },
+        productId: { type: 'integer' },
+        type: { type: 'string', enum: Object.keys(MOVEMENT_TYPES) },
+        quantity: { type: 'integer', description: 'Signed change' },
+        balance: { type: 'integer' },
+        note: { type: 'string', nullable: true },
+        userId: { type: 'string', nullable: true },
+        createdAt: { type: 'string', format: 'date-time' }
+    }
+};
+
+const schemas = {
+    // Envelopes ---------------------------------------------------------------
+
+    Problem: {
+        type: 'object',
+        description: 'Every failed request, as application/problem+json (RFC 7807). Validation failures list each problem in errors.',
+        required: ['type', 'title', 'status', 'detail', 'code', 'success', 'error'],
+        properties: {
+            type: { type: 'string', example: 'urn:maschem:problem:product_not_found' },
+            title: { type: 'string', example: 'Not Found' },
+            status: { type: 'integer', example: 404 },
+            detail: { type: 'string', example: 'Product not found' },
+            instance: { type: 'string', example: '/api/products/999' },
+            code: {
+                type: 'string',
+                example: 'product_not_found',
+                description: 'Stable machine-readable reason; translate on this rather than detail'
+            },
+            errors: { type: 'array', items: ref('FieldError') },
+            retryAfter: { type: 'integer', description: 'Seconds to wait (429 only)' },
+            requestId: { type: 'string', description: 'Also in the X-Request-Id header; quote it when reporting a problem' },
+            success: { type: 'boolean', enum: [false] },
+            error: { type: 'string', description: 'Same as detail, for clients of the older envelope' }
+        }
+    },
+    FieldError: {
+        type: 'object',
+        required: ['field', 'message'],
+        properties: {
+            field: { type: 'string', nullable: true, example: 'email' },
+            message: { type: 'string', example: 'Please provide a valid email address' }
+        }
+    },
+    Page: {
+        type: 'object',
+        description: 'Envelope of paged lists. Links keep the other query parameters and are null at either end.',
+        required: ['success', 'count', 'total', 'page', 'pages', 'limit', 'links'],
+        properties: {
+            success: { type: 'boolean', enum: [true] },
+            count: { type: 'integer', description: 'Items on this page' },
+            total: { type: 'integer', description: 'Items matching the filters' },
+            page: { type: 'integer', minimum: 1 },
+            pages: { type: 'integer', minimum: 1 },
+            limit: { type: 'integer', minimum: 1, maximum: 100 },
+            links: {
+                type: 'object',
+                properties: {
+                    self: { type: 'string', example: '/api/products?page=1&limit=50' },
+                    next: { type: 'string', nullable: true },
+                    prev: { type: 'string', nullable: true }
+                }
+            }
+        }
+    },
+
+    // Products ----------------------------------------------------------------
+
+    Variant: {
+        type: 'object',
+        description: 'A pack size. Variant SKUs are unique across the catalog.',
+        required: ['sku', 'size', 'price', 'stock'],
+        properties: {
+            sku: { type: 'string', example: 'MAS-0001-5L' },
+            size: { type: 'string', example: '5L' },
+            price: { type: 'number', minimum: 0, example: 185 },
+            stock: { type: 'integer', minimum: 0, readOnly: true, description: 'Total across all stores, changed through /inventory' }
+        }
+    },
+    VariantInput: {
+        type: 'object',
+        required: ['size', 'price'],
+        properties: {
+            sku: { type: 'string', description: 'Generated from the product SKU and size when left out' },
+            size: { type: 'string', minLength: 1 },
+            price: { type: 'number', minimum: 0 }
+        }
+    },
+    Dilution: {
+        type: 'object',
+        required: ['application', 'ratio'],
+        properties: {
+            application: { type: 'string', example: 'Floors' },
+            ratio: { type: 'string', example: '1:50' }
+        }
+    },
+    GhsLabel: {
+        type: 'object',
+        required: ['pictograms'],
+        properties: {
+            pictograms: {
+                type: 'array',
+                uniqueItems: true,
+                items: { type: 'string', enum: Object.keys(GHS_PICTOGRAMS) },
+                description: Object.entries(GHS_PICTOGRAMS).map(([code, name]) => `${code}: ${name}`).join(', ')
+            },
+            signalWord: { type: 'string', enum: SIGNAL_WORDS, nullable: true }
+        }
+    },
+    DocumentVersion: {
+        type: 'object',
+        properties: {
+            version: { type: 'integer', minimum: 1 },
+            revisionDate: { type: 'string', format: 'date' },
+            fileId: { type: 'string' },
+            fileName: { type: 'string' },
+            size: { type: 'integer', description: 'Bytes' },
+            uploadedAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    Rendition: {
+        type: 'object',
+        properties: {
+            webp: { type: 'string' },
+            jpeg: { type: 'string' },
+            width: { type: 'integer' },
+            height: { type: 'integer' }
+        }
+    },
+    Product: {
+        type: 'object',
+        required: ['id', 'schemaVersion', 'sku', 'slug', 'name', 'image', 'description', 'packaging', 'category', 'price', 'variants'],
+        properties: {
+            id: { type: 'integer', minimum: 1, example: 1 },
+            schemaVersion: { type: 'integer', example: 2 },
+            sku: { type: 'string', pattern: '^[A-Z0-9][A-Z0-9-]{1,31}$', example: 'MAS-0001' },
+            slug: { type: 'string', pattern: '^[a-z0-9]+(?:-[a-z0-9]+)*$', example: 'dish-delux' },
+            name: { type: 'string', example: 'Dish delux' },
+            image: { type: 'string', description: 'Image URL; the medium JPEG when an image was uploaded' },
+            images: {
+                type: 'object',
+                description: 'Renditions of an uploaded image',
+                properties: {
+                    id: { type: 'string' },
+                    width: { type: 'integer' },
+                    height: { type: 'integer' },
+                    thumb: ref('Rendition'),
+                    medium: ref('Rendition'),
+                    large: ref('Rendition')
+                }
+            },
+            description: { type: 'string' },
+            packaging: { type: 'string', description: 'Variant sizes joined with " / "', example: '750ml / 2L / 5L' },
+            category: { type: 'string', example: 'Cleaning Chemicals' },
+            price: { type: 'number', minimum: 0, description: 'Lowest variant price' },
+            variants: { type: 'array', minItems: 1, items: ref('Variant') },
+            usage: { type: 'string' },
+            dilution: { type: 'array', items: ref('Dilution') },
+            safety: { type: 'array', items: { type: 'string' } },
+            ghs: ref('GhsLabel'),
+            tags: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 50 } },
+            documents: {
+                type: 'object',
+                description: `Data sheet versions by type, oldest first: ${Object.entries(DOCUMENT_TYPES).map(([type, name]) => `${type} (${name})`).join(', ')}`,
+                properties: Object.fromEntries(Object.keys(DOCUMENT_TYPES).map(type => [
+                    type, { type: 'array', items: ref('DocumentVersion') }
+                ]))
+            },
+            documentVersions: {
+                type: 'object',
+                description: 'Highest version ever issued per document type. Removed versions keep their number, so the next upload never reuses it.',
+                additionalProperties: { type: 'integer', minimum: 1 },
+                example: { sds: 3 }
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    ProductInput: {
+        type: 'object',
+        description: 'Give variants, or packaging and price for a product sold in a single pack size.',
+        required: ['name', 'description', 'category'],
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            description: { type: 'string', minLength: 1 },
+            category: { type: 'string', minLength: 1 },
+            packaging: { type: 'string', description: 'Required without variants' },
+            price: { type: 'number', minimum: 0, description: 'Required without variants' },
+            sku: { type: 'string', description: 'Generated when left out' },
+            image: { type: 'string' },
+            variants: { type: 'array', minItems: 1, items: ref('VariantInput') },
+            usage: { type: 'string' },
+            dilution: { type: 'array', items: ref('Dilution') },
+            safety: { type: 'array', items: { type: 'string' } },
+            ghs: ref('GhsLabel'),
+            tags: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 50 } }
+        }
+    },
+    ProductUpdate: {
+        type: 'object',
+        description: 'Only the fields given change. price and packaging can only be set on a product with a single pack size; variants replaces them all.',
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            description: { type: 'string' },
+            category: { type: 'string' },
+            packaging: { type: 'string' },
+            price: { type: 'number', minimum: 0 },
+            sku: { type: 'string' },
+            slug: { type: 'string' },
+            image: { type: 'string' },
+            variants: { type: 'array', minItems: 1, items: ref('VariantInput') },
+            usage: { type: 'string' },
+            dilution: { type: 'array', items: ref('Dilution') },
+            safety: { type: 'array', items: { type: 'string' } },
+            ghs: ref('GhsLabel'),
+            tags: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 50 } }
+        }
+    },
+    Suggestion: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            slug: { type: 'string' },
+            category: { type: 'string' },
+            image: { type: 'string' }
+        }
+    },
+    ImportResult: {
+        type: 'object',
+        properties: {
+            row: { type: 'integer', description: 'Spreadsheet row (CSV, header is row 1) or array position (JSON, from 1)' },
+            sku: { type: 'string' },
+            id: { type: 'integer' },
+            action: { type: 'string', enum: ['create', 'update', 'unchanged'] },
+            changes: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        field: { type: 'string', example: 'variants.MAS-0001-5L.price' },
+                        from: {},
+                        to: {}
+                    }
+                }
+            },
+            name: { type: 'string' }
+        }
+    },
+    ImportError: {
+        type: 'object',
+        properties: {
+            row: { type: 'integer' },
+            sku: { type: 'string' },
+            field: { type: 'string', nullable: true },
+            message: { type: 'string' }
+        }
+    },
+    ImportSummary: {
+        type: 'object',
+        properties: {
+            errors: { type: 'integer' },
+            create: { type: 'integer' },
+            update: { type: 'integer' },
+            unchanged: { type: 'integer' }
+        }
+    },
+
+    // Stores ------------------------------------------------------------------
+
+    Hours: {
+        type: 'object',
+        nullable: true,
+        description: 'Trading hours of a day; null when closed',
+        required: ['open', 'close'],
+        properties: {
+            open: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', example: '08:00' },
+            close: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', example: '17:00' }
+        }
+    },
+    WeeklyHours: {
+        type: 'object',
+        description: 'Hours keyed by weekday; days left out are closed',
+        properties: Object.fromEntries(DAYS.map(day => [day, ref('Hours')])),
+        additionalProperties: false
+    },
+    Closure: {
+        type: 'object',
+        required: ['date', 'name'],
+        properties: {
+            date: { type: 'string', format: 'date', example: '2026-12-25' },
+            name: { type: 'string', example: 'Christmas Day' }
+        }
+    },
+    Address: {
+        type: 'object',
+        properties: {
+            street: { type: 'string' },
+            town: { type: 'string' },
+            province: { type: 'string' },
+            postalCode: { type: 'string', pattern: '^\\d{4}$' }
+        }
+    },
+    Coordinates: {
+        type: 'object',
+        properties: {
+            lat: { type: 'number', minimum: -90, maximum: 90 },
+            lng: { type: 'number', minimum: -180, maximum: 180 }
+        }
+    },
+    StoreStatus: {
+        type: 'object',
+        properties: {
+            open: { type: 'boolean' },
+            label: { type: 'string', example: 'Open until 17:00' },
+            closesAt: { type: 'string', example: '17:00' },
+            nextOpen: {
+                type: 'object',
+                nullable: true,
+                properties: {
+                    date: { type: 'string', format: 'date' },
+                    day: { type: 'string', enum: DAYS },
+                    open: { type: 'string' }
+                }
+            }
+        }
+    },
+    Store: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', example: 'polokwane' },
+            name: { type: 'string' },
+            address: ref('Address'),
+            coordinates: ref('Coordinates'),
+            phone: { type: 'string', nullable: true },
+            hours: ref('WeeklyHours'),
+            closures: { type: 'array', items: ref('Closure') },
+            status: ref('StoreStatus')
+        }
+    },
+    StoreInput: {
+        type: 'object',
+        required: ['name', 'address', 'coordinates', 'hours'],
+        properties: {
+            id: { type: 'string', pattern: '^[a-z0-9]+(?:-[a-z0-9]+)*$', description: 'Derived from the name when left out' },
+            name: { type: 'string', minLength: 1, maxLength: 100 },
+            address: {
+                allOf: [ref('Address'), { required: ['street', 'town'] }]
+            },
+            coordinates: {
+                allOf: [ref('Coordinates'), { required: ['lat', 'lng'] }]
+            },
+            phone: { type: 'string', nullable: true, pattern: PHONE_PATTERN },
+            hours: ref('WeeklyHours'),
+            closures: { type: 'array', items: ref('Closure') }
+        }
+    },
+
+    // Inventory ---------------------------------------------------------------
+
+    StockLevel: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', example: 'polokwane:MAS-0001-5L' },
+            storeId: { type: 'string' },
+            sku: { type: 'string' },
+            productId: { type: 'integer' },
+            quantity: { type: 'integer', minimum: 0 },
+            lowStockThreshold: { type: 'integer', minimum: 0 },
+            low: { type: 'boolean' },
+            updatedAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    Movement: movementSchema,
+    StockChange: {
+        type: 'object',
+        properties: {
+            level: ref('StockLevel'),
+            movement: { ...movementSchema, nullable: true, description: 'null when the level did not change' }
+        }
+    },
+
+    // Contact and quotes ------------------------------------------------------
+
+    ContactInput: {
+        type: 'object',
+        required: ['firstName', 'lastName', 'email', 'subject', 'message'],
+        properties: {
+            firstName: { type: 'string', minLength: 2, maxLength: 50 },
+            lastName: { type: 'string', minLength: 2, maxLength: 50 },
+            email: { type: 'string', format: 'email' },
+            phone: { type: 'string', pattern: PHONE_PATTERN },
+            subject: { type: 'string', enum: ['general', 'products', 'orders', 'support', 'partnership'] },
+            message: { type: 'string', minLength: 10, maxLength: 2000 },
+            formToken: { type: 'string', description: 'From GET /api/contact/token' },
+            website: { type: 'string', description: 'Honeypot: hidden in the form and left empty by people' }
+        }
+    },
+    Submission: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', format: 'uuid' },
+            firstName: { type: 'string' },
+            lastName: { type: 'string' },
+            email: { type: 'string', format: 'email' },
+            phone: { type: 'string', nullable: true },
+            subject: { type: 'string' },
+            message: { type: 'string' },
+            status: { type: 'string', enum: SUBMISSION_STATUSES },
+            spamReasons: {
+                type: 'array',
+                items: {
+                    type: 'string',
+                    enum: ['honeypot', 'missing_token', 'invalid_token', 'expired_token', 'too_fast', 'too_many_links', 'blocked_term', 'duplicate']
+                },
+                description: 'Why the message was flagged as spam'
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+            ipAddress: { type: 'string' },
+            userAgent: { type: 'string' },
+            assignedTo: { type: 'string', format: 'uuid', nullable: true, description: 'Id of the staff member handling it' },
+            notes: { type: 'array', items: ref('SubmissionNote') },
+            replies: { type: 'array', items: ref('SubmissionReply') },
+            history: { type: 'array', items: ref('SubmissionChange'), description: 'Status and assignment changes, oldest first' },
+            sla: {
+                type: 'object',
+                nullable: true,
+                description: 'While pending: when the reply is due, in business hours, and whether it is late. Null otherwise, or if createdAt is not a valid time.',
+                properties: {
+                    dueAt: { type: 'string', format: 'date-time' },
+                    overdue: { type: 'boolean' }
+                }
+            }
+        }
+    },
+    SubmissionNote: {
+        type: 'object',
+        description: 'Internal note, never shown to the customer',
+        properties: {
+            id: { type: 'string', format: 'uuid' },
+            text: { type: 'string' },
+            userId: { type: 'string', format: 'uuid' },
+            createdAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    SubmissionReply: {
+        type: 'object',
+        description: 'A reply sent to the customer outside the app',
+        properties: {
+            id: { type: 'string', format: 'uuid' },
+            channel: { type: 'string', enum: REPLY_CHANNELS },
+            message: { type: 'string' },
+            userId: { type: 'string', format: 'uuid' },
+            sentAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    SubmissionChange: {
+        type: 'object',
+        properties: {
+            type: { type: 'string', enum: ['status', 'assignment'] },
+            from: { type: 'string', nullable: true, description: 'Status, or assignee id (null when unassigned)' },
+            to: { type: 'string', nullable: true },
+            userId: { type: 'string', format: 'uuid', description: 'Who made the change' },
+            at: { type: 'string', format: 'date-time' }
+        }
+    },
+    Assignee: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', format: 'uuid' },
+            name: { type: 'string' },
+            email: { type: 'string', format: 'email' },
+            role: { type: 'string', enum: ['admin', 'sales'] }
+        }
+    },
+    QuoteItemInput: {
+        type: 'object',
+        required: ['productId', 'sku', 'quantity'],
+        properties: {
+            productId: { oneOf: [{ type: 'integer' }, { type: 'string' }] },
+            sku: { type: 'string', minLength: 1 },
+            quantity: { type: 'integer', minimum: 1, maximum: 10000 }
+        }
+    },
+    QuoteInput: {
+        type: 'object',
+        required: ['name', 'email', 'items'],
+        properties: {
+            name: { type: 'string', minLength: 2, maxLength: 100 },
+            company: { type: 'string', maxLength: 100 },
+            email: { type: 'string', format: 'email' },
+            phone: { type: 'string', pattern: PHONE_PATTERN },
+            notes: { type: 'string', maxLength: 2000 },
+            items: { type: 'array', minItems: 1, maxItems: 50, items: ref('QuoteItemInput') }
+        }
+    },
+    QuoteLine: {
+        type: 'object',
+        properties: {
+            productId: { type: 'integer' },
+            sku: { type: 'string' },
+            name: { type: 'string' },
+            size: { type: 'string' },
+            unitPrice: { type: 'number' },
+            quantity: { type: 'integer' }
+        }
+    },
+    Quote: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', format: 'uuid' },
+            reference: { type: 'string', example: 'MQ-261019-7F3A' },
+            status: { type: 'string', enum: ['new', 'quoted', 'accepted', 'rejected'] },
+            name: { type: 'string' },
+            company: { type: 'string', nullable: true },
+            email: { type: 'string', format: 'email' },
+            phone: { type: 'string', nullable: true },
+            notes: { type: 'string', nullable: true },
+            items: { type: 'array', items: ref('QuoteLine') },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+        }
+    },
+
+    // Staff -------------------------------------------------------------------
+
+    User: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', format: 'uuid' },
+            email: { type: 'string', format: 'email' },
+            name: { type: 'string' },
+            role: { type: 'string', enum: ROLES },
+            active: { type: 'boolean' },
+            createdAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    Snapshot: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', example: 'products-2026-10-19T08-00-00-000Z.json' },
+            collection: { type: 'string' },
+            size: { type: 'integer', description: 'Bytes' },
+            createdAt: { type: 'string', format: 'date-time' }
+        }
+    }
+};
+
+// =============================================================================
+// PARAMETERS AND RESPONSES
+// =============================================================================
+
+const parameters = {
+    ProductId: {
+        name: 'id',
+        in: 'path',
+        required: true,
+        schema: { type: 'integer', minimum: 1 },
+        description: 'Product ID'
+    },
+    Page: {
+        name: 'page',
+        in: 'query',
+        schema: { type: 'integer', minimum: 1, default: 1 }
+    },
+    Limit: {
+        name: 'limit',
+        in: 'query',
+        schema: { type: 'integer', minimum: 1, maximum: 100, default: 50 },
+        description: 'Items per page'
+    },
+    Fields: {
+        name: 'fields',
+        in: 'query',
+        schema: { type: 'string', example: 'name,slug,price' },
+        description: `Comma-separated product fields to return; id is always included. One of: ${Object.keys(schemas.Product.properties).join(', ')}`
+    }
+};
+
+const problemContent = { 'application/problem+json': { schema: ref('Problem') } };
+
+const responses = {
+    BadRequest: { description: 'The request failed validation', content: problemContent },
+    Unauthorized: { description: 'Missing, invalid or expired token', content: problemContent },
+    Forbidden: { description: 'The token\'s role may not do this', content: problemContent },
+    NotFound: { description: 'No such record', content: problemContent },
+    Conflict: { description: 'Clashes with existing data', content: problemContent },
+    PayloadTooLarge: { description: 'The uploaded file is too large', content: problemContent },
+    Unprocessable: { description: 'Well-formed, but the data it names cannot be used', content: problemContent }
+};
+
+const securitySchemes = {
+    bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT',
+        description: 'Token from POST /api/auth/login'
+    }
+};
+
+module.exports = {
+    ref,
+    success,
+    list,
+    page,
+    jsonBody,
+    errors,
+    staffOnly,
+    components: {
+        schemas,
+        parameters,
+        responses,
+        securitySchemes
+    }
+};
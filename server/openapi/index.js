@@ -0,0 +1,79 @@
+/**
+ * OpenAPI Document
+ *
+ * The OpenAPI 3 description of the Maschem API, served at
+ * /api/docs/openapi.json and browsed at /api/docs. Paths are kept in one
+ * file per router under paths/, next to the routes they describe; shared
+ * schemas and envelopes live in components.js.
+ *
+ * Run `npm run check:openapi` after adding or removing a route: it fails
+ * when a route is missing from the document or the document lists a route
+ * that no longer exists.
+ */
+
+const { version } = require('../package.json');
+const { success, components } = require('./components');
+
+const spec = {
+    openapi: '3.0.3',
+    info: {
+        title: 'Maschem API',
+        version,
+        description: [
+            'Catalog, stores, stock, quotes and contact messages for the Maschem website.',
+            '',
+            'Every JSON response is an envelope: `{ success: true, data, ... }` on success.',
+            'Failures are `application/problem+json` (RFC 7807) documents with a stable',
+            '`code` to translate or branch on, and `errors` listing `{ field, message }`',
+            'for each validation problem. They also keep `success: false` and `error`.',
+            '',
+            'Reads are mostly public. Staff operations need a bearer token from',
+            '`POST /auth/login`. Each client may make 100 requests per 15 minutes by',
+            'default, with stricter limits on `POST /contact` and `POST /auth/login`;',
+            'beyond that requests get a 429 response (code `rate_limited`) with a',
+            '`Retry-After` header. Admin requests are not limited.',
+            'A 503 (code `storage_unavailable`) means the data store failed and the',
+            'request can be retried.',
+            '',
+            'Every response has an `X-Request-Id` header. Send your own to correlate',
+            'requests with our logs; otherwise one is generated.'
+        ].join('\n')
+    },
+    servers: [{ url: '/api' }],
+    tags: [
+        { name: 'Products', description: 'The catalog, pack sizes, images, data sheets, search and bulk import/export' },
+        { name: 'Stores', description: 'Store locations, trading hours and closures' },
+        { name: 'Inventory', description: 'Stock per pack size and store' },
+        { name: 'Quotes', description: 'Quote requests from the website quote cart' },
+        { name: 'Contact', description: 'Contact form messages' },
+        { name: 'Auth', description: 'Staff login and user management' },
+        { name: 'Backups', description: 'Collection snapshots' },
+        { name: 'System', description: 'Health checks' }
+    ],
+    paths: {
+        '/health': {
+            get: {
+                tags: ['System'],
+                summary: 'Check the API is running',
+                responses: {
+                    200: success('The API is up', null, {
+                        message: { type: 'string' },
+                        timestamp: { type: 'string', format: 'date-time' },
+                        environment: { type: 'string' },
+                        version: { type: 'string' }
+                    })
+                }
+            }
+        },
+        ...require('./paths/products'),
+        ...require('./paths/stores'),
+        ...require('./paths/inventory'),
+        ...require('./paths/quotes'),
+        ...require('./paths/contact'),
+        ...require('./paths/auth'),
+        ...require('./paths/backups')
+    },
+    components
+};
+
+module.exports = spec;
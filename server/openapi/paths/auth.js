@@ -0,0 +1,93 @@
+/**
+ * OpenAPI paths for /api/auth (routes/auth.js)
+ */
+
+const { ref, success, list, jsonBody, errors, staffOnly } = require('../components');
+const { ROLES } = require('../../services/users');
+
+const tags = ['Auth'];
+const admin = staffOnly('admin');
+
+module.exports = {
+    '/auth/login': {
+        post: {
+            tags,
+            summary: 'Log in and get a token',
+            description: 'Send the token as "Authorization: Bearer <token>" to staff-only operations.',
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['email', 'password'],
+                properties: {
+                    email: { type: 'string', format: 'email' },
+                    password: { type: 'string', format: 'password' }
+                }
+            }),
+            responses: {
+                200: success('A token and the signed-in user', {
+                    type: 'object',
+                    properties: {
+                        token: { type: 'string' },
+                        user: ref('User')
+                    }
+                }),
+                ...errors(400, 401)
+            }
+        }
+    },
+    '/auth/me': {
+        get: {
+            tags,
+            summary: 'Get the signed-in user',
+            ...staffOnly(...ROLES),
+            responses: {
+                200: success('The signed-in user', ref('User')),
+                ...errors(401)
+            }
+        }
+    },
+    '/auth/users': {
+        get: {
+            tags,
+            summary: 'List staff users',
+            ...admin,
+            responses: {
+                200: list('Staff users', ref('User')),
+                ...errors(401, 403)
+            }
+        },
+        post: {
+            tags,
+            summary: 'Create a staff user',
+            ...admin,
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['email', 'password', 'role'],
+                properties: {
+                    email: { type: 'string', format: 'email' },
+                    password: { type: 'string', format: 'password', minLength: 10 },
+                    name: { type: 'string' },
+                    role: { type: 'string', enum: ROLES }
+                }
+            }),
+            responses: {
+                201: success('The new user', ref('User'), { message: { type: 'string' } }),
+                ...errors(400, 401, 403, 409)
+            }
+        }
+    },
+    '/auth/users/{id}': {
+        delete: {
+            tags,
+            summary: 'Delete a staff user',
+            ...admin,
+            description: `${admin.description} You cannot delete your own account.`,
+            parameters: [
+                { name: 'id', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }
+            ],
+            responses: {
+                200: success('The deleted user', ref('User'), { message: { type: 'string' } }),
+                ...errors(400, 401, 403, 404)
+            }
+        }
+    }
+};
@@ -0,0 +1,51 @@
+/**
+ * OpenAPI paths for /api/backups (routes/backups.js)
+ */
+
+const { ref, success, list, errors, staffOnly } = require('../components');
+
+const RESTORABLE_COLLECTIONS = ['products', 'stores', 'submissions', 'quotes', 'inventory', 'stock_movements'];
+
+const tags = ['Backups'];
+const admin = staffOnly('admin');
+
+const collection = {
+    name: 'collection',
+    in: 'path',
+    required: true,
+    schema: { type: 'string', enum: RESTORABLE_COLLECTIONS }
+};
+
+module.exports = {
+    '/backups/{collection}': {
+        get: {
+            tags,
+            summary: 'List snapshots of a collection, newest first',
+            ...admin,
+            parameters: [collection],
+            responses: {
+                200: list('Snapshots', ref('Snapshot')),
+                ...errors(400, 401, 403)
+            }
+        }
+    },
+    '/backups/{collection}/{snapshot}/restore': {
+        post: {
+            tags,
+            summary: 'Replace a collection with a snapshot',
+            ...admin,
+            description: `${admin.description} The current data is snapshotted first, so a restore can be undone. Snapshots with invalid records are refused with 422 invalid_snapshot and nothing changes; product snapshots from an older schema are migrated as they are restored.`,
+            parameters: [
+                collection,
+                { name: 'snapshot', in: 'path', required: true, schema: { type: 'string' }, description: 'Snapshot id from the list' }
+            ],
+            responses: {
+                200: success('The collection was restored', null, {
+                    message: { type: 'string' },
+                    count: { type: 'integer', description: 'Records restored' }
+                }),
+                ...errors(400, 401, 403, 404, 422)
+            }
+        }
+    }
+};
@@ -0,0 +1,162 @@
+/**
+ * OpenAPI paths for /api/contact (routes/contact.js)
+ */
+
+const { ref, success, list, jsonBody, errors, staffOnly } = require('../components');
+const { SUBMISSION_STATUSES, REPLY_CHANNELS, SLA_PENDING_HOURS } = require('../../services/submissions');
+
+const tags = ['Contact'];
+const readers = staffOnly('admin', 'sales', 'viewer');
+const writers = staffOnly('admin', 'sales');
+
+const submissionId = {
+    name: 'id',
+    in: 'path',
+    required: true,
+    schema: { type: 'string', format: 'uuid' }
+};
+
+module.exports = {
+    '/contact/token': {
+        get: {
+            tags,
+            summary: 'Get a token for the contact form',
+            description: 'Fetch when the form is shown and send it back as formToken. A message sent without one, or sooner than minSeconds after it was issued, is treated as spam.',
+            responses: {
+                200: success('A form token', {
+                    type: 'object',
+                    properties: {
+                        token: { type: 'string' },
+                        minSeconds: { type: 'integer' }
+                    }
+                })
+            }
+        }
+    },
+    '/contact': {
+        post: {
+            tags,
+            summary: 'Send a contact form message',
+            description: 'The sales team is notified and the customer gets an acknowledgement by email. Messages that look like spam (a filled-in honeypot field, a missing or too recent form token, many links, blocked terms, or a repeat of a recent message) are answered the same way but stored with status spam, and nobody is emailed.',
+            requestBody: jsonBody(ref('ContactInput')),
+            responses: {
+                201: success('The message was received', {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string', format: 'uuid' },
+                        submittedAt: { type: 'string', format: 'date-time' }
+                    }
+                }, { message: { type: 'string' } }),
+                ...errors(400)
+            }
+        }
+    },
+    '/contact/submissions': {
+        get: {
+            tags,
+            summary: 'List contact form messages',
+            ...readers,
+            description: `${readers.description} Spam is left out unless status=spam.`,
+            parameters: [
+                { name: 'status', in: 'query', schema: { type: 'string', enum: SUBMISSION_STATUSES } },
+                { name: 'assignedTo', in: 'query', schema: { type: 'string' }, description: 'A user id, "me" or "none" for unassigned messages' },
+                { name: 'overdue', in: 'query', schema: { type: 'boolean' }, description: `Only pending messages waiting more than ${SLA_PENDING_HOURS} business hours` },
+                { name: 'sort', in: 'query', schema: { type: 'string', enum: ['newest', 'oldest'], default: 'newest' } }
+            ],
+            responses: {
+                200: list('Messages', ref('Submission')),
+                ...errors(400, 401, 403)
+            }
+        }
+    },
+    '/contact/submissions/assignees': {
+        get: {
+            tags,
+            summary: 'List the staff who can be assigned messages',
+            ...readers,
+            responses: {
+                200: list('Active admin and sales staff', ref('Assignee')),
+                ...errors(401, 403)
+            }
+        }
+    },
+    '/contact/submissions/{id}': {
+        get: {
+            tags,
+            summary: 'Get a message with its notes, replies and history',
+            ...readers,
+            parameters: [submissionId],
+            responses: {
+                200: success('The message', ref('Submission')),
+                ...errors(401, 403, 404)
+            }
+        },
+        patch: {
+            tags,
+            summary: 'Change the status or assignee of a message',
+            ...writers,
+            description: `${writers.description} Send either or both; each change is added to the history.`,
+            parameters: [submissionId],
+            requestBody: jsonBody({
+                type: 'object',
+                minProperties: 1,
+                properties: {
+                    status: { type: 'string', enum: SUBMISSION_STATUSES },
+                    assignedTo: { type: 'string', format: 'uuid', nullable: true, description: 'An active admin or sales user (code invalid_assignee otherwise), or null to unassign' }
+                }
+            }),
+            responses: {
+                200: success('The updated message', ref('Submission'), { message: { type: 'string' } }),
+                ...errors(400, 401, 403, 404)
+            }
+        },
+        delete: {
+            tags,
+            summary: 'Delete a message',
+            ...writers,
+            parameters: [submissionId],
+            responses: {
+                200: success('The deleted message', ref('Submission'), { message: { type: 'string' } }),
+                ...errors(401, 403, 404)
+            }
+        }
+    },
+    '/contact/submissions/{id}/notes': {
+        post: {
+            tags,
+            summary: 'Add an internal note to a message',
+            ...writers,
+            parameters: [submissionId],
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['text'],
+                properties: { text: { type: 'string', minLength: 1, maxLength: 2000 } }
+            }),
+            responses: {
+                201: success('The message with the new note', ref('Submission'), { message: { type: 'string' } }),
+                ...errors(400, 401, 403, 404)
+            }
+        }
+    },
+    '/contact/submissions/{id}/replies': {
+        post: {
+            tags,
+            summary: 'Log a reply sent to the customer',
+            ...writers,
+            description: `${writers.description} Records a reply made outside the app; nothing is sent. A pending or read message becomes responded.`,
+            parameters: [submissionId],
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['channel', 'message'],
+                properties: {
+                    channel: { type: 'string', enum: REPLY_CHANNELS },
+                    message: { type: 'string', minLength: 1, maxLength: 5000, description: 'What was sent or said' }
+                }
+            }),
+            responses: {
+                201: success('The message with the logged reply', ref('Submission'), { message: { type: 'string' } }),
+                ...errors(400, 401, 403, 404)
+            }
+        }
+    }
+};
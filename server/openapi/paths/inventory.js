@@ -0,0 +1,128 @@
+/**
+ * OpenAPI paths for /api/inventory (routes/inventory.js)
+ */
+
+const { ref, success, list, jsonBody, errors, staffOnly } = require('../components');
+const { MOVEMENT_TYPES } = require('../../services/inventory');
+
+const tags = ['Inventory'];
+const readers = staffOnly('admin', 'sales', 'viewer');
+const writers = staffOnly('admin', 'sales');
+
+const storeFilter = { name: 'storeId', in: 'query', schema: { type: 'string' } };
+const skuFilter = { name: 'sku', in: 'query', schema: { type: 'string' } };
+const productFilter = { name: 'productId', in: 'query', schema: { type: 'integer' } };
+
+module.exports = {
+    '/inventory/availability': {
+        get: {
+            tags,
+            summary: 'Stores holding stock of each pack size',
+            responses: {
+                200: success('Store ids by product id, then variant SKU', {
+                    type: 'object',
+                    additionalProperties: {
+                        type: 'object',
+                        additionalProperties: { type: 'array', items: { type: 'string' } }
+                    },
+                    example: { 1: { 'MAS-0001-2L': ['polokwane', 'thohoyandou'] } }
+                }, {
+                    stores: { type: 'array', items: ref('Store') }
+                })
+            }
+        }
+    },
+    '/inventory': {
+        get: {
+            tags,
+            summary: 'List stock levels',
+            ...readers,
+            parameters: [
+                storeFilter,
+                productFilter,
+                skuFilter,
+                { name: 'lowStock', in: 'query', schema: { type: 'boolean' }, description: 'Only levels at or below their threshold' }
+            ],
+            responses: {
+                200: list('Stock levels', ref('StockLevel')),
+                ...errors(401, 403)
+            }
+        }
+    },
+    '/inventory/alerts': {
+        get: {
+            tags,
+            summary: 'List levels at or below their low-stock threshold',
+            ...readers,
+            parameters: [storeFilter],
+            responses: {
+                200: list('Low stock levels', ref('StockLevel')),
+                ...errors(401, 403)
+            }
+        }
+    },
+    '/inventory/movements': {
+        get: {
+            tags,
+            summary: 'List stock movements, newest first',
+            ...readers,
+            parameters: [
+                storeFilter,
+                skuFilter,
+                productFilter,
+                { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 1000, default: 100 } }
+            ],
+            responses: {
+                200: list('Movements', ref('Movement')),
+                ...errors(400, 401, 403)
+            }
+        },
+        post: {
+            tags,
+            summary: 'Record a stock movement',
+            ...writers,
+            description: `${writers.description} quantity is a positive count for receipts, returns, sales and damage, and a signed, non-zero change for adjustments. A movement that would take stock below zero is refused with 409.`,
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['storeId', 'sku', 'type', 'quantity'],
+                properties: {
+                    storeId: { type: 'string' },
+                    sku: { type: 'string' },
+                    type: { type: 'string', enum: Object.keys(MOVEMENT_TYPES) },
+                    quantity: { type: 'integer', minimum: -100000, maximum: 100000 },
+                    note: { type: 'string', maxLength: 500 }
+                }
+            }),
+            responses: {
+                201: success('The new level and the logged movement', ref('StockChange'), { message: { type: 'string' } }),
+                ...errors(400, 401, 403, 404, 409)
+            }
+        }
+    },
+    '/inventory/{storeId}/{sku}': {
+        put: {
+            tags,
+            summary: 'Set a level after a stock count, or its threshold',
+            ...writers,
+            description: `${writers.description} A changed quantity is logged as an adjustment.`,
+            parameters: [
+                { name: 'storeId', in: 'path', required: true, schema: { type: 'string' } },
+                { name: 'sku', in: 'path', required: true, schema: { type: 'string' } }
+            ],
+            requestBody: jsonBody({
+                type: 'object',
+                description: 'Give quantity, lowStockThreshold or both',
+                minProperties: 1,
+                properties: {
+                    quantity: { type: 'integer', minimum: 0 },
+                    lowStockThreshold: { type: 'integer', minimum: 0 },
+                    note: { type: 'string', maxLength: 500 }
+                }
+            }),
+            responses: {
+                200: success('The level and the logged adjustment, if any', ref('StockChange'), { message: { type: 'string' } }),
+                ...errors(400, 401, 403, 404)
+            }
+        }
+    }
+};
@@ -0,0 +1,375 @@
+/**
+ * OpenAPI paths for /api/products (routes/products.js)
+ */
+
+const { ref, success, list, page, jsonBody, errors, staffOnly } = require('../components');
+const { DOCUMENT_TYPES } = require('../../schemas/product');
+const { CSV_COLUMNS } = require('../../services/catalogFormats');
+
+const tags = ['Products'];
+const writers = staffOnly('admin', 'sales');
+const admin = staffOnly('admin');
+
+const productId = { $ref: '#/components/parameters/ProductId' };
+const pageParams = [
+    { $ref: '#/components/parameters/Page' },
+    { $ref: '#/components/parameters/Limit' }
+];
+const fields = { $ref: '#/components/parameters/Fields' };
+
+const variantSku = {
+    name: 'sku',
+    in: 'path',
+    required: true,
+    schema: { type: 'string' },
+    example: 'MAS-0001-5L'
+};
+const documentType = {
+    name: 'type',
+    in: 'path',
+    required: true,
+    schema: { type: 'string', enum: Object.keys(DOCUMENT_TYPES) }
+};
+
+const product = success('The product', ref('Product'));
+const changedProduct = message => success(message, ref('Product'), { message: { type: 'string' } });
+
+module.exports = {
+    '/products': {
+        get: {
+            tags,
+            summary: 'List products, a page at a time',
+            description: 'With search and no sort, the best matches come first.',
+            parameters: [
+                { name: 'category', in: 'query', schema: { type: 'string' }, description: 'Exact category name, any case' },
+                { name: 'search', in: 'query', schema: { type: 'string' }, description: 'Full-text search with stemming, synonyms and typo tolerance' },
+                { name: 'minPrice', in: 'query', schema: { type: 'number' } },
+                { name: 'maxPrice', in: 'query', schema: { type: 'number' } },
+                { name: 'sort', in: 'query', schema: { type: 'string', enum: ['price_asc', 'price_desc', 'name_asc', 'name_desc'] } },
+                ...pageParams,
+                fields
+            ],
+            responses: {
+                200: page('A page of products', ref('Product')),
+                ...errors(400)
+            }
+        },
+        post: {
+            tags,
+            summary: 'Create a product',
+            ...writers,
+            requestBody: jsonBody(ref('ProductInput')),
+            responses: {
+                201: changedProduct('The created product'),
+                ...errors(400, 401, 403, 409)
+            }
+        }
+    },
+    '/products/categories': {
+        get: {
+            tags,
+            summary: 'List product categories',
+            parameters: pageParams,
+            responses: {
+                200: page('A page of category names', { type: 'string' }),
+                ...errors(400)
+            }
+        }
+    },
+    '/products/suggest': {
+        get: {
+            tags,
+            summary: 'Autocomplete products for a search box',
+            parameters: [
+                { name: 'q', in: 'query', required: true, schema: { type: 'string', minLength: 1, maxLength: 100 }, description: 'Partly typed search text' },
+                { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 10, default: 5 } }
+            ],
+            responses: {
+                200: list('Best matching products first', ref('Suggestion'), { query: { type: 'string' } }),
+                ...errors(400)
+            }
+        }
+    },
+    '/products/export': {
+        get: {
+            tags,
+            summary: 'Download the catalog',
+            ...staffOnly('admin', 'sales', 'viewer'),
+            parameters: [
+                { name: 'format', in: 'query', schema: { type: 'string', enum: ['csv', 'json'], default: 'csv' } }
+            ],
+            responses: {
+                200: {
+                    description: `An attachment named maschem-catalog-YYYY-MM-DD.<format>. CSV has one row per pack size with the columns ${CSV_COLUMNS.join(', ')}.`,
+                    content: {
+                        'text/csv': { schema: { type: 'string' } },
+                        'application/json': { schema: { type: 'array', items: { type: 'object' } } }
+                    }
+                },
+                ...errors(400, 401, 403)
+            }
+        }
+    },
+    '/products/import': {
+        post: {
+            tags,
+            summary: 'Create and update products from a CSV or JSON file',
+            ...admin,
+            description: `${admin.description} Rows are matched by product SKU and checked with the same rules as POST and PUT. If any row fails, nothing is imported and every problem is listed.`,
+            parameters: [
+                { name: 'dryRun', in: 'query', schema: { type: 'boolean', default: false }, description: 'Preview the changes without saving' },
+                { name: 'format', in: 'query', schema: { type: 'string', enum: ['csv', 'json'] }, description: 'Detected from the file name when left out' }
+            ],
+            requestBody: {
+                required: true,
+                content: {
+                    'multipart/form-data': {
+                        schema: {
+                            type: 'object',
+                            required: ['file'],
+                            properties: { file: { type: 'string', format: 'binary', description: 'Up to 2MB' } }
+                        }
+                    }
+                }
+            },
+            responses: {
+                200: success('What was (or, in a dry run, would be) created, updated or left unchanged', {
+                    type: 'array',
+                    items: ref('ImportResult')
+                }, {
+                    message: { type: 'string' },
+                    dryRun: { type: 'boolean' },
+                    summary: ref('ImportSummary')
+                }),
+                400: {
+                    description: 'The file could not be read (code invalid_import_file), or rows have problems (code import_failed). Nothing was imported.',
+                    content: {
+                        'application/problem+json': {
+                            schema: {
+                                allOf: [ref('Problem'), {
+                                    type: 'object',
+                                    properties: {
+                                        errors: { type: 'array', items: ref('ImportError') },
+                                        summary: ref('ImportSummary'),
+                                        data: { type: 'array', items: ref('ImportResult') }
+                                    }
+                                }]
+                            }
+                        }
+                    }
+                },
+                ...errors(401, 403, 413)
+            }
+        }
+    },
+    '/products/slug/{slug}': {
+        get: {
+            tags,
+            summary: 'Get a product by its URL slug',
+            parameters: [
+                { name: 'slug', in: 'path', required: true, schema: { type: 'string' }, example: 'dish-delux' },
+                fields
+            ],
+            responses: {
+                200: product,
+                ...errors(400, 404)
+            }
+        }
+    },
+    '/products/category/{category}': {
+        get: {
+            tags,
+            summary: 'List the products of a category',
+            description: 'Spaces and dashes are interchangeable, so "cleaning-chemicals" matches "Cleaning Chemicals".',
+            parameters: [
+                { name: 'category', in: 'path', required: true, schema: { type: 'string' }, example: 'cleaning-chemicals' },
+                ...pageParams,
+                fields
+            ],
+            responses: {
+                200: page('A page of products', ref('Product'), { category: { type: 'string' } }),
+                ...errors(400)
+            }
+        }
+    },
+    '/products/{id}': {
+        get: {
+            tags,
+            summary: 'Get a product',
+            parameters: [productId, fields],
+            responses: {
+                200: product,
+                ...errors(400, 404)
+            }
+        },
+        put: {
+            tags,
+            summary: 'Update a product',
+            ...writers,
+            parameters: [productId],
+            requestBody: jsonBody(ref('ProductUpdate')),
+            responses: {
+                200: changedProduct('The updated product'),
+                ...errors(400, 401, 403, 404, 409)
+            }
+        },
+        delete: {
+            tags,
+            summary: 'Delete a product with its image and data sheets',
+            ...writers,
+            parameters: [productId],
+            responses: {
+                200: changedProduct('The deleted product'),
+                ...errors(400, 401, 403, 404)
+            }
+        }
+    },
+    '/products/{id}/variants': {
+        get: {
+            tags,
+            summary: 'List the pack sizes of a product',
+            parameters: [productId],
+            responses: {
+                200: list('The pack sizes', ref('Variant')),
+                ...errors(400, 404)
+            }
+        },
+        post: {
+            tags,
+            summary: 'Add a pack size',
+            ...writers,
+            parameters: [productId],
+            requestBody: jsonBody(ref('VariantInput')),
+            responses: {
+                201: success('The new pack size', ref('Variant'), { message: { type: 'string' } }),
+                ...errors(400, 401, 403, 404, 409)
+            }
+        }
+    },
+    '/products/{id}/variants/{sku}': {
+        put: {
+            tags,
+            summary: 'Update a pack size',
+            ...writers,
+            description: `${writers.description} The SKU itself cannot be changed.`,
+            parameters: [productId, variantSku],
+            requestBody: jsonBody({
+                type: 'object',
+                properties: {
+                    size: { type: 'string', minLength: 1 },
+                    price: { type: 'number', minimum: 0 }
+                }
+            }),
+            responses: {
+                200: success('The updated pack size', ref('Variant'), { message: { type: 'string' } }),
+                ...errors(400, 401, 403, 404)
+            }
+        },
+        delete: {
+            tags,
+            summary: 'Remove a pack size',
+            ...writers,
+            description: `${writers.description} A product always keeps at least one pack size.`,
+            parameters: [productId, variantSku],
+            responses: {
+                200: success('The removed pack size', ref('Variant'), { message: { type: 'string' } }),
+                ...errors(400, 401, 403, 404)
+            }
+        }
+    },
+    '/products/{id}/image': {
+        post: {
+            tags,
+            summary: 'Upload the product image',
+            ...writers,
+            description: `${writers.description} The image is resized into thumb, medium and large WebP and JPEG renditions.`,
+            parameters: [productId],
+            requestBody: {
+                required: true,
+                content: {
+                    'multipart/form-data': {
+                        schema: {
+                            type: 'object',
+                            required: ['image'],
+                            properties: { image: { type: 'string', format: 'binary', description: 'JPEG, PNG or WebP' } }
+                        }
+                    }
+                }
+            },
+            responses: {
+                201: changedProduct('The product with its new images'),
+                ...errors(400, 401, 403, 404, 413)
+            }
+        },
+        delete: {
+            tags,
+            summary: 'Remove the uploaded image',
+            ...writers,
+            parameters: [productId],
+            responses: {
+                200: changedProduct('The product with the placeholder image'),
+                ...errors(400, 401, 403, 404)
+            }
+        }
+    },
+    '/products/{id}/documents/{type}': {
+        get: {
+            tags,
+            summary: 'Download a data sheet',
+            parameters: [
+                productId,
+                documentType,
+                { name: 'version', in: 'query', schema: { type: 'integer', minimum: 1 }, description: 'The latest version when left out' }
+            ],
+            responses: {
+                200: {
+                    description: 'The PDF, as an attachment named <slug>-<type>-v<version>.pdf',
+                    content: { 'application/pdf': { schema: { type: 'string', format: 'binary' } } }
+                },
+                ...errors(400, 404)
+            }
+        },
+        post: {
+            tags,
+            summary: 'Upload a new data sheet version',
+            ...writers,
+            description: `${writers.description} The new version is numbered one above the highest ever issued for the type (documentVersions), so removed numbers are not reused.`,
+            parameters: [productId, documentType],
+            requestBody: {
+                required: true,
+                content: {
+                    'multipart/form-data': {
+                        schema: {
+                            type: 'object',
+                            required: ['document', 'revisionDate'],
+                            properties: {
+                                document: { type: 'string', format: 'binary', description: 'A PDF file' },
+                                revisionDate: { type: 'string', format: 'date', description: 'YYYY-MM-DD' }
+                            }
+                        }
+                    }
+                }
+            },
+            responses: {
+                201: changedProduct('The product with the new version in documents'),
+                ...errors(400, 401, 403, 404, 413)
+            }
+        }
+    },
+    '/products/{id}/documents/{type}/{version}': {
+        delete: {
+            tags,
+            summary: 'Remove a data sheet version',
+            ...writers,
+            parameters: [
+                productId,
+                documentType,
+                { name: 'version', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } }
+            ],
+            responses: {
+                200: changedProduct('The product without that version'),
+                ...errors(400, 401, 403, 404)
+            }
+        }
+    }
+};
@@ -0,0 +1,95 @@
+/**
+ * OpenAPI paths for /api/quotes (routes/quotes.js)
+ */
+
+const { ref, success, list, jsonBody, errors, staffOnly } = require('../components');
+
+const QUOTE_STATUSES = ['new', 'quoted', 'accepted', 'rejected'];
+
+const tags = ['Quotes'];
+const readers = staffOnly('admin', 'sales', 'viewer');
+const writers = staffOnly('admin', 'sales');
+
+const quoteId = {
+    name: 'id',
+    in: 'path',
+    required: true,
+    schema: { type: 'string' },
+    description: 'Quote id'
+};
+
+module.exports = {
+    '/quotes': {
+        post: {
+            tags,
+            summary: 'Request a quote',
+            description: 'Each item must name a product and one of its pack sizes. Repeated SKUs are merged. The sales team is notified and the customer gets an acknowledgement by email.',
+            requestBody: jsonBody(ref('QuoteInput')),
+            responses: {
+                201: success('The quote request with its reference', {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string', format: 'uuid' },
+                        reference: { type: 'string', example: 'MQ-261019-7F3A' },
+                        status: { type: 'string', enum: QUOTE_STATUSES },
+                        items: { type: 'array', items: ref('QuoteLine') },
+                        submittedAt: { type: 'string', format: 'date-time' }
+                    }
+                }, { message: { type: 'string' } }),
+                ...errors(400)
+            }
+        },
+        get: {
+            tags,
+            summary: 'List quote requests',
+            ...readers,
+            parameters: [
+                { name: 'status', in: 'query', schema: { type: 'string', enum: QUOTE_STATUSES } },
+                { name: 'sort', in: 'query', schema: { type: 'string', enum: ['newest', 'oldest'], default: 'newest' } }
+            ],
+            responses: {
+                200: list('Quote requests', ref('Quote')),
+                ...errors(401, 403)
+            }
+        }
+    },
+    '/quotes/{id}': {
+        get: {
+            tags,
+            summary: 'Get a quote request by id or reference',
+            ...readers,
+            parameters: [{ ...quoteId, description: 'Quote id or reference' }],
+            responses: {
+                200: success('The quote request', ref('Quote')),
+                ...errors(401, 403, 404)
+            }
+        },
+        patch: {
+            tags,
+            summary: 'Change the status of a quote request',
+            ...writers,
+            parameters: [quoteId],
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['status'],
+                properties: {
+                    status: { type: 'string', enum: QUOTE_STATUSES }
+                }
+            }),
+            responses: {
+                200: success('The updated quote request', ref('Quote'), { message: { type: 'string' } }),
+                ...errors(400, 401, 403, 404)
+            }
+        },
+        delete: {
+            tags,
+            summary: 'Delete a quote request',
+            ...writers,
+            parameters: [quoteId],
+            responses: {
+                200: success('The deleted quote request', ref('Quote'), { message: { type: 'string' } }),
+                ...errors(401, 403, 404)
+            }
+        }
+    }
+};
@@ -0,0 +1,86 @@
+/**
+ * OpenAPI paths for /api/stores (routes/stores.js)
+ */
+
+const { ref, success, list, jsonBody, errors, staffOnly } = require('../components');
+const { TIMEZONE } = require('../../services/stores');
+
+const tags = ['Stores'];
+const admin = staffOnly('admin');
+
+const storeId = {
+    name: 'id',
+    in: 'path',
+    required: true,
+    schema: { type: 'string' },
+    example: 'polokwane'
+};
+
+const changedStore = message => success(message, ref('Store'), { message: { type: 'string' } });
+
+module.exports = {
+    '/stores': {
+        get: {
+            tags,
+            summary: 'List stores with whether they are open now',
+            responses: {
+                200: list('All stores', ref('Store'), {
+                    timezone: { type: 'string', example: TIMEZONE }
+                })
+            }
+        },
+        post: {
+            tags,
+            summary: 'Add a store',
+            ...admin,
+            requestBody: jsonBody(ref('StoreInput')),
+            responses: {
+                201: changedStore('The new store'),
+                ...errors(400, 401, 403, 409)
+            }
+        }
+    },
+    '/stores/{id}': {
+        get: {
+            tags,
+            summary: 'Get a store with whether it is open now',
+            parameters: [storeId],
+            responses: {
+                200: success('The store', ref('Store')),
+                ...errors(404)
+            }
+        },
+        put: {
+            tags,
+            summary: 'Update a store',
+            ...admin,
+            description: `${admin.description} Address and coordinates are merged; hours and closures are replaced.`,
+            parameters: [storeId],
+            requestBody: jsonBody({
+                type: 'object',
+                properties: {
+                    name: { type: 'string', minLength: 1, maxLength: 100 },
+                    address: ref('Address'),
+                    coordinates: ref('Coordinates'),
+                    phone: { type: 'string', nullable: true },
+                    hours: ref('WeeklyHours'),
+                    closures: { type: 'array', items: ref('Closure') }
+                }
+            }),
+            responses: {
+                200: changedStore('The updated store'),
+                ...errors(400, 401, 403, 404)
+            }
+        },
+        delete: {
+            tags,
+            summary: 'Remove a store that holds no stock',
+            ...admin,
+            parameters: [storeId],
+            responses: {
+                200: changedStore('The removed store'),
+                ...errors(401, 403, 404, 409)
+            }
+        }
+    }
+};
@@ -0,0 +1,396 @@
+// docs.js - Browser for the OpenAPI document at /api/docs/openapi.json
+//
+// Lists every operation by tag with its parameters, request body and
+// responses, and can send a request ("Try it") with the bearer token from
+// the header form. The token defaults to the admin area's staff session.
+
+const SPEC_URL = "/api/docs/openapi.json";
+const STAFF_SESSION_KEY = "maschem.staffSession";
+const TOKEN_KEY = "maschem.docsToken";
+const METHODS = ["get", "post", "put", "patch", "delete"];
+const MAX_SCHEMA_DEPTH = 6;
+
+let spec;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function escapeHtml(value) {
+    return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+// Inline `code` and blank-line paragraphs, the only markup the spec uses
+function renderText(text) {
+    return escapeHtml(text)
+        .split(/\n\s*\n/)
+        .map(paragraph => `<p>${paragraph.replace(/`([^`]+)`/g, "<code>$1</code>")}</p>`)
+        .join("");
+}
+
+// Follow a "#/components/..." reference
+function resolve(node) {
+    if (!node || !node.$ref) return node;
+    return resolve(node.$ref.slice(2).split("/").reduce((target, key) => target[key], spec));
+}
+
+// Merge allOf parts into one schema
+function flatten(schema) {
+    const resolved = resolve(schema) || {};
+    if (!resolved.allOf) return resolved;
+
+    return resolved.allOf.map(flatten).reduce((merged, part) => ({
+        ...merged,
+        ...part,
+        properties: { ...merged.properties, ...part.properties },
+        required: [...(merged.required || []), ...(part.required || [])]
+    }), { ...resolved, allOf: undefined });
+}
+
+function schemaName(schema) {
+    return schema && schema.$ref ? schema.$ref.split("/").pop() : null;
+}
+
+function getToken() {
+    const saved = sessionStorage.getItem(TOKEN_KEY);
+    if (saved !== null) return saved;
+    try {
+        const session = JSON.parse(sessionStorage.getItem(STAFF_SESSION_KEY));
+        return (session && session.token) || "";
+    } catch {
+        return "";
+    }
+}
+
+// =============================================================================
+// SCHEMAS
+// =============================================================================
+
+// Constraints of a schema as short labels, e.g. ["1-100 chars", "email"]
+function constraints(schema) {
+    const labels = [];
+    if (schema.format) labels.push(schema.format);
+    if (schema.enum) labels.push(`one of: ${schema.enum.join(", ")}`);
+    if (schema.minLength !== undefined || schema.maxLength !== undefined) {
+        labels.push(`${schema.minLength ?? 0}-${schema.maxLength ?? "∞"} chars`);
+    }
+    if (schema.minimum !== undefined || schema.maximum !== undefined) {
+        labels.push(`${schema.minimum ?? "-∞"} to ${schema.maximum ?? "∞"}`);
+    }
+    if (schema.minItems !== undefined || schema.maxItems !== undefined) {
+        labels.push(`${schema.minItems ?? 0}-${schema.maxItems ?? "∞"} items`);
+    }
+    if (schema.pattern) labels.push(`pattern ${schema.pattern}`);
+    if (schema.default !== undefined) labels.push(`default ${JSON.stringify(schema.default)}`);
+    if (schema.nullable) labels.push("nullable");
+    return labels;
+}
+
+function typeLabel(node) {
+    const schema = flatten(node);
+    const name = schemaName(node);
+    if (schema.type === "array") {
+        const items = schema.items || {};
+        return `${schemaName(items) || flatten(items).type || "any"}[]`;
+    }
+    if (schema.oneOf) return schema.oneOf.map(typeLabel).join(" | ");
+    return name || schema.type || (schema.properties ? "object" : "any");
+}
+
+// Nested list of an object's properties with their types and rules
+function renderSchema(node, depth = 0) {
+    const schema = flatten(node);
+    const target = schema.type === "array" ? flatten(schema.items) : schema;
+    const properties = Object.entries(target.properties || {});
+
+    if (properties.length === 0 || depth >= MAX_SCHEMA_DEPTH) {
+        return `<code>${escapeHtml(typeLabel(node))}</code>${schema.description ? ` <span class="text-muted">${escapeHtml(schema.description)}</span>` : ""}`;
+    }
+
+    const required = new Set(target.required || []);
+    return `
+        ${schema.type === "array" ? `<code>${escapeHtml(typeLabel(node))}</code> of` : ""}
+        ${target.description && depth === 0 ? `<div class="text-muted small mb-1">${escapeHtml(target.description)}</div>` : ""}
+        <ul class="schema-tree">
+            ${properties.map(([name, property]) => {
+                const resolved = flatten(property);
+                const nested = Object.keys(flatten(resolved.type === "array" ? resolved.items : resolved).properties || {}).length > 0;
+                return `
+                    <li>
+                        <code class="fw-semibold">${escapeHtml(name)}</code>${required.has(name) ? '<span class="text-danger" title="required">*</span>' : ""}
+                        <code class="text-secondary">${escapeHtml(typeLabel(property))}</code>
+                        ${constraints(resolved).map(label => `<span class="badge text-bg-light border">${escapeHtml(label)}</span>`).join(" ")}
+                        ${resolved.description ? `<span class="text-muted small">${escapeHtml(resolved.description)}</span>` : ""}
+                        ${nested ? renderSchema(property, depth + 1) : ""}
+                    </li>
+                `;
+            }).join("")}
+        </ul>
+    `;
+}
+
+// A plausible value for a schema, for the request body editor
+function exampleFor(node, depth = 0) {
+    const schema = flatten(node);
+    if (schema.example !== undefined) return schema.example;
+    if (schema.default !== undefined) return schema.default;
+    if (schema.enum) return schema.enum[0];
+    if (depth >= MAX_SCHEMA_DEPTH) return null;
+
+    switch (schema.type) {
+        case "array":
+            return [exampleFor(schema.items, depth + 1)];
+        case "integer":
+        case "number":
+            return schema.minimum > 0 ? schema.minimum : 0;
+        case "boolean":
+            return false;
+        case "string":
+            if (schema.format === "email") return "someone@example.com";
+            if (schema.format === "date") return new Date().toISOString().slice(0, 10);
+            return "";
+        default: {
+            const required = new Set(schema.required || []);
+            return Object.fromEntries(Object.entries(schema.properties || {})
+                .filter(([name]) => required.has(name) || depth === 0)
+                .map(([name, property]) => [name, exampleFor(property, depth + 1)]));
+        }
+    }
+}
+
+// =============================================================================
+// OPERATIONS
+// =============================================================================
+
+function renderParameters(parameters) {
+    if (parameters.length === 0) return "";
+    return `
+        <h3 class="h6 mt-3">Parameters</h3>
+        <table class="table table-sm align-middle small mb-0">
+            <tbody>
+                ${parameters.map(p => `
+                    <tr>
+                        <td class="text-nowrap"><code class="fw-semibold">${escapeHtml(p.name)}</code>${p.required ? '<span class="text-danger">*</span>' : ""}</td>
+                        <td class="text-muted">${escapeHtml(p.in)}</td>
+                        <td>
+                            <code class="text-secondary">${escapeHtml(typeLabel(p.schema))}</code>
+                            ${constraints(flatten(p.schema)).map(label => `<span class="badge text-bg-light border">${escapeHtml(label)}</span>`).join(" ")}
+                            ${p.description ? `<div class="text-muted">${escapeHtml(p.description)}</div>` : ""}
+                        </td>
+                    </tr>
+                `).join("")}
+            </tbody>
+        </table>
+    `;
+}
+
+function renderResponses(responses) {
+    return `
+        <h3 class="h6 mt-3">Responses</h3>
+        ${Object.entries(responses).map(([status, node]) => {
+            const response = resolve(node);
+            const [type, media] = Object.entries(response.content || {})[0] || [];
+            return `
+                <div class="response border-top py-2">
+                    <span class="badge ${status.startsWith("2") ? "text-bg-success" : "text-bg-secondary"}">${escapeHtml(status)}</span>
+                    ${escapeHtml(response.description)}
+                    ${type ? `<span class="text-muted small">(${escapeHtml(type)})</span>` : ""}
+                    ${media && media.schema ? `<div class="mt-1">${renderSchema(media.schema)}</div>` : ""}
+                </div>
+            `;
+        }).join("")}
+    `;
+}
+
+// Inputs for path and query parameters and the request body
+function renderTryForm(operation, parameters) {
+    const body = operation.requestBody;
+    const [bodyType, media] = body ? Object.entries(body.content)[0] : [];
+    const formFields = bodyType === "multipart/form-data" ? Object.entries(flatten(media.schema).properties || {}) : [];
+
+    return `
+        <form class="try-form border-top mt-3 pt-3">
+            <h3 class="h6">Try it</h3>
+            <div class="row g-2">
+                ${parameters.filter(p => p.in === "path" || p.in === "query").map(p => `
+                    <div class="col-md-4">
+                        <label class="form-label small mb-0">${escapeHtml(p.name)} <span class="text-muted">(${p.in})</span></label>
+                        <input class="form-control form-control-sm" data-param="${escapeHtml(p.name)}" data-in="${p.in}"
+                            value="${escapeHtml(p.example ?? flatten(p.schema).example ?? "")}" ${p.required ? "required" : ""}>
+                    </div>
+                `).join("")}
+                ${formFields.map(([name, property]) => `
+                    <div class="col-md-6">
+                        <label class="form-label small mb-0">${escapeHtml(name)}</label>
+                        <input class="form-control form-control-sm" data-field="${escapeHtml(name)}"
+                            type="${flatten(property).format === "binary" ? "file" : "text"}">
+                    </div>
+                `).join("")}
+                ${bodyType === "application/json" ? `
+                    <div class="col-12">
+                        <label class="form-label small mb-0">Request body (JSON)</label>
+                        <textarea class="form-control form-control-sm font-monospace" rows="6" data-body>${escapeHtml(JSON.stringify(exampleFor(media.schema), null, 2))}</textarea>
+                    </div>
+                ` : ""}
+            </div>
+            <button type="submit" class="btn btn-sm btn-primary mt-2">Send request</button>
+            <div class="try-result mt-2"></div>
+        </form>
+    `;
+}
+
+function renderOperation(path, method, operation, index) {
+    const parameters = (operation.parameters || []).map(resolve);
+    const secured = Boolean(operation.security);
+
+    return `
+        <details class="operation operation-${method} bg-white rounded-3 shadow-sm mb-2" data-index="${index}">
+            <summary class="d-flex align-items-center gap-2 p-2">
+                <span class="method badge">${method.toUpperCase()}</span>
+                <code class="text-dark">${escapeHtml(path)}</code>
+                <span class="text-muted small flex-grow-1">${escapeHtml(operation.summary)}</span>
+                ${secured ? `<span class="badge text-bg-warning" title="Needs a staff token">${escapeHtml((operation["x-roles"] || []).join(", ") || "staff")}</span>` : ""}
+            </summary>
+            <div class="p-3 pt-0">
+                ${operation.description ? `<div class="small">${renderText(operation.description)}</div>` : ""}
+                ${renderParameters(parameters)}
+                ${operation.requestBody ? `
+                    <h3 class="h6 mt-3">Request body <span class="text-muted small">(${escapeHtml(Object.keys(operation.requestBody.content).join(", "))})</span></h3>
+                    ${renderSchema(Object.values(operation.requestBody.content)[0].schema)}
+                ` : ""}
+                ${renderResponses(operation.responses)}
+                ${renderTryForm(operation, parameters)}
+            </div>
+        </details>
+    `;
+}
+
+// Send the request described by a Try it form and show the response
+async function sendRequest(form, path, method) {
+    const result = form.querySelector(".try-result");
+    let url = spec.servers[0].url + path;
+    const query = new URLSearchParams();
+
+    form.querySelectorAll("[data-param]").forEach(input => {
+        const value = input.value.trim();
+        if (input.dataset.in === "path") url = url.replace(`{${input.dataset.param}}`, encodeURIComponent(value));
+        else if (value) query.set(input.dataset.param, value);
+    });
+    if ([...query].length > 0) url += `?${query}`;
+
+    const options = { method: method.toUpperCase(), headers: {} };
+    const token = getToken();
+    if (token) options.headers.Authorization = `Bearer ${token}`;
+
+    const bodyInput = form.querySelector("[data-body]");
+    const fileFields = form.querySelectorAll("[data-field]");
+    if (bodyInput) {
+        try {
+            options.body = JSON.stringify(JSON.parse(bodyInput.value));
+        } catch {
+            result.innerHTML = '<div class="alert alert-danger py-2 small mb-0">The request body is not valid JSON.</div>';
+            return;
+        }
+        options.headers["Content-Type"] = "application/json";
+    } else if (fileFields.length > 0) {
+        options.body = new FormData();
+        fileFields.forEach(input => {
+            if (input.type === "file" && input.files[0]) options.body.append(input.dataset.field, input.files[0]);
+            else if (input.type !== "file" && input.value) options.body.append(input.dataset.field, input.value);
+        });
+    }
+
+    result.innerHTML = '<div class="text-muted small">Sending...</div>';
+    try {
+        const response = await fetch(url, options);
+        const type = response.headers.get("Content-Type") || "";
+        let output;
+        if (type.includes("json")) {
+            output = `<pre class="response-body">${escapeHtml(JSON.stringify(await response.json(), null, 2))}</pre>`;
+        } else if (type.startsWith("text/")) {
+            output = `<pre class="response-body">${escapeHtml(await response.text())}</pre>`;
+        } else {
+            const blob = await response.blob();
+            output = `<a href="${URL.createObjectURL(blob)}" download>Download the response (${blob.size} bytes)</a>`;
+        }
+        result.innerHTML = `
+            <div class="small mb-1">
+                <span class="badge ${response.ok ? "text-bg-success" : "text-bg-danger"}">${response.status}</span>
+                <code>${escapeHtml(`${options.method} ${url}`)}</code>
+            </div>
+            ${output}
+        `;
+    } catch (error) {
+        result.innerHTML = `<div class="alert alert-danger py-2 small mb-0">${escapeHtml(error.message)}</div>`;
+    }
+}
+
+// =============================================================================
+// PAGE
+// =============================================================================
+
+function renderPage() {
+    document.title = `${spec.info.title} docs`;
+    document.querySelector("#apiTitle").textContent = spec.info.title;
+    document.querySelector("#apiVersion").textContent = `Version ${spec.info.version} · OpenAPI ${spec.openapi}`;
+    document.querySelector("#apiDescription").innerHTML = renderText(spec.info.description || "");
+
+    const operations = [];
+    Object.entries(spec.paths).forEach(([path, item]) => {
+        METHODS.forEach(method => {
+            if (item[method]) operations.push({ path, method, operation: item[method] });
+        });
+    });
+
+    const main = document.querySelector("#operations");
+    main.innerHTML = spec.tags.map(tag => {
+        const tagged = operations
+            .map((entry, index) => ({ ...entry, index }))
+            .filter(entry => (entry.operation.tags || []).includes(tag.name));
+        if (tagged.length === 0) return "";
+        return `
+            <section class="mb-4">
+                <h2 class="h5 fw-bold mb-0">${escapeHtml(tag.name)}</h2>
+                <p class="text-muted small mb-2">${escapeHtml(tag.description)}</p>
+                ${tagged.map(entry => renderOperation(entry.path, entry.method, entry.operation, entry.index)).join("")}
+            </section>
+        `;
+    }).join("");
+
+    main.querySelectorAll(".operation").forEach(details => {
+        const { path, method } = operations[details.dataset.index];
+        details.querySelector(".try-form").addEventListener("submit", event => {
+            event.preventDefault();
+            sendRequest(event.target, path, method);
+        });
+    });
+}
+
+function setupTokenForm() {
+    const input = document.querySelector("#token");
+    input.value = getToken();
+    input.addEventListener("input", () => sessionStorage.setItem(TOKEN_KEY, input.value.trim()));
+    document.querySelector("#clearToken").addEventListener("click", () => {
+        input.value = "";
+        sessionStorage.setItem(TOKEN_KEY, "");
+    });
+    document.querySelector("#tokenForm").addEventListener("submit", event => event.preventDefault());
+}
+
+async function init() {
+    setupTokenForm();
+    try {
+        const response = await fetch(SPEC_URL);
+        spec = await response.json();
+        renderPage();
+    } catch (error) {
+        document.querySelector("#operations").innerHTML =
+            `<div class="alert alert-danger">Could not load ${SPEC_URL}: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+init();
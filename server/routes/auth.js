@@ -0,0 +1,168 @@
+/**
+ * Auth API Routes
+ *
+ * Endpoints for staff authentication and user management:
+ * - POST /api/auth/login - Exchange email and password for a token
+ * - GET /api/auth/me - Get the current user
+ * - GET /api/auth/users - List staff users (admin)
+ * - POST /api/auth/users - Create a staff user (admin)
+ * - DELETE /api/auth/users/:id - Delete a staff user (admin)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const users = require('../services/users');
+const { signToken, authenticate, authorize } = require('../middleware/auth');
+const { ValidationError, UnauthorizedError, NotFoundError } = require('../errors');
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Handle validation errors
+ */
+function handleValidationErrors(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return next(new ValidationError('Some fields are invalid', {
+            errors: errors.array().map(err => ({
+                field: err.path,
+                message: err.msg
+            }))
+        }));
+    }
+    next();
+}
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * POST /api/auth/login
+ * Log in with email and password
+ */
+router.post('/login',
+    [
+        body('email').trim().notEmpty().withMessage('Email is required'),
+        body('password').notEmpty().withMessage('Password is required')
+    ],
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const user = await users.verifyCredentials(req.body.email, req.body.password);
+
+            if (!user) {
+                throw new UnauthorizedError('Invalid email or password', { code: 'invalid_credentials' });
+            }
+
+            res.json({
+                success: true,
+                data: {
+                    token: signToken(user),
+                    user
+                }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * GET /api/auth/me
+ * Get the currently authenticated user
+ */
+router.get('/me', authenticate, (req, res) => {
+    res.json({
+        success: true,
+        data: req.user
+    });
+});
+
+/**
+ * GET /api/auth/users
+ * List all staff users
+ */
+router.get('/users', authenticate, authorize('admin'), async (req, res, next) => {
+    try {
+        const allUsers = await users.listUsers();
+
+        res.json({
+            success: true,
+            count: allUsers.length,
+            data: allUsers
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/auth/users
+ * Create a new staff user
+ */
+router.post('/users',
+    authenticate,
+    authorize('admin'),
+    [
+        body('email')
+            .trim()
+            .notEmpty().withMessage('Email is required')
+            .isEmail().withMessage('Please provide a valid email address'),
+        body('password')
+            .isLength({ min: 10 }).withMessage('Password must be at least 10 characters'),
+        body('name').optional().trim(),
+        body('role')
+            .isIn(users.ROLES).withMessage(`Role must be one of: ${users.ROLES.join(', ')}`)
+    ],
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const user = await users.createUser({
+                email: req.body.email,
+                password: req.body.password,
+                name: req.body.name,
+                role: req.body.role
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'User created successfully',
+                data: user
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * DELETE /api/auth/users/:id
+ * Delete a staff user
+ */
+router.delete('/users/:id', authenticate, authorize('admin'), async (req, res, next) => {
+    try {
+        if (req.params.id === req.user.id) {
+            throw new ValidationError('You cannot delete your own account', { code: 'cannot_delete_self' });
+        }
+
+        const deleted = await users.deleteUser(req.params.id);
+
+        if (!deleted) {
+            throw new NotFoundError('User not found', { code: 'user_not_found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'User deleted successfully',
+            data: deleted
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,187 @@
+/**
+ * Backups API Routes
+ *
+ * Endpoints for browsing and restoring collection snapshots (admin):
+ * - GET /api/backups/:collection - List snapshots, newest first
+ * - POST /api/backups/:collection/:snapshot/restore - Restore a snapshot
+ */
+
+const express = require('express');
+const router = express.Router();
+const { param, validationResult } = require('express-validator');
+const storage = require('../storage');
+const backups = require('../storage/backups');
+const { migrateCatalog, validateCatalog } = require('../schemas/product');
+const { hoursError, closuresError } = require('../services/stores');
+const { ValidationError, NotFoundError, UnprocessableError } = require('../errors');
+
+const RESTORABLE_COLLECTIONS = ['products', 'stores', 'submissions', 'quotes', 'inventory', 'stock_movements'];
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Handle validation errors
+ */
+function handleValidationErrors(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return next(new ValidationError('Some fields are invalid', {
+            errors: errors.array().map(err => ({
+                field: err.path,
+                message: err.msg
+            }))
+        }));
+    }
+    next();
+}
+
+/**
+ * Problems with records any collection shares: each must be an object with
+ * a unique id. Returns an array of { index, id, field, message }.
+ */
+function recordErrors(records) {
+    const errors = [];
+    const ids = new Set();
+
+    records.forEach((record, index) => {
+        if (record.id === undefined || record.id === null || record.id === '') {
+            errors.push({ index, id: null, field: 'id', message: 'Record needs an id' });
+            return;
+        }
+        if (ids.has(String(record.id))) {
+            errors.push({ index, id: record.id, field: 'id', message: `Duplicate id: ${record.id}` });
+        }
+        ids.add(String(record.id));
+    });
+
+    return errors;
+}
+
+/**
+ * Checks of a collection's records, recordErrors() unless listed here.
+ * Products go through the catalog validation, which covers ids too.
+ */
+const SNAPSHOT_CHECKS = {
+    products: validateCatalog,
+
+    stores(records) {
+        const errors = recordErrors(records);
+        records.forEach((store, index) => {
+            const problem = (typeof store.name !== 'string' || !store.name.trim() ? 'Store needs a name' : null)
+                || hoursError(store.hours)
+                || closuresError(store.closures || []);
+            if (problem) errors.push({ index, id: store.id, field: null, message: problem });
+        });
+        return errors;
+    },
+
+    inventory(records) {
+        const errors = recordErrors(records);
+        records.forEach((level, index) => {
+            if (typeof level.sku !== 'string' || typeof level.storeId !== 'string') {
+                errors.push({ index, id: level.id, field: 'sku', message: 'Stock level needs a sku and storeId' });
+            }
+            if (!Number.isInteger(level.quantity) || level.quantity < 0) {
+                errors.push({ index, id: level.id, field: 'quantity', message: 'Quantity must be a whole number of 0 or more' });
+            }
+        });
+        return errors;
+    }
+};
+
+/**
+ * The records to restore from a snapshot, or throw 422 if they would
+ * leave the collection unusable. Product snapshots taken before a schema
+ * change are migrated first, so they restore at the current version.
+ */
+function checkSnapshot(collection, snapshotRecords) {
+    let records = snapshotRecords;
+    let errors = records
+        .map((record, index) => ({ record, index }))
+        .filter(({ record }) => !record || typeof record !== 'object' || Array.isArray(record))
+        .map(({ index }) => ({ index, id: null, field: null, message: 'Record must be an object' }));
+
+    if (errors.length === 0) {
+        if (collection === 'products') {
+            records = migrateCatalog(records).products;
+        }
+        errors = (SNAPSHOT_CHECKS[collection] || recordErrors)(records);
+    }
+
+    if (errors.length > 0) {
+        throw new UnprocessableError(`The snapshot has ${errors.length} problem${errors.length === 1 ? '' : 's'} and was not restored`, {
+            code: 'invalid_snapshot',
+            errors: errors.slice(0, 20).map(({ index, id, field, message }) => ({
+                field,
+                message: `Record ${index}${id !== null && id !== undefined ? ` (id ${id})` : ''}: ${message}`
+            }))
+        });
+    }
+    return records;
+}
+
+const validateCollection = param('collection')
+    .isIn(RESTORABLE_COLLECTIONS)
+    .withMessage(`Collection must be one of: ${RESTORABLE_COLLECTIONS.join(', ')}`);
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * GET /api/backups/:collection
+ * List available snapshots of a collection
+ */
+router.get('/:collection',
+    validateCollection,
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const snapshots = await backups.listBackups(req.params.collection);
+
+            res.json({
+                success: true,
+                count: snapshots.length,
+                data: snapshots
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * POST /api/backups/:collection/:snapshot/restore
+ * Replace a collection with a snapshot. The current data is itself
+ * snapshotted first, so a restore can be undone. Snapshots that fail
+ * validation are refused with 422 and nothing changes.
+ */
+router.post('/:collection/:snapshot/restore',
+    validateCollection,
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const { collection, snapshot } = req.params;
+            const snapshotRecords = await backups.readBackup(collection, snapshot);
+
+            if (!snapshotRecords) {
+                throw new NotFoundError('Snapshot not found', { code: 'snapshot_not_found' });
+            }
+
+            const records = checkSnapshot(collection, snapshotRecords);
+            await storage.collection(collection).replaceAll(records);
+
+            res.json({
+                success: true,
+                message: `Restored ${collection} from ${snapshot}`,
+                count: records.length
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+module.exports = router;
@@ -2,80 +2,50 @@
  * Contact API Routes
  * 
  * Endpoints for contact form submissions:
+ * - GET /api/contact/token - Form token for the spam checks
  * - POST /api/contact - Submit contact form
- * - GET /api/contact/submissions - Get all submissions (admin)
+ * - GET /api/contact/submissions - Get all submissions (staff)
+ * - GET /api/contact/submissions/assignees - Staff who can be assigned messages
+ * - GET /api/contact/submissions/:id - Get a submission with its notes, replies and history (staff)
+ * - PATCH /api/contact/submissions/:id - Change status and/or assignee (staff)
+ * - POST /api/contact/submissions/:id/notes - Add an internal note (staff)
+ * - POST /api/contact/submissions/:id/replies - Log a reply sent to the customer (staff)
+ * - DELETE /api/contact/submissions/:id - Delete a submission (staff)
+ *
+ * Suspected spam (see services/spam.js) is stored with status "spam" and
+ * left out of the inbox unless asked for by status. The staff workflow
+ * lives in services/submissions.js.
  */
 
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
-const fs = require('fs').promises;
-const path = require('path');
+const storage = require('../storage');
+const mail = require('../mail');
+const logger = require('../logger');
+const spam = require('../services/spam');
+const workflow = require('../services/submissions');
+const { ValidationError, NotFoundError } = require('../errors');
 
-// Path to contact submissions file
-const SUBMISSIONS_FILE = path.join(__dirname, '..', 'data', 'contact-submissions.json');
+const submissions = storage.collection('submissions');
 
 // =============================================================================
 // HELPER FUNCTIONS
 // =============================================================================
 
-/**
- * Ensure data directory exists
- */
-async function ensureDataDirectory() {
-    const dataDir = path.dirname(SUBMISSIONS_FILE);
-    try {
-        await fs.access(dataDir);
-    } catch {
-        await fs.mkdir(dataDir, { recursive: true });
-    }
-}
-
-/**
- * Read contact submissions from file
- */
-async function getSubmissions() {
-    try {
-        await ensureDataDirectory();
-        const data = await fs.readFile(SUBMISSIONS_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            return [];
-        }
-        console.error('Error reading submissions file:', error);
-        return [];
-    }
-}
-
-/**
- * Save contact submissions to file
- */
-async function saveSubmissions(submissions) {
-    try {
-        await ensureDataDirectory();
-        await fs.writeFile(SUBMISSIONS_FILE, JSON.stringify(submissions, null, 4), 'utf8');
-        return true;
-    } catch (error) {
-        console.error('Error writing submissions file:', error);
-        return false;
-    }
-}
-
 /**
  * Handle validation errors
  */
 function handleValidationErrors(req, res, next) {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-        return res.status(400).json({
-            success: false,
+        return next(new ValidationError('Some fields are invalid', {
             errors: errors.array().map(err => ({
                 field: err.path,
                 message: err.msg
             }))
-        });
+        }));
     }
     next();
 }
@@ -84,6 +54,21 @@ function handleValidationErrors(req, res, next) {
 // ROUTES
 // =============================================================================
 
+/**
+ * GET /api/contact/token
+ * Token the contact form sends back, timing how long it took to fill in
+ */
+router.get('/token', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({
+        success: true,
+        data: {
+            token: spam.issueFormToken(),
+            minSeconds: spam.MIN_SUBMIT_SECONDS
+        }
+    });
+});
+
 /**
  * POST /api/contact
  * Submit a contact form
@@ -115,13 +100,14 @@ router.post('/',
         body('message')
             .trim()
             .notEmpty().withMessage('Message is required')
-            .isLength({ min: 10, max: 2000 }).withMessage('Message must be 10-2000 characters')
+            .isLength({ min: 10, max: 2000 }).withMessage('Message must be 10-2000 characters'),
+        body('formToken')
+            .optional()
+            .isString().withMessage('Invalid form token')
     ],
     handleValidationErrors,
     async (req, res, next) => {
         try {
-            const submissions = await getSubmissions();
-            
             // Create new submission
             const newSubmission = {
                 id: uuidv4(),
@@ -134,23 +120,40 @@ router.post('/',
                 status: 'pending',
                 createdAt: new Date().toISOString(),
                 ipAddress: req.ip,
-                userAgent: req.get('User-Agent')
+                userAgent: req.get('User-Agent'),
+                assignedTo: null,
+                notes: [],
+                replies: [],
+                history: []
             };
             
-            submissions.push(newSubmission);
-            const saved = await saveSubmissions(submissions);
-            
-            if (!saved) {
-                throw new Error('Failed to save submission');
+            const spamReasons = await spam.detectSpam(newSubmission, req.body);
+            if (spamReasons.length > 0) {
+                newSubmission.status = 'spam';
+                newSubmission.spamReasons = spamReasons;
             }
             
-            // Log submission for development
-            console.log('New contact submission:', {
-                id: newSubmission.id,
-                name: `${newSubmission.firstName} ${newSubmission.lastName}`,
-                email: newSubmission.email,
-                subject: newSubmission.subject
-            });
+            // Public posts skip the backup so a flood of them cannot rotate
+            // out the snapshots taken before staff edits
+            await submissions.insert(newSubmission, { backup: false });
+            
+            if (spamReasons.length > 0) {
+                // Answer as usual so the sender cannot tell, but email nobody
+                logger.warn('Contact submission flagged as spam', {
+                    submissionId: newSubmission.id,
+                    email: newSubmission.email,
+                    reasons: spamReasons
+                });
+            } else {
+                logger.info('New contact submission', {
+                    submissionId: newSubmission.id,
+                    email: newSubmission.email,
+                    subject: newSubmission.subject
+                });
+                
+                // Notify sales and acknowledge to the customer in the background
+                mail.notifyNewSubmission(newSubmission);
+            }
             
             res.status(201).json({
                 success: true,
@@ -168,31 +171,67 @@ router.post('/',
 
 /**
  * GET /api/contact/submissions
- * Get all contact submissions (admin endpoint)
+ * Get contact submissions (staff). Spam is only listed when asked for with
+ * status=spam; assignedTo takes a user id, "me" or "none".
  */
-router.get('/submissions', async (req, res, next) => {
-    try {
-        const submissions = await getSubmissions();
-        
-        // Filter by status if provided
-        let filteredSubmissions = submissions;
-        const { status, sort } = req.query;
-        
-        if (status) {
-            filteredSubmissions = filteredSubmissions.filter(s => s.status === status);
-        }
-        
-        // Sort by date (newest first by default)
-        if (sort === 'oldest') {
-            filteredSubmissions.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-        } else {
-            filteredSubmissions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+router.get('/submissions',
+    [
+        query('status')
+            .optional()
+            .isIn(workflow.SUBMISSION_STATUSES)
+            .withMessage(`Status must be one of: ${workflow.SUBMISSION_STATUSES.join(', ')}`),
+        query('assignedTo').optional().trim().notEmpty().withMessage('Assignee must be a user id, me or none'),
+        query('overdue').optional().isBoolean().withMessage('Overdue must be true or false').toBoolean(),
+        query('sort').optional().isIn(['newest', 'oldest']).withMessage('Sort must be newest or oldest')
+    ],
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const { status, overdue, sort } = req.query;
+            const assignedTo = req.query.assignedTo === 'me' ? req.user.id : req.query.assignedTo;
+
+            const results = await workflow.listSubmissions({ status, assignedTo, overdue, sort });
+
+            res.json({
+                success: true,
+                count: results.length,
+                data: results
+            });
+        } catch (error) {
+            next(error);
         }
-        
+    }
+);
+
+/**
+ * GET /api/contact/submissions/assignees
+ * Active admin and sales staff, for the assignment picker
+ */
+router.get('/submissions/assignees', async (req, res, next) => {
+    try {
+        const assignees = await workflow.listAssignees();
+
         res.json({
             success: true,
-            count: filteredSubmissions.length,
-            data: filteredSubmissions
+            count: assignees.length,
+            data: assignees
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/contact/submissions/:id
+ * Get a submission with its notes, replies and history
+ */
+router.get('/submissions/:id', async (req, res, next) => {
+    try {
+        const submission = await workflow.findSubmission(req.params.id);
+
+        res.json({
+            success: true,
+            data: submission
         });
     } catch (error) {
         next(error);
@@ -201,37 +240,95 @@ router.get('/submissions', async (req, res, next) => {
 
 /**
  * PATCH /api/contact/submissions/:id
- * Update submission status
+ * Change the status and/or assignee (null to unassign); each change is
+ * added to the history. Marking spam as anything else keeps spamReasons,
+ * so the inbox can show it was a false positive.
  */
 router.patch('/submissions/:id',
-    body('status')
-        .isIn(['pending', 'read', 'responded', 'archived'])
-        .withMessage('Invalid status'),
+    [
+        body('status')
+            .optional()
+            .isIn(workflow.SUBMISSION_STATUSES)
+            .withMessage(`Status must be one of: ${workflow.SUBMISSION_STATUSES.join(', ')}`),
+        body('assignedTo')
+            .optional()
+            .custom(value => value === null || (typeof value === 'string' && value.trim() !== ''))
+            .withMessage('Assignee must be a user id or null'),
+        body()
+            .custom(value => value.status !== undefined || value.assignedTo !== undefined)
+            .withMessage('Send a status, an assignedTo, or both')
+    ],
     handleValidationErrors,
     async (req, res, next) => {
         try {
-            const submissions = await getSubmissions();
-            const index = submissions.findIndex(s => s.id === req.params.id);
-            
-            if (index === -1) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Submission not found'
-                });
-            }
-            
-            submissions[index] = {
-                ...submissions[index],
+            const updated = await workflow.updateSubmission(req.params.id, {
                 status: req.body.status,
-                updatedAt: new Date().toISOString()
-            };
-            
-            await saveSubmissions(submissions);
-            
+                assignedTo: req.body.assignedTo
+            }, req.user);
+
             res.json({
                 success: true,
                 message: 'Submission updated successfully',
-                data: submissions[index]
+                data: updated
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * POST /api/contact/submissions/:id/notes
+ * Add an internal note
+ */
+router.post('/submissions/:id/notes',
+    body('text')
+        .trim()
+        .notEmpty().withMessage('Note is required')
+        .isLength({ max: 2000 }).withMessage('Note must be at most 2000 characters'),
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const updated = await workflow.addNote(req.params.id, req.body.text, req.user);
+
+            res.status(201).json({
+                success: true,
+                message: 'Note added',
+                data: updated
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * POST /api/contact/submissions/:id/replies
+ * Log a reply sent to the customer by email, phone or otherwise. A pending
+ * or read submission becomes responded.
+ */
+router.post('/submissions/:id/replies',
+    [
+        body('channel')
+            .isIn(workflow.REPLY_CHANNELS)
+            .withMessage(`Channel must be one of: ${workflow.REPLY_CHANNELS.join(', ')}`),
+        body('message')
+            .trim()
+            .notEmpty().withMessage('Reply is required')
+            .isLength({ max: 5000 }).withMessage('Reply must be at most 5000 characters')
+    ],
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const updated = await workflow.logReply(req.params.id, {
+                channel: req.body.channel,
+                message: req.body.message
+            }, req.user);
+
+            res.status(201).json({
+                success: true,
+                message: 'Reply logged',
+                data: updated
             });
         } catch (error) {
             next(error);
@@ -245,19 +342,12 @@ router.patch('/submissions/:id',
  */
 router.delete('/submissions/:id', async (req, res, next) => {
     try {
-        const submissions = await getSubmissions();
-        const index = submissions.findIndex(s => s.id === req.params.id);
+        const deleted = await submissions.remove(req.params.id);
         
-        if (index === -1) {
-            return res.status(404).json({
-                success: false,
-                error: 'Submission not found'
-            });
+        if (!deleted) {
+            throw new NotFoundError('Submission not found', { code: 'submission_not_found' });
         }
         
-        const deleted = submissions.splice(index, 1)[0];
-        await saveSubmissions(submissions);
-        
         res.json({
             success: true,
             message: 'Submission deleted successfully',
@@ -0,0 +1,38 @@
+/**
+ * API Docs Routes
+ *
+ * Endpoints for the OpenAPI description of this API:
+ * - GET /api/docs - Browse the operations and try them out
+ * - GET /api/docs/openapi.json - The OpenAPI 3 document
+ */
+
+const express = require('express');
+const path = require('path');
+const router = express.Router();
+const spec = require('../openapi');
+
+const UI_DIR = path.join(__dirname, '..', 'openapi', 'ui');
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * GET /api/docs/openapi.json
+ * The OpenAPI document
+ */
+router.get('/openapi.json', (req, res) => {
+    res.json(spec);
+});
+
+/**
+ * GET /api/docs
+ * The docs browser; its script and styles are served alongside
+ */
+router.get('/', (req, res) => {
+    res.sendFile(path.join(UI_DIR, 'index.html'));
+});
+
+router.use(express.static(UI_DIR, { index: false }));
+
+module.exports = router;
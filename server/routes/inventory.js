@@ -0,0 +1,218 @@
+/**
+ * Inventory API Routes
+ *
+ * Stock per pack size (variant SKU) and store:
+ * - GET /api/inventory/availability - Stores holding each pack size (public)
+ * - GET /api/inventory - Get stock levels (staff)
+ * - GET /api/inventory/alerts - Get levels at or below their threshold (staff)
+ * - PUT /api/inventory/:storeId/:sku - Set a level after a count, or its threshold (staff)
+ * - GET /api/inventory/movements - Get the movement log (staff)
+ * - POST /api/inventory/movements - Record a receipt, sale, return, damage or adjustment (staff)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const inventory = require('../services/inventory');
+const stores = require('../services/stores');
+const { authenticate, authorize } = require('../middleware/auth');
+const { ValidationError } = require('../errors');
+
+const staffRead = [authenticate, authorize('admin', 'sales', 'viewer')];
+const staffWrite = [authenticate, authorize('admin', 'sales')];
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Handle validation errors
+ */
+function handleValidationErrors(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return next(new ValidationError('Some fields are invalid', {
+            errors: errors.array().map(err => ({
+                field: err.path,
+                message: err.msg
+            }))
+        }));
+    }
+    next();
+}
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * GET /api/inventory/availability
+ * Stores holding stock of each pack size, for "in stock at" indicators
+ */
+router.get('/availability', async (req, res, next) => {
+    try {
+        res.json({
+            success: true,
+            stores: await stores.listStores(),
+            data: await inventory.availability()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/inventory
+ * Get stock levels, filtered by storeId, productId, sku or lowStock=true
+ */
+router.get('/', ...staffRead, async (req, res, next) => {
+    try {
+        const { storeId, productId, sku, lowStock } = req.query;
+        const levels = await inventory.listLevels({
+            storeId,
+            productId,
+            sku,
+            lowStock: lowStock === 'true'
+        });
+
+        res.json({
+            success: true,
+            count: levels.length,
+            data: levels
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/inventory/alerts
+ * Get levels at or below their low-stock threshold
+ */
+router.get('/alerts', ...staffRead, async (req, res, next) => {
+    try {
+        const levels = await inventory.listLevels({ storeId: req.query.storeId, lowStock: true });
+
+        res.json({
+            success: true,
+            count: levels.length,
+            data: levels
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/inventory/movements
+ * Get the movement log, newest first
+ */
+router.get('/movements',
+    ...staffRead,
+    query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be 1-1000').toInt(),
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const { storeId, sku, productId, limit } = req.query;
+            const results = await inventory.listMovements({ storeId, sku, productId, limit });
+
+            res.json({
+                success: true,
+                count: results.length,
+                data: results
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * POST /api/inventory/movements
+ * Record a stock movement
+ */
+router.post('/movements',
+    ...staffWrite,
+    [
+        body('storeId').trim().notEmpty().withMessage('Store is required'),
+        body('sku').trim().notEmpty().withMessage('SKU is required').toUpperCase(),
+        body('type')
+            .isIn(Object.keys(inventory.MOVEMENT_TYPES))
+            .withMessage(`Type must be one of: ${Object.keys(inventory.MOVEMENT_TYPES).join(', ')}`),
+        body('quantity')
+            .isInt({ min: -100000, max: 100000 }).withMessage('Quantity must be a whole number')
+            .toInt()
+            .custom((value, { req }) => {
+                if (req.body.type === 'adjustment' ? value === 0 : value <= 0) {
+                    throw new Error(req.body.type === 'adjustment'
+                        ? 'Adjustment cannot be zero'
+                        : 'Quantity must be more than zero');
+                }
+                return true;
+            }),
+        body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+    ],
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const result = await inventory.recordMovement({
+                storeId: req.body.storeId,
+                sku: req.body.sku,
+                type: req.body.type,
+                quantity: req.body.quantity,
+                note: req.body.note,
+                user: req.user
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Stock movement recorded',
+                data: result
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * PUT /api/inventory/:storeId/:sku
+ * Set the counted quantity and/or low-stock threshold of a level
+ */
+router.put('/:storeId/:sku',
+    ...staffWrite,
+    [
+        body('quantity').optional().isInt({ min: 0 }).withMessage('Quantity must be a whole number of 0 or more').toInt(),
+        body('lowStockThreshold').optional().isInt({ min: 0 }).withMessage('Threshold must be a whole number of 0 or more').toInt(),
+        body().custom(value => {
+            if (value.quantity === undefined && value.lowStockThreshold === undefined) {
+                throw new Error('Provide quantity and/or lowStockThreshold');
+            }
+            return true;
+        }),
+        body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+    ],
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const result = await inventory.setLevel({
+                storeId: req.params.storeId,
+                sku: req.params.sku.toUpperCase(),
+                quantity: req.body.quantity,
+                lowStockThreshold: req.body.lowStockThreshold,
+                note: req.body.note,
+                user: req.user
+            });
+
+            res.json({
+                success: true,
+                message: 'Stock level updated',
+                data: result
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+module.exports = router;
@@ -2,158 +2,847 @@
  * Products API Routes
  * 
  * RESTful endpoints for product management:
- * - GET /api/products - Get all products
+ * - GET /api/products - Get products, a page at a time
+ * - GET /api/products/categories - Get product categories
+ * - GET /api/products/suggest - Autocomplete product names for a search box
  * - GET /api/products/:id - Get single product
+ * - GET /api/products/slug/:slug - Get single product by slug
  * - GET /api/products/category/:category - Get products by category
+ * - GET /api/products/export - Download the catalog as CSV or JSON (staff)
+ * - POST /api/products/import - Create and update products from a CSV or JSON file (admin)
  * - POST /api/products - Create new product (admin)
  * - PUT /api/products/:id - Update product (admin)
  * - DELETE /api/products/:id - Delete product (admin)
+ * - GET /api/products/:id/variants - Get a product's pack sizes
+ * - POST /api/products/:id/variants - Add a pack size (admin)
+ * - PUT /api/products/:id/variants/:sku - Update a pack size (admin)
+ * - DELETE /api/products/:id/variants/:sku - Remove a pack size (admin)
+ * - POST /api/products/:id/image - Upload the product image (admin)
+ * - DELETE /api/products/:id/image - Remove the product image (admin)
+ * - GET /api/products/:id/documents/:type - Download a data sheet (sds, tds)
+ * - POST /api/products/:id/documents/:type - Upload a new data sheet version (admin)
+ * - DELETE /api/products/:id/documents/:type/:version - Remove a data sheet version (admin)
  */
 
 const express = require('express');
 const router = express.Router();
-const { body, param, validationResult } = require('express-validator');
-const fs = require('fs').promises;
+const { body, param, query, validationResult } = require('express-validator');
+const multer = require('multer');
 const path = require('path');
+const storage = require('../storage');
+const images = require('../services/images');
+const documents = require('../services/documents');
+const catalogFormats = require('../services/catalogFormats');
+const search = require('../services/search');
+const inventory = require('../services/inventory');
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+    AppError,
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+    PayloadTooLargeError
+} = require('../errors');
+const {
+    PRODUCT_SCHEMA_VERSION,
+    DOCUMENT_TYPES,
+    slugify,
+    skuFor,
+    variantSkuFor,
+    uniqueValue,
+    summarizeVariants,
+    validateProduct
+} = require('../schemas/product');
 
-// Path to products data file
-const PRODUCTS_FILE = path.join(__dirname, '..', '..', 'products.json');
+const products = storage.collection('products');
+
+// Optional fields shown on the product detail page
+const DETAIL_FIELDS = ['usage', 'dilution', 'safety', 'ghs', 'tags'];
+
+// Page size of list endpoints when ?limit is not given, and the largest allowed
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Fields that can be picked with ?fields=
+const PRODUCT_FIELDS = [
+    'id', 'schemaVersion', 'sku', 'slug', 'name', 'image', 'images', 'description',
+    'packaging', 'category', 'price', 'variants', 'usage', 'dilution', 'safety',
+    'ghs', 'tags', 'documents', 'documentVersions', 'createdAt', 'updatedAt'
+];
+
+// Uploads are held in memory just long enough to be resized
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: images.MAX_UPLOAD_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (!images.isAcceptedType(file.mimetype)) {
+            return cb(new ValidationError('Images must be JPEG, PNG or WebP files', { code: 'unsupported_file_type' }));
+        }
+        cb(null, true);
+    }
+});
+
+const documentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: documents.MAX_DOCUMENT_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype !== documents.PDF_MIME_TYPE) {
+            return cb(new ValidationError('Data sheets must be PDF files', { code: 'unsupported_file_type' }));
+        }
+        cb(null, true);
+    }
+});
+
+// Catalog files for POST /import, read as text
+const MAX_IMPORT_BYTES = 2 * 1024 * 1024;
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMPORT_BYTES, files: 1 }
+});
 
 // =============================================================================
 // HELPER FUNCTIONS
 // =============================================================================
 
 /**
- * Read products from JSON file
+ * Handle validation errors
  */
-async function getProductsData() {
-    try {
-        const data = await fs.readFile(PRODUCTS_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.error('Error reading products file:', error);
-        return [];
+function handleValidationErrors(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return next(new ValidationError('Some fields are invalid', {
+            errors: errors.array().map(err => ({
+                field: err.path,
+                message: err.msg
+            }))
+        }));
     }
+    next();
+}
+
+function productNotFound() {
+    return new NotFoundError('Product not found', { code: 'product_not_found' });
 }
 
 /**
- * Write products to JSON file
+ * Check a product is valid and its SKU and slug are not used by another
+ * product. Throws a 400 or 409 error otherwise. Must run inside a transaction.
  */
-async function saveProductsData(products) {
-    try {
-        await fs.writeFile(PRODUCTS_FILE, JSON.stringify(products, null, 4), 'utf8');
-        return true;
-    } catch (error) {
-        console.error('Error writing products file:', error);
-        return false;
+function assertStorableProduct(tx, product) {
+    const errors = validateProduct(product);
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid product', { code: 'invalid_product', errors });
+    }
+
+    const others = tx.all().filter(p => p.id !== product.id);
+    if (others.some(p => p.sku === product.sku)) {
+        throw new ConflictError(`SKU ${product.sku} is already in use`, { code: 'sku_taken' });
+    }
+    if (others.some(p => p.slug === product.slug)) {
+        throw new ConflictError(`Slug ${product.slug} is already in use`, { code: 'slug_taken' });
+    }
+
+    const otherVariantSkus = new Set(others.flatMap(p => (p.variants || []).map(v => v.sku)));
+    const clash = product.variants.find(v => otherVariantSkus.has(v.sku));
+    if (clash) {
+        throw new ConflictError(`Variant SKU ${clash.sku} is already in use`, { code: 'sku_taken' });
     }
 }
 
 /**
- * Handle validation errors
+ * Run a catalog transaction that may remove pack sizes. The stock levels of
+ * any pack size it removed are dropped in the same write, so no level or
+ * low-stock alert is left behind.
  */
-function handleValidationErrors(req, res, next) {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-        return res.status(400).json({
-            success: false,
-            errors: errors.array().map(err => ({
-                field: err.path,
-                message: err.msg
-            }))
+function writeCatalog(fn) {
+    return storage.transaction(['products', 'inventory'], tx => {
+        const result = fn(tx.products);
+        inventory.removeOrphanedLevels(tx);
+        return result;
+    });
+}
+
+/**
+ * Variant SKUs used anywhere in the catalog
+ */
+function variantSkusIn(tx) {
+    return new Set(tx.all().flatMap(p => (p.variants || []).map(v => v.sku)));
+}
+
+/**
+ * Turn variant input into stored variants, generating missing SKUs.
+ * Stock follows store inventory (services/inventory.js), so it is never
+ * taken from the input: a variant keeps its entry in currentStock, by SKU.
+ */
+function buildVariant(input, productSku, takenSkus, currentStock = new Map()) {
+    const sku = input.sku || uniqueValue(variantSkuFor(productSku, input.size), takenSkus);
+    takenSkus.add(sku);
+
+    return {
+        sku,
+        size: input.size,
+        price: input.price,
+        stock: currentStock.get(sku) || 0
+    };
+}
+
+/**
+ * Accept a single file in a multipart field, turning upload limits into
+ * validation and payload errors. label names the files in messages, e.g. "Images".
+ */
+function acceptSingleFile(uploader, field, { maxBytes, label }) {
+    return (req, res, next) => {
+        uploader.single(field)(req, res, error => {
+            if (error instanceof multer.MulterError) {
+                if (error.code === 'LIMIT_FILE_SIZE') {
+                    const maxMb = Number((maxBytes / 1024 / 1024).toFixed(1));
+                    return next(new PayloadTooLargeError(`${label} must be ${maxMb}MB or smaller`, { code: 'file_too_large' }));
+                }
+                return next(new ValidationError(`Upload a single file in the "${field}" field`, { code: 'file_required' }));
+            }
+            if (!error && !req.file) {
+                return next(new ValidationError(`Upload a file in the "${field}" field`, { code: 'file_required' }));
+            }
+            next(error);
         });
+    };
+}
+
+const uploadImage = acceptSingleFile(upload, 'image', { maxBytes: images.MAX_UPLOAD_BYTES, label: 'Images' });
+const uploadDocument = acceptSingleFile(documentUpload, 'document', { maxBytes: documents.MAX_DOCUMENT_BYTES, label: 'Data sheets' });
+const uploadImportFile = acceptSingleFile(importUpload, 'file', { maxBytes: MAX_IMPORT_BYTES, label: 'Import files' });
+
+const validateDocumentType = param('type')
+    .isIn(Object.keys(DOCUMENT_TYPES))
+    .withMessage(`Document type must be one of: ${Object.keys(DOCUMENT_TYPES).join(', ')}`);
+
+/**
+ * Optional detail fields present in a request body
+ */
+function pickDetailFields(source) {
+    return DETAIL_FIELDS.reduce((fields, name) => {
+        if (source[name] !== undefined) fields[name] = source[name];
+        return fields;
+    }, {});
+}
+
+/**
+ * Validation chain for variant fields, under an optional body prefix
+ */
+function variantValidators(prefix, { optional = false } = {}) {
+    const field = name => {
+        const chain = body(`${prefix}${name}`);
+        return optional ? chain.optional() : chain;
+    };
+
+    return [
+        field('size').trim().notEmpty().withMessage('Size is required'),
+        field('price').isFloat({ min: 0 }).withMessage('Price must be a positive number').toFloat(),
+        body(`${prefix}sku`).optional().trim().toUpperCase()
+    ];
+}
+
+// Rules for creating a product, shared by POST / and imports
+const createRules = [
+    body('name').trim().notEmpty().withMessage('Product name is required'),
+    body('description').trim().notEmpty().withMessage('Description is required'),
+    body('category').trim().notEmpty().withMessage('Category is required'),
+    body('packaging')
+        .if(body('variants').not().exists())
+        .trim().notEmpty().withMessage('Packaging is required'),
+    body('price')
+        .if(body('variants').not().exists())
+        .isFloat({ min: 0 }).withMessage('Price must be a positive number').toFloat(),
+    body('sku').optional().trim().toUpperCase(),
+    body('variants').optional().isArray({ min: 1 }).withMessage('Variants must be a non-empty array'),
+    ...variantValidators('variants.*.')
+];
+
+// Rules for updating a product, shared by PUT /:id and imports
+const updateRules = [
+    body('name').optional().trim().notEmpty().withMessage('Product name cannot be empty'),
+    body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number').toFloat(),
+    body('sku').optional().trim().toUpperCase(),
+    body('slug').optional().trim().toLowerCase(),
+    body('variants').optional().isArray({ min: 1 }).withMessage('Variants must be a non-empty array'),
+    ...variantValidators('variants.*.')
+];
+
+/**
+ * Build a new product from a validated create body. Throws a 400 or 409
+ * error if it cannot be stored. Must run inside a transaction.
+ */
+function buildNewProduct(tx, input) {
+    const existing = tx.all();
+    
+    // Generate new ID
+    const ids = existing.map(p => p.id).filter(Number.isInteger);
+    const id = (ids.length > 0 ? Math.max(...ids) : 0) + 1;
+    const sku = input.sku || uniqueValue(skuFor(id), new Set(existing.map(p => p.sku)));
+    
+    // A product without explicit variants is sold in a single pack size
+    const takenSkus = variantSkusIn(tx);
+    const variants = (input.variants || [{ size: input.packaging, price: input.price }])
+        .map(variant => buildVariant(variant, sku, takenSkus));
+    
+    const product = summarizeVariants({
+        id,
+        schemaVersion: PRODUCT_SCHEMA_VERSION,
+        sku,
+        slug: uniqueValue(slugify(input.name), new Set(existing.map(p => p.slug))),
+        name: input.name,
+        image: input.image || images.DEFAULT_PRODUCT_IMAGE,
+        description: input.description,
+        category: input.category,
+        variants,
+        ...pickDetailFields(input),
+        createdAt: new Date().toISOString()
+    });
+    
+    assertStorableProduct(tx, product);
+    return product;
+}
+
+/**
+ * Apply a validated update body to a product. Throws a 400 or 409 error if
+ * the result cannot be stored. Must run inside a transaction.
+ */
+function buildUpdatedProduct(tx, existing, input) {
+    const { variants, price, packaging, ...changes } = input;
+    let nextVariants = existing.variants;
+    
+    if (variants) {
+        // Keep SKUs of this product's own variants available for reuse
+        const takenSkus = variantSkusIn(tx);
+        existing.variants.forEach(v => takenSkus.delete(v.sku));
+        const currentStock = new Map(existing.variants.map(v => [v.sku, v.stock]));
+        nextVariants = variants.map(variant => buildVariant(variant, existing.sku, takenSkus, currentStock));
+    } else if (price !== undefined || packaging !== undefined) {
+        // Price and packaging are derived from variants; they can only
+        // be set directly on a product sold in a single pack size
+        if (existing.variants.length > 1) {
+            throw new ValidationError('This product has several pack sizes; update them through /variants', { code: 'multiple_variants' });
+        }
+        nextVariants = [{
+            ...existing.variants[0],
+            ...(price !== undefined && { price }),
+            ...(packaging !== undefined && { size: packaging })
+        }];
     }
-    next();
+    
+    const product = summarizeVariants({
+        ...existing,
+        ...changes,
+        variants: nextVariants,
+        id: existing.id, // Prevent ID change
+        schemaVersion: existing.schemaVersion,
+        updatedAt: new Date().toISOString()
+    });
+    
+    // Data sheets are managed through /documents
+    delete product.documents;
+    delete product.documentVersions;
+    if (existing.documents) product.documents = existing.documents;
+    if (existing.documentVersions) product.documentVersions = existing.documentVersions;
+    
+    // Uploaded images are managed through /image; pointing the
+    // product at another image unlinks them
+    delete product.images;
+    if (existing.images && product.image === existing.image) {
+        product.images = existing.images;
+    }
+    
+    assertStorableProduct(tx, product);
+    return product;
 }
 
 // =============================================================================
-// ROUTES
+// IMPORT HELPERS
 // =============================================================================
 
+// Fields compared for the import preview
+const IMPORT_DIFF_FIELDS = ['name', 'category', 'description', 'usage', 'dilution', 'safety', 'ghs', 'tags', 'image'];
+
 /**
- * GET /api/products
- * Get all products with optional filtering and pagination
+ * Run validation rules against a body outside a request. Resolves to the
+ * sanitized body and its { field, message } errors.
  */
-router.get('/', async (req, res, next) => {
-    try {
-        let products = await getProductsData();
-        
-        // Filter by category if provided
-        const { category, search, minPrice, maxPrice, sort } = req.query;
-        
-        if (category) {
-            products = products.filter(p => 
-                p.category.toLowerCase() === category.toLowerCase()
-            );
+async function runRules(rules, input) {
+    const fakeReq = { body: input };
+    for (const rule of rules) {
+        await rule.run(fakeReq);
+    }
+    const errors = validationResult(fakeReq).array().map(err => ({ field: err.path, message: err.msg }));
+    return { body: fakeReq.body, errors };
+}
+
+/**
+ * Turn an import item into a create body, or an update body for an
+ * existing product. Rows update the pack size with the same SKU (or size)
+ * and add the others; pack sizes missing from the file are kept.
+ */
+function importBody(item, existing) {
+    const toVariant = ({ row, sku, size, price }) => ({ row, ...(sku && { sku }), size, price });
+
+    if (!existing) {
+        return {
+            sku: item.sku,
+            ...item.fields,
+            ...(item.variants.length > 0 && { variants: item.variants.map(toVariant) })
+        };
+    }
+
+    const variants = existing.variants.map(v => ({ ...v }));
+    item.variants.forEach(row => {
+        const match = row.sku
+            ? variants.find(v => v.sku === row.sku)
+            : variants.find(v => String(v.size).toLowerCase() === String(row.size || '').toLowerCase());
+        if (match) {
+            match.row = row.row;
+            if (row.size !== undefined) match.size = row.size;
+            if (row.price !== undefined) match.price = row.price;
+        } else {
+            variants.push(toVariant(row));
         }
-        
-        if (search) {
-            const searchTerm = search.toLowerCase();
-            products = products.filter(p =>
-                p.name.toLowerCase().includes(searchTerm) ||
-                p.description.toLowerCase().includes(searchTerm)
-            );
+    });
+
+    return { ...item.fields, variants };
+}
+
+/**
+ * The spreadsheet row an error belongs to, e.g. the row of variants[2]
+ */
+function rowFor(item, input, field) {
+    const match = /^variants\[(\d+)\]/.exec(field || '');
+    const variant = match && input.variants && input.variants[match[1]];
+    return (variant && variant.row) || item.row;
+}
+
+/**
+ * List what an import changes on an existing product
+ */
+function describeChanges(existing, product) {
+    const changes = [];
+
+    IMPORT_DIFF_FIELDS.forEach(field => {
+        if (JSON.stringify(existing[field]) !== JSON.stringify(product[field])) {
+            changes.push({ field, from: existing[field] ?? null, to: product[field] ?? null });
         }
-        
-        if (minPrice) {
-            products = products.filter(p => p.price >= parseFloat(minPrice));
+    });
+
+    product.variants.forEach(variant => {
+        const before = existing.variants.find(v => v.sku === variant.sku);
+        if (!before) {
+            changes.push({ field: `variants.${variant.sku}`, from: null, to: { size: variant.size, price: variant.price } });
+            return;
         }
+        ['size', 'price'].forEach(key => {
+            if (before[key] !== variant[key]) {
+                changes.push({ field: `variants.${variant.sku}.${key}`, from: before[key], to: variant[key] });
+            }
+        });
+    });
+
+    return changes;
+}
+
+/**
+ * Work out what importing items does to a catalog, without changing it.
+ * Bodies must already be validated (see runRules). Resolves each item to
+ * a create, update or unchanged result, or records its errors. Must run
+ * inside a transaction.
+ */
+function planImport(tx, entries) {
+    const working = tx.all();
+    const view = { all: () => working };
+    const results = [];
+    const errors = [];
+
+    entries.forEach(({ item, body: input }) => {
+        const existing = working.find(p => p.sku === item.sku);
         
-        if (maxPrice) {
-            products = products.filter(p => p.price <= parseFloat(maxPrice));
+        try {
+            if (existing) {
+                const product = buildUpdatedProduct(view, existing, input);
+                const changes = describeChanges(existing, product);
+                if (changes.length > 0) {
+                    working[working.indexOf(existing)] = product;
+                }
+                results.push({ row: item.row, sku: item.sku, id: existing.id, action: changes.length > 0 ? 'update' : 'unchanged', changes, product });
+            } else {
+                const product = buildNewProduct(view, input);
+                working.push(product);
+                results.push({ row: item.row, sku: product.sku, id: product.id, action: 'create', changes: [], product });
+            }
+        } catch (error) {
+            if (!(error instanceof AppError)) throw error;
+            (error.errors || [{ field: null, message: error.message }]).forEach(e => {
+                errors.push({ row: rowFor(item, input, e.field), sku: item.sku, field: e.field, message: e.message });
+            });
         }
-        
-        // Sorting
-        if (sort) {
-            switch (sort) {
-                case 'price_asc':
-                    products.sort((a, b) => a.price - b.price);
-                    break;
-                case 'price_desc':
-                    products.sort((a, b) => b.price - a.price);
-                    break;
-                case 'name_asc':
-                    products.sort((a, b) => a.name.localeCompare(b.name));
-                    break;
-                case 'name_desc':
-                    products.sort((a, b) => b.name.localeCompare(a.name));
-                    break;
+    });
+
+    return { results, errors };
+}
+
+// =============================================================================
+// LIST HELPERS
+// =============================================================================
+
+/**
+ * Field names from a ?fields= value, e.g. "name,price" -> ["name", "price"]
+ */
+function parseFields(value) {
+    return String(value).split(',').map(field => field.trim()).filter(Boolean);
+}
+
+const pageValidators = [
+    query('page')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Page must be a whole number of at least 1')
+        .toInt(),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`)
+        .toInt()
+];
+
+const fieldsValidator = query('fields')
+    .optional()
+    .custom(value => {
+        const unknown = parseFields(value).filter(field => !PRODUCT_FIELDS.includes(field));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown fields: ${unknown.join(', ')}. Choose from: ${PRODUCT_FIELDS.join(', ')}`);
+        }
+        return true;
+    });
+
+/**
+ * Limit products to the fields asked for with ?fields=. The id is always kept.
+ */
+function projectFields(req, items) {
+    if (!req.query.fields) return items;
+
+    const fields = new Set(['id', ...parseFields(req.query.fields)]);
+    return items.map(item => Object.fromEntries(
+        Object.entries(item).filter(([field]) => fields.has(field))
+    ));
+}
+
+/**
+ * Slice a list into the page asked for with ?page and ?limit, with links to
+ * the neighbouring pages that keep the other query parameters:
+ *   { count, total, page, pages, limit, links: { self, next, prev }, data }
+ */
+function pageOf(req, items) {
+    const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+    const page = req.query.page || 1;
+    const total = items.length;
+    const pages = Math.max(1, Math.ceil(total / limit));
+    const data = items.slice((page - 1) * limit, page * limit);
+
+    const base = `${req.baseUrl}${req.path === '/' ? '' : req.path}`;
+    const linkTo = target => {
+        const params = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+        params.set('page', target);
+        params.set('limit', limit);
+        return `${base}?${params}`;
+    };
+
+    return {
+        count: data.length,
+        total,
+        page,
+        pages,
+        limit,
+        links: {
+            self: linkTo(page),
+            next: page < pages ? linkTo(page + 1) : null,
+            prev: page > 1 ? linkTo(Math.min(page - 1, pages)) : null
+        },
+        data
+    };
+}
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * GET /api/products
+ * Get products with optional filtering, sorting, ?page/?limit pagination
+ * and ?fields= projection. With ?search= and no ?sort, the best matches
+ * come first.
+ */
+router.get('/',
+    pageValidators,
+    fieldsValidator,
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const allProducts = await products.all();
+            let results = allProducts;
+            
+            // Filter by category if provided
+            const { category, minPrice, maxPrice, sort } = req.query;
+            
+            if (category) {
+                results = results.filter(p => 
+                    p.category.toLowerCase() === category.toLowerCase()
+                );
             }
+            
+            if (req.query.search) {
+                const ranking = new Map(
+                    search.rank(allProducts, String(req.query.search)).map((match, position) => [match.id, position])
+                );
+                results = results
+                    .filter(p => ranking.has(p.id))
+                    .sort((a, b) => ranking.get(a.id) - ranking.get(b.id));
+            }
+            
+            if (minPrice) {
+                results = results.filter(p => p.price >= parseFloat(minPrice));
+            }
+            
+            if (maxPrice) {
+                results = results.filter(p => p.price <= parseFloat(maxPrice));
+            }
+            
+            // Sorting
+            if (sort) {
+                results = results.slice();
+                switch (sort) {
+                    case 'price_asc':
+                        results.sort((a, b) => a.price - b.price);
+                        break;
+                    case 'price_desc':
+                        results.sort((a, b) => b.price - a.price);
+                        break;
+                    case 'name_asc':
+                        results.sort((a, b) => a.name.localeCompare(b.name));
+                        break;
+                    case 'name_desc':
+                        results.sort((a, b) => b.name.localeCompare(a.name));
+                        break;
+                }
+            }
+            
+            res.json({
+                success: true,
+                ...pageOf(req, projectFields(req, results))
+            });
+        } catch (error) {
+            next(error);
         }
-        
-        // Get unique categories for filtering
-        const allProducts = await getProductsData();
-        const categories = [...new Set(allProducts.map(p => p.category))];
-        
-        res.json({
-            success: true,
-            count: products.length,
-            categories,
-            data: products
-        });
-    } catch (error) {
-        next(error);
     }
-});
+);
 
 /**
  * GET /api/products/categories
- * Get all unique product categories
+ * Get the unique product categories, a page at a time
  */
-router.get('/categories', async (req, res, next) => {
-    try {
-        const products = await getProductsData();
-        const categories = [...new Set(products.map(p => p.category))];
-        
-        res.json({
-            success: true,
-            count: categories.length,
-            data: categories
-        });
-    } catch (error) {
-        next(error);
+router.get('/categories',
+    pageValidators,
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const allProducts = await products.all();
+            const categories = [...new Set(allProducts.map(p => p.category))];
+            
+            res.json({
+                success: true,
+                ...pageOf(req, categories)
+            });
+        } catch (error) {
+            next(error);
+        }
     }
-});
+);
+
+/**
+ * GET /api/products/suggest
+ * Up to ?limit (default 5) products whose name, tags, category or
+ * description match the partly typed ?q, best first
+ */
+router.get('/suggest',
+    query('q')
+        .trim()
+        .notEmpty().withMessage('Type something to get suggestions')
+        .isLength({ max: 100 }).withMessage('Search text must be at most 100 characters'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 10 }).withMessage('Limit must be between 1 and 10')
+        .toInt(),
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const suggestions = search.suggest(await products.all(), req.query.q, req.query.limit || 5);
+            
+            res.json({
+                success: true,
+                count: suggestions.length,
+                query: req.query.q,
+                data: suggestions
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * GET /api/products/export
+ * Download the catalog, ?format=csv (default, one row per pack size) or json
+ */
+router.get('/export',
+    authenticate,
+    authorize('admin', 'sales', 'viewer'),
+    query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json'),
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const format = req.query.format || 'csv';
+            const catalog = (await products.all()).slice().sort((a, b) => a.sku.localeCompare(b.sku));
+            const fileName = `maschem-catalog-${new Date().toISOString().slice(0, 10)}.${format}`;
+            
+            res.attachment(fileName);
+            if (format === 'json') {
+                res.type('json').send(JSON.stringify(catalogFormats.toJsonRecords(catalog), null, 2));
+            } else {
+                res.type('text/csv; charset=utf-8').send(catalogFormats.toCsv(catalog));
+            }
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * POST /api/products/import
+ * Create and update products from a CSV or JSON file (multipart field
+ * "file"), matched by product SKU. Every row is checked with the same rules
+ * as POST and PUT; if any row fails nothing is imported. With ?dryRun=true
+ * nothing is imported either, and the response previews the changes.
+ * Admin only: one file can rewrite the whole catalog.
+ */
+router.post('/import',
+    authorize('admin'),
+    uploadImportFile,
+    [
+        query('dryRun').optional().isBoolean().withMessage('dryRun must be true or false').toBoolean(),
+        query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json')
+    ],
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const dryRun = req.query.dryRun === true;
+            const format = req.query.format ||
+                (/\.json$/i.test(req.file.originalname || '') || req.file.mimetype === 'application/json' ? 'json' : 'csv');
+            const text = req.file.buffer.toString('utf8');
+            const items = format === 'json'
+                ? catalogFormats.itemsFromJson(text)
+                : catalogFormats.itemsFromCsv(text);
+            
+            if (items.length === 0) {
+                throw new ValidationError('The file has no products to import', { code: 'invalid_import_file' });
+            }
+            
+            // Check every row with the create or update rules
+            const catalog = await products.all();
+            const errors = [];
+            const entries = [];
+            const seen = new Set();
+            
+            for (const item of items) {
+                const fail = (field, message, row = item.row) => errors.push({ row, sku: item.sku || null, field, message });
+                
+                if (!item.sku) {
+                    fail('productSku', 'Product SKU is required');
+                    continue;
+                }
+                if (seen.has(item.sku)) {
+                    fail('productSku', `SKU ${item.sku} appears more than once`);
+                    continue;
+                }
+                seen.add(item.sku);
+                
+                const existing = catalog.find(p => p.sku === item.sku);
+                const checked = await runRules(existing ? updateRules : createRules, importBody(item, existing));
+                checked.errors.forEach(e => fail(e.field, e.message, rowFor(item, checked.body, e.field)));
+                if (checked.errors.length === 0) {
+                    entries.push({ item, body: checked.body });
+                }
+            }
+            
+            const results = await writeCatalog(tx => {
+                const plan = planImport(tx, entries);
+                errors.push(...plan.errors);
+                
+                if (!dryRun && errors.length === 0) {
+                    plan.results.forEach(result => {
+                        if (result.action === 'create') tx.insert(result.product);
+                        if (result.action === 'update') tx.update(result.id, result.product);
+                    });
+                }
+                return plan.results;
+            });
+            
+            const summary = ['create', 'update', 'unchanged'].reduce((counts, action) => {
+                counts[action] = results.filter(r => r.action === action).length;
+                return counts;
+            }, { errors: errors.length });
+            const data = results.map(({ product, ...result }) => ({ ...result, name: product.name }));
+            
+            if (errors.length > 0) {
+                const badRows = new Set(errors.map(e => e.row)).size;
+                throw new ValidationError(`${badRows} row${badRows === 1 ? ' has' : 's have'} problems; nothing was imported`, {
+                    code: 'import_failed',
+                    errors: errors.sort((a, b) => a.row - b.row),
+                    extensions: { summary, data }
+                });
+            }
+            
+            res.json({
+                success: true,
+                message: dryRun
+                    ? 'Dry run: nothing was imported'
+                    : `Imported ${summary.create} new and ${summary.update} updated products`,
+                dryRun,
+                summary,
+                data
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * GET /api/products/slug/:slug
+ * Get single product by its URL slug
+ */
+router.get('/slug/:slug',
+    fieldsValidator,
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const allProducts = await products.all();
+            const product = allProducts.find(p => p.slug === req.params.slug.toLowerCase());
+            
+            if (!product) {
+                throw productNotFound();
+            }
+            
+            res.json({
+                success: true,
+                data: projectFields(req, [product])[0]
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
 
 /**
  * GET /api/products/:id
@@ -161,22 +850,19 @@ router.get('/categories', async (req, res, next) => {
  */
 router.get('/:id',
     param('id').isNumeric().withMessage('Product ID must be a number'),
+    fieldsValidator,
     handleValidationErrors,
     async (req, res, next) => {
         try {
-            const products = await getProductsData();
-            const product = products.find(p => p.id === parseInt(req.params.id));
+            const product = await products.findById(parseInt(req.params.id));
             
             if (!product) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Product not found'
-                });
+                throw productNotFound();
             }
             
             res.json({
                 success: true,
-                data: product
+                data: projectFields(req, [product])[0]
             });
         } catch (error) {
             next(error);
@@ -186,60 +872,41 @@ router.get('/:id',
 
 /**
  * GET /api/products/category/:category
- * Get products by category name
- */
-router.get('/category/:category', async (req, res, next) => {
-    try {
-        const products = await getProductsData();
-        const categoryProducts = products.filter(p =>
-            p.category.toLowerCase().replace(/\s+/g, '-') === 
-            req.params.category.toLowerCase().replace(/\s+/g, '-')
-        );
-        
-        res.json({
-            success: true,
-            count: categoryProducts.length,
-            category: req.params.category,
-            data: categoryProducts
-        });
-    } catch (error) {
-        next(error);
+ * Get products by category name, paged like GET /api/products
+ */
+router.get('/category/:category',
+    pageValidators,
+    fieldsValidator,
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const allProducts = await products.all();
+            const categoryProducts = allProducts.filter(p =>
+                p.category.toLowerCase().replace(/\s+/g, '-') === 
+                req.params.category.toLowerCase().replace(/\s+/g, '-')
+            );
+            
+            res.json({
+                success: true,
+                category: req.params.category,
+                ...pageOf(req, projectFields(req, categoryProducts))
+            });
+        } catch (error) {
+            next(error);
+        }
     }
-});
+);
 
 /**
  * POST /api/products
  * Create a new product
  */
 router.post('/',
-    [
-        body('name').trim().notEmpty().withMessage('Product name is required'),
-        body('description').trim().notEmpty().withMessage('Description is required'),
-        body('category').trim().notEmpty().withMessage('Category is required'),
-        body('packaging').trim().notEmpty().withMessage('Packaging is required'),
-        body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number')
-    ],
+    createRules,
     handleValidationErrors,
     async (req, res, next) => {
         try {
-            const products = await getProductsData();
-            
-            // Generate new ID
-            const maxId = products.length > 0 ? Math.max(...products.map(p => p.id)) : 0;
-            
-            const newProduct = {
-                id: maxId + 1,
-                name: req.body.name,
-                image: req.body.image || 'Images/Maschem-dish-deluxe.png',
-                description: req.body.description,
-                packaging: req.body.packaging,
-                category: req.body.category,
-                price: parseFloat(req.body.price),
-                createdAt: new Date().toISOString()
-            };
-            
-            products.push(newProduct);
-            await saveProductsData(products);
+            const newProduct = await products.transaction(tx => tx.insert(buildNewProduct(tx, req.body)));
             
             res.status(201).json({
                 success: true,
@@ -259,36 +926,455 @@ router.post('/',
 router.put('/:id',
     [
         param('id').isNumeric().withMessage('Product ID must be a number'),
-        body('name').optional().trim().notEmpty().withMessage('Product name cannot be empty'),
-        body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number')
+        ...updateRules
+    ],
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            // Update product fields
+            let unlinkedImages;
+            const updatedProduct = await writeCatalog(tx => {
+                const existing = tx.findById(parseInt(req.params.id));
+                if (!existing) return null;
+                
+                const product = buildUpdatedProduct(tx, existing, req.body);
+                if (existing.images && !product.images) {
+                    unlinkedImages = existing.images;
+                }
+                return tx.update(existing.id, product);
+            });
+            
+            if (!updatedProduct) {
+                throw productNotFound();
+            }
+            
+            await images.removeImageFiles(updatedProduct.id, unlinkedImages);
+            
+            res.json({
+                success: true,
+                message: 'Product updated successfully',
+                data: updatedProduct
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * GET /api/products/:id/variants
+ * Get the pack sizes of a product
+ */
+router.get('/:id/variants',
+    param('id').isNumeric().withMessage('Product ID must be a number'),
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const product = await products.findById(parseInt(req.params.id));
+            
+            if (!product) {
+                throw productNotFound();
+            }
+            
+            res.json({
+                success: true,
+                count: product.variants.length,
+                data: product.variants
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * POST /api/products/:id/variants
+ * Add a pack size to a product
+ */
+router.post('/:id/variants',
+    [
+        param('id').isNumeric().withMessage('Product ID must be a number'),
+        ...variantValidators('')
     ],
     handleValidationErrors,
     async (req, res, next) => {
         try {
-            const products = await getProductsData();
-            const index = products.findIndex(p => p.id === parseInt(req.params.id));
+            const variant = await products.transaction(tx => {
+                const existing = tx.findById(parseInt(req.params.id));
+                if (!existing) {
+                    throw productNotFound();
+                }
+                
+                const newVariant = buildVariant(req.body, existing.sku, variantSkusIn(tx));
+                const product = summarizeVariants({
+                    ...existing,
+                    variants: [...existing.variants, newVariant],
+                    updatedAt: new Date().toISOString()
+                });
+                
+                assertStorableProduct(tx, product);
+                tx.update(existing.id, product);
+                return newVariant;
+            });
             
-            if (index === -1) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Product not found'
+            res.status(201).json({
+                success: true,
+                message: 'Variant created successfully',
+                data: variant
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * PUT /api/products/:id/variants/:sku
+ * Update a pack size. The SKU itself cannot be changed.
+ */
+router.put('/:id/variants/:sku',
+    [
+        param('id').isNumeric().withMessage('Product ID must be a number'),
+        ...variantValidators('', { optional: true })
+    ],
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const variant = await products.transaction(tx => {
+                const existing = tx.findById(parseInt(req.params.id));
+                const index = existing ? existing.variants.findIndex(v => v.sku === req.params.sku) : -1;
+                if (index === -1) {
+                    throw existing ? new NotFoundError('Variant not found', { code: 'variant_not_found' }) : productNotFound();
+                }
+                
+                const { size, price } = req.body;
+                const updatedVariant = {
+                    ...existing.variants[index],
+                    ...(size !== undefined && { size }),
+                    ...(price !== undefined && { price })
+                };
+                
+                const variants = existing.variants.slice();
+                variants[index] = updatedVariant;
+                const product = summarizeVariants({
+                    ...existing,
+                    variants,
+                    updatedAt: new Date().toISOString()
                 });
+                
+                assertStorableProduct(tx, product);
+                tx.update(existing.id, product);
+                return updatedVariant;
+            });
+            
+            res.json({
+                success: true,
+                message: 'Variant updated successfully',
+                data: variant
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * DELETE /api/products/:id/variants/:sku
+ * Remove a pack size. A product always keeps at least one.
+ */
+router.delete('/:id/variants/:sku',
+    param('id').isNumeric().withMessage('Product ID must be a number'),
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const variant = await writeCatalog(tx => {
+                const existing = tx.findById(parseInt(req.params.id));
+                const index = existing ? existing.variants.findIndex(v => v.sku === req.params.sku) : -1;
+                if (index === -1) {
+                    throw existing ? new NotFoundError('Variant not found', { code: 'variant_not_found' }) : productNotFound();
+                }
+                if (existing.variants.length === 1) {
+                    throw new ValidationError('A product must keep at least one variant', { code: 'last_variant' });
+                }
+                
+                const variants = existing.variants.filter((v, i) => i !== index);
+                tx.update(existing.id, summarizeVariants({
+                    ...existing,
+                    variants,
+                    updatedAt: new Date().toISOString()
+                }));
+                return existing.variants[index];
+            });
+            
+            res.json({
+                success: true,
+                message: 'Variant deleted successfully',
+                data: variant
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * POST /api/products/:id/image
+ * Upload a product image (multipart field "image"). Resized WebP and JPEG
+ * renditions replace the product's previous image.
+ */
+router.post('/:id/image',
+    param('id').isInt({ min: 1 }).withMessage('Product ID must be a number'),
+    handleValidationErrors,
+    uploadImage,
+    async (req, res, next) => {
+        try {
+            const id = parseInt(req.params.id);
+            if (!await products.findById(id)) {
+                throw productNotFound();
             }
             
-            // Update product fields
-            const updatedProduct = {
-                ...products[index],
-                ...req.body,
-                id: products[index].id, // Prevent ID change
-                updatedAt: new Date().toISOString()
-            };
+            const image = await images.processProductImage(id, req.file.buffer, req.file.mimetype);
             
-            products[index] = updatedProduct;
-            await saveProductsData(products);
+            let previous;
+            const updatedProduct = await products.transaction(tx => {
+                const existing = tx.findById(id);
+                if (!existing) {
+                    throw productNotFound();
+                }
+                
+                previous = existing.images;
+                return tx.update(id, {
+                    ...existing,
+                    image: image.medium.jpeg,
+                    images: image,
+                    updatedAt: new Date().toISOString()
+                });
+            }).catch(async error => {
+                // Nothing links to the new files
+                await images.removeImageFiles(id, image);
+                throw error;
+            });
+            
+            await images.removeImageFiles(id, previous);
+            
+            res.status(201).json({
+                success: true,
+                message: 'Image uploaded successfully',
+                data: updatedProduct
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * DELETE /api/products/:id/image
+ * Remove the uploaded image, reverting to the placeholder
+ */
+router.delete('/:id/image',
+    param('id').isInt({ min: 1 }).withMessage('Product ID must be a number'),
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const id = parseInt(req.params.id);
+            let previous;
+            
+            const updatedProduct = await products.transaction(tx => {
+                const existing = tx.findById(id);
+                if (!existing) {
+                    throw productNotFound();
+                }
+                
+                const { images: removed, ...rest } = existing;
+                previous = removed;
+                return tx.update(id, {
+                    ...rest,
+                    image: images.DEFAULT_PRODUCT_IMAGE,
+                    updatedAt: new Date().toISOString()
+                });
+            });
+            
+            await images.removeImageFiles(id, previous);
             
             res.json({
                 success: true,
-                message: 'Product updated successfully',
+                message: 'Image removed successfully',
+                data: updatedProduct
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * GET /api/products/:id/documents/:type
+ * Download the latest version of a data sheet, or ?version=N
+ */
+router.get('/:id/documents/:type',
+    [
+        param('id').isInt({ min: 1 }).withMessage('Product ID must be a number'),
+        validateDocumentType,
+        query('version').optional().isInt({ min: 1 }).withMessage('Version must be a positive number').toInt()
+    ],
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const { type } = req.params;
+            const product = await products.findById(parseInt(req.params.id));
+            if (!product) {
+                throw productNotFound();
+            }
+            
+            const versions = (product.documents && product.documents[type]) || [];
+            const document = req.query.version
+                ? versions.find(d => d.version === req.query.version)
+                : versions[versions.length - 1];
+            if (!document) {
+                throw new NotFoundError(req.query.version
+                    ? `Version ${req.query.version} of the ${DOCUMENT_TYPES[type]} not found`
+                    : `No ${DOCUMENT_TYPES[type]} is available for this product`, { code: 'document_not_found' });
+            }
+            
+            const fileName = `${product.slug}-${type}-v${document.version}.pdf`;
+            res.download(documents.documentPath(product.id, document.fileId), fileName, {
+                headers: { 'Cache-Control': 'no-cache' }
+            }, error => {
+                if (!error) return;
+                if (res.headersSent) return next(error);
+                next(error.code === 'ENOENT'
+                    ? new NotFoundError('Document file is missing', { code: 'document_not_found', cause: error })
+                    : error);
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * POST /api/products/:id/documents/:type
+ * Upload a new version of a data sheet (multipart field "document", plus
+ * "revisionDate" as YYYY-MM-DD). Earlier versions stay downloadable.
+ * Version numbers go up from the highest ever issued, so a link to a
+ * removed version never fetches a different sheet.
+ */
+router.post('/:id/documents/:type',
+    [
+        param('id').isInt({ min: 1 }).withMessage('Product ID must be a number'),
+        validateDocumentType
+    ],
+    handleValidationErrors,
+    uploadDocument,
+    body('revisionDate')
+        .trim()
+        .notEmpty().withMessage('Revision date is required')
+        .bail()
+        .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Revision date must be a date (YYYY-MM-DD)')
+        .bail()
+        .isISO8601({ strict: true }).withMessage('Revision date must be a real date'),
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const id = parseInt(req.params.id);
+            const { type } = req.params;
+            if (!await products.findById(id)) {
+                throw productNotFound();
+            }
+            
+            const file = await documents.saveDocument(id, req.file.buffer);
+            
+            const updatedProduct = await products.transaction(tx => {
+                const existing = tx.findById(id);
+                if (!existing) {
+                    throw productNotFound();
+                }
+                
+                const versions = (existing.documents && existing.documents[type]) || [];
+                // Records from before documentVersions only have their versions to go on
+                const issued = Math.max(
+                    (existing.documentVersions && existing.documentVersions[type]) || 0,
+                    ...versions.map(d => d.version)
+                );
+                const document = {
+                    version: issued + 1,
+                    revisionDate: req.body.revisionDate,
+                    fileId: file.fileId,
+                    fileName: path.basename(req.file.originalname || `${type}.pdf`).slice(0, 200),
+                    size: file.size,
+                    uploadedAt: new Date().toISOString()
+                };
+                
+                return tx.update(id, {
+                    ...existing,
+                    documents: { ...existing.documents, [type]: [...versions, document] },
+                    documentVersions: { ...existing.documentVersions, [type]: document.version },
+                    updatedAt: document.uploadedAt
+                });
+            }).catch(async error => {
+                // Nothing links to the new file
+                await documents.removeDocumentFile(id, file.fileId);
+                throw error;
+            });
+            
+            res.status(201).json({
+                success: true,
+                message: `${DOCUMENT_TYPES[type]} uploaded successfully`,
+                data: updatedProduct
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * DELETE /api/products/:id/documents/:type/:version
+ * Remove one version of a data sheet, e.g. one uploaded by mistake
+ */
+router.delete('/:id/documents/:type/:version',
+    [
+        param('id').isInt({ min: 1 }).withMessage('Product ID must be a number'),
+        validateDocumentType,
+        param('version').isInt({ min: 1 }).withMessage('Version must be a positive number').toInt()
+    ],
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const id = parseInt(req.params.id);
+            const { type, version } = req.params;
+            let removed;
+            
+            const updatedProduct = await products.transaction(tx => {
+                const existing = tx.findById(id);
+                if (!existing) {
+                    throw productNotFound();
+                }
+                
+                const versions = (existing.documents && existing.documents[type]) || [];
+                removed = versions.find(d => d.version === version);
+                if (!removed) {
+                    throw new NotFoundError(`Version ${version} of the ${DOCUMENT_TYPES[type]} not found`, { code: 'document_not_found' });
+                }
+                
+                const remaining = versions.filter(d => d !== removed);
+                const product = {
+                    ...existing,
+                    documents: { ...existing.documents, [type]: remaining },
+                    updatedAt: new Date().toISOString()
+                };
+                if (remaining.length === 0) delete product.documents[type];
+                if (Object.keys(product.documents).length === 0) delete product.documents;
+                
+                return tx.update(id, product);
+            });
+            
+            await documents.removeDocumentFile(id, removed.fileId);
+            
+            res.json({
+                success: true,
+                message: `${DOCUMENT_TYPES[type]} version ${version} removed`,
                 data: updatedProduct
             });
         } catch (error) {
@@ -299,25 +1385,21 @@ router.put('/:id',
 
 /**
  * DELETE /api/products/:id
- * Delete a product
+ * Delete a product and its uploaded images and documents
  */
 router.delete('/:id',
     param('id').isNumeric().withMessage('Product ID must be a number'),
     handleValidationErrors,
     async (req, res, next) => {
         try {
-            const products = await getProductsData();
-            const index = products.findIndex(p => p.id === parseInt(req.params.id));
+            const deletedProduct = await writeCatalog(tx => tx.remove(parseInt(req.params.id)));
             
-            if (index === -1) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Product not found'
-                });
+            if (!deletedProduct) {
+                throw productNotFound();
             }
             
-            const deletedProduct = products.splice(index, 1)[0];
-            await saveProductsData(products);
+            await images.removeProductImages(deletedProduct.id);
+            await documents.removeProductDocuments(deletedProduct.id);
             
             res.json({
                 success: true,
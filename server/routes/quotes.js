@@ -0,0 +1,328 @@
+/**
+ * Quotes API Routes
+ *
+ * Endpoints for quote requests built in the website's quote cart:
+ * - POST /api/quotes - Request a quote for a list of products
+ * - GET /api/quotes - Get all quote requests (staff)
+ * - GET /api/quotes/:id - Get a single quote request (staff)
+ * - PATCH /api/quotes/:id - Update quote status (staff)
+ * - DELETE /api/quotes/:id - Delete a quote request (staff)
+ */
+
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+const mail = require('../mail');
+const logger = require('../logger');
+const { authenticate, authorize } = require('../middleware/auth');
+const { ValidationError, NotFoundError } = require('../errors');
+
+const quotes = storage.collection('quotes');
+const products = storage.collection('products');
+
+const QUOTE_STATUSES = ['new', 'quoted', 'accepted', 'rejected'];
+const MAX_LINE_ITEMS = 50;
+const MAX_QUANTITY = 10000;
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Handle validation errors
+ */
+function handleValidationErrors(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return next(new ValidationError('Some fields are invalid', {
+            errors: errors.array().map(err => ({
+                field: err.path,
+                message: err.msg
+            }))
+        }));
+    }
+    next();
+}
+
+/**
+ * Check each line item against the catalog. Returns the priced line items,
+ * with repeated SKUs merged, and a list of { field, message } errors.
+ */
+function resolveLineItems(items, catalog) {
+    const errors = [];
+    const lines = new Map();
+
+    items.forEach((item, index) => {
+        const product = catalog.find(p => String(p.id) === String(item.productId));
+        if (!product) {
+            errors.push({ field: `items[${index}].productId`, message: 'Product not found' });
+            return;
+        }
+
+        const variant = (product.variants || []).find(v => v.sku === item.sku);
+        if (!variant) {
+            errors.push({
+                field: `items[${index}].sku`,
+                message: `${product.name} has no pack size with SKU ${item.sku}`
+            });
+            return;
+        }
+
+        const existing = lines.get(variant.sku);
+        if (existing) {
+            existing.quantity = Math.min(existing.quantity + item.quantity, MAX_QUANTITY);
+            return;
+        }
+
+        lines.set(variant.sku, {
+            productId: product.id,
+            sku: variant.sku,
+            name: product.name,
+            size: variant.size,
+            unitPrice: variant.price,
+            quantity: item.quantity
+        });
+    });
+
+    return { lines: [...lines.values()], errors };
+}
+
+/**
+ * Generate a short reference customers can quote back to us, e.g.
+ * MQ-261019-7F3A. Must run inside a quotes transaction.
+ */
+function newReference(tx) {
+    const date = new Date().toISOString().slice(2, 10).replace(/-/g, '');
+    const taken = new Set(tx.all().map(q => q.reference));
+
+    let reference;
+    do {
+        reference = `MQ-${date}-${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+    } while (taken.has(reference));
+    return reference;
+}
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * POST /api/quotes
+ * Request a quote
+ */
+router.post('/',
+    [
+        body('name')
+            .trim()
+            .notEmpty().withMessage('Name is required')
+            .isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+        body('company')
+            .optional()
+            .trim()
+            .isLength({ max: 100 }).withMessage('Company must be at most 100 characters'),
+        body('email')
+            .trim()
+            .notEmpty().withMessage('Email is required')
+            .isEmail().withMessage('Please provide a valid email address')
+            .normalizeEmail(),
+        body('phone')
+            .optional()
+            .trim()
+            .matches(/^[+]?[\d\s\-()]{7,20}$/).withMessage('Please provide a valid phone number'),
+        body('notes')
+            .optional()
+            .trim()
+            .isLength({ max: 2000 }).withMessage('Notes must be at most 2000 characters'),
+        body('items')
+            .isArray({ min: 1, max: MAX_LINE_ITEMS })
+            .withMessage(`Add between 1 and ${MAX_LINE_ITEMS} products to your quote`),
+        body('items.*.productId')
+            .notEmpty().withMessage('Product is required'),
+        body('items.*.sku')
+            .isString().withMessage('SKU is required')
+            .trim()
+            .notEmpty().withMessage('SKU is required'),
+        body('items.*.quantity')
+            .isInt({ min: 1, max: MAX_QUANTITY })
+            .withMessage(`Quantity must be a whole number from 1 to ${MAX_QUANTITY}`)
+            .toInt()
+    ],
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const { lines, errors } = resolveLineItems(req.body.items, await products.all());
+
+            if (errors.length > 0) {
+                throw new ValidationError('Some products in your quote are no longer available', {
+                    code: 'items_unavailable',
+                    errors
+                });
+            }
+
+            // Public posts skip the backup, like contact submissions
+            const quote = await quotes.transaction(tx => tx.insert({
+                id: uuidv4(),
+                reference: newReference(tx),
+                status: 'new',
+                name: req.body.name,
+                company: req.body.company || null,
+                email: req.body.email,
+                phone: req.body.phone || null,
+                notes: req.body.notes || null,
+                items: lines,
+                createdAt: new Date().toISOString(),
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent')
+            }), { backup: false });
+
+            logger.info('New quote request', {
+                reference: quote.reference,
+                email: quote.email,
+                items: quote.items.length
+            });
+
+            // Notify sales and acknowledge to the customer in the background
+            mail.notifyNewQuote(quote);
+
+            res.status(201).json({
+                success: true,
+                message: `Thank you! Your quote reference is ${quote.reference}.`,
+                data: {
+                    id: quote.id,
+                    reference: quote.reference,
+                    status: quote.status,
+                    items: quote.items,
+                    submittedAt: quote.createdAt
+                }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * GET /api/quotes
+ * Get all quote requests (staff endpoint)
+ */
+router.get('/',
+    authenticate,
+    authorize('admin', 'sales', 'viewer'),
+    async (req, res, next) => {
+        try {
+            let filteredQuotes = await quotes.all();
+            const { status, sort } = req.query;
+
+            if (status) {
+                filteredQuotes = filteredQuotes.filter(q => q.status === status);
+            }
+
+            // Sort by date (newest first by default)
+            if (sort === 'oldest') {
+                filteredQuotes.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+            } else {
+                filteredQuotes.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+            }
+
+            res.json({
+                success: true,
+                count: filteredQuotes.length,
+                data: filteredQuotes
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * GET /api/quotes/:id
+ * Get a single quote request by id or reference (staff endpoint)
+ */
+router.get('/:id',
+    authenticate,
+    authorize('admin', 'sales', 'viewer'),
+    async (req, res, next) => {
+        try {
+            const quote = (await quotes.all()).find(q =>
+                q.id === req.params.id || q.reference === req.params.id.toUpperCase()
+            );
+
+            if (!quote) {
+                throw new NotFoundError('Quote not found', { code: 'quote_not_found' });
+            }
+
+            res.json({
+                success: true,
+                data: quote
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * PATCH /api/quotes/:id
+ * Update quote status
+ */
+router.patch('/:id',
+    authenticate,
+    authorize('admin', 'sales'),
+    body('status')
+        .isIn(QUOTE_STATUSES)
+        .withMessage(`Status must be one of: ${QUOTE_STATUSES.join(', ')}`),
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const updated = await quotes.update(req.params.id, existing => ({
+                ...existing,
+                status: req.body.status,
+                updatedAt: new Date().toISOString()
+            }));
+
+            if (!updated) {
+                throw new NotFoundError('Quote not found', { code: 'quote_not_found' });
+            }
+
+            res.json({
+                success: true,
+                message: 'Quote updated successfully',
+                data: updated
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * DELETE /api/quotes/:id
+ * Delete a quote request
+ */
+router.delete('/:id',
+    authenticate,
+    authorize('admin', 'sales'),
+    async (req, res, next) => {
+        try {
+            const deleted = await quotes.remove(req.params.id);
+
+            if (!deleted) {
+                throw new NotFoundError('Quote not found', { code: 'quote_not_found' });
+            }
+
+            res.json({
+                success: true,
+                message: 'Quote deleted successfully',
+                data: deleted
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,208 @@
+/**
+ * Stores API Routes
+ *
+ * Store locations, trading hours and holiday closures:
+ * - GET /api/stores - Get all stores with their opening status
+ * - GET /api/stores/:id - Get a single store with its opening status
+ * - POST /api/stores - Add a store (admin)
+ * - PUT /api/stores/:id - Update a store (admin)
+ * - DELETE /api/stores/:id - Remove a store without stock (admin)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const stores = require('../services/stores');
+const { ValidationError, NotFoundError } = require('../errors');
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Handle validation errors
+ */
+function handleValidationErrors(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return next(new ValidationError('Some fields are invalid', {
+            errors: errors.array().map(err => ({
+                field: err.path,
+                message: err.msg
+            }))
+        }));
+    }
+    next();
+}
+
+/**
+ * Validation rules for a store. With optional set, only the fields present
+ * are checked (for updates).
+ */
+function storeValidators({ optional = false } = {}) {
+    const field = name => {
+        const chain = body(name);
+        return optional ? chain.optional() : chain;
+    };
+
+    return [
+        body('id')
+            .optional()
+            .trim()
+            .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).withMessage('Store id must be lowercase letters, numbers and dashes'),
+        field('name')
+            .trim()
+            .notEmpty().withMessage('Store name is required')
+            .isLength({ max: 100 }).withMessage('Store name must be at most 100 characters'),
+        field('address.street').trim().notEmpty().withMessage('Street address is required'),
+        field('address.town').trim().notEmpty().withMessage('Town is required'),
+        body('address.province').optional().trim(),
+        body('address.postalCode')
+            .optional()
+            .trim()
+            .matches(/^\d{4}$/).withMessage('Postal code must be 4 digits'),
+        field('coordinates.lat')
+            .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90')
+            .toFloat(),
+        field('coordinates.lng')
+            .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180')
+            .toFloat(),
+        body('phone')
+            .optional({ values: 'null' })
+            .trim()
+            .matches(/^[+]?[\d\s\-()]{7,20}$/).withMessage('Please provide a valid phone number'),
+        field('hours').custom(hours => {
+            const message = stores.hoursError(hours);
+            if (message) throw new Error(message);
+            return true;
+        }),
+        body('closures').optional().custom(closures => {
+            const message = stores.closuresError(closures);
+            if (message) throw new Error(message);
+            return true;
+        })
+    ];
+}
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * GET /api/stores
+ * Get all stores with whether they are open now
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const now = new Date();
+        const results = (await stores.listStores()).map(store => stores.withStatus(store, now));
+
+        res.json({
+            success: true,
+            count: results.length,
+            timezone: stores.TIMEZONE,
+            data: results
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/stores/:id
+ * Get a single store with whether it is open now
+ */
+router.get('/:id', async (req, res, next) => {
+    try {
+        const store = await stores.findStore(req.params.id);
+
+        if (!store) {
+            throw new NotFoundError('Store not found', { code: 'store_not_found' });
+        }
+
+        res.json({
+            success: true,
+            data: stores.withStatus(store)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/stores
+ * Add a store
+ */
+router.post('/',
+    storeValidators(),
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const { id, name, address, coordinates, phone, hours, closures } = req.body;
+            const store = await stores.createStore({ id, name, address, coordinates, phone, hours, closures });
+
+            res.status(201).json({
+                success: true,
+                message: 'Store added successfully',
+                data: stores.withStatus(store)
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * PUT /api/stores/:id
+ * Update a store. Address and coordinates are merged; hours and closures are replaced.
+ */
+router.put('/:id',
+    storeValidators({ optional: true }),
+    handleValidationErrors,
+    async (req, res, next) => {
+        try {
+            const { name, address, coordinates, phone, hours, closures } = req.body;
+            const changes = Object.fromEntries(
+                Object.entries({ name, address, coordinates, phone, hours, closures })
+                    .filter(([, value]) => value !== undefined)
+            );
+            const store = await stores.updateStore(req.params.id, changes);
+
+            if (!store) {
+                throw new NotFoundError('Store not found', { code: 'store_not_found' });
+            }
+
+            res.json({
+                success: true,
+                message: 'Store updated successfully',
+                data: stores.withStatus(store)
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * DELETE /api/stores/:id
+ * Remove a store that holds no stock
+ */
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const store = await stores.deleteStore(req.params.id);
+
+        if (!store) {
+            throw new NotFoundError('Store not found', { code: 'store_not_found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Store removed successfully',
+            data: store
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
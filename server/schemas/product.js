@@ -0,0 +1,457 @@
+/**
+ * Product Schema
+ *
+ * Versioned shape of a catalog record, with validation and the migrations
+ * that bring older records up to date.
+ *
+ * Version 1:
+ * - id            positive integer, unique
+ * - schemaVersion 1
+ * - sku           unique stock keeping unit, e.g. "MAS-0001"
+ * - slug          unique URL-safe name, e.g. "dish-delux"
+ * - name, description, category, packaging, image - non-empty strings
+ * - price         number >= 0
+ *
+ * Version 2:
+ * - variants      one entry per pack size: { sku, size, price, stock }.
+ *                 Variant SKUs are unique across the whole catalog.
+ *                 stock is the total across all stores, kept in step by
+ *                 services/inventory.js.
+ * - price         lowest variant price (derived, used for filtering)
+ * - packaging     variant sizes joined with " / " (derived, for display)
+ *
+ * Optional detail fields (any version):
+ * - usage         usage instructions
+ * - dilution      [{ application, ratio }], e.g. { application: "Floors", ratio: "1:50" }
+ * - safety        safety and first-aid notes, one string per line
+ * - tags          extra search keywords, e.g. ["kitchen", "grease"]
+ * - images        renditions of an uploaded image, set by POST /:id/image:
+ *                 { id, width, height, thumb, medium, large }, where each size
+ *                 is { webp, jpeg, width, height }. image then holds the
+ *                 medium JPEG URL.
+ * - ghs           GHS hazard labelling: { pictograms: ["GHS05", ...],
+ *                 signalWord: "Danger" | "Warning" | null }
+ * - documents     PDF data sheets by type ("sds" safety, "tds" technical),
+ *                 set by POST /:id/documents/:type. Each type lists every
+ *                 version, oldest first:
+ *                 [{ version, revisionDate, fileId, fileName, size, uploadedAt }]
+ * - documentVersions  highest version ever issued per document type, e.g.
+ *                 { sds: 3 }, so a removed version's number is not reused
+ */
+
+const PRODUCT_SCHEMA_VERSION = 2;
+
+const SKU_PATTERN = /^[A-Z0-9][A-Z0-9-]{1,31}$/;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const REQUIRED_STRINGS = ['name', 'description', 'category', 'packaging', 'image'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_TAGS = 20;
+
+// GHS hazard pictograms by code
+const GHS_PICTOGRAMS = {
+    GHS01: 'Explosive',
+    GHS02: 'Flammable',
+    GHS03: 'Oxidising',
+    GHS04: 'Gas under pressure',
+    GHS05: 'Corrosive',
+    GHS06: 'Acute toxicity',
+    GHS07: 'Harmful or irritant',
+    GHS08: 'Health hazard',
+    GHS09: 'Hazardous to the environment'
+};
+
+const SIGNAL_WORDS = ['Danger', 'Warning'];
+
+// Data sheets a product can carry
+const DOCUMENT_TYPES = {
+    sds: 'Safety Data Sheet',
+    tds: 'Technical Data Sheet'
+};
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Turn a product name into a URL-safe slug
+ */
+function slugify(text) {
+    return String(text)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Default SKU for a product ID
+ */
+function skuFor(id) {
+    return `MAS-${String(id).padStart(4, '0')}`;
+}
+
+/**
+ * Default SKU for a pack size of a product, e.g. MAS-0001-750ML
+ */
+function variantSkuFor(productSku, size) {
+    const sizeCode = String(size).toUpperCase().replace(/[^A-Z0-9]+/g, '');
+    return sizeCode ? `${productSku}-${sizeCode}` : productSku;
+}
+
+/**
+ * Recompute the fields derived from a product's variants
+ */
+function summarizeVariants(product) {
+    const variants = Array.isArray(product.variants) ? product.variants : [];
+    if (variants.length === 0) {
+        return product;
+    }
+
+    return {
+        ...product,
+        price: Math.min(...variants.map(v => v.price)),
+        packaging: variants.map(v => v.size).join(' / ')
+    };
+}
+
+/**
+ * Return base, or base-2, base-3... whichever is not in taken
+ */
+function uniqueValue(base, taken) {
+    let candidate = base;
+    let counter = 2;
+    while (taken.has(candidate)) {
+        candidate = `${base}-${counter++}`;
+    }
+    return candidate;
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Validate a single product against the current schema.
+ * Returns an array of { field, message }; empty when valid.
+ */
+function validateProduct(product) {
+    const errors = [];
+    const fail = (field, message) => errors.push({ field, message });
+
+    if (!product || typeof product !== 'object' || Array.isArray(product)) {
+        return [{ field: null, message: 'Product must be an object' }];
+    }
+
+    if (!Number.isInteger(product.id) || product.id < 1) {
+        fail('id', 'Product ID must be a positive integer');
+    }
+
+    if (product.schemaVersion !== PRODUCT_SCHEMA_VERSION) {
+        fail('schemaVersion', `Schema version must be ${PRODUCT_SCHEMA_VERSION}`);
+    }
+
+    if (typeof product.sku !== 'string' || !SKU_PATTERN.test(product.sku)) {
+        fail('sku', 'SKU must be 2-32 uppercase letters, digits or dashes');
+    }
+
+    if (typeof product.slug !== 'string' || !SLUG_PATTERN.test(product.slug)) {
+        fail('slug', 'Slug must be lowercase letters, digits and dashes');
+    }
+
+    REQUIRED_STRINGS.forEach(field => {
+        if (typeof product[field] !== 'string' || product[field].trim() === '') {
+            fail(field, `${field} is required`);
+        }
+    });
+
+    if (!isPrice(product.price)) {
+        fail('price', 'Price must be a positive number');
+    }
+
+    if (!Array.isArray(product.variants) || product.variants.length === 0) {
+        fail('variants', 'At least one variant is required');
+    } else {
+        const skus = new Set();
+        product.variants.forEach((variant, index) => {
+            validateVariant(variant).forEach(error => {
+                fail(`variants[${index}].${error.field}`, error.message);
+            });
+            if (variant && skus.has(variant.sku)) {
+                fail(`variants[${index}].sku`, `Duplicate variant SKU: ${variant.sku}`);
+            }
+            skus.add(variant && variant.sku);
+        });
+    }
+
+    if (product.usage !== undefined && typeof product.usage !== 'string') {
+        fail('usage', 'Usage must be text');
+    }
+
+    if (product.dilution !== undefined) {
+        const valid = Array.isArray(product.dilution) && product.dilution.every(d =>
+            d && typeof d.application === 'string' && d.application.trim() !== '' &&
+            typeof d.ratio === 'string' && d.ratio.trim() !== ''
+        );
+        if (!valid) {
+            fail('dilution', 'Dilution must be a list of { application, ratio }');
+        }
+    }
+
+    if (product.images !== undefined) {
+        const valid = product.images && typeof product.images === 'object' &&
+            typeof product.images.id === 'string' &&
+            ['thumb', 'medium', 'large'].every(size =>
+                product.images[size] && typeof product.images[size].jpeg === 'string'
+            );
+        if (!valid) {
+            fail('images', 'Images must list thumb, medium and large renditions');
+        }
+    }
+
+    if (product.safety !== undefined) {
+        const valid = Array.isArray(product.safety) && product.safety.every(line => typeof line === 'string');
+        if (!valid) {
+            fail('safety', 'Safety must be a list of text lines');
+        }
+    }
+
+    if (product.tags !== undefined) {
+        const valid = Array.isArray(product.tags) && product.tags.length <= MAX_TAGS &&
+            product.tags.every(tag => typeof tag === 'string' && tag.trim() !== '' && tag.length <= 50);
+        if (!valid) {
+            fail('tags', `Tags must be a list of at most ${MAX_TAGS} words or phrases`);
+        }
+    }
+
+    if (product.ghs !== undefined) {
+        const ghs = product.ghs;
+        if (!ghs || typeof ghs !== 'object' || !Array.isArray(ghs.pictograms)) {
+            fail('ghs', 'GHS labelling must be { pictograms, signalWord }');
+        } else {
+            const unknown = ghs.pictograms.find(code => !Object.prototype.hasOwnProperty.call(GHS_PICTOGRAMS, code));
+            if (unknown !== undefined) {
+                fail('ghs.pictograms', `Unknown GHS pictogram: ${unknown}`);
+            } else if (new Set(ghs.pictograms).size !== ghs.pictograms.length) {
+                fail('ghs.pictograms', 'GHS pictograms must not repeat');
+            }
+            if (ghs.signalWord !== null && ghs.signalWord !== undefined && !SIGNAL_WORDS.includes(ghs.signalWord)) {
+                fail('ghs.signalWord', `Signal word must be one of: ${SIGNAL_WORDS.join(', ')}`);
+            }
+        }
+    }
+
+    if (product.documents !== undefined) {
+        const documents = product.documents;
+        if (!documents || typeof documents !== 'object' || Array.isArray(documents)) {
+            fail('documents', 'Documents must be an object keyed by document type');
+        } else {
+            Object.entries(documents).forEach(([type, versions]) => {
+                if (!Object.prototype.hasOwnProperty.call(DOCUMENT_TYPES, type)) {
+                    fail('documents', `Unknown document type: ${type}`);
+                    return;
+                }
+                const valid = Array.isArray(versions) && versions.every(d =>
+                    d && Number.isInteger(d.version) && d.version > 0 &&
+                    typeof d.revisionDate === 'string' && DATE_PATTERN.test(d.revisionDate) &&
+                    typeof d.fileId === 'string' && typeof d.fileName === 'string'
+                );
+                if (!valid) {
+                    fail(`documents.${type}`, 'Each document version needs a version, revisionDate, fileId and fileName');
+                }
+            });
+        }
+    }
+
+    if (product.documentVersions !== undefined) {
+        const issued = product.documentVersions;
+        const valid = issued && typeof issued === 'object' && !Array.isArray(issued) &&
+            Object.entries(issued).every(([type, version]) =>
+                Object.prototype.hasOwnProperty.call(DOCUMENT_TYPES, type) && Number.isInteger(version) && version > 0
+            );
+        if (!valid) {
+            fail('documentVersions', 'Document versions must map a document type to a positive whole number');
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a single product variant.
+ * Returns an array of { field, message }; empty when valid.
+ */
+function validateVariant(variant) {
+    const errors = [];
+    const fail = (field, message) => errors.push({ field, message });
+
+    if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+        return [{ field: null, message: 'Variant must be an object' }];
+    }
+
+    if (typeof variant.sku !== 'string' || !SKU_PATTERN.test(variant.sku)) {
+        fail('sku', 'SKU must be 2-32 uppercase letters, digits or dashes');
+    }
+
+    if (typeof variant.size !== 'string' || variant.size.trim() === '') {
+        fail('size', 'Size is required');
+    }
+
+    if (!isPrice(variant.price)) {
+        fail('price', 'Price must be a positive number');
+    }
+
+    if (!Number.isInteger(variant.stock) || variant.stock < 0) {
+        fail('stock', 'Stock must be a whole number of 0 or more');
+    }
+
+    return errors;
+}
+
+function isPrice(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Validate a whole catalog, including uniqueness of ids, SKUs and slugs.
+ * Returns an array of { index, id, field, message }; empty when valid.
+ */
+function validateCatalog(products) {
+    if (!Array.isArray(products)) {
+        return [{ index: null, id: null, field: null, message: 'Catalog must be an array' }];
+    }
+
+    const errors = [];
+    const seen = { id: new Set(), sku: new Set(), slug: new Set() };
+
+    products.forEach((product, index) => {
+        const id = product && product.id !== undefined ? product.id : null;
+
+        validateProduct(product).forEach(error => errors.push({ index, id, ...error }));
+
+        Object.keys(seen).forEach(field => {
+            const value = product && product[field];
+            if (value === undefined || value === null) return;
+            if (seen[field].has(value)) {
+                errors.push({ index, id, field, message: `Duplicate ${field}: ${value}` });
+            }
+            seen[field].add(value);
+        });
+    });
+
+    // Variant SKUs identify a sellable item, so they must be unique catalog-wide
+    const variantSkus = new Set();
+    products.forEach((product, index) => {
+        const variants = product && Array.isArray(product.variants) ? product.variants : [];
+        variants.forEach(variant => {
+            if (!variant || !variant.sku) return;
+            if (variantSkus.has(variant.sku)) {
+                errors.push({ index, id: product.id, field: 'variants', message: `Duplicate variant SKU: ${variant.sku}` });
+            }
+            variantSkus.add(variant.sku);
+        });
+    });
+
+    return errors;
+}
+
+// =============================================================================
+// MIGRATIONS
+// =============================================================================
+
+/**
+ * Migrations keyed by the version they produce. Each receives a record at
+ * the previous version and a context shared across the whole catalog.
+ */
+const MIGRATIONS = {
+    // 0 -> 1: backfill ids, slugs, SKUs and prices
+    1(product, context) {
+        const id = Number.isInteger(product.id) && product.id > 0 ? product.id : context.nextId++;
+        const slug = uniqueValue(product.slug || slugify(product.name), context.slugs);
+        const sku = uniqueValue(product.sku || skuFor(id), context.skus);
+
+        context.slugs.add(slug);
+        context.skus.add(sku);
+
+        const price = parseFloat(product.price);
+
+        // Put the identifiers first so they lead each record in products.json
+        return Object.assign(
+            { id: null, schemaVersion: null, sku: null, slug: null },
+            product,
+            { id, sku, slug, price: Number.isFinite(price) && price >= 0 ? price : 0 }
+        );
+    },
+
+    // 1 -> 2: turn the single packaging/price into the first variant
+    2(product, context) {
+        const sku = uniqueValue(variantSkuFor(product.sku, product.packaging), context.variantSkus);
+        context.variantSkus.add(sku);
+
+        return summarizeVariants({
+            ...product,
+            variants: [{
+                sku,
+                size: product.packaging,
+                price: product.price,
+                stock: 0
+            }]
+        });
+    }
+};
+
+/**
+ * Bring every product in a catalog up to the current schema version.
+ * Returns { products, changed } where changed counts migrated records.
+ */
+function migrateCatalog(products) {
+    const ids = products.map(p => p.id).filter(id => Number.isInteger(id) && id > 0);
+    const context = {
+        nextId: ids.length > 0 ? Math.max(...ids) + 1 : 1,
+        slugs: new Set(products.map(p => p.slug).filter(Boolean)),
+        skus: new Set(products.map(p => p.sku).filter(Boolean)),
+        variantSkus: new Set(
+            products.flatMap(p => (Array.isArray(p.variants) ? p.variants : []).map(v => v.sku))
+        )
+    };
+
+    let changed = 0;
+    const migrated = products.map(product => {
+        let record = product;
+        let version = record.schemaVersion || 0;
+
+        if (version >= PRODUCT_SCHEMA_VERSION) {
+            return record;
+        }
+
+        // Records being migrated must not collide with their own old values
+        context.slugs.delete(record.slug);
+        context.skus.delete(record.sku);
+
+        while (version < PRODUCT_SCHEMA_VERSION) {
+            version++;
+            record = { ...MIGRATIONS[version](record, context), schemaVersion: version };
+        }
+        changed++;
+        return record;
+    });
+
+    return { products: migrated, changed };
+}
+
+module.exports = {
+    PRODUCT_SCHEMA_VERSION,
+    GHS_PICTOGRAMS,
+    SIGNAL_WORDS,
+    DOCUMENT_TYPES,
+    slugify,
+    skuFor,
+    variantSkuFor,
+    uniqueValue,
+    summarizeVariants,
+    validateProduct,
+    validateVariant,
+    validateCatalog,
+    migrateCatalog
+};
@@ -0,0 +1,81 @@
+/**
+ * Check the OpenAPI document against the routers
+ *
+ * Usage:
+ *   npm run check:openapi
+ *
+ * Lists every method and path the API routers register and compares them
+ * with the paths in openapi/. Exits non-zero when a route is undocumented
+ * or the document describes a route that no longer exists.
+ */
+
+require('dotenv').config();
+const spec = require('../openapi');
+
+// Mount points from server.js (under /api, which is the document's server URL)
+const ROUTERS = {
+    '/auth': '../routes/auth',
+    '/products': '../routes/products',
+    '/contact': '../routes/contact',
+    '/quotes': '../routes/quotes',
+    '/inventory': '../routes/inventory',
+    '/stores': '../routes/stores',
+    '/backups': '../routes/backups'
+};
+
+// Routes registered on the app itself rather than a router
+const APP_ROUTES = ['GET /health'];
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * "GET /products/{id}" for every route of every router
+ */
+function registeredOperations() {
+    const operations = [...APP_ROUTES];
+
+    Object.entries(ROUTERS).forEach(([mount, modulePath]) => {
+        require(modulePath).stack
+            .filter(layer => layer.route)
+            .forEach(layer => {
+                const routePath = (mount + layer.route.path)
+                    .replace(/\/$/, '')
+                    .replace(/:(\w+)/g, '{$1}');
+                Object.keys(layer.route.methods)
+                    .filter(method => METHODS.includes(method))
+                    .forEach(method => operations.push(`${method.toUpperCase()} ${routePath}`));
+            });
+    });
+
+    return new Set(operations);
+}
+
+function documentedOperations() {
+    const operations = [];
+    Object.entries(spec.paths).forEach(([routePath, item]) => {
+        METHODS.filter(method => item[method])
+            .forEach(method => operations.push(`${method.toUpperCase()} ${routePath}`));
+    });
+    return new Set(operations);
+}
+
+function main() {
+    const registered = registeredOperations();
+    const documented = documentedOperations();
+
+    const missing = [...registered].filter(operation => !documented.has(operation));
+    const stale = [...documented].filter(operation => !registered.has(operation));
+
+    missing.forEach(operation => console.error(`Not documented: ${operation}`));
+    stale.forEach(operation => console.error(`No such route: ${operation}`));
+
+    if (missing.length > 0 || stale.length > 0) {
+        console.error('Update the paths in openapi/ to match the routes.');
+        process.exit(1);
+    }
+
+    console.log(`OpenAPI document covers all ${registered.size} operations`);
+    process.exit(0);
+}
+
+main();
@@ -0,0 +1,40 @@
+/**
+ * Create a staff user from the command line
+ *
+ * Usage:
+ *   npm run create-user -- <email> <password> [role] [name]
+ *
+ * Role defaults to "admin", which is what you want for the first account.
+ */
+
+require('dotenv').config();
+const users = require('../services/users');
+
+async function main() {
+    const [email, password, role = 'admin', ...nameParts] = process.argv.slice(2);
+
+    if (!email || !password) {
+        console.error('Usage: npm run create-user -- <email> <password> [role] [name]');
+        console.error(`Roles: ${users.ROLES.join(', ')}`);
+        process.exit(1);
+    }
+
+    if (password.length < 10) {
+        console.error('Password must be at least 10 characters');
+        process.exit(1);
+    }
+
+    const user = await users.createUser({
+        email,
+        password,
+        role,
+        name: nameParts.join(' ') || undefined
+    });
+
+    console.log(`Created ${user.role} user ${user.email} (${user.id})`);
+}
+
+main().catch(error => {
+    console.error(error.cause ? `${error.message} (${error.cause.message})` : error.message);
+    process.exit(1);
+});
@@ -0,0 +1,51 @@
+/**
+ * Migrate the product catalog to the current schema version
+ *
+ * Usage:
+ *   npm run migrate:products -- [--dry-run]
+ *
+ * Backfills missing ids, slugs, SKUs and prices (unknown prices become 0,
+ * and are listed so they can be filled in), then validates the result.
+ * Works against whichever STORAGE_DRIVER is configured.
+ */
+
+require('dotenv').config();
+const storage = require('../storage');
+const { PRODUCT_SCHEMA_VERSION, migrateCatalog, validateCatalog } = require('../schemas/product');
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const products = storage.collection('products');
+
+    const report = await products.transaction(tx => {
+        const before = tx.all();
+        const { products: migrated, changed } = migrateCatalog(before);
+        const errors = validateCatalog(migrated);
+
+        if (changed > 0 && errors.length === 0 && !dryRun) {
+            tx.replaceAll(migrated);
+        }
+        return { migrated, changed, errors };
+    });
+
+    console.log(`Schema version ${PRODUCT_SCHEMA_VERSION}: ${report.changed} of ${report.migrated.length} products migrated${dryRun ? ' (dry run)' : ''}`);
+
+    const unpriced = report.migrated.filter(p => p.price === 0);
+    if (unpriced.length > 0) {
+        console.log('Products without a price (set to 0):');
+        unpriced.forEach(p => console.log(`  ${p.sku}  ${p.name}`));
+    }
+
+    if (report.errors.length > 0) {
+        console.error('Catalog is still invalid, nothing was written:');
+        report.errors.forEach(e => console.error(`  #${e.index} (id ${e.id}) ${e.field}: ${e.message}`));
+        process.exit(1);
+    }
+
+    await storage.getDriver().close();
+}
+
+main().catch(error => {
+    console.error(error.cause ? `${error.message} (${error.cause.message})` : error.message);
+    process.exit(1);
+});
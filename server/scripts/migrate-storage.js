@@ -0,0 +1,63 @@
+/**
+ * Copy data between storage drivers
+ *
+ * Usage:
+ *   npm run migrate:storage -- [--from json] [--to sqlite] [--force]
+ *
+ * Copies the products, stores, submissions, users, quotes, inventory and
+ * stock_movements collections, e.g. from the existing products.json,
+ * stores.json and data/*.json files into the SQLite database. Refuses to
+ * overwrite a non-empty target collection unless --force is given.
+ */
+
+require('dotenv').config();
+const { createDriver, createCollection } = require('../storage');
+
+const COLLECTIONS = ['products', 'stores', 'submissions', 'users', 'quotes', 'inventory', 'stock_movements'];
+
+/**
+ * Read a --flag value from the command line
+ */
+function option(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+async function main() {
+    const from = option('from', 'json');
+    const to = option('to', 'sqlite');
+    const force = process.argv.includes('--force');
+
+    if (from === to) {
+        throw new Error('--from and --to must be different drivers');
+    }
+
+    const source = createDriver(from);
+    const target = createDriver(to);
+
+    try {
+        for (const name of COLLECTIONS) {
+            const records = await createCollection(source, name).all();
+            const targetCollection = createCollection(target, name);
+            const existing = await targetCollection.all();
+
+            if (existing.length > 0 && !force) {
+                console.log(`  ${name}: skipped, target already has ${existing.length} records (use --force)`);
+                continue;
+            }
+
+            await targetCollection.replaceAll(records);
+            console.log(`  ${name}: copied ${records.length} records`);
+        }
+    } finally {
+        await source.close();
+        await target.close();
+    }
+
+    console.log(`Migrated ${from} -> ${to}. Set STORAGE_DRIVER=${to} to use it.`);
+}
+
+main().catch(error => {
+    console.error(error.cause ? `${error.message} (${error.cause.message})` : error.message);
+    process.exit(1);
+});
@@ -5,7 +5,7 @@
  * - Security middleware (Helmet, CORS, Rate Limiting)
  * - Request validation
  * - Error handling
- * - Logging
+ * - Structured logging with request IDs
  * - RESTful API design
  */
 
@@ -13,16 +13,32 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
-const rateLimit = require('express-rate-limit');
 const path = require('path');
 
 // Import routes
 const productRoutes = require('./routes/products');
 const contactRoutes = require('./routes/contact');
+const authRoutes = require('./routes/auth');
+const backupRoutes = require('./routes/backups');
+const quoteRoutes = require('./routes/quotes');
+const inventoryRoutes = require('./routes/inventory');
+const storeRoutes = require('./routes/stores');
+const docsRoutes = require('./routes/docs');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
+const { assignRequestId, logRequests, REQUEST_ID_HEADER } = require('./middleware/requestContext');
+const { authenticate, authorize, protectWrites } = require('./middleware/auth');
+const { apiLimiter, contactLimiter, loginLimiter } = require('./middleware/rateLimit');
+const { NotFoundError } = require('./errors');
+
+// Import logger
+const logger = require('./logger');
+
+// Import storage
+const storage = require('./storage');
+const { UPLOADS_DIR, UPLOADS_URL } = require('./services/images');
+const { validateCatalog } = require('./schemas/product');
 
 // Initialize Express app
 const app = express();
@@ -31,6 +47,15 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
+// =============================================================================
+// REQUEST CONTEXT
+// =============================================================================
+
+// Request ID (X-Request-Id) for correlating log lines, then the access log.
+// First, so even rejected requests are logged with an ID.
+app.use(assignRequestId);
+app.use(logRequests);
+
 // =============================================================================
 // SECURITY MIDDLEWARE
 // =============================================================================
@@ -45,38 +70,42 @@ app.use(helmet({
 app.use(cors({
     origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000', 'http://127.0.0.1:5500'],
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', REQUEST_ID_HEADER],
+    exposedHeaders: [REQUEST_ID_HEADER],
     credentials: true
 }));
 
-// Rate Limiting - Prevent brute force attacks
-const limiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100, // Limit each IP to 100 requests per windowMs
-    message: {
-        success: false,
-        error: 'Too many requests, please try again later.'
-    },
-    standardHeaders: true,
-    legacyHeaders: false
-});
-app.use('/api/', limiter);
+// Rate Limiting - Prevent brute force attacks, with stricter limits on the
+// public forms (see middleware/rateLimit.js). Admins are exempt.
+app.use('/api/', apiLimiter);
+app.post('/api/contact', contactLimiter);
+app.post('/api/auth/login', loginLimiter);
 
 // =============================================================================
 // GENERAL MIDDLEWARE
 // =============================================================================
 
-// Request logging
-app.use(morgan(NODE_ENV === 'production' ? 'combined' : 'dev'));
-
 // Parse JSON bodies
 app.use(express.json({ limit: '10kb' }));
 
 // Parse URL-encoded bodies
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 
-// Serve static files from parent directory (frontend)
-app.use(express.static(path.join(__dirname, '..')));
+// Serve uploaded images. File names are unique per upload, so they can be
+// cached for good; missing files get a file_not_found 404 rather than the SPA.
+app.use(UPLOADS_URL, express.static(UPLOADS_DIR, {
+    maxAge: '365d',
+    immutable: true,
+    fallthrough: false
+}));
+
+// Serve the frontend. Only its own folders are public: the repo root also
+// holds server/ (with runtime data such as users and submissions) and the
+// JSON collections, which must only be reached through the API.
+const FRONTEND_DIR = path.join(__dirname, '..');
+['js', 'css', 'Images'].forEach(dir => {
+    app.use(`/${dir}`, express.static(path.join(FRONTEND_DIR, dir)));
+});
 
 // =============================================================================
 // API ROUTES
@@ -93,21 +122,43 @@ app.get('/api/health', (req, res) => {
     });
 });
 
-// Products API
-app.use('/api/products', productRoutes);
+// API docs - the OpenAPI document and a browser for it
+app.use('/api/docs', docsRoutes);
+
+// Auth API
+app.use('/api/auth', authRoutes);
 
-// Contact API
+// Products API - reads are public, changes require staff
+app.use('/api/products', protectWrites('admin', 'sales'), productRoutes);
+
+// Contact API - submitting is public, the inbox is staff only
+app.use('/api/contact/submissions',
+    authenticate,
+    authorize('admin', 'sales', 'viewer'),
+    protectWrites('admin', 'sales')
+);
 app.use('/api/contact', contactRoutes);
 
+// Quotes API - requesting a quote is public, managing quotes is staff only
+app.use('/api/quotes', quoteRoutes);
+
+// Inventory API - availability is public, stock levels are staff only
+app.use('/api/inventory', inventoryRoutes);
+
+// Stores API - locations and hours are public, changes are admin only
+app.use('/api/stores', protectWrites('admin'), storeRoutes);
+
+// Backups API - admin only
+app.use('/api/backups', authenticate, authorize('admin'), backupRoutes);
+
 // =============================================================================
 // FRONTEND ROUTING
 // =============================================================================
 
 // Serve index.html for all non-API routes (SPA support)
-app.get('*', (req, res) => {
-    if (!req.path.startsWith('/api')) {
-        res.sendFile(path.join(__dirname, '..', 'index.html'));
-    }
+app.get('*', (req, res, next) => {
+    if (req.path.startsWith('/api')) return next();
+    res.sendFile(path.join(FRONTEND_DIR, 'index.html'));
 });
 
 // =============================================================================
@@ -115,11 +166,8 @@ app.get('*', (req, res) => {
 // =============================================================================
 
 // 404 handler for API routes
-app.use('/api/*', (req, res) => {
-    res.status(404).json({
-        success: false,
-        error: 'API endpoint not found'
-    });
+app.use('/api/*', (req, res, next) => {
+    next(new NotFoundError('API endpoint not found', { code: 'route_not_found' }));
 });
 
 // Global error handler
@@ -129,32 +177,69 @@ app.use(errorHandler);
 // SERVER STARTUP
 // =============================================================================
 
-const server = app.listen(PORT, () => {
-    console.log('='.repeat(50));
-    console.log('  MASCHEM BACKEND SERVER');
-    console.log('='.repeat(50));
-    console.log(`  Environment: ${NODE_ENV}`);
-    console.log(`  Server running on port: ${PORT}`);
-    console.log(`  Local: http://localhost:${PORT}`);
-    console.log(`  API Health: http://localhost:${PORT}/api/health`);
-    console.log('='.repeat(50));
-});
+/**
+ * Refuse to start with malformed catalog records.
+ * Run `npm run migrate:products` to bring an older catalog up to date.
+ */
+async function validateCatalogOnStartup() {
+    const products = await storage.collection('products').all();
+    const errors = validateCatalog(products);
+
+    if (errors.length > 0) {
+        logger.error('Invalid product catalog', {
+            problems: errors.length,
+            errors: errors.slice(0, 20),
+            hint: 'Run "npm run migrate:products" or fix the records, then restart.'
+        });
+        process.exit(1);
+    }
+}
+
+let server;
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('SIGTERM signal received: closing HTTP server');
-    server.close(() => {
-        console.log('HTTP server closed');
-        process.exit(0);
+/**
+ * Check the catalog, then listen on PORT. Only runs when the file is
+ * started directly, so tests can require the app without a server.
+ */
+function start() {
+    validateCatalogOnStartup()
+        .then(() => {
+            server = app.listen(PORT, () => {
+                logger.info('Maschem backend server started', {
+                    environment: NODE_ENV,
+                    port: Number(PORT),
+                    url: `http://localhost:${PORT}`,
+                    health: `http://localhost:${PORT}/api/health`
+                });
+            });
+        })
+        .catch(error => {
+            logger.error('Failed to start server', { error });
+            process.exit(1);
+        });
+
+    // Graceful shutdown
+    process.on('SIGTERM', () => {
+        logger.info('SIGTERM signal received: closing HTTP server');
+        if (!server) process.exit(0);
+        server.close(() => {
+            logger.info('HTTP server closed');
+            process.exit(0);
+        });
     });
-});
 
-process.on('SIGINT', () => {
-    console.log('SIGINT signal received: closing HTTP server');
-    server.close(() => {
-        console.log('HTTP server closed');
-        process.exit(0);
+    process.on('SIGINT', () => {
+        logger.info('SIGINT signal received: closing HTTP server');
+        if (!server) process.exit(0);
+        server.close(() => {
+            logger.info('HTTP server closed');
+            process.exit(0);
+        });
     });
-});
+}
+
+if (require.main === module) {
+    start();
+}
 
 module.exports = app;
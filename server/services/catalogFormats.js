@@ -0,0 +1,280 @@
+/**
+ * Catalog Import/Export Formats
+ *
+ * Converts the catalog to and from the files behind
+ * GET /api/products/export and POST /api/products/import.
+ *
+ * CSV has one row per pack size, so prices can be edited in a spreadsheet:
+ *
+ *   productSku,name,category,description,usage,variantSku,size,price
+ *
+ * Product columns are read from the first row of each productSku; later rows
+ * only need the pack size columns. Files are written with a UTF-8 byte order
+ * mark and CRLF line endings so Excel opens them cleanly, and files saved by
+ * Excel with ";" separators are read too.
+ *
+ * JSON is an array of products with their pack sizes:
+ *
+ *   [{ sku, name, category, description, usage, dilution, safety, ghs, tags, image,
+ *      variants: [{ sku, size, price }] }]
+ *
+ * Both formats parse into the same import items:
+ *
+ *   { row, sku, fields: { name, ... }, variants: [{ row, sku, size, price }] }
+ *
+ * where row is the spreadsheet row (CSV, header is row 1) or the position in
+ * the array (JSON, from 1). Blank values are left out, meaning "unchanged".
+ */
+
+const { ValidationError } = require('../errors');
+
+const CSV_COLUMNS = ['productSku', 'name', 'category', 'description', 'usage', 'variantSku', 'size', 'price'];
+const PRODUCT_COLUMNS = ['name', 'category', 'description', 'usage'];
+
+// Product fields carried by the JSON format
+const JSON_FIELDS = ['name', 'category', 'description', 'usage', 'dilution', 'safety', 'ghs', 'tags', 'image'];
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Error for a catalog file that cannot be read
+ */
+function formatError(message) {
+    return new ValidationError(message, { code: 'invalid_import_file' });
+}
+
+/**
+ * Quote a CSV cell when needed, neutralising text a spreadsheet would run
+ * as a formula
+ */
+function csvCell(value) {
+    if (value === undefined || value === null) return '';
+
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Undo the formula guard added by csvCell
+ */
+function uncsvCell(text) {
+    return text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/**
+ * Match a header cell to a column, ignoring case, spaces and underscores
+ */
+function columnFor(header) {
+    const key = header.trim().toLowerCase().replace(/[\s_-]+/g, '');
+    return CSV_COLUMNS.find(column => column.toLowerCase() === key) || null;
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting)
+ */
+function parseCsv(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const delimiter = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) {
+        throw formatError('The CSV file has an unclosed quote');
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+/**
+ * Products in the JSON import/export shape
+ */
+function toJsonRecords(products) {
+    return products.map(product => {
+        const record = { sku: product.sku };
+        JSON_FIELDS.forEach(field => {
+            if (product[field] !== undefined) record[field] = product[field];
+        });
+        record.variants = product.variants.map(({ sku, size, price }) => ({ sku, size, price }));
+        return record;
+    });
+}
+
+/**
+ * Products as CSV text, one row per pack size
+ */
+function toCsv(products) {
+    const lines = [CSV_COLUMNS.join(',')];
+
+    products.forEach(product => {
+        product.variants.forEach(variant => {
+            lines.push([
+                product.sku,
+                product.name,
+                product.category,
+                product.description,
+                product.usage,
+                variant.sku,
+                variant.size,
+                variant.price.toFixed(2)
+            ].map(csvCell).join(','));
+        });
+    });
+
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+// =============================================================================
+// IMPORT
+// =============================================================================
+
+/**
+ * Parse CSV text into import items. Throws a 400 error if the file cannot
+ * be read at all.
+ */
+function itemsFromCsv(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+        throw formatError('The CSV file is empty');
+    }
+
+    const columns = header.map(columnFor);
+    if (!columns.includes('productSku')) {
+        throw formatError(`The CSV file needs a productSku column. Expected columns: ${CSV_COLUMNS.join(', ')}`);
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw formatError(`Import at most ${MAX_IMPORT_ROWS} rows at a time`);
+    }
+
+    const items = new Map();
+
+    rows.forEach((cells, index) => {
+        if (cells.every(cell => cell.trim() === '')) return;
+
+        const values = {};
+        columns.forEach((column, i) => {
+            const value = uncsvCell((cells[i] || '').trim());
+            if (column && value !== '') values[column] = value;
+        });
+
+        const row = index + 2;
+        const sku = (values.productSku || '').toUpperCase();
+        let item = items.get(sku);
+        if (!item || !sku) {
+            item = { row, sku, fields: {}, variants: [] };
+            PRODUCT_COLUMNS.forEach(column => {
+                if (values[column] !== undefined) item.fields[column] = values[column];
+            });
+            items.set(sku || `row ${row}`, item);
+        }
+
+        if (values.variantSku || values.size || values.price) {
+            item.variants.push({
+                row,
+                ...(values.variantSku && { sku: values.variantSku.toUpperCase() }),
+                ...(values.size && { size: values.size }),
+                ...(values.price && { price: values.price })
+            });
+        }
+    });
+
+    return [...items.values()];
+}
+
+/**
+ * Parse JSON text into import items. Throws a 400 error if it is not an
+ * array of products.
+ */
+function itemsFromJson(text) {
+    let records;
+    try {
+        records = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch {
+        throw formatError('The JSON file could not be parsed');
+    }
+
+    if (!Array.isArray(records)) {
+        throw formatError('The JSON file must hold an array of products');
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+        throw formatError(`Import at most ${MAX_IMPORT_ROWS} products at a time`);
+    }
+
+    return records.map((record, index) => {
+        const row = index + 1;
+        const source = record && typeof record === 'object' ? record : {};
+        const fields = {};
+        JSON_FIELDS.forEach(field => {
+            if (source[field] !== undefined && source[field] !== '') fields[field] = source[field];
+        });
+
+        return {
+            row,
+            sku: typeof source.sku === 'string' ? source.sku.trim().toUpperCase() : '',
+            fields,
+            variants: (Array.isArray(source.variants) ? source.variants : []).map(variant => ({
+                row,
+                ...(variant && variant.sku && { sku: String(variant.sku).trim().toUpperCase() }),
+                ...(variant && variant.size !== undefined && { size: variant.size }),
+                ...(variant && variant.price !== undefined && { price: variant.price })
+            }))
+        };
+    });
+}
+
+module.exports = {
+    CSV_COLUMNS,
+    MAX_IMPORT_ROWS,
+    toJsonRecords,
+    toCsv,
+    itemsFromCsv,
+    itemsFromJson
+};
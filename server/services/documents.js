@@ -0,0 +1,87 @@
+/**
+ * Product Documents
+ *
+ * Stores the PDF data sheets (SDS, TDS) attached to products, one folder
+ * per product:
+ *
+ *   <DOCUMENTS_DIR>/<productId>/<fileId>.pdf
+ *
+ * Files are not served statically; customers download them through
+ * GET /api/products/:id/documents/:type. Every uploaded version is kept.
+ * Configuration:
+ * - DOCUMENTS_DIR    where documents are stored (default: server/data/documents)
+ * - MAX_DOCUMENT_MB  largest accepted upload (default: 10)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { ValidationError } = require('../errors');
+
+const DOCUMENTS_DIR = process.env.DOCUMENTS_DIR || path.join(__dirname, '..', 'data', 'documents');
+const MAX_DOCUMENT_BYTES = (parseFloat(process.env.MAX_DOCUMENT_MB) || 10) * 1024 * 1024;
+
+const PDF_MIME_TYPE = 'application/pdf';
+
+// Every PDF starts with this header
+const PDF_SIGNATURE = Buffer.from('%PDF-');
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+function productDir(productId) {
+    return path.join(DOCUMENTS_DIR, String(productId));
+}
+
+/**
+ * Path of a stored document file
+ */
+function documentPath(productId, fileId) {
+    return path.join(productDir(productId), `${fileId}.pdf`);
+}
+
+// =============================================================================
+// STORAGE
+// =============================================================================
+
+/**
+ * Store an uploaded PDF for a product. Resolves to { fileId, size }.
+ * Throws a 400 error if the file is not a PDF.
+ */
+async function saveDocument(productId, buffer) {
+    if (!buffer || !buffer.subarray(0, PDF_SIGNATURE.length).equals(PDF_SIGNATURE)) {
+        throw new ValidationError('Data sheets must be PDF files', { code: 'unsupported_file_type' });
+    }
+
+    const fileId = crypto.randomBytes(8).toString('hex');
+    await fs.mkdir(productDir(productId), { recursive: true });
+    await fs.writeFile(documentPath(productId, fileId), buffer);
+
+    return { fileId, size: buffer.length };
+}
+
+/**
+ * Delete one stored document file
+ */
+async function removeDocumentFile(productId, fileId) {
+    if (!fileId) return;
+    await fs.rm(documentPath(productId, fileId), { force: true });
+}
+
+/**
+ * Delete every document of a product
+ */
+async function removeProductDocuments(productId) {
+    await fs.rm(productDir(productId), { recursive: true, force: true });
+}
+
+module.exports = {
+    DOCUMENTS_DIR,
+    MAX_DOCUMENT_BYTES,
+    PDF_MIME_TYPE,
+    documentPath,
+    saveDocument,
+    removeDocumentFile,
+    removeProductDocuments
+};
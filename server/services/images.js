@@ -0,0 +1,157 @@
+/**
+ * Product Images
+ *
+ * Turns uploaded files into resized WebP and JPEG renditions stored under
+ * the managed uploads directory, one folder per product:
+ *
+ *   <UPLOADS_DIR>/products/<productId>/<imageId>-<size>.<webp|jpg>
+ *
+ * The directory is served at /uploads. Configuration:
+ * - UPLOADS_DIR    where images are stored (default: server/data/uploads)
+ * - MAX_UPLOAD_MB  largest accepted upload (default: 5)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { ValidationError } = require('../errors');
+
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, '..', 'data', 'uploads');
+const UPLOADS_URL = '/uploads';
+const MAX_UPLOAD_BYTES = (parseFloat(process.env.MAX_UPLOAD_MB) || 5) * 1024 * 1024;
+
+// Shown for products without an uploaded image
+const DEFAULT_PRODUCT_IMAGE = 'Images/product-placeholder.svg';
+
+// Accepted upload types, checked against both the declared MIME type and
+// the decoded image format
+const ACCEPTED_TYPES = {
+    'image/jpeg': 'jpeg',
+    'image/png': 'png',
+    'image/webp': 'webp'
+};
+
+// Rendition widths; images are never enlarged
+const SIZES = {
+    thumb: 200,
+    medium: 600,
+    large: 1200
+};
+
+// Refuse images that would take too much memory to decode
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+function productDir(productId) {
+    return path.join(UPLOADS_DIR, 'products', String(productId));
+}
+
+function urlFor(productId, file) {
+    return `${UPLOADS_URL}/products/${productId}/${file}`;
+}
+
+/**
+ * Whether a declared MIME type is accepted for upload
+ */
+function isAcceptedType(mimeType) {
+    return Object.prototype.hasOwnProperty.call(ACCEPTED_TYPES, mimeType);
+}
+
+// =============================================================================
+// PROCESSING
+// =============================================================================
+
+/**
+ * Decode an uploaded image and write its renditions for a product.
+ * Resolves to the image record stored on the product:
+ *
+ *   { id, width, height, thumb: { webp, jpeg, width, height }, medium: {...}, large: {...} }
+ *
+ * Throws a 400 error if the file is not a readable image of an accepted type.
+ */
+async function processProductImage(productId, buffer, mimeType) {
+    let metadata;
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+    } catch {
+        throw new ValidationError('The uploaded file is not a readable image', { code: 'unreadable_image' });
+    }
+
+    if (!Object.values(ACCEPTED_TYPES).includes(metadata.format) || ACCEPTED_TYPES[mimeType] !== metadata.format) {
+        throw new ValidationError('Images must be JPEG, PNG or WebP files', { code: 'unsupported_file_type' });
+    }
+
+    const id = crypto.randomBytes(8).toString('hex');
+    const dir = productDir(productId);
+    await fs.mkdir(dir, { recursive: true });
+
+    const image = { id };
+    try {
+        for (const [name, width] of Object.entries(SIZES)) {
+            // Apply EXIF rotation, drop metadata, and flatten transparency
+            // onto white for the JPEG rendition
+            const resized = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+                .rotate()
+                .resize({ width, withoutEnlargement: true });
+
+            const webpFile = `${id}-${name}.webp`;
+            const jpegFile = `${id}-${name}.jpg`;
+            const info = await resized.clone().webp({ quality: 80 }).toFile(path.join(dir, webpFile));
+            await resized.clone().flatten({ background: '#ffffff' }).jpeg({ quality: 82, mozjpeg: true })
+                .toFile(path.join(dir, jpegFile));
+
+            image[name] = {
+                webp: urlFor(productId, webpFile),
+                jpeg: urlFor(productId, jpegFile),
+                width: info.width,
+                height: info.height
+            };
+        }
+    } catch (error) {
+        await removeImageFiles(productId, image);
+        throw error;
+    }
+
+    image.width = image.large.width;
+    image.height = image.large.height;
+    return image;
+}
+
+// =============================================================================
+// CLEANUP
+// =============================================================================
+
+/**
+ * Delete the rendition files of one image record
+ */
+async function removeImageFiles(productId, image) {
+    if (!image || !image.id) return;
+
+    const dir = productDir(productId);
+    const files = await fs.readdir(dir).catch(() => []);
+    await Promise.all(files
+        .filter(file => file.startsWith(`${image.id}-`))
+        .map(file => fs.rm(path.join(dir, file), { force: true })));
+}
+
+/**
+ * Delete every uploaded image of a product
+ */
+async function removeProductImages(productId) {
+    await fs.rm(productDir(productId), { recursive: true, force: true });
+}
+
+module.exports = {
+    UPLOADS_DIR,
+    UPLOADS_URL,
+    MAX_UPLOAD_BYTES,
+    DEFAULT_PRODUCT_IMAGE,
+    isAcceptedType,
+    processProductImage,
+    removeImageFiles,
+    removeProductImages
+};
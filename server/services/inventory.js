@@ -0,0 +1,290 @@
+/**
+ * Inventory Service
+ *
+ * Stock levels per pack size (variant SKU) and store, and the movements
+ * that change them. Every change goes through recordMovement() or
+ * setLevel(), so the movement log explains every level.
+ *
+ * Collections:
+ * - inventory       { id: "<storeId>:<sku>", storeId, sku, productId,
+ *                     quantity, lowStockThreshold, updatedAt }
+ * - stock_movements { id, storeId, sku, productId, type, quantity (signed),
+ *                     balance, note, userId, createdAt }
+ *
+ * A variant's stock field is kept in step as its total across all stores,
+ * in the same transaction as the level and its movement.
+ * When a level drops to or below its threshold a low-stock alert is logged
+ * and mailed to INVENTORY_ALERT_EMAIL (or CONTACT_EMAIL).
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+const stores = require('./stores');
+const mail = require('../mail');
+const logger = require('../logger');
+const { ValidationError, NotFoundError, ConflictError } = require('../errors');
+
+const inventory = storage.collection('inventory');
+const movements = storage.collection('stock_movements');
+const products = storage.collection('products');
+
+// Direction of each movement type; adjustments carry their own sign
+const MOVEMENT_TYPES = {
+    receipt: 1,
+    return: 1,
+    sale: -1,
+    damage: -1,
+    adjustment: 0
+};
+
+const DEFAULT_LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD, 10) || 5;
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+function levelId(storeId, sku) {
+    return `${storeId}:${sku}`;
+}
+
+function isLow(level) {
+    return level.quantity <= level.lowStockThreshold;
+}
+
+/**
+ * Look up the store and the product selling a variant SKU.
+ * Throws a 404 error if either does not exist.
+ */
+async function resolveStoreAndVariant(storeId, sku) {
+    const store = await stores.findStore(storeId);
+    if (!store) {
+        throw new NotFoundError(`Store not found: ${storeId}`, { code: 'store_not_found' });
+    }
+
+    const catalog = await products.all();
+    for (const product of catalog) {
+        const variant = (product.variants || []).find(v => v.sku === sku);
+        if (variant) return { store, product, variant };
+    }
+    throw new NotFoundError(`No pack size with SKU ${sku}`, { code: 'variant_not_found' });
+}
+
+/**
+ * Set a variant's stock to its total across all stores, inside a
+ * transaction that holds the inventory and products collections
+ */
+function setVariantStock(tx, sku) {
+    const total = tx.inventory.all()
+        .filter(level => level.sku === sku)
+        .reduce((sum, level) => sum + level.quantity, 0);
+
+    const product = tx.products.all().find(p => (p.variants || []).some(v => v.sku === sku));
+    if (!product) return;
+    tx.products.update(product.id, {
+        ...product,
+        variants: product.variants.map(v => (v.sku === sku ? { ...v, stock: total } : v))
+    });
+}
+
+/**
+ * Change a level, either by a signed delta or to an absolute count, log the
+ * movement and update the variant's stock total, all in one transaction.
+ * Resolves to the level before and after and the movement (null if the
+ * quantity did not change).
+ *
+ * The variant's stock total is derived from the inventory, so that write
+ * skips the catalog backup and movements never rotate real catalog
+ * snapshots out.
+ */
+function applyChange({ store, product, variant }, { delta = 0, count, lowStockThreshold }, { type, note, user }) {
+    return storage.transaction(['stock_movements', 'inventory', 'products'], tx => {
+        if (!tx.products.all().some(p => (p.variants || []).some(v => v.sku === variant.sku))) {
+            throw new NotFoundError(`No pack size with SKU ${variant.sku}`, { code: 'variant_not_found' });
+        }
+
+        const id = levelId(store.id, variant.sku);
+        const before = tx.inventory.findById(id) || {
+            id,
+            storeId: store.id,
+            sku: variant.sku,
+            productId: product.id,
+            quantity: 0,
+            lowStockThreshold: DEFAULT_LOW_STOCK_THRESHOLD
+        };
+
+        const quantity = count !== undefined ? count : before.quantity + delta;
+        if (quantity < 0) {
+            throw new ConflictError(`Only ${before.quantity} of ${variant.sku} in stock at ${store.name}`, { code: 'insufficient_stock' });
+        }
+
+        const after = {
+            ...before,
+            quantity,
+            ...(lowStockThreshold !== undefined && { lowStockThreshold }),
+            updatedAt: new Date().toISOString()
+        };
+
+        if (tx.inventory.findById(id)) {
+            tx.inventory.update(id, after);
+        } else {
+            tx.inventory.insert(after);
+        }
+
+        if (after.quantity === before.quantity) {
+            return { before, after, movement: null };
+        }
+
+        const movement = tx.stock_movements.insert({
+            id: uuidv4(),
+            storeId: after.storeId,
+            sku: after.sku,
+            productId: after.productId,
+            type,
+            quantity: after.quantity - before.quantity,
+            balance: after.quantity,
+            note: note || null,
+            userId: user ? user.id : null,
+            createdAt: after.updatedAt
+        });
+        setVariantStock(tx, after.sku);
+
+        return { before, after, movement };
+    }, { backup: { products: false } });
+}
+
+/**
+ * Log and mail a low-stock alert when a level crosses its threshold
+ */
+function raiseLowStockAlert(level, { store, product, variant }) {
+    const alert = {
+        ...level,
+        storeName: store.name,
+        productName: product.name,
+        size: variant.size
+    };
+
+    logger.warn('Low stock', {
+        sku: alert.sku,
+        product: alert.productName,
+        size: alert.size,
+        store: alert.storeName,
+        quantity: alert.quantity,
+        threshold: alert.lowStockThreshold
+    });
+    mail.notifyLowStock(alert);
+}
+
+/**
+ * Follow up on a change that has been written
+ */
+function finishChange(resolved, { before, after, movement }) {
+    // Alert once, when the level first drops to the threshold
+    if (isLow(after) && !isLow(before)) {
+        raiseLowStockAlert(after, resolved);
+    }
+
+    return { level: { ...after, low: isLow(after) }, movement };
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * List stock levels, optionally filtered by store, product, SKU or low stock
+ */
+async function listLevels({ storeId, productId, sku, lowStock } = {}) {
+    let levels = await inventory.all();
+
+    if (storeId) levels = levels.filter(l => l.storeId === storeId);
+    if (productId) levels = levels.filter(l => String(l.productId) === String(productId));
+    if (sku) levels = levels.filter(l => l.sku === sku);
+    if (lowStock) levels = levels.filter(isLow);
+
+    return levels.map(level => ({ ...level, low: isLow(level) }));
+}
+
+/**
+ * Record a stock movement. quantity is a positive count for receipts,
+ * returns, sales and damage, and a signed change for adjustments.
+ * Throws 409 if the movement would take stock below zero.
+ */
+async function recordMovement({ storeId, sku, type, quantity, note, user }) {
+    if (!Object.prototype.hasOwnProperty.call(MOVEMENT_TYPES, type)) {
+        throw new ValidationError(`Movement type must be one of: ${Object.keys(MOVEMENT_TYPES).join(', ')}`, { code: 'invalid_movement_type' });
+    }
+
+    const resolved = await resolveStoreAndVariant(storeId, sku);
+    const direction = MOVEMENT_TYPES[type];
+    const delta = direction === 0 ? quantity : direction * Math.abs(quantity);
+
+    const change = await applyChange(resolved, { delta }, { type, note, user });
+    return finishChange(resolved, change);
+}
+
+/**
+ * Set a level after a stock count and/or change its low-stock threshold.
+ * A changed count is logged as an adjustment.
+ */
+async function setLevel({ storeId, sku, quantity, lowStockThreshold, note, user }) {
+    const resolved = await resolveStoreAndVariant(storeId, sku);
+    const change = await applyChange(resolved, { count: quantity, lowStockThreshold }, { type: 'adjustment', note: note || 'Stock count', user });
+    return finishChange(resolved, change);
+}
+
+/**
+ * List movements, newest first
+ */
+async function listMovements({ storeId, sku, productId, limit = 100 } = {}) {
+    let results = await movements.all();
+
+    if (storeId) results = results.filter(m => m.storeId === storeId);
+    if (sku) results = results.filter(m => m.sku === sku);
+    if (productId) results = results.filter(m => String(m.productId) === String(productId));
+
+    return results
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, limit);
+}
+
+/**
+ * Stores holding stock of each variant, keyed by product id then SKU:
+ *   { "1": { "MAS-0001-2L": ["polokwane", "thohoyandou"] } }
+ */
+async function availability() {
+    const levels = await inventory.all();
+
+    return levels
+        .filter(level => level.quantity > 0)
+        .reduce((result, level) => {
+            const product = result[level.productId] || (result[level.productId] = {});
+            (product[level.sku] || (product[level.sku] = [])).push(level.storeId);
+            return result;
+        }, {});
+}
+
+/**
+ * Remove the levels of pack sizes no longer in the catalog, inside a
+ * transaction that holds the inventory and products collections. Run it
+ * whenever products or variants are removed, so no level (and no low-stock
+ * alert) outlives its pack size. The movement log is kept as history.
+ * Returns the removed levels.
+ */
+function removeOrphanedLevels(tx) {
+    const skus = new Set(tx.products.all().flatMap(p => (p.variants || []).map(v => v.sku)));
+
+    return tx.inventory.all()
+        .filter(level => !skus.has(level.sku))
+        .map(level => tx.inventory.remove(level.id));
+}
+
+module.exports = {
+    MOVEMENT_TYPES,
+    DEFAULT_LOW_STOCK_THRESHOLD,
+    listLevels,
+    recordMovement,
+    setLevel,
+    listMovements,
+    availability,
+    removeOrphanedLevels
+};
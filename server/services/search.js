@@ -0,0 +1,301 @@
+/**
+ * Product Search
+ *
+ * In-process full-text index over product name, tags, category and
+ * description, used by GET /api/products?search= and GET /api/products/suggest.
+ *
+ * Words are lowercased, stripped of accents, stemmed ("cleaners" and
+ * "cleaning" both become "clean") and mapped through SYNONYMS, so
+ * "sanitiser" finds "Hand Sanitizer". Query words that are not in the index
+ * match indexed words within one typo (two for long words), and the word
+ * being typed matches as a prefix. Results are ranked with BM25, weighting
+ * matches in the name above tags, category and description.
+ *
+ * The index is rebuilt whenever the searchable text of the catalog changes.
+ */
+
+// How much a match in each field counts
+const FIELD_WEIGHTS = {
+    name: 3,
+    tags: 2,
+    category: 1.5,
+    description: 1
+};
+
+// Words that mean the same thing. Each group is searched as its first word.
+const SYNONYMS = [
+    ['sanitizer', 'sanitiser', 'disinfectant'],
+    ['softener', 'softner', 'conditioner'],
+    ['hygiene', 'hygene'],
+    ['degreaser', 'degreasor'],
+    ['deodorizer', 'deodoriser', 'freshener'],
+    ['colour', 'color', 'dye'],
+    ['fragrance', 'perfume', 'scent'],
+    ['car', 'vehicle', 'auto'],
+    ['descaler', 'limescale'],
+    ['dishwashing', 'dishwash']
+];
+
+// BM25 tuning
+const K1 = 1.2;
+const B = 0.75;
+
+// Score multipliers for looser matches
+const PREFIX_FACTOR = 0.7;
+const FUZZY_FACTOR = 0.5;
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Reduce a word to its stem with a light English suffix stripper:
+ * "sanitisers" -> "sanitis", "cleaning" -> "clean", "softener" -> "soften"
+ */
+function stem(word) {
+    let result = word;
+    if (result.length <= 3) return result;
+
+    if (result.endsWith('ies') && result.length > 4) {
+        result = `${result.slice(0, -3)}y`;
+    } else if (result.endsWith('sses')) {
+        result = result.slice(0, -2);
+    } else if (/(?:[sxz]|ch|sh)es$/.test(result)) {
+        result = result.slice(0, -2);
+    } else if (result.endsWith('s') && !/(?:ss|us|is)$/.test(result)) {
+        result = result.slice(0, -1);
+    }
+
+    for (const suffix of ['ing', 'ed', 'er', 'ly']) {
+        if (result.endsWith(suffix) && result.length - suffix.length >= 4) {
+            result = result.slice(0, -suffix.length);
+            // "scrubbing" -> "scrubb" -> "scrub"
+            if (/([^aeiouls])\1$/.test(result)) result = result.slice(0, -1);
+            break;
+        }
+    }
+
+    if (result.endsWith('e') && result.length > 4) {
+        result = result.slice(0, -1);
+    }
+    return result;
+}
+
+// Stem of every synonym -> stem of its group's first word
+const SYNONYM_STEMS = new Map(SYNONYMS.flatMap(([first, ...others]) =>
+    others.map(word => [stem(word), stem(first)])
+));
+
+/**
+ * Split text into lowercase words without accents
+ */
+function words(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+}
+
+/**
+ * Index terms of a piece of text: stemmed words with synonyms merged
+ */
+function terms(text) {
+    return words(text).map(word => {
+        const stemmed = stem(word);
+        return SYNONYM_STEMS.get(stemmed) || stemmed;
+    });
+}
+
+/**
+ * Edit distance between two words, counting a swap of neighbouring letters
+ * as one edit. Gives up with Infinity once it exceeds max.
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return Infinity;
+
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previous2[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return Infinity;
+        previous2 = previous;
+        previous = current;
+    }
+    return previous[b.length] <= max ? previous[b.length] : Infinity;
+}
+
+/**
+ * Typos tolerated in a query term of this length
+ */
+function allowedEdits(term) {
+    if (term.length >= 8) return 2;
+    if (term.length >= 4) return 1;
+    return 0;
+}
+
+// =============================================================================
+// INDEX
+// =============================================================================
+
+let cached = { fingerprint: null, index: null };
+
+/**
+ * The searchable text of the catalog, to tell when the index is stale
+ */
+function fingerprintOf(products) {
+    return products.map(p =>
+        [p.id, p.name, (p.tags || []).join(','), p.category, p.description].join('\u0001')
+    ).join('\u0002');
+}
+
+/**
+ * Build the index:
+ *   { count, averageLength, lengths: Map(id -> length),
+ *     postings: Map(term -> Map(id -> weighted frequency)) }
+ */
+function buildIndex(products) {
+    const postings = new Map();
+    const lengths = new Map();
+
+    products.forEach(product => {
+        let length = 0;
+        Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+            const value = field === 'tags' ? (product.tags || []).join(' ') : product[field];
+            terms(value).forEach(term => {
+                const posting = postings.get(term) || new Map();
+                posting.set(product.id, (posting.get(product.id) || 0) + weight);
+                postings.set(term, posting);
+                length += weight;
+            });
+        });
+        lengths.set(product.id, length);
+    });
+
+    const total = [...lengths.values()].reduce((sum, length) => sum + length, 0);
+    return {
+        count: products.length,
+        averageLength: products.length > 0 ? total / products.length : 0,
+        lengths,
+        postings
+    };
+}
+
+/**
+ * The index for a catalog, rebuilt only when its text has changed
+ */
+function indexFor(products) {
+    const fingerprint = fingerprintOf(products);
+    if (cached.fingerprint !== fingerprint) {
+        cached = { fingerprint, index: buildIndex(products) };
+    }
+    return cached.index;
+}
+
+/**
+ * Indexed terms a query term matches, with how much each match counts:
+ * the term itself, words it starts (if it is the word being typed) and
+ * words within a typo or two.
+ */
+function expandTerm(index, term, { prefix }) {
+    const matches = new Map();
+    if (index.postings.has(term)) matches.set(term, 1);
+
+    const maxEdits = allowedEdits(term);
+    for (const candidate of index.postings.keys()) {
+        if (matches.has(candidate)) continue;
+        if (prefix && term.length >= 2 && candidate.startsWith(term)) {
+            matches.set(candidate, PREFIX_FACTOR);
+        } else if (maxEdits > 0) {
+            const distance = editDistance(term, candidate, maxEdits);
+            if (distance !== Infinity) {
+                matches.set(candidate, FUZZY_FACTOR / distance);
+            }
+        }
+    }
+    return matches;
+}
+
+/**
+ * BM25 score of one indexed term for a product
+ */
+function scoreTerm(index, posting, id) {
+    const frequency = posting.get(id);
+    const idf = Math.log(1 + (index.count - posting.size + 0.5) / (posting.size + 0.5));
+    const lengthRatio = index.averageLength > 0 ? index.lengths.get(id) / index.averageLength : 1;
+    return idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * lengthRatio));
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Rank products against a query, best first: [{ id, score }].
+ * Products matching every query word are returned when there are any;
+ * otherwise those matching the most words. The last word also matches as a
+ * prefix, for search-as-you-type.
+ */
+function rank(products, query) {
+    const index = indexFor(products);
+    const queryTerms = [...new Set(terms(query))];
+    if (queryTerms.length === 0) return [];
+
+    const scores = new Map();
+    queryTerms.forEach((term, position) => {
+        const matches = expandTerm(index, term, { prefix: position === queryTerms.length - 1 });
+        const best = new Map();
+
+        matches.forEach((factor, candidate) => {
+            const posting = index.postings.get(candidate);
+            posting.forEach((_, id) => {
+                best.set(id, Math.max(best.get(id) || 0, factor * scoreTerm(index, posting, id)));
+            });
+        });
+
+        best.forEach((score, id) => {
+            const entry = scores.get(id) || { id, score: 0, matched: 0 };
+            entry.score += score;
+            entry.matched += 1;
+            scores.set(id, entry);
+        });
+    });
+
+    const results = [...scores.values()];
+    const mostMatched = Math.max(0, ...results.map(r => r.matched));
+
+    return results
+        .filter(r => r.matched === mostMatched)
+        .sort((a, b) => b.score - a.score)
+        .map(({ id, score }) => ({ id, score: Math.round(score * 1000) / 1000 }));
+}
+
+/**
+ * Autocomplete suggestions for a partly typed query: the best matching
+ * products as { id, name, slug, category, image }
+ */
+function suggest(products, query, limit = 5) {
+    const byId = new Map(products.map(p => [p.id, p]));
+
+    return rank(products, query).slice(0, limit).map(({ id }) => {
+        const { name, slug, category, image } = byId.get(id);
+        return { id, name, slug, category, image };
+    });
+}
+
+module.exports = {
+    SYNONYMS,
+    rank,
+    suggest
+};
@@ -0,0 +1,164 @@
+/**
+ * Contact Form Spam Checks
+ *
+ * Screens POST /api/contact submissions. Nothing here rejects a message:
+ * the route stores suspected spam with status "spam" and the reasons, skips
+ * the emails, and answers exactly as it would for a real message, so bots
+ * learn nothing and staff can rescue false positives from the inbox.
+ *
+ * Signals (reason codes as stored in spamReasons):
+ * - honeypot       - the hidden "website" field was filled in
+ * - missing_token  - no form token (the form was not loaded in a browser)
+ * - invalid_token  - the token was tampered with or signed by another secret
+ * - expired_token  - the form was loaded more than a day ago
+ * - too_fast       - sent sooner after loading the form than a person could
+ * - too_many_links - more links in the message than a customer would send
+ * - blocked_term   - the message contains a blocklisted term
+ * - duplicate      - the same message from the same email or IP recently
+ *
+ * Form tokens are "<issuedAt>.<signature>": an HMAC of the time the form
+ * was rendered, fetched from GET /api/contact/token.
+ */
+
+const crypto = require('crypto');
+const storage = require('../storage');
+
+const submissions = storage.collection('submissions');
+
+const HONEYPOT_FIELD = 'website';
+
+const MIN_SUBMIT_SECONDS = parseInt(process.env.SPAM_MIN_SUBMIT_SECONDS, 10) || 3;
+const MAX_TOKEN_AGE_MS = 24 * 60 * 60 * 1000;
+const MAX_LINKS = parseInt(process.env.SPAM_MAX_LINKS, 10) || 2;
+const DUPLICATE_WINDOW_MS = parseInt(process.env.SPAM_DUPLICATE_WINDOW_MS, 10) || 24 * 60 * 60 * 1000;
+
+// Terms that only ever show up in spam sent to the form; SPAM_BLOCKLIST
+// (comma-separated) adds more
+const DEFAULT_BLOCKLIST = [
+    'viagra',
+    'cialis',
+    'casino',
+    'crypto investment',
+    'forex signals',
+    'seo services',
+    'backlinks',
+    'increase your traffic',
+    'guest post',
+    'payday loan'
+];
+const BLOCKLIST = [
+    ...DEFAULT_BLOCKLIST,
+    ...(process.env.SPAM_BLOCKLIST || '').split(',')
+]
+    .map(term => term.trim().toLowerCase())
+    .filter(Boolean);
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\[url=|<a\s/gi;
+
+// Without a configured secret, tokens do not survive a restart: forms
+// loaded before it are flagged invalid_token
+const TOKEN_SECRET = process.env.CONTACT_TOKEN_SECRET
+    || process.env.JWT_SECRET
+    || crypto.randomBytes(32).toString('hex');
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+function sign(issuedAt) {
+    return crypto
+        .createHmac('sha256', TOKEN_SECRET)
+        .update(`contact-form:${issuedAt}`)
+        .digest('base64url');
+}
+
+/**
+ * Why a form token is not acceptable, or null if it is
+ */
+function checkFormToken(token, now) {
+    if (typeof token !== 'string' || token === '') return 'missing_token';
+
+    // Signatures are base64url, so anything else is rejected before the
+    // constant-time compare, which needs buffers of equal byte length
+    const [issuedAt, signature = ''] = token.split('.');
+    const expected = sign(issuedAt);
+    if (!/^\d+$/.test(issuedAt)
+        || !/^[A-Za-z0-9_-]+$/.test(signature)
+        || signature.length !== expected.length
+        || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return 'invalid_token';
+    }
+
+    const age = now - Number(issuedAt);
+    if (age > MAX_TOKEN_AGE_MS) return 'expired_token';
+    if (age < MIN_SUBMIT_SECONDS * 1000) return 'too_fast';
+    return null;
+}
+
+/**
+ * Collapse case and whitespace so trivially varied copies still match
+ */
+function normalizeMessage(message) {
+    return message.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Whether the same message came from the same email or IP within the
+ * window. Earlier spam does not count, so someone whose first attempt was
+ * flagged is not flagged again for trying a second time.
+ */
+async function isDuplicate({ email, ipAddress, message }, now) {
+    const text = normalizeMessage(message);
+    const since = now - DUPLICATE_WINDOW_MS;
+
+    return (await submissions.all()).some(existing =>
+        existing.status !== 'spam'
+        && new Date(existing.createdAt).getTime() >= since
+        && (existing.email === email || (ipAddress && existing.ipAddress === ipAddress))
+        && normalizeMessage(existing.message) === text
+    );
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * A token for the contact form, issued when the form is rendered
+ */
+function issueFormToken(now = Date.now()) {
+    return `${now}.${sign(now)}`;
+}
+
+/**
+ * Reasons to treat a submission as spam; an empty array means it looks real.
+ *
+ * @param {object} submission - The new submission (email, ipAddress, message)
+ * @param {object} form - What the form sent besides the fields: formToken and
+ *   the honeypot field
+ */
+async function detectSpam(submission, form, now = Date.now()) {
+    const reasons = [];
+
+    if (form[HONEYPOT_FIELD]) reasons.push('honeypot');
+
+    const tokenProblem = checkFormToken(form.formToken, now);
+    if (tokenProblem) reasons.push(tokenProblem);
+
+    const links = submission.message.match(LINK_PATTERN) || [];
+    if (links.length > MAX_LINKS) reasons.push('too_many_links');
+
+    const message = submission.message.toLowerCase();
+    if (BLOCKLIST.some(term => message.includes(term))) reasons.push('blocked_term');
+
+    if (await isDuplicate(submission, now)) reasons.push('duplicate');
+
+    return reasons;
+}
+
+module.exports = {
+    HONEYPOT_FIELD,
+    MIN_SUBMIT_SECONDS,
+    issueFormToken,
+    detectSpam
+};
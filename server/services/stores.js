@@ -0,0 +1,285 @@
+/**
+ * Store Service
+ *
+ * The Maschem stores: where they are, when they trade and the days they are
+ * closed. Inventory levels and movements refer to stores by id.
+ *
+ * Collection stores (stores.json with the JSON driver):
+ *   { id, name, address: { street, town, province, postalCode },
+ *     coordinates: { lat, lng }, phone,
+ *     hours: { monday: { open: "08:00", close: "17:00" }, ..., sunday: null },
+ *     closures: [{ date: "2026-12-25", name: "Christmas Day" }] }
+ *
+ * A day with null hours is closed every week; closures are one-off days such
+ * as public holidays. Times are local to the stores (TIMEZONE).
+ */
+
+const storage = require('../storage');
+const { ConflictError } = require('../errors');
+
+const stores = storage.collection('stores');
+const inventory = storage.collection('inventory');
+
+const TIMEZONE = 'Africa/Johannesburg';
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Turn a store name into its id, e.g. "Louis Trichardt" -> "louis-trichardt"
+ */
+function storeIdFor(name) {
+    return String(name)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Date, weekday and time of an instant at the stores:
+ *   { date: "2026-10-19", day: "monday", time: "14:05" }
+ */
+function localTime(instant) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+        timeZone: TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'long',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(instant).map(part => [part.type, part.value]));
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        day: parts.weekday.toLowerCase(),
+        time: `${parts.hour}:${parts.minute}`
+    };
+}
+
+/**
+ * Trading hours of a store on a local date, or null if it is closed
+ */
+function hoursOn(store, { date, day }) {
+    if ((store.closures || []).some(closure => closure.date === date)) {
+        return null;
+    }
+    return (store.hours || {})[day] || null;
+}
+
+/**
+ * Every weekday in order, closed days as null
+ */
+function normalizeHours(hours = {}) {
+    return Object.fromEntries(DAYS.slice(1).concat(DAYS[0]).map(day => [day, hours[day] || null]));
+}
+
+function normalizeClosures(closures = []) {
+    return [...closures].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Check a weekly hours object. Returns an error message or null.
+ */
+function hoursError(hours) {
+    if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
+        return 'Hours must be an object keyed by weekday';
+    }
+
+    for (const [day, value] of Object.entries(hours)) {
+        if (!DAYS.includes(day)) {
+            return `Unknown weekday: ${day}`;
+        }
+        if (value === null) continue;
+        if (!value || !TIME_PATTERN.test(value.open) || !TIME_PATTERN.test(value.close)) {
+            return `Hours for ${day} must be null or { open: "HH:MM", close: "HH:MM" }`;
+        }
+        if (value.open >= value.close) {
+            return `Hours for ${day} must close after they open`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check a closures list. Returns an error message or null.
+ */
+function closuresError(closures) {
+    if (!Array.isArray(closures)) {
+        return 'Closures must be an array';
+    }
+
+    for (const closure of closures) {
+        if (!closure || !DATE_PATTERN.test(closure.date) || Number.isNaN(Date.parse(closure.date))) {
+            return 'Each closure needs a date in YYYY-MM-DD format';
+        }
+        if (typeof closure.name !== 'string' || !closure.name.trim()) {
+            return `Closure on ${closure.date} needs a name`;
+        }
+    }
+    return null;
+}
+
+// =============================================================================
+// OPENING STATUS
+// =============================================================================
+
+/**
+ * Whether a store is open at an instant, with a label for customers:
+ *   { open: true, label: "Open until 17:00" }
+ *   { open: false, label: "Closed today (Christmas Day)", nextOpen: { date, day, open } }
+ */
+function storeStatus(store, now = new Date()) {
+    const today = localTime(now);
+    const hours = hoursOn(store, today);
+
+    if (hours && today.time >= hours.open && today.time < hours.close) {
+        return { open: true, label: `Open until ${hours.close}`, closesAt: hours.close };
+    }
+
+    // Look up to two weeks ahead for the next trading day
+    let nextOpen = null;
+    for (let offset = 0; offset <= 14 && !nextOpen; offset++) {
+        const day = offset === 0 ? today : localTime(new Date(now.getTime() + offset * DAY_MS));
+        const dayHours = hoursOn(store, day);
+        if (dayHours && (offset > 0 || today.time < dayHours.open)) {
+            nextOpen = { date: day.date, day: day.day, open: dayHours.open, offset };
+        }
+    }
+
+    const closure = (store.closures || []).find(c => c.date === today.date);
+    let label = closure ? `Closed today (${closure.name})` : 'Closed';
+    if (nextOpen) {
+        const when = nextOpen.offset === 0 ? 'today'
+            : nextOpen.offset === 1 ? 'tomorrow'
+                : nextOpen.day.charAt(0).toUpperCase() + nextOpen.day.slice(1);
+        label += ` · Opens ${when} at ${nextOpen.open}`;
+        delete nextOpen.offset;
+    }
+
+    return { open: false, label, nextOpen };
+}
+
+/**
+ * A store with its current opening status
+ */
+function withStatus(store, now = new Date()) {
+    return { ...store, status: storeStatus(store, now) };
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * List all stores
+ */
+async function listStores() {
+    return stores.all();
+}
+
+/**
+ * Local dates on which every store is closed, e.g. public holidays, as a
+ * Set of "YYYY-MM-DD". Empty when there are no stores.
+ */
+async function closedEverywhere() {
+    const all = await stores.all();
+    if (all.length === 0) return new Set();
+
+    const [first, ...rest] = all.map(store => new Set((store.closures || []).map(closure => closure.date)));
+    return new Set([...first].filter(date => rest.every(dates => dates.has(date))));
+}
+
+/**
+ * Find a store by id
+ */
+async function findStore(id) {
+    return stores.findById(id);
+}
+
+/**
+ * Add a store. Its id is derived from the name unless given.
+ * Throws 409 if a store with that id exists.
+ */
+async function createStore(data) {
+    const id = data.id || storeIdFor(data.name);
+
+    return stores.transaction(tx => {
+        if (tx.findById(id)) {
+            throw new ConflictError(`A store with id ${id} already exists`, { code: 'store_exists' });
+        }
+        return tx.insert({
+            id,
+            name: data.name,
+            address: data.address,
+            coordinates: data.coordinates,
+            phone: data.phone || null,
+            hours: normalizeHours(data.hours),
+            closures: normalizeClosures(data.closures)
+        });
+    });
+}
+
+/**
+ * Change some fields of a store, or resolve to null if it does not exist.
+ * Address and coordinates are merged; hours and closures are replaced.
+ */
+async function updateStore(id, changes) {
+    return stores.transaction(tx => {
+        const existing = tx.findById(id);
+        if (!existing) return null;
+
+        const store = {
+            ...existing,
+            ...changes,
+            id,
+            ...(changes.address && { address: { ...existing.address, ...changes.address } }),
+            ...(changes.coordinates && { coordinates: { ...existing.coordinates, ...changes.coordinates } }),
+            ...(changes.hours && { hours: normalizeHours(changes.hours) }),
+            ...(changes.closures && { closures: normalizeClosures(changes.closures) })
+        };
+        tx.update(id, store);
+        return store;
+    });
+}
+
+/**
+ * Remove a store, or resolve to null if it does not exist.
+ * Throws 409 while the store still holds stock.
+ */
+async function deleteStore(id) {
+    const held = (await inventory.all()).filter(level => level.storeId === id && level.quantity > 0);
+    if (held.length > 0) {
+        throw new ConflictError(`Store still holds stock of ${held.length} pack size${held.length === 1 ? '' : 's'}; move or write it off first`, { code: 'store_has_stock' });
+    }
+    return stores.remove(id);
+}
+
+module.exports = {
+    TIMEZONE,
+    DAYS,
+    localTime,
+    hoursError,
+    closuresError,
+    storeStatus,
+    withStatus,
+    listStores,
+    closedEverywhere,
+    findStore,
+    createStore,
+    updateStore,
+    deleteStore
+};
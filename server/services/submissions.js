@@ -0,0 +1,299 @@
+/**
+ * Contact Submission Service
+ *
+ * The staff workflow for contact form messages: status, assignment,
+ * internal notes and a log of the replies sent to the customer.
+ *
+ * Collection submissions (submissions.json with the JSON driver):
+ *   { id, firstName, lastName, email, phone, subject, message, status,
+ *     spamReasons?, createdAt, updatedAt, ipAddress, userAgent,
+ *     assignedTo: userId | null,
+ *     notes:   [{ id, text, userId, createdAt }],
+ *     replies: [{ id, channel, message, userId, sentAt }],
+ *     history: [{ type: "status" | "assignment", from, to, userId, at }] }
+ *
+ * Every status and assignment change is added to history with the staff
+ * member who made it. Messages from before this workflow have none of the
+ * workflow fields; they read as unassigned with empty lists.
+ *
+ * A pending message is overdue once it has waited SLA_PENDING_HOURS business
+ * hours (SLA_BUSINESS_HOURS, Monday to Friday, at the stores' TIMEZONE).
+ * Days on which every store is closed, such as public holidays, are skipped;
+ * a closure at only some stores is not, as the business is still open.
+ * A message whose createdAt cannot be read has no SLA (sla: null).
+ * The SLA is worked out when a message is read, so changing the settings
+ * applies to every message at once.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+const users = require('./users');
+const { localTime, closedEverywhere } = require('./stores');
+const { ValidationError, NotFoundError } = require('../errors');
+
+const submissions = storage.collection('submissions');
+
+const SUBMISSION_STATUSES = ['pending', 'read', 'responded', 'archived', 'spam'];
+const REPLY_CHANNELS = ['email', 'phone', 'other'];
+
+// Roles that work the inbox and can be assigned messages
+const ASSIGNEE_ROLES = ['admin', 'sales'];
+
+// Statuses a logged reply moves on to "responded"
+const AWAITING_REPLY = ['pending', 'read'];
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+const BUSINESS_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+const BUSINESS_HOURS = parseBusinessHours(process.env.SLA_BUSINESS_HOURS || '08:00-17:00');
+const SLA_PENDING_HOURS = parseSlaHours(process.env.SLA_PENDING_HOURS || '8');
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * "08:00-17:00" as minutes after midnight: { open: 480, close: 1020 }
+ */
+function parseBusinessHours(text) {
+    const match = /^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/.exec(text.trim());
+    const [open, close] = match
+        ? [Number(match[1]) * 60 + Number(match[2]), Number(match[3]) * 60 + Number(match[4])]
+        : [];
+
+    if (!match || open >= close || close > DAY_MINUTES) {
+        throw new Error(`SLA_BUSINESS_HOURS must look like 08:00-17:00, got "${text}"`);
+    }
+    return { open, close };
+}
+
+/**
+ * SLA_PENDING_HOURS as a number. The SLA must fit in the business hours of
+ * 52 weeks, so slaDueAt() has a bound even with every holiday skipped.
+ */
+function parseSlaHours(text) {
+    const hours = Number(text);
+    const maxHours = 52 * BUSINESS_DAYS.length * (BUSINESS_HOURS.close - BUSINESS_HOURS.open) / 60;
+
+    if (!Number.isFinite(hours) || hours <= 0 || hours > maxHours) {
+        throw new Error(`SLA_PENDING_HOURS must be a number of hours above 0 and at most ${maxHours}, got "${text}"`);
+    }
+    return hours;
+}
+
+/**
+ * Date, weekday and minutes after midnight of an instant at the stores
+ */
+function localClock(instant) {
+    const { date, day, time } = localTime(new Date(instant));
+    const [hours, minutes] = time.split(':').map(Number);
+    return { date, day, minutes: hours * 60 + minutes };
+}
+
+/**
+ * When a message received at createdAt has waited SLA_PENDING_HOURS
+ * business hours, skipping the local dates in holidays. Walks forward a
+ * local day at a time, counting the business minutes left in each.
+ * Returns null if createdAt is not a valid time.
+ */
+function slaDueAt(createdAt, holidays = new Set()) {
+    const received = new Date(createdAt).getTime();
+    if (Number.isNaN(received)) return null;
+
+    let remaining = SLA_PENDING_HOURS * 60;
+    let instant = Math.ceil(received / MINUTE_MS) * MINUTE_MS;
+
+    // parseSlaHours() keeps the SLA within a year of weekdays; two years
+    // leaves room for the holidays and only bounds the loop
+    for (let i = 0; i < 2 * 366; i++) {
+        const { date, day, minutes } = localClock(instant);
+        const start = Math.max(minutes, BUSINESS_HOURS.open);
+
+        if (BUSINESS_DAYS.includes(day) && !holidays.has(date) && start < BUSINESS_HOURS.close) {
+            const available = BUSINESS_HOURS.close - start;
+            if (remaining <= available) {
+                return new Date(instant + (start - minutes + remaining) * MINUTE_MS);
+            }
+            remaining -= available;
+        }
+
+        // On to the next local midnight
+        instant += (DAY_MINUTES - minutes) * MINUTE_MS;
+    }
+    return null;
+}
+
+/**
+ * A submission with every workflow field filled in
+ */
+function withDefaults(submission) {
+    return {
+        ...submission,
+        assignedTo: submission.assignedTo || null,
+        notes: submission.notes || [],
+        replies: submission.replies || [],
+        history: submission.history || []
+    };
+}
+
+/**
+ * A submission as the API returns it, with its SLA:
+ *   sla: { dueAt, overdue } while pending, otherwise null
+ * holidays are the dates every store is closed (see closedEverywhere()).
+ */
+function withWorkflow(submission, holidays, now = new Date()) {
+    const dueAt = submission.status === 'pending' ? slaDueAt(submission.createdAt, holidays) : null;
+    const sla = dueAt ? { dueAt: dueAt.toISOString(), overdue: now > dueAt } : null;
+    return { ...withDefaults(submission), sla };
+}
+
+function submissionNotFound() {
+    return new NotFoundError('Submission not found', { code: 'submission_not_found' });
+}
+
+/**
+ * Apply changes to a submission in one write, recording each status and
+ * assignment change in its history
+ */
+async function applyChanges(id, { status, assignedTo, note, reply }, user) {
+    const at = new Date().toISOString();
+
+    const updated = await submissions.update(id, existing => {
+        const next = withDefaults(existing);
+
+        const record = (type, from, to) => {
+            if (from === to) return;
+            next.history = [...next.history, { type, from, to, userId: user.id, at }];
+        };
+
+        const newStatus = status === undefined && reply && AWAITING_REPLY.includes(next.status)
+            ? 'responded'
+            : status;
+
+        if (reply) {
+            next.replies = [...next.replies, reply];
+        }
+        if (note) {
+            next.notes = [...next.notes, note];
+        }
+        if (newStatus !== undefined) {
+            record('status', next.status, newStatus);
+            next.status = newStatus;
+        }
+        if (assignedTo !== undefined) {
+            record('assignment', next.assignedTo, assignedTo);
+            next.assignedTo = assignedTo;
+        }
+
+        next.updatedAt = at;
+        return next;
+    });
+
+    if (!updated) {
+        throw submissionNotFound();
+    }
+    return withWorkflow(updated, await closedEverywhere());
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * List submissions, newest first unless sort is "oldest".
+ *
+ * Filters:
+ * - status: only that status; without it, everything except spam
+ * - assignedTo: a user id, or "none" for unassigned messages
+ * - overdue: only pending messages past their SLA
+ */
+async function listSubmissions({ status, assignedTo, overdue, sort } = {}, now = new Date()) {
+    const holidays = await closedEverywhere();
+    let results = (await submissions.all()).map(submission => withWorkflow(submission, holidays, now));
+
+    results = status
+        ? results.filter(s => s.status === status)
+        : results.filter(s => s.status !== 'spam');
+
+    if (assignedTo) {
+        const wanted = assignedTo === 'none' ? null : assignedTo;
+        results = results.filter(s => s.assignedTo === wanted);
+    }
+    if (overdue) {
+        results = results.filter(s => s.sla && s.sla.overdue);
+    }
+
+    const direction = sort === 'oldest' ? 1 : -1;
+    return results.sort((a, b) => direction * (new Date(a.createdAt) - new Date(b.createdAt)));
+}
+
+/**
+ * Find a submission by id. Throws a NotFoundError if there is none.
+ */
+async function findSubmission(id) {
+    const submission = await submissions.findById(id);
+    if (!submission) {
+        throw submissionNotFound();
+    }
+    return withWorkflow(submission, await closedEverywhere());
+}
+
+/**
+ * Staff who can be assigned messages
+ */
+async function listAssignees() {
+    return (await users.listUsers())
+        .filter(user => user.active && ASSIGNEE_ROLES.includes(user.role))
+        .map(({ id, name, email, role }) => ({ id, name, email, role }));
+}
+
+/**
+ * Change the status and/or assignee (a user id, or null to unassign).
+ * Throws a ValidationError if the assignee cannot take messages.
+ */
+async function updateSubmission(id, { status, assignedTo }, user) {
+    if (assignedTo) {
+        const assignees = await listAssignees();
+        if (!assignees.some(assignee => assignee.id === assignedTo)) {
+            throw new ValidationError('Messages can only be assigned to active admin or sales staff', {
+                code: 'invalid_assignee',
+                errors: [{ field: 'assignedTo', message: 'Not an active admin or sales user' }]
+            });
+        }
+    }
+
+    return applyChanges(id, { status, assignedTo }, user);
+}
+
+/**
+ * Add an internal note. Notes are never shown to the customer.
+ */
+async function addNote(id, text, user) {
+    return applyChanges(id, {
+        note: { id: uuidv4(), text, userId: user.id, createdAt: new Date().toISOString() }
+    }, user);
+}
+
+/**
+ * Log a reply sent to the customer outside the app (email, phone call).
+ * A pending or read message becomes responded.
+ */
+async function logReply(id, { channel, message }, user) {
+    return applyChanges(id, {
+        reply: { id: uuidv4(), channel, message, userId: user.id, sentAt: new Date().toISOString() }
+    }, user);
+}
+
+module.exports = {
+    SUBMISSION_STATUSES,
+    REPLY_CHANNELS,
+    SLA_PENDING_HOURS,
+    slaDueAt,
+    listSubmissions,
+    findSubmission,
+    listAssignees,
+    updateSubmission,
+    addNote,
+    logReply
+};
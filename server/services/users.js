@@ -0,0 +1,125 @@
+/**
+ * User Service
+ *
+ * Staff accounts used by the authentication layer. Passwords are stored
+ * as bcrypt hashes only; the public shape of a user never includes them.
+ *
+ * Roles:
+ * - admin  - full access, including user management
+ * - sales  - manage the catalog and the contact inbox
+ * - viewer - read-only access to admin data
+ */
+
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+const { ValidationError, ConflictError } = require('../errors');
+
+const users = storage.collection('users');
+
+const ROLES = ['admin', 'sales', 'viewer'];
+const SALT_ROUNDS = 10;
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Strip the password hash from a user record
+ */
+function toPublicUser(user) {
+    const { passwordHash, ...publicUser } = user;
+    return publicUser;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Find a user by email (case-insensitive)
+ */
+async function findByEmail(email) {
+    const allUsers = await users.all();
+    return allUsers.find(u => u.email.toLowerCase() === String(email).toLowerCase()) || null;
+}
+
+/**
+ * Find a user by ID
+ */
+async function findById(id) {
+    return users.findById(id);
+}
+
+/**
+ * List all users without password hashes
+ */
+async function listUsers() {
+    const allUsers = await users.all();
+    return allUsers.map(toPublicUser);
+}
+
+/**
+ * Create a new user with a hashed password
+ * Throws a ConflictError if the email is already taken.
+ */
+async function createUser({ email, password, name, role }) {
+    if (!ROLES.includes(role)) {
+        throw new ValidationError(`Invalid role: ${role}`, { code: 'invalid_role' });
+    }
+
+    const user = {
+        id: uuidv4(),
+        email: email.toLowerCase(),
+        name: name || email,
+        role,
+        passwordHash: await bcrypt.hash(password, SALT_ROUNDS),
+        active: true,
+        createdAt: new Date().toISOString()
+    };
+
+    await users.transaction(tx => {
+        if (tx.all().some(u => u.email === user.email)) {
+            throw new ConflictError('A user with this email already exists', { code: 'email_taken' });
+        }
+        tx.insert(user);
+    });
+
+    return toPublicUser(user);
+}
+
+/**
+ * Delete a user by ID
+ * Returns the deleted user, or null if not found.
+ */
+async function deleteUser(id) {
+    const deleted = await users.remove(id);
+    return deleted ? toPublicUser(deleted) : null;
+}
+
+/**
+ * Check credentials and return the public user on success, otherwise null.
+ * A hash comparison is always performed so response timing does not reveal
+ * whether the email exists.
+ */
+async function verifyCredentials(email, password) {
+    const user = await findByEmail(email);
+    const hash = user ? user.passwordHash : '$2a$10$invalidinvalidinvalidinvalidinvalidinvalidinvalidinva';
+    const matches = await bcrypt.compare(password, hash);
+
+    if (!user || !matches || !user.active) {
+        return null;
+    }
+    return toPublicUser(user);
+}
+
+module.exports = {
+    ROLES,
+    findByEmail,
+    findById,
+    listUsers,
+    createUser,
+    deleteUser,
+    verifyCredentials,
+    toPublicUser
+};
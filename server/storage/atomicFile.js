@@ -0,0 +1,65 @@
+/**
+ * Atomic File Helpers
+ *
+ * - withLock(key, fn) - run async work one at a time per key (in-process)
+ * - writeFileAtomic(file, data) - write to a temp file in the same
+ *   directory, flush it to disk, then rename it over the target
+ *
+ * A rename within one directory is atomic, so readers and crashes only
+ * ever see the old file or the complete new one, never a truncated one.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const queues = new Map();
+
+/**
+ * Run fn after every earlier call with the same key has settled
+ */
+function withLock(key, fn) {
+    const previous = queues.get(key) || Promise.resolve();
+    const run = previous.then(fn, fn);
+
+    // Keep the chain alive even if this call fails
+    const tail = run.catch(() => {});
+    queues.set(key, tail);
+    tail.then(() => {
+        if (queues.get(key) === tail) {
+            queues.delete(key);
+        }
+    });
+
+    return run;
+}
+
+/**
+ * Atomically replace a file's contents
+ */
+async function writeFileAtomic(file, data) {
+    const dir = path.dirname(file);
+    const tempFile = path.join(
+        dir,
+        `.${path.basename(file)}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`
+    );
+
+    await fs.mkdir(dir, { recursive: true });
+
+    const handle = await fs.open(tempFile, 'w');
+    try {
+        await handle.writeFile(data, 'utf8');
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+
+    try {
+        await fs.rename(tempFile, file);
+    } catch (error) {
+        await fs.unlink(tempFile).catch(() => {});
+        throw error;
+    }
+}
+
+module.exports = { withLock, writeFileAtomic };
@@ -0,0 +1,128 @@
+/**
+ * Collection Backups
+ *
+ * Rotating, timestamped snapshots of JSON collection files. The JSON driver
+ * snapshots a file before every write; the oldest snapshots beyond
+ * BACKUP_RETENTION (default 20) are deleted.
+ *
+ * Snapshots live in data/backups/<collection>/<collection>-<timestamp>.json
+ */
+
+const fs = require('fs').promises;
+const { constants } = require('fs');
+const path = require('path');
+
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, '..', 'data', 'backups');
+const BACKUP_RETENTION = parseInt(process.env.BACKUP_RETENTION, 10) || 20;
+
+const COLLECTION_PATTERN = /^[a-z][a-z_]*$/;
+const SNAPSHOT_PATTERN = /^[a-z][a-z_]*-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z(-\d+)?\.json$/;
+
+/**
+ * Directory holding a collection's snapshots
+ */
+function dirFor(collection) {
+    if (!COLLECTION_PATTERN.test(collection)) {
+        throw new Error(`Invalid collection name: ${collection}`);
+    }
+    return path.join(BACKUP_DIR, collection);
+}
+
+/**
+ * Check a snapshot name is one we generated (no path traversal)
+ */
+function isValidSnapshotName(collection, snapshot) {
+    return SNAPSHOT_PATTERN.test(snapshot) && snapshot.startsWith(`${collection}-`);
+}
+
+/**
+ * List a collection's snapshots, newest first
+ */
+async function listBackups(collection) {
+    const dir = dirFor(collection);
+    let files;
+    try {
+        files = await fs.readdir(dir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const snapshots = await Promise.all(
+        files
+            .filter(file => isValidSnapshotName(collection, file))
+            .map(async file => {
+                const stats = await fs.stat(path.join(dir, file));
+                return {
+                    id: file,
+                    collection,
+                    size: stats.size,
+                    createdAt: stats.mtime.toISOString()
+                };
+            })
+    );
+
+    // Compare without the extension so "-1" collision suffixes sort as newer
+    const key = snapshot => snapshot.id.replace(/\.json$/, '');
+    return snapshots.sort((a, b) => key(b).localeCompare(key(a)));
+}
+
+/**
+ * Copy a collection file into a new snapshot and prune old ones.
+ * Does nothing if the file does not exist yet.
+ */
+async function createBackup(collection, file) {
+    const dir = dirFor(collection);
+    await fs.mkdir(dir, { recursive: true });
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const suffix = attempt === 0 ? '' : `-${attempt}`;
+        const target = path.join(dir, `${collection}-${stamp}${suffix}.json`);
+        try {
+            await fs.copyFile(file, target, constants.COPYFILE_EXCL);
+            break;
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            if (error.code !== 'EEXIST') throw error;
+        }
+    }
+
+    await pruneBackups(collection);
+}
+
+/**
+ * Delete snapshots beyond the retention limit
+ */
+async function pruneBackups(collection) {
+    const snapshots = await listBackups(collection);
+    const stale = snapshots.slice(BACKUP_RETENTION);
+    await Promise.all(stale.map(s => fs.unlink(path.join(dirFor(collection), s.id))));
+}
+
+/**
+ * Read a snapshot's records. Resolves to null if it does not exist.
+ */
+async function readBackup(collection, snapshot) {
+    if (!isValidSnapshotName(collection, snapshot)) {
+        return null;
+    }
+
+    try {
+        const data = await fs.readFile(path.join(dirFor(collection), snapshot), 'utf8');
+        const records = JSON.parse(data);
+        if (!Array.isArray(records)) {
+            throw new Error(`Snapshot ${snapshot} does not contain an array`);
+        }
+        return records;
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+module.exports = {
+    listBackups,
+    createBackup,
+    readBackup
+};
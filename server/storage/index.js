@@ -0,0 +1,164 @@
+/**
+ * Storage Layer
+ *
+ * Repository abstraction over pluggable storage drivers. The driver is
+ * chosen with the STORAGE_DRIVER environment variable:
+ * - json   - one JSON file per collection (default)
+ * - sqlite - embedded SQLite database at SQLITE_FILE
+ *
+ * Usage:
+ *   const storage = require('../storage');
+ *   const products = storage.collection('products');
+ *   const product = await products.findById(1);
+ *
+ * Every write goes through transaction(), whose callback receives a
+ * synchronous view with all/findById/insert/update/remove/replaceAll.
+ * The callback must not await: the whole read-modify-write runs as one unit.
+ * Pass { backup: false } for writes not worth a snapshot of their own, such
+ * as derived values and public form posts, so they do not rotate out the
+ * snapshots of staff edits.
+ *
+ * Changes that span collections go through storage.transaction(names, fn),
+ * whose callback receives one view per collection, keyed by name:
+ *   storage.transaction(['inventory', 'stock_movements'], tx => { ... });
+ *
+ * Driver failures (unreadable files, corrupt JSON, a locked database) reject
+ * with a StorageFailureError; errors thrown by a transaction callback are
+ * passed through unchanged.
+ */
+
+const { createJsonDriver } = require('./jsonDriver');
+const { createSqliteDriver } = require('./sqliteDriver');
+const { StorageFailureError } = require('../errors');
+
+const DRIVERS = {
+    json: () => createJsonDriver(),
+    sqlite: () => createSqliteDriver({ file: process.env.SQLITE_FILE || undefined })
+};
+
+/**
+ * Create a driver by name
+ */
+function createDriver(name) {
+    const factory = DRIVERS[name];
+    if (!factory) {
+        throw new Error(`Unknown STORAGE_DRIVER "${name}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+    return factory();
+}
+
+/**
+ * Wrap a driver collection in the repository API used by routes
+ */
+function createCollection(driver, name) {
+    // Errors thrown by transaction callbacks, as opposed to by the driver
+    const callbackErrors = new WeakSet();
+
+    async function guard(operation) {
+        try {
+            return await operation();
+        } catch (error) {
+            if (error instanceof Object && callbackErrors.has(error)) throw error;
+            throw new StorageFailureError(`The ${name} data is unavailable right now. Please try again later.`, { cause: error });
+        }
+    }
+
+    function transaction(fn, options = {}) {
+        return guard(() => driver.transaction(name, tx => {
+            try {
+                return fn(tx);
+            } catch (error) {
+                if (error instanceof Object) callbackErrors.add(error);
+                throw error;
+            }
+        }, options));
+    }
+
+    return {
+        name,
+
+        all() {
+            return guard(() => driver.all(name));
+        },
+
+        async findById(id) {
+            const records = await guard(() => driver.all(name));
+            return records.find(r => String(r.id) === String(id)) || null;
+        },
+
+        transaction,
+
+        insert(record, options) {
+            return transaction(tx => tx.insert(record), options);
+        },
+
+        /**
+         * Update a record with a function of the current record.
+         * Resolves to the updated record, or null if it does not exist.
+         */
+        update(id, updater) {
+            return transaction(tx => {
+                const existing = tx.findById(id);
+                if (!existing) return null;
+                return tx.update(id, updater(existing));
+            });
+        },
+
+        remove(id) {
+            return transaction(tx => tx.remove(id));
+        },
+
+        replaceAll(records) {
+            return transaction(tx => tx.replaceAll(records));
+        }
+    };
+}
+
+let activeDriver = null;
+
+/**
+ * Run one transaction across several collections. If the callback throws,
+ * nothing is written. backup is true, false or { <collection>: false }.
+ */
+async function transaction(names, fn, options = {}) {
+    let callbackError = null;
+
+    try {
+        return await getDriver().transactionAcross(names, views => {
+            try {
+                return fn(views);
+            } catch (error) {
+                callbackError = error;
+                throw error;
+            }
+        }, options);
+    } catch (error) {
+        if (callbackError && error === callbackError) throw error;
+        throw new StorageFailureError(`The ${names.join(' and ')} data is unavailable right now. Please try again later.`, { cause: error });
+    }
+}
+
+/**
+ * Get the configured driver, creating it on first use
+ */
+function getDriver() {
+    if (!activeDriver) {
+        activeDriver = createDriver(process.env.STORAGE_DRIVER || 'json');
+    }
+    return activeDriver;
+}
+
+/**
+ * Get a collection from the configured driver
+ */
+function collection(name) {
+    return createCollection(getDriver(), name);
+}
+
+module.exports = {
+    collection,
+    transaction,
+    createDriver,
+    createCollection,
+    getDriver
+};
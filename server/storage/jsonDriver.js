@@ -0,0 +1,179 @@
+/**
+ * JSON File Storage Driver
+ *
+ * Stores each collection as a JSON array in its own file. A transaction
+ * reads the file, runs the callback against the in-memory records and
+ * writes the file back only if something changed.
+ *
+ * Transactions on the same file are queued, so concurrent requests cannot
+ * overwrite each other's changes. Every write snapshots the previous file
+ * (see backups.js), unless the transaction passes { backup: false }, and
+ * replaces it atomically (see atomicFile.js).
+ *
+ * A transaction across collections locks every file, in name order so two
+ * of them cannot deadlock, and writes the changed files one after another
+ * once the callback has returned. A callback that throws writes nothing.
+ *
+ * createJsonDriver({ dataDir }) keeps every file, products and stores
+ * included, in dataDir instead; tests use it to stay out of the real data.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { withLock, writeFileAtomic } = require('./atomicFile');
+const { createBackup } = require('./backups');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Collections whose files predate the storage layer keep their old locations;
+// stores sit next to products as reference data committed with the site
+const COLLECTION_FILES = {
+    products: path.join(__dirname, '..', '..', 'products.json'),
+    stores: path.join(__dirname, '..', '..', 'stores.json'),
+    submissions: path.join(DATA_DIR, 'contact-submissions.json')
+};
+
+/**
+ * Resolve the file backing a collection, in dataDir if given
+ */
+function fileFor(name, dataDir) {
+    const file = COLLECTION_FILES[name] || path.join(DATA_DIR, `${name}.json`);
+    return dataDir ? path.join(dataDir, path.basename(file)) : file;
+}
+
+/**
+ * Read all records of a collection file, or [] if it does not exist yet
+ */
+async function readRecords(file) {
+    try {
+        const data = await fs.readFile(file, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+}
+
+/**
+ * Whether a write to a collection takes a backup: backup is true, false or
+ * { <collection>: false }
+ */
+function shouldBackUp(name, { backup = true } = {}) {
+    return typeof backup === 'object' ? backup[name] !== false : backup;
+}
+
+/**
+ * Back up (unless told not to), then atomically write all records of a collection
+ */
+async function writeRecords(name, file, records, options) {
+    if (shouldBackUp(name, options)) {
+        await createBackup(name, file);
+    }
+    await writeFileAtomic(file, JSON.stringify(records, null, 4));
+}
+
+/**
+ * Build the synchronous view a transaction callback works against
+ */
+function createView(records) {
+    const view = {
+        dirty: false,
+
+        all() {
+            return records.slice();
+        },
+
+        findById(id) {
+            return records.find(r => String(r.id) === String(id)) || null;
+        },
+
+        insert(record) {
+            records.push(record);
+            view.dirty = true;
+            return record;
+        },
+
+        update(id, record) {
+            const index = records.findIndex(r => String(r.id) === String(id));
+            if (index === -1) return null;
+            records[index] = record;
+            view.dirty = true;
+            return record;
+        },
+
+        remove(id) {
+            const index = records.findIndex(r => String(r.id) === String(id));
+            if (index === -1) return null;
+            view.dirty = true;
+            return records.splice(index, 1)[0];
+        },
+
+        replaceAll(newRecords) {
+            records.splice(0, records.length, ...newRecords);
+            view.dirty = true;
+        }
+    };
+    return view;
+}
+
+/**
+ * Create a JSON driver instance
+ * @param {object} [options]
+ * @param {string} [options.dataDir] - Directory for every collection file
+ */
+function createJsonDriver({ dataDir } = {}) {
+    const file = name => fileFor(name, dataDir);
+
+    return {
+        name: 'json',
+
+        async all(name) {
+            return readRecords(file(name));
+        },
+
+        async transaction(name, fn, options) {
+            return withLock(file(name), async () => {
+                const records = await readRecords(file(name));
+                const view = createView(records);
+                const result = fn(view);
+
+                if (view.dirty) {
+                    await writeRecords(name, file(name), records, options);
+                }
+                return result;
+            });
+        },
+
+        async transactionAcross(names, fn, options) {
+            const run = async () => {
+                const records = {};
+                const views = {};
+                for (const name of names) {
+                    records[name] = await readRecords(file(name));
+                    views[name] = createView(records[name]);
+                }
+
+                const result = fn(views);
+
+                for (const name of names) {
+                    if (views[name].dirty) {
+                        await writeRecords(name, file(name), records[name], options);
+                    }
+                }
+                return result;
+            };
+
+            const locked = [...names].sort().reduceRight(
+                (inner, name) => () => withLock(file(name), inner),
+                run
+            );
+            return locked();
+        },
+
+        async close() {}
+    };
+}
+
+module.exports = { createJsonDriver, fileFor };
@@ -0,0 +1,265 @@
+/**
+ * Rate Limit Stores
+ *
+ * Hit counters for express-rate-limit that survive a restart. The backend
+ * is chosen with RATE_LIMIT_STORE:
+ * - memory - express-rate-limit's own in-process store (default)
+ * - file   - counters kept in memory and saved to RATE_LIMIT_FILE
+ *            (default data/rate-limits.json) a moment after each change
+ *            and when the process exits
+ * - sqlite - a rate_limits table in SQLITE_FILE (needs better-sqlite3)
+ *
+ * Each limiter gets its own store object with a key prefix; all of them
+ * share one backend, so there is a single file or database connection.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./atomicFile');
+const { DEFAULT_DB_FILE } = require('./sqliteDriver');
+const logger = require('../logger');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'rate-limits.json');
+
+// How long the file backend waits to batch changes before saving
+const FLUSH_DELAY_MS = 1000;
+
+// How often the backends delete expired counters
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+const STORE_KINDS = ['memory', 'file', 'sqlite'];
+
+// =============================================================================
+// BACKENDS
+// =============================================================================
+
+/**
+ * Counters in a Map, saved to a JSON file
+ */
+function createFileBackend(file) {
+    const counters = new Map();
+    let flushTimer = null;
+    let lastPrune = 0;
+
+    try {
+        const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const now = Date.now();
+        Object.entries(saved).forEach(([key, counter]) => {
+            if (counter.resetTime > now) counters.set(key, counter);
+        });
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn('Could not read saved rate limits; starting from zero', { file, reason: error.message });
+        }
+    }
+
+    // Delete expired counters, so keys seen once do not stay forever
+    function prune(now) {
+        counters.forEach((counter, key) => {
+            if (counter.resetTime <= now) counters.delete(key);
+        });
+        lastPrune = now;
+    }
+
+    function snapshot() {
+        prune(Date.now());
+        return JSON.stringify(Object.fromEntries(counters));
+    }
+
+    function scheduleFlush() {
+        if (flushTimer) return;
+        flushTimer = setTimeout(() => {
+            flushTimer = null;
+            writeFileAtomic(file, snapshot()).catch(error => {
+                logger.error('Could not save rate limits', { file, reason: error.message });
+            });
+        }, FLUSH_DELAY_MS);
+        flushTimer.unref();
+    }
+
+    // Save whatever is pending when the server shuts down
+    process.on('exit', () => {
+        if (!flushTimer) return;
+        try {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, snapshot());
+        } catch {
+            // Nothing more can be done while exiting
+        }
+    });
+
+    return {
+        get(key) {
+            const counter = counters.get(key);
+            return counter && counter.resetTime > Date.now() ? counter : undefined;
+        },
+
+        increment(key, windowMs) {
+            const now = Date.now();
+            if (now - lastPrune > PRUNE_INTERVAL_MS) {
+                prune(now);
+            }
+            let counter = counters.get(key);
+            if (!counter || counter.resetTime <= now) {
+                counter = { totalHits: 0, resetTime: now + windowMs };
+                counters.set(key, counter);
+            }
+            counter.totalHits++;
+            scheduleFlush();
+            return counter;
+        },
+
+        decrement(key) {
+            const counter = counters.get(key);
+            if (counter && counter.totalHits > 0) {
+                counter.totalHits--;
+                scheduleFlush();
+            }
+        },
+
+        reset(key) {
+            counters.delete(key);
+            scheduleFlush();
+        },
+
+        resetPrefix(prefix) {
+            [...counters.keys()].filter(key => key.startsWith(prefix)).forEach(key => counters.delete(key));
+            scheduleFlush();
+        }
+    };
+}
+
+/**
+ * Counters in an SQLite table
+ */
+function createSqliteBackend(file) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch {
+        throw new Error('RATE_LIMIT_STORE=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS rate_limits (
+            key TEXT PRIMARY KEY,
+            hits INTEGER NOT NULL,
+            reset_at INTEGER NOT NULL
+        )
+    `);
+
+    const select = db.prepare('SELECT hits, reset_at FROM rate_limits WHERE key = ?');
+    const upsert = db.prepare(`
+        INSERT INTO rate_limits (key, hits, reset_at) VALUES (@key, 1, @resetAt)
+        ON CONFLICT (key) DO UPDATE SET
+            hits = CASE WHEN reset_at <= @now THEN 1 ELSE hits + 1 END,
+            reset_at = CASE WHEN reset_at <= @now THEN @resetAt ELSE reset_at END
+    `);
+    const lower = db.prepare('UPDATE rate_limits SET hits = hits - 1 WHERE key = ? AND hits > 0');
+    const remove = db.prepare('DELETE FROM rate_limits WHERE key = ?');
+    const removePrefix = db.prepare('DELETE FROM rate_limits WHERE substr(key, 1, length(?)) = ?');
+    const prune = db.prepare('DELETE FROM rate_limits WHERE reset_at <= ?');
+    let lastPrune = 0;
+
+    const toCounter = row => ({ totalHits: row.hits, resetTime: row.reset_at });
+
+    return {
+        get(key) {
+            const row = select.get(key);
+            return row && row.reset_at > Date.now() ? toCounter(row) : undefined;
+        },
+
+        increment(key, windowMs) {
+            const now = Date.now();
+            if (now - lastPrune > PRUNE_INTERVAL_MS) {
+                prune.run(now);
+                lastPrune = now;
+            }
+            upsert.run({ key, now, resetAt: now + windowMs });
+            return toCounter(select.get(key));
+        },
+
+        decrement(key) {
+            lower.run(key);
+        },
+
+        reset(key) {
+            remove.run(key);
+        },
+
+        resetPrefix(prefix) {
+            removePrefix.run(prefix, prefix);
+        }
+    };
+}
+
+let backend = null;
+
+/**
+ * The configured backend, created on first use
+ */
+function getBackend(kind) {
+    if (!backend) {
+        backend = kind === 'sqlite'
+            ? createSqliteBackend(process.env.SQLITE_FILE || DEFAULT_DB_FILE)
+            : createFileBackend(process.env.RATE_LIMIT_FILE || DEFAULT_FILE);
+    }
+    return backend;
+}
+
+// =============================================================================
+// STORES
+// =============================================================================
+
+/**
+ * Store for one limiter, or undefined for RATE_LIMIT_STORE=memory, which
+ * leaves express-rate-limit on its default in-memory store.
+ *
+ * @param {string} name - Limiter name, used as the key prefix
+ */
+function createRateLimitStore(name, kind = process.env.RATE_LIMIT_STORE || 'memory') {
+    if (!STORE_KINDS.includes(kind)) {
+        throw new Error(`Unknown RATE_LIMIT_STORE "${kind}". Use one of: ${STORE_KINDS.join(', ')}`);
+    }
+    if (kind === 'memory') return undefined;
+
+    const counters = getBackend(kind);
+    const prefix = `${name}:`;
+    let windowMs;
+
+    const withDate = counter => ({ totalHits: counter.totalHits, resetTime: new Date(counter.resetTime) });
+
+    return {
+        localKeys: false,
+
+        init(options) {
+            windowMs = options.windowMs;
+        },
+
+        async get(key) {
+            const counter = counters.get(prefix + key);
+            return counter && withDate(counter);
+        },
+
+        async increment(key) {
+            return withDate(counters.increment(prefix + key, windowMs));
+        },
+
+        async decrement(key) {
+            counters.decrement(prefix + key);
+        },
+
+        async resetKey(key) {
+            counters.reset(prefix + key);
+        },
+
+        async resetAll() {
+            counters.resetPrefix(prefix);
+        }
+    };
+}
+
+module.exports = { createRateLimitStore, STORE_KINDS };
@@ -0,0 +1,133 @@
+/**
+ * SQLite Storage Driver
+ *
+ * Stores every collection in an embedded SQLite database as one table of
+ * JSON documents. Transactions, including those across collections, map onto
+ * real SQLite transactions, so a failed callback leaves the database
+ * untouched.
+ *
+ * Requires the optional better-sqlite3 dependency.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DB_FILE = path.join(__dirname, '..', 'data', 'maschem.sqlite');
+
+/**
+ * Guard against SQL injection through collection names
+ */
+function tableFor(name) {
+    if (!/^[a-z][a-z_]*$/.test(name)) {
+        throw new Error(`Invalid collection name: ${name}`);
+    }
+    return `"${name}"`;
+}
+
+/**
+ * Create an SQLite driver instance
+ */
+function createSqliteDriver({ file = DEFAULT_DB_FILE } = {}) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch {
+        throw new Error('STORAGE_DRIVER=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+
+    const prepared = new Set();
+
+    /**
+     * Create the table for a collection on first use
+     */
+    function ensureTable(name) {
+        if (prepared.has(name)) return;
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS ${tableFor(name)} (
+                seq INTEGER PRIMARY KEY AUTOINCREMENT,
+                id TEXT UNIQUE,
+                data TEXT NOT NULL
+            )
+        `);
+        prepared.add(name);
+    }
+
+    function keyOf(record) {
+        return record.id === undefined || record.id === null ? null : String(record.id);
+    }
+
+    /**
+     * Build the synchronous view a transaction callback works against
+     */
+    function createView(name) {
+        const table = tableFor(name);
+
+        return {
+            all() {
+                return db.prepare(`SELECT data FROM ${table} ORDER BY seq`).all()
+                    .map(row => JSON.parse(row.data));
+            },
+
+            findById(id) {
+                const row = db.prepare(`SELECT data FROM ${table} WHERE id = ?`).get(String(id));
+                return row ? JSON.parse(row.data) : null;
+            },
+
+            insert(record) {
+                db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?)`)
+                    .run(keyOf(record), JSON.stringify(record));
+                return record;
+            },
+
+            update(id, record) {
+                const info = db.prepare(`UPDATE ${table} SET id = ?, data = ? WHERE id = ?`)
+                    .run(keyOf(record), JSON.stringify(record), String(id));
+                return info.changes > 0 ? record : null;
+            },
+
+            remove(id) {
+                const row = db.prepare(`SELECT data FROM ${table} WHERE id = ?`).get(String(id));
+                if (!row) return null;
+                db.prepare(`DELETE FROM ${table} WHERE id = ?`).run(String(id));
+                return JSON.parse(row.data);
+            },
+
+            replaceAll(records) {
+                db.prepare(`DELETE FROM ${table}`).run();
+                const insert = db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?)`);
+                records.forEach(record => insert.run(keyOf(record), JSON.stringify(record)));
+            }
+        };
+    }
+
+    return {
+        name: 'sqlite',
+
+        async all(name) {
+            ensureTable(name);
+            return createView(name).all();
+        },
+
+        async transaction(name, fn) {
+            ensureTable(name);
+            const view = createView(name);
+            return db.transaction(() => fn(view)).immediate();
+        },
+
+        async transactionAcross(names, fn) {
+            names.forEach(ensureTable);
+            const views = Object.fromEntries(names.map(name => [name, createView(name)]));
+            return db.transaction(() => fn(views)).immediate();
+        },
+
+        async close() {
+            db.close();
+        }
+    };
+}
+
+module.exports = { createSqliteDriver, DEFAULT_DB_FILE };
@@ -0,0 +1,163 @@
+/**
+ * Logging in, tokens and what each staff role may do
+ */
+
+const jwt = require('jsonwebtoken');
+const { request } = require('./helpers/openapi');
+const { catalog, seedCatalog, staffUser, staffToken, STAFF_PASSWORD } = require('./helpers/data');
+const app = require('../server');
+const { jwtSecretProblem } = require('../middleware/auth');
+
+const product = catalog[0];
+
+beforeAll(async () => {
+    await seedCatalog();
+});
+
+function me(token) {
+    return request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`);
+}
+
+describe('login', () => {
+    test('returns a token for the user', async () => {
+        const user = await staffUser('sales');
+
+        const res = await request(app)
+            .post('/api/auth/login')
+            .send({ email: user.email, password: STAFF_PASSWORD });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.user).toMatchObject({ email: user.email, role: 'sales' });
+        expect(res.body.data.user.passwordHash).toBeUndefined();
+        expect((await me(res.body.data.token)).body.data.id).toBe(user.id);
+    });
+
+    test('refuses a wrong password without saying which part was wrong', async () => {
+        const user = await staffUser('sales');
+
+        const res = await request(app)
+            .post('/api/auth/login')
+            .send({ email: user.email, password: 'not-the-password' });
+
+        expect(res.status).toBe(401);
+        expect(res.body.code).toBe('invalid_credentials');
+    });
+});
+
+describe('tokens', () => {
+    test('a request without a token is refused', async () => {
+        const res = await request(app).get('/api/auth/me');
+
+        expect(res.status).toBe(401);
+        expect(res.body.code).toBe('authentication_required');
+    });
+
+    test('a token signed with another secret is refused', async () => {
+        const user = await staffUser('admin');
+        const forged = jwt.sign({ sub: user.id, role: 'admin' }, 'someone-elses-secret');
+
+        const res = await me(forged);
+
+        expect(res.status).toBe(401);
+        expect(res.body.code).toBe('invalid_token');
+    });
+
+    test('an expired token is refused', async () => {
+        const user = await staffUser('admin');
+        const expired = jwt.sign({ sub: user.id, role: 'admin', exp: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET);
+
+        const res = await me(expired);
+
+        expect(res.status).toBe(401);
+        expect(res.body.code).toBe('token_expired');
+    });
+
+    test('the token of a deleted user stops working', async () => {
+        const adminToken = await staffToken(app, 'admin');
+        const viewerToken = await staffToken(app, 'viewer');
+        const viewer = await staffUser('viewer');
+
+        await request(app)
+            .delete(`/api/auth/users/${viewer.id}`)
+            .set('Authorization', `Bearer ${adminToken}`);
+
+        expect((await me(viewerToken)).status).toBe(401);
+    });
+});
+
+describe('roles', () => {
+    const rename = token => request(app)
+        .put(`/api/products/${product.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: product.name });
+
+    const listUsers = token => request(app)
+        .get('/api/auth/users')
+        .set('Authorization', `Bearer ${token}`);
+
+    test('anyone may read the catalog', async () => {
+        expect((await request(app).get(`/api/products/${product.id}`)).status).toBe(200);
+    });
+
+    test('sales may edit products but not manage users', async () => {
+        const token = await staffToken(app, 'sales');
+
+        expect((await rename(token)).status).toBe(200);
+        expect((await listUsers(token)).status).toBe(403);
+    });
+
+    test('viewers may read the inbox but change nothing', async () => {
+        const token = await staffToken(app, 'viewer');
+
+        const inbox = await request(app)
+            .get('/api/contact/submissions')
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(inbox.status).toBe(200);
+        expect((await rename(token)).status).toBe(403);
+    });
+
+    test('admins may manage users', async () => {
+        const token = await staffToken(app, 'admin');
+
+        expect((await listUsers(token)).status).toBe(200);
+    });
+
+    test('an admin cannot delete their own account', async () => {
+        const token = await staffToken(app, 'admin');
+        const admin = await staffUser('admin');
+
+        const res = await request(app)
+            .delete(`/api/auth/users/${admin.id}`)
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('cannot_delete_self');
+    });
+});
+
+describe('production secret', () => {
+    test.each(['', 'change-me', 'CHANGE_ME', 'secret', 'your-jwt-secret'])('refuses %j', secret => {
+        expect(jwtSecretProblem(secret)).not.toBeNull();
+    });
+
+    test('refuses a short secret', () => {
+        expect(jwtSecretProblem('a1b2c3d4e5f6')).toMatch(/at least 32/);
+    });
+
+    test('accepts a long random secret', () => {
+        expect(jwtSecretProblem('9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08')).toBeNull();
+    });
+
+    test('stops the server from loading with a placeholder', () => {
+        const { NODE_ENV, JWT_SECRET } = process.env;
+        Object.assign(process.env, { NODE_ENV: 'production', JWT_SECRET: 'change-me' });
+        try {
+            expect(() => jest.isolateModules(() => require('../middleware/auth'))).toThrow(/placeholder/);
+        } finally {
+            Object.assign(process.env, { NODE_ENV, JWT_SECRET });
+        }
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * Restoring snapshots: valid ones replace the collection, invalid ones are
+ * refused and change nothing
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { request } = require('./helpers/openapi');
+const { catalog, storeList, seedCatalog, staffToken } = require('./helpers/data');
+const app = require('../server');
+const storage = require('../storage');
+
+let token;
+let stamp = 0;
+
+beforeAll(async () => {
+    token = await staffToken(app);
+});
+
+beforeEach(async () => {
+    await seedCatalog();
+});
+
+/**
+ * Write records as a snapshot of a collection, returning its id
+ */
+function writeSnapshot(collection, records) {
+    const dir = path.join(process.env.BACKUP_DIR, collection);
+    const id = `${collection}-2026-01-01T00-00-00-${String(stamp++).padStart(3, '0')}Z.json`;
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, id), JSON.stringify(records));
+    return id;
+}
+
+function restore(collection, snapshot) {
+    return request(app)
+        .post(`/api/backups/${collection}/${snapshot}/restore`)
+        .set('Authorization', `Bearer ${token}`);
+}
+
+test('a valid snapshot replaces the collection', async () => {
+    const snapshot = writeSnapshot('products', catalog.slice(0, 2));
+
+    const res = await restore('products', snapshot);
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(2);
+    expect(await storage.collection('products').all()).toHaveLength(2);
+});
+
+test('the snapshot is listed, newest first', async () => {
+    const older = writeSnapshot('stores', storeList);
+    const newer = writeSnapshot('stores', storeList);
+
+    const res = await request(app)
+        .get('/api/backups/stores')
+        .set('Authorization', `Bearer ${token}`);
+
+    expect(res.body.data.map(s => s.id).slice(0, 2)).toEqual([newer, older]);
+});
+
+test('an older product snapshot is migrated as it is restored', async () => {
+    const legacy = { name: 'Legacy Degreaser', description: 'Old record', category: 'degreasers', image: 'images/x.jpg', packaging: '5L', price: '99.50' };
+    const snapshot = writeSnapshot('products', [...catalog, legacy]);
+
+    const res = await restore('products', snapshot);
+
+    expect(res.status).toBe(200);
+    const restored = (await storage.collection('products').all()).find(p => p.name === legacy.name);
+    expect(restored).toMatchObject({ schemaVersion: catalog[0].schemaVersion, price: 99.5 });
+    expect(restored.variants).toHaveLength(1);
+});
+
+test.each([
+    ['products', () => [catalog[0], { ...catalog[1], sku: catalog[0].sku }], /Duplicate sku/],
+    ['products', () => [{ ...catalog[0], name: '' }], /name/i],
+    ['stores', () => [{ ...storeList[0], hours: { monday: { open: '17:00', close: '08:00' } } }], /close after/],
+    ['inventory', () => [{ id: 'x', sku: 'A', storeId: 'b', quantity: -1 }], /Quantity/],
+    ['quotes', () => [{ id: 'q1' }, { id: 'q1' }], /Duplicate id/],
+    ['submissions', () => ['not a record'], /object/]
+])('an invalid %s snapshot is refused and changes nothing', async (collection, records, message) => {
+    const before = await storage.collection(collection).all();
+    const snapshot = writeSnapshot(collection, records());
+
+    const res = await restore(collection, snapshot);
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('invalid_snapshot');
+    expect(res.body.errors.map(e => e.message).join('\n')).toMatch(message);
+    expect(await storage.collection(collection).all()).toEqual(before);
+});
+
+test('an unknown snapshot is 404', async () => {
+    const res = await restore('products', 'products-2020-01-01T00-00-00-000Z.json');
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('snapshot_not_found');
+});
+
+test('only admins may restore', async () => {
+    const snapshot = writeSnapshot('products', catalog);
+    const salesToken = await staffToken(app, 'sales');
+
+    const res = await request(app)
+        .post(`/api/backups/products/${snapshot}/restore`)
+        .set('Authorization', `Bearer ${salesToken}`);
+
+    expect(res.status).toBe(403);
+});
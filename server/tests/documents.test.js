@@ -0,0 +1,77 @@
+/**
+ * Data sheet versions
+ */
+
+const { request } = require('./helpers/openapi');
+const { catalog, seedCatalog, staffToken } = require('./helpers/data');
+const app = require('../server');
+
+const product = catalog[0];
+const PDF = Buffer.from('%PDF-1.4\n%test\n');
+
+let token;
+
+beforeAll(async () => {
+    token = await staffToken(app);
+});
+
+beforeEach(async () => {
+    await seedCatalog();
+});
+
+function uploadSds(revisionDate = '2026-03-01') {
+    return request(app)
+        .post(`/api/products/${product.id}/documents/sds`)
+        .set('Authorization', `Bearer ${token}`)
+        .field('revisionDate', revisionDate)
+        .attach('document', PDF, { filename: 'sds.pdf', contentType: 'application/pdf' });
+}
+
+function removeSds(version) {
+    return request(app)
+        .delete(`/api/products/${product.id}/documents/sds/${version}`)
+        .set('Authorization', `Bearer ${token}`);
+}
+
+test('each upload becomes the next version', async () => {
+    await uploadSds();
+    const res = await uploadSds('2026-04-01');
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.documents.sds.map(d => d.version)).toEqual([1, 2]);
+});
+
+test('a removed version number is never reused', async () => {
+    await uploadSds();
+    await uploadSds();
+    await removeSds(2);
+
+    const res = await uploadSds();
+
+    expect(res.body.data.documents.sds.map(d => d.version)).toEqual([1, 3]);
+});
+
+test('numbering carries on after every version was removed', async () => {
+    await uploadSds();
+    await removeSds(1);
+
+    const res = await uploadSds();
+
+    expect(res.body.data.documents.sds.map(d => d.version)).toEqual([2]);
+    const old = await request(app).get(`/api/products/${product.id}/documents/sds?version=1`);
+    expect(old.status).toBe(404);
+});
+
+test('editing the product keeps the issued numbers', async () => {
+    await uploadSds();
+    await removeSds(1);
+    const edit = await request(app)
+        .put(`/api/products/${product.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: `${product.name} Plus`, documentVersions: { sds: 99 } });
+    expect(edit.status).toBe(200);
+
+    const res = await uploadSds();
+
+    expect(res.body.data.documents.sds.map(d => d.version)).toEqual([2]);
+});
@@ -0,0 +1,136 @@
+/**
+ * Error responses: every failure is an application/problem+json document
+ * with a stable code, and internals never reach the client
+ */
+
+const express = require('express');
+const { request } = require('./helpers/openapi');
+require('./helpers/data');
+const app = require('../server');
+const errorHandler = require('../middleware/errorHandler');
+const logger = require('../logger');
+const {
+    NotFoundError,
+    ConflictError,
+    RateLimitedError,
+    StorageFailureError
+} = require('../errors');
+
+const PROBLEM = /^application\/problem\+json/;
+
+/**
+ * A bare app whose only route fails with an error
+ */
+function failingWith(error) {
+    const failing = express();
+    failing.get('/fail', (req, res, next) => {
+        req.id = 'req-1';
+        next(error);
+    });
+    failing.use(errorHandler);
+    return failing;
+}
+
+describe('through the API', () => {
+    test('an unknown endpoint is a route_not_found problem', async () => {
+        const res = await request(app).get('/api/no-such-thing');
+
+        expect(res.status).toBe(404);
+        expect(res.headers['content-type']).toMatch(PROBLEM);
+        expect(res.body).toMatchObject({
+            type: 'urn:maschem:problem:route_not_found',
+            title: 'Not Found',
+            status: 404,
+            code: 'route_not_found',
+            instance: '/api/no-such-thing',
+            success: false
+        });
+    });
+
+    test('the problem carries the request id from the header', async () => {
+        const res = await request(app).get('/api/no-such-thing');
+
+        expect(res.body.requestId).toBe(res.headers['x-request-id']);
+    });
+
+    test('malformed JSON is invalid_json', async () => {
+        const res = await request(app)
+            .post('/api/contact')
+            .set('Content-Type', 'application/json')
+            .send('{"email": ');
+
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('invalid_json');
+    });
+
+    test('validation failures list each field', async () => {
+        const res = await request(app).post('/api/contact').send({ email: 'not-an-email' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('validation_failed');
+        expect(res.body.errors).toEqual(expect.arrayContaining([
+            expect.objectContaining({ field: 'email' })
+        ]));
+    });
+
+    test('a missing upload is file_not_found without its path on disk', async () => {
+        const res = await request(app).get('/uploads/products/1/missing.webp');
+
+        expect(res.status).toBe(404);
+        expect(res.body.code).toBe('file_not_found');
+        expect(JSON.stringify(res.body)).not.toContain(process.env.UPLOADS_DIR);
+    });
+});
+
+describe('the handler', () => {
+    // Server errors are logged with their stack; keep that out of the test output
+    beforeEach(() => {
+        jest.spyOn(logger, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('answers an AppError with its status, code and message', async () => {
+        const res = await request(failingWith(new ConflictError('Taken', { code: 'store_exists' }))).get('/fail');
+
+        expect(res.status).toBe(409);
+        expect(res.headers['content-type']).toMatch(PROBLEM);
+        expect(res.body).toMatchObject({ code: 'store_exists', detail: 'Taken', error: 'Taken', requestId: 'req-1' });
+    });
+
+    test('sends Retry-After with a rate limit', async () => {
+        const res = await request(failingWith(new RateLimitedError('Slow down', { retryAfter: 30 }))).get('/fail');
+
+        expect(res.status).toBe(429);
+        expect(res.headers['retry-after']).toBe('30');
+        expect(res.body.retryAfter).toBe(30);
+    });
+
+    test('answers a storage failure with 503 and hides the cause', async () => {
+        const cause = new Error('SQLITE_BUSY: database is locked at /srv/maschem.sqlite');
+        const res = await request(failingWith(new StorageFailureError('Products are unavailable', { cause }))).get('/fail');
+
+        expect(res.status).toBe(503);
+        expect(res.body.code).toBe('storage_unavailable');
+        expect(JSON.stringify(res.body)).not.toContain('SQLITE_BUSY');
+    });
+
+    test('treats a stray ENOENT as a bug, not a 404', async () => {
+        const error = Object.assign(new Error("ENOENT: no such file or directory, open '/srv/data/users.json'"), { code: 'ENOENT' });
+        const res = await request(failingWith(error)).get('/fail');
+
+        expect(res.status).toBe(500);
+        expect(res.body.code).toBe('internal_error');
+        expect(JSON.stringify(res.body)).not.toContain('/srv/data');
+        expect(logger.error).toHaveBeenCalledWith('Request failed', expect.objectContaining({ error }));
+    });
+
+    test('keeps extensions such as a list of problems', async () => {
+        const error = new NotFoundError('Gone', { extensions: { hint: 'Try another id' } });
+        const res = await request(failingWith(error)).get('/fail');
+
+        expect(res.body).toMatchObject({ code: 'not_found', hint: 'Try another id' });
+    });
+});
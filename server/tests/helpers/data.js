@@ -0,0 +1,59 @@
+/**
+ * Test Data
+ *
+ * Seeds the temporary storage of a test file (see tests/setup.js) and signs
+ * in staff. Requiring it also closes the database and removes the temporary
+ * directory once the file's tests are done.
+ */
+
+const fs = require('fs');
+const storage = require('../../storage');
+const users = require('../../services/users');
+const { request } = require('./openapi');
+
+const catalog = require('../../../products.json');
+const storeList = require('../../../stores.json');
+
+const STAFF_PASSWORD = 'supersecret1';
+
+afterAll(async () => {
+    await storage.getDriver().close();
+    fs.rmSync(process.env.TEST_DATA_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Load the repository's products and stores into the test storage
+ */
+async function seedCatalog() {
+    await storage.collection('products').replaceAll(structuredClone(catalog));
+    await storage.collection('stores').replaceAll(structuredClone(storeList));
+}
+
+/**
+ * A staff user with a role, e.g. "admin" or "sales", created on first use
+ */
+async function staffUser(role) {
+    const email = `${role}@example.com`;
+    return await users.findByEmail(email)
+        || users.createUser({ email, password: STAFF_PASSWORD, name: `Test ${role}`, role });
+}
+
+/**
+ * A bearer token for a staff user with a role
+ */
+async function staffToken(app, role = 'admin') {
+    const user = await staffUser(role);
+    const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: STAFF_PASSWORD });
+    return res.body.data.token;
+}
+
+module.exports = {
+    catalog,
+    storeList,
+    STAFF_PASSWORD,
+    seedCatalog,
+    staffUser,
+    staffToken
+};
@@ -0,0 +1,224 @@
+/**
+ * OpenAPI Checks
+ *
+ * Checks requests and responses against the OpenAPI document, so the
+ * document cannot drift from what the routes accept and return.
+ *
+ * Use request() in place of supertest: every response it gets back is
+ * checked before the test sees it. The operation is found from the method
+ * and URL; its status must be documented and the body must match the schema
+ * of its content type. When the route accepted a JSON body (2xx), that body
+ * must match the documented request schema too.
+ *
+ *   const { request } = require('./helpers/openapi');
+ *   const res = await request(app).post('/api/contact').send(body);
+ *
+ * The matchers do the same for one operation named explicitly, e.g. for a
+ * body the route should reject:
+ *
+ *   expect(res).toMatchApiResponse('get', '/products/{id}');
+ *   expect(body).not.toMatchApiRequest('post', '/contact');
+ *
+ * Paths are written as in the document, without the /api prefix.
+ */
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const supertest = require('supertest');
+const spec = require('../../openapi');
+
+const DOCUMENT_ID = 'openapi.json';
+const API_PREFIX = '/api';
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const ajv = new Ajv({ strict: false, allErrors: true });
+addFormats(ajv);
+ajv.addSchema(spec, DOCUMENT_ID);
+
+// Document paths as patterns, literal ones first so /products/categories
+// wins over /products/{id}
+const PATH_PATTERNS = Object.keys(spec.paths)
+    .map(path => ({
+        path,
+        params: (path.match(/\{/g) || []).length,
+        pattern: new RegExp(`^${path.replace(/\{[^}]+\}/g, '[^/]+')}$`)
+    }))
+    .sort((a, b) => a.params - b.params);
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * The node at a path of keys in the document, or undefined
+ */
+function nodeAt(keys) {
+    return keys.reduce((node, key) => (node === undefined ? undefined : node[key]), spec);
+}
+
+/**
+ * Keys of a local $ref, e.g. "#/components/responses/NotFound"
+ */
+function refKeys(ref) {
+    return ref.replace(/^#\//, '').split('/').map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Validator for the schema at a path of keys, or throw if there is none
+ */
+function validatorAt(keys, what) {
+    if (nodeAt(keys) === undefined) {
+        throw new Error(`The OpenAPI document has no ${what}`);
+    }
+    const pointer = keys
+        .map(key => encodeURIComponent(String(key).replace(/~/g, '~0').replace(/\//g, '~1')))
+        .join('/');
+    return ajv.getSchema(`${DOCUMENT_ID}#/${pointer}`);
+}
+
+function describeErrors(validate) {
+    return ajv.errorsText(validate.errors, { dataVar: 'body', separator: '\n  ' });
+}
+
+/**
+ * The document path of a request URL, e.g. "/products/{id}" for
+ * "/api/products/7?fields=name", or null outside the API
+ */
+function documentPath(url) {
+    const pathname = new URL(url, 'http://localhost').pathname;
+    if (!pathname.startsWith(`${API_PREFIX}/`)) return null;
+
+    const path = pathname.slice(API_PREFIX.length);
+    const match = PATH_PATTERNS.find(candidate => candidate.pattern.test(path));
+    return match ? match.path : null;
+}
+
+/**
+ * Why a response does not match the document, or null if it does
+ */
+function responseProblem(res, method, path) {
+    const operation = `${method.toUpperCase()} ${path}`;
+    let keys = ['paths', path, method.toLowerCase(), 'responses', String(res.status)];
+
+    const response = nodeAt(keys);
+    if (!response) {
+        return `${operation} does not document a ${res.status} response`;
+    }
+    if (response.$ref) {
+        keys = refKeys(response.$ref);
+    }
+
+    const contentType = (res.headers['content-type'] || '').split(';')[0];
+    const content = nodeAt([...keys, 'content']);
+    if (!content) {
+        return contentType && res.status !== 204
+            ? `${operation} ${res.status} documents no body, got ${contentType}`
+            : null;
+    }
+    if (!content[contentType]) {
+        return `${operation} ${res.status} does not document ${contentType || 'an empty'} responses`;
+    }
+    if (!/json/.test(contentType)) return null;
+
+    const validate = validatorAt([...keys, 'content', contentType, 'schema'], `${contentType} body for ${operation} ${res.status}`);
+    return validate(res.body)
+        ? null
+        : `${operation} ${res.status} response does not match the document:\n  ${describeErrors(validate)}`;
+}
+
+/**
+ * Why a JSON request body does not match the document, or null if it does
+ */
+function requestProblem(body, method, path) {
+    const operation = `${method.toUpperCase()} ${path}`;
+    const validate = validatorAt(
+        ['paths', path, method.toLowerCase(), 'requestBody', 'content', 'application/json', 'schema'],
+        `JSON request body for ${operation}`
+    );
+    return validate(body)
+        ? null
+        : `Body does not match the ${operation} request schema:\n  ${describeErrors(validate)}`;
+}
+
+/**
+ * Throw if a request the app answered, or its answer, is not documented
+ */
+function checkExchange(method, url, body, res) {
+    const path = documentPath(url);
+    if (!path) {
+        if (url.startsWith(`${API_PREFIX}/`) && res.status !== 404) {
+            throw new Error(`${method.toUpperCase()} ${url} is not in the OpenAPI document`);
+        }
+        return;
+    }
+    if (!nodeAt(['paths', path, method])) {
+        if (res.status === 404) return;
+        throw new Error(`${method.toUpperCase()} ${path} is not in the OpenAPI document`);
+    }
+
+    const problem = responseProblem(res, method, path)
+        || (body !== undefined && res.status < 300 ? requestProblem(body, method, path) : null);
+    if (problem) {
+        throw new Error(problem);
+    }
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * supertest's request(app), checking every exchange against the document
+ */
+function request(app) {
+    const agent = supertest(app);
+
+    return METHODS.reduce((wrapped, method) => {
+        wrapped[method] = url => {
+            const test = agent[method](url);
+            let body;
+
+            const send = test.send.bind(test);
+            test.send = data => {
+                if (data && typeof data === 'object') body = data;
+                return send(data);
+            };
+
+            const then = test.then.bind(test);
+            test.then = (resolve, reject) => then(res => {
+                checkExchange(method, url, body, res);
+                return res;
+            }).then(resolve, reject);
+
+            return test;
+        };
+        return wrapped;
+    }, {});
+}
+
+expect.extend({
+    /**
+     * The response status is documented for the operation and the body
+     * matches the schema of its content type
+     */
+    toMatchApiResponse(res, method, path) {
+        const problem = responseProblem(res, method, path);
+        return {
+            pass: !problem,
+            message: () => problem || `expected the ${res.status} response not to match ${method.toUpperCase()} ${path}`
+        };
+    },
+
+    /**
+     * The body matches the JSON request body schema of the operation
+     */
+    toMatchApiRequest(body, method, path) {
+        const problem = requestProblem(body, method, path);
+        return {
+            pass: !problem,
+            message: () => problem || `expected the body not to match the ${method.toUpperCase()} ${path} request schema`
+        };
+    }
+});
+
+module.exports = { request, documentPath };
@@ -0,0 +1,92 @@
+/**
+ * Catalog import: dry runs, creating and updating by SKU, all-or-nothing
+ * validation and who may import
+ */
+
+const { request } = require('./helpers/openapi');
+const { catalog, seedCatalog, staffToken } = require('./helpers/data');
+const app = require('../server');
+const storage = require('../storage');
+
+const HEADER = 'productSku,name,category,description,usage,variantSku,size,price';
+const existing = catalog[0];
+const [variant] = existing.variants;
+
+let token;
+
+beforeAll(async () => {
+    token = await staffToken(app);
+});
+
+beforeEach(async () => {
+    await seedCatalog();
+});
+
+function upload(rows, { dryRun = false, as = token } = {}) {
+    return request(app)
+        .post(`/api/products/import${dryRun ? '?dryRun=true' : ''}`)
+        .set('Authorization', `Bearer ${as}`)
+        .attach('file', Buffer.from([HEADER, ...rows].join('\n')), 'catalog.csv');
+}
+
+const priceRow = price => `${existing.sku},,,,,${variant.sku},,${price}`;
+const newRow = 'MAS-9001,Floor Sealer,Floor Care,A hard-wearing sealer for sealed floors.,,,5L,249.99';
+
+async function stored(sku) {
+    return (await storage.collection('products').all()).find(p => p.sku === sku);
+}
+
+test('a dry run previews the changes and saves nothing', async () => {
+    const res = await upload([priceRow(123.45), newRow], { dryRun: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ dryRun: true, summary: { create: 1, update: 1, errors: 0 } });
+    expect(res.body.data.find(r => r.sku === existing.sku).changes).toEqual([
+        expect.objectContaining({ field: `variants.${variant.sku}.price`, to: 123.45 })
+    ]);
+    expect(await stored('MAS-9001')).toBeUndefined();
+    expect((await stored(existing.sku)).variants[0].price).toBe(variant.price);
+});
+
+test('updates products by SKU and creates the unknown ones', async () => {
+    const res = await upload([priceRow(123.45), newRow]);
+
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toMatchObject({ create: 1, update: 1 });
+    expect((await stored(existing.sku)).variants[0].price).toBe(123.45);
+    expect(await stored('MAS-9001')).toMatchObject({
+        name: 'Floor Sealer',
+        variants: [expect.objectContaining({ size: '5L', price: 249.99 })]
+    });
+});
+
+test('importing the same file again leaves everything unchanged', async () => {
+    await upload([priceRow(123.45)]);
+
+    const res = await upload([priceRow(123.45)]);
+
+    expect(res.body.summary).toMatchObject({ update: 0, unchanged: 1 });
+});
+
+test('one bad row means nothing is imported', async () => {
+    const res = await upload([newRow, priceRow(-5)]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('import_failed');
+    expect(res.body.errors).toEqual([expect.objectContaining({ row: 3, sku: existing.sku })]);
+    expect(await stored('MAS-9001')).toBeUndefined();
+});
+
+test('a file without products is refused', async () => {
+    const res = await upload([]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('invalid_import_file');
+});
+
+test('only admins may import', async () => {
+    const res = await upload([priceRow(1)], { as: await staffToken(app, 'sales') });
+
+    expect(res.status).toBe(403);
+    expect((await stored(existing.sku)).variants[0].price).toBe(variant.price);
+});
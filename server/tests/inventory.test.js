@@ -0,0 +1,140 @@
+/**
+ * Inventory: stock levels, the movement log and the variant stock totals
+ * kept in step with them
+ */
+
+const { request } = require('./helpers/openapi');
+const { catalog, storeList, seedCatalog, staffToken } = require('./helpers/data');
+const app = require('../server');
+const storage = require('../storage');
+
+const store = storeList[0];
+const otherStore = storeList[1];
+const product = catalog.find(p => p.variants.length > 1);
+const [variant, spareVariant] = product.variants;
+
+let token;
+
+beforeAll(async () => {
+    await seedCatalog();
+    token = await staffToken(app);
+});
+
+beforeEach(async () => {
+    await seedCatalog();
+    await storage.collection('inventory').replaceAll([]);
+    await storage.collection('stock_movements').replaceAll([]);
+});
+
+function move(body) {
+    return request(app)
+        .post('/api/inventory/movements')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ storeId: store.id, sku: variant.sku, ...body });
+}
+
+async function variantStock(sku = variant.sku) {
+    const res = await request(app).get(`/api/products/${product.id}`);
+    return res.body.data.variants.find(v => v.sku === sku).stock;
+}
+
+describe('movements', () => {
+    test('a receipt sets the level, logs the movement and updates the variant total', async () => {
+        const res = await move({ type: 'receipt', quantity: 12 });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.level).toMatchObject({ quantity: 12, low: false });
+        expect(res.body.data.movement).toMatchObject({ type: 'receipt', quantity: 12, balance: 12 });
+        expect(await storage.collection('stock_movements').all()).toHaveLength(1);
+        expect(await variantStock()).toBe(12);
+    });
+
+    test('the variant total adds up every store', async () => {
+        await move({ type: 'receipt', quantity: 5 });
+        await move({ storeId: otherStore.id, type: 'receipt', quantity: 7 });
+
+        expect(await variantStock()).toBe(12);
+    });
+
+    test('a sale beyond the stock writes nothing', async () => {
+        await move({ type: 'receipt', quantity: 2 });
+        const res = await move({ type: 'sale', quantity: 3 });
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('insufficient_stock');
+
+        const levels = await storage.collection('inventory').all();
+        expect(levels.map(l => l.quantity)).toEqual([2]);
+        expect(await storage.collection('stock_movements').all()).toHaveLength(1);
+        expect(await variantStock()).toBe(2);
+    });
+
+    test('concurrent movements keep the level, log and total in step', async () => {
+        const results = await Promise.all([
+            ...Array.from({ length: 6 }, () => move({ type: 'receipt', quantity: 1 })),
+            ...Array.from({ length: 4 }, () => move({ storeId: otherStore.id, type: 'receipt', quantity: 2 }))
+        ]);
+
+        expect(results.every(res => res.status === 201)).toBe(true);
+
+        const movements = await storage.collection('stock_movements').all();
+        const levels = await storage.collection('inventory').all();
+        expect(movements).toHaveLength(10);
+        expect(levels.reduce((sum, l) => sum + l.quantity, 0)).toBe(14);
+        expect(await variantStock()).toBe(14);
+    });
+
+    test('a stock count is logged as an adjustment', async () => {
+        await move({ type: 'receipt', quantity: 10 });
+
+        const res = await request(app)
+            .put(`/api/inventory/${store.id}/${variant.sku}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ quantity: 8 });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.movement).toMatchObject({ type: 'adjustment', quantity: -2, balance: 8 });
+        expect(await variantStock()).toBe(8);
+    });
+});
+
+describe('product writes', () => {
+    test('stock sent to the products API is ignored', async () => {
+        await move({ type: 'receipt', quantity: 3 });
+
+        const res = await request(app)
+            .put(`/api/products/${product.id}/variants/${variant.sku}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ price: 99, stock: 500 });
+
+        expect(res.status).toBe(200);
+        expect(await variantStock()).toBe(3);
+    });
+
+    test('removing a pack size removes its levels and alerts', async () => {
+        await move({ type: 'receipt', quantity: 1 });
+        await move({ sku: spareVariant.sku, type: 'receipt', quantity: 1 });
+
+        const res = await request(app)
+            .delete(`/api/products/${product.id}/variants/${variant.sku}`)
+            .set('Authorization', `Bearer ${token}`);
+        expect(res.status).toBe(200);
+
+        const alerts = await request(app)
+            .get('/api/inventory/alerts')
+            .set('Authorization', `Bearer ${token}`);
+        expect(alerts.body.data.map(level => level.sku)).toEqual([spareVariant.sku]);
+    });
+
+    test('deleting a product removes its levels but keeps the movement log', async () => {
+        await move({ type: 'receipt', quantity: 4 });
+
+        const res = await request(app)
+            .delete(`/api/products/${product.id}`)
+            .set('Authorization', `Bearer ${token}`);
+        expect(res.status).toBe(200);
+
+        expect(await storage.collection('inventory').all()).toEqual([]);
+        expect(await storage.collection('stock_movements').all()).toHaveLength(1);
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * Mail templates
+ */
+
+const fs = require('fs');
+const templates = require('../mail/templates');
+
+afterAll(() => {
+    fs.rmSync(process.env.TEST_DATA_DIR, { recursive: true, force: true });
+});
+
+const submission = {
+    id: '2f1c7a4e-8a1b-4c55-9d3e-1f2a3b4c5d6e',
+    firstName: 'Visit evil.example',
+    lastName: 'Mokoena',
+    email: 'victim@example.com',
+    subject: 'general',
+    message: 'Your account is locked, log in at evil.example',
+    createdAt: '2026-10-19T10:00:00.000Z'
+};
+
+const quote = {
+    reference: 'Q-20261019-0001',
+    name: 'Visit evil.example',
+    email: 'victim@example.com',
+    notes: 'Log in at evil.example',
+    items: [{ sku: 'MAS-0001-5L', name: 'Dish Delux', size: '5L', quantity: 4 }],
+    createdAt: '2026-10-19T10:00:00.000Z'
+};
+
+describe('customer acknowledgements', () => {
+    test('a message acknowledgement quotes nothing the sender wrote', () => {
+        const { subject, text, html } = templates.customerAcknowledgement(submission);
+
+        for (const body of [subject, text, html]) {
+            expect(body).not.toContain('evil.example');
+        }
+        expect(text).toContain(submission.id);
+    });
+
+    test('a quote acknowledgement quotes nothing the sender wrote', () => {
+        const { subject, text, html } = templates.quoteAcknowledgement(quote);
+
+        for (const body of [subject, text, html]) {
+            expect(body).not.toContain('evil.example');
+        }
+        expect(text).toContain(quote.reference);
+    });
+
+    test('the sales notification still shows the whole message', () => {
+        const { text } = templates.salesNotification(submission);
+
+        expect(text).toContain(submission.message);
+    });
+});
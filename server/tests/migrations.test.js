@@ -0,0 +1,108 @@
+/**
+ * Product schema migrations: bringing records like the original
+ * products.json up to the current version
+ */
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { request } = require('./helpers/openapi');
+require('./helpers/data');
+const app = require('../server');
+const storage = require('../storage');
+const { PRODUCT_SCHEMA_VERSION, migrateCatalog, validateCatalog } = require('../schemas/product');
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'migrate-products.js');
+
+// As shipped before the schema existed: no id, SKU, slug or price
+const legacy = [
+    { name: 'Dish delux', image: 'Images/dish.png', description: 'Dish washing liquid.', packaging: '5L', category: 'Cleaning Chemicals' },
+    { name: 'Descaler', image: 'Images/descaler.png', description: 'Removes limescale.', packaging: '25L', category: 'Cleaning Chemicals', price: '349.90' },
+    { name: 'Dish delux', image: 'Images/dish-2.png', description: 'Same name, other product.', packaging: '2L', category: 'Cleaning Chemicals' }
+];
+
+// The script runs in a child process; hand it this file's test environment,
+// or it would work on the real catalog
+function runScript(...args) {
+    try {
+        return { status: 0, output: execFileSync('node', [SCRIPT, ...args], { env: process.env, encoding: 'utf8', stdio: 'pipe' }) };
+    } catch (error) {
+        return { status: error.status, output: `${error.stdout}${error.stderr}` };
+    }
+}
+
+describe('migrateCatalog', () => {
+    test('backfills ids, SKUs, slugs, prices and a first pack size', () => {
+        const { products, changed } = migrateCatalog(structuredClone(legacy));
+
+        expect(changed).toBe(3);
+        expect(validateCatalog(products)).toEqual([]);
+        expect(products.map(p => p.id)).toEqual([1, 2, 3]);
+        expect(products[1]).toMatchObject({
+            schemaVersion: PRODUCT_SCHEMA_VERSION,
+            sku: 'MAS-0002',
+            slug: 'descaler',
+            price: 349.9,
+            variants: [{ sku: 'MAS-0002-25L', size: '25L', price: 349.9, stock: 0 }]
+        });
+        expect(products[0].price).toBe(0);
+    });
+
+    test('gives products with the same name different slugs', () => {
+        const { products } = migrateCatalog(structuredClone(legacy));
+
+        expect(products[0].slug).toBe('dish-delux');
+        expect(products[2].slug).not.toBe('dish-delux');
+    });
+
+    test('keeps existing ids and numbers new records after them', () => {
+        const { products } = migrateCatalog([{ ...legacy[0], id: 7 }, legacy[1]]);
+
+        expect(products.map(p => p.id)).toEqual([7, 8]);
+    });
+
+    test('leaves a current catalog alone', () => {
+        const { products: current } = migrateCatalog(structuredClone(legacy));
+
+        const again = migrateCatalog(current);
+
+        expect(again.changed).toBe(0);
+        expect(again.products).toEqual(current);
+    });
+});
+
+describe('npm run migrate:products', () => {
+    const products = storage.collection('products');
+
+    beforeEach(async () => {
+        await products.replaceAll(structuredClone(legacy));
+    });
+
+    test('--dry-run reports and writes nothing', async () => {
+        const { status, output } = runScript('--dry-run');
+
+        expect(status).toBe(0);
+        expect(output).toMatch(/3 of 3 products migrated \(dry run\)/);
+        expect(await products.all()).toEqual(legacy);
+    });
+
+    test('makes the catalog usable by id and price', async () => {
+        expect(runScript().status).toBe(0);
+
+        const byId = await request(app).get('/api/products/2');
+        expect(byId.status).toBe(200);
+        expect(byId.body.data.name).toBe('Descaler');
+
+        const priced = await request(app).get('/api/products?minPrice=100');
+        expect(priced.body.data.map(p => p.id)).toEqual([2]);
+    });
+
+    test('writes nothing when the result would still be invalid', async () => {
+        await products.replaceAll([...structuredClone(legacy), { name: '', packaging: '1L' }]);
+
+        const { status, output } = runScript();
+
+        expect(status).toBe(1);
+        expect(output).toMatch(/still invalid, nothing was written/);
+        expect((await products.all()).every(p => p.schemaVersion === undefined)).toBe(true);
+    });
+});
@@ -0,0 +1,190 @@
+/**
+ * API responses of representative routes, and the requests sent to them,
+ * checked against the OpenAPI document
+ */
+
+const fs = require('fs');
+const { request } = require('./helpers/openapi');
+const app = require('../server');
+const storage = require('../storage');
+const users = require('../services/users');
+const spam = require('../services/spam');
+
+const catalog = require('../../products.json');
+const storeList = require('../../stores.json');
+
+const ADMIN = { email: 'admin@example.com', password: 'supersecret1', name: 'Admin', role: 'admin' };
+
+beforeAll(async () => {
+    await storage.collection('products').replaceAll(catalog);
+    await storage.collection('stores').replaceAll(storeList);
+    await users.createUser(ADMIN);
+});
+
+afterAll(async () => {
+    await storage.getDriver().close();
+    fs.rmSync(process.env.TEST_DATA_DIR, { recursive: true, force: true });
+});
+
+async function login() {
+    const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: ADMIN.email, password: ADMIN.password });
+    return res.body.data.token;
+}
+
+describe('GET /api/health', () => {
+    test('matches the document', async () => {
+        const res = await request(app).get('/api/health');
+
+        expect(res.status).toBe(200);
+        expect(res).toMatchApiResponse('get', '/health');
+    });
+});
+
+describe('Products', () => {
+    test('a page of products matches the document', async () => {
+        const res = await request(app).get('/api/products?limit=5');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toHaveLength(5);
+        expect(res).toMatchApiResponse('get', '/products');
+    });
+
+    test('a single product matches the document', async () => {
+        const res = await request(app).get(`/api/products/${catalog[0].id}`);
+
+        expect(res.status).toBe(200);
+        expect(res).toMatchApiResponse('get', '/products/{id}');
+    });
+
+    test('a missing product is a documented problem', async () => {
+        const res = await request(app).get('/api/products/999999');
+
+        expect(res.status).toBe(404);
+        expect(res.body.code).toBe('product_not_found');
+        expect(res).toMatchApiResponse('get', '/products/{id}');
+    });
+
+    test('categories match the document', async () => {
+        const res = await request(app).get('/api/products/categories');
+
+        expect(res.status).toBe(200);
+        expect(res).toMatchApiResponse('get', '/products/categories');
+    });
+
+    test('an invalid product is rejected as the document describes', async () => {
+        const token = await login();
+        const body = { name: '', category: 'Kitchen' };
+
+        expect(body).not.toMatchApiRequest('post', '/products');
+
+        const res = await request(app)
+            .post('/api/products')
+            .set('Authorization', `Bearer ${token}`)
+            .send(body);
+
+        expect(res.status).toBe(400);
+        expect(res).toMatchApiResponse('post', '/products');
+    });
+});
+
+describe('Stores', () => {
+    test('the store list matches the document', async () => {
+        const res = await request(app).get('/api/stores');
+
+        expect(res.status).toBe(200);
+        expect(res).toMatchApiResponse('get', '/stores');
+    });
+});
+
+describe('Contact', () => {
+    const message = {
+        firstName: 'Thandi',
+        lastName: 'Mokoena',
+        email: 'thandi@example.com',
+        phone: '015 123 4567',
+        subject: 'products',
+        message: 'Do you deliver degreaser in 25L drums to Polokwane?',
+        website: ''
+    };
+
+    test('the form token matches the document', async () => {
+        const res = await request(app).get('/api/contact/token');
+
+        expect(res.status).toBe(200);
+        expect(res).toMatchApiResponse('get', '/contact/token');
+    });
+
+    test('a valid message matches the document both ways', async () => {
+        const body = {
+            ...message,
+            formToken: spam.issueFormToken(Date.now() - (spam.MIN_SUBMIT_SECONDS + 1) * 1000)
+        };
+
+        expect(body).toMatchApiRequest('post', '/contact');
+
+        const res = await request(app).post('/api/contact').send(body);
+
+        expect(res.status).toBe(201);
+        expect(res).toMatchApiResponse('post', '/contact');
+    });
+
+    test('an invalid message is rejected as the document describes', async () => {
+        const body = { ...message, email: 'not-an-email', message: 'Hi' };
+
+        expect(body).not.toMatchApiRequest('post', '/contact');
+
+        const res = await request(app).post('/api/contact').send(body);
+
+        expect(res.status).toBe(400);
+        expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+        expect(res).toMatchApiResponse('post', '/contact');
+    });
+
+    test('the staff inbox matches the document', async () => {
+        const token = await login();
+        const res = await request(app)
+            .get('/api/contact/submissions')
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.count).toBe(1);
+        expect(res).toMatchApiResponse('get', '/contact/submissions');
+    });
+});
+
+describe('Auth and inventory', () => {
+    test('login matches the document', async () => {
+        const body = { email: ADMIN.email, password: ADMIN.password };
+
+        expect(body).toMatchApiRequest('post', '/auth/login');
+
+        const res = await request(app).post('/api/auth/login').send(body);
+
+        expect(res.status).toBe(200);
+        expect(res).toMatchApiResponse('post', '/auth/login');
+    });
+
+    test('a stock movement matches the document both ways', async () => {
+        const token = await login();
+        const body = { storeId: storeList[0].id, sku: catalog[0].variants[0].sku, type: 'receipt', quantity: 12 };
+
+        expect(body).toMatchApiRequest('post', '/inventory/movements');
+
+        const res = await request(app)
+            .post('/api/inventory/movements')
+            .set('Authorization', `Bearer ${token}`)
+            .send(body);
+
+        expect(res.status).toBe(201);
+        expect(res).toMatchApiResponse('post', '/inventory/movements');
+    });
+
+    test('stock levels without a token are a documented problem', async () => {
+        const res = await request(app).get('/api/inventory');
+
+        expect(res.status).toBe(401);
+        expect(res).toMatchApiResponse('get', '/inventory');
+    });
+});
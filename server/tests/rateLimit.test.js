@@ -0,0 +1,139 @@
+/**
+ * Rate limit stores: counting within a window, resets and counters that
+ * survive a restart, for both persistent backends
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FLUSH_WAIT_MS = 1200;
+
+afterAll(() => {
+    fs.rmSync(process.env.TEST_DATA_DIR, { recursive: true, force: true });
+});
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A limiter's store from a fresh copy of the module, as after a restart.
+ * The backend is shared per process, so each copy opens it anew.
+ */
+function freshStore(kind, name = 'test', windowMs = 60 * 1000) {
+    let store;
+    jest.isolateModules(() => {
+        store = require('../storage/rateLimitStore').createRateLimitStore(name, kind);
+    });
+    store.init({ windowMs });
+    return store;
+}
+
+let run = 0;
+
+// Each test gets its own files, so a save still pending from an earlier
+// test cannot land in them
+beforeEach(() => {
+    run++;
+    process.env.RATE_LIMIT_FILE = path.join(process.env.TEST_DATA_DIR, `rate-limits-${run}.json`);
+    process.env.SQLITE_FILE = path.join(process.env.TEST_DATA_DIR, `rate-limits-${run}.sqlite`);
+});
+
+describe.each(['file', 'sqlite'])('%s store', kind => {
+    test('counts hits per key within the window', async () => {
+        const store = freshStore(kind);
+
+        await store.increment('1.2.3.4');
+        const counter = await store.increment('1.2.3.4');
+        await store.increment('5.6.7.8');
+
+        expect(counter.totalHits).toBe(2);
+        expect(counter.resetTime).toBeInstanceOf(Date);
+        expect((await store.get('5.6.7.8')).totalHits).toBe(1);
+    });
+
+    test('starts again once the window has passed', async () => {
+        const store = freshStore(kind, 'short', 50);
+
+        await store.increment('1.2.3.4');
+        await store.increment('1.2.3.4');
+        await wait(80);
+
+        expect(await store.get('1.2.3.4')).toBeUndefined();
+        expect((await store.increment('1.2.3.4')).totalHits).toBe(1);
+    });
+
+    test('decrement and reset change only that key', async () => {
+        const store = freshStore(kind);
+
+        await store.increment('1.2.3.4');
+        await store.increment('1.2.3.4');
+        await store.increment('5.6.7.8');
+        await store.decrement('1.2.3.4');
+        await store.resetKey('5.6.7.8');
+
+        expect((await store.get('1.2.3.4')).totalHits).toBe(1);
+        expect(await store.get('5.6.7.8')).toBeUndefined();
+    });
+
+    test('resetAll clears one limiter and leaves the others', async () => {
+        let login;
+        let contact;
+        jest.isolateModules(() => {
+            const { createRateLimitStore } = require('../storage/rateLimitStore');
+            login = createRateLimitStore('login', kind);
+            contact = createRateLimitStore('contact', kind);
+        });
+        login.init({ windowMs: 60 * 1000 });
+        contact.init({ windowMs: 60 * 1000 });
+
+        await login.increment('1.2.3.4');
+        await contact.increment('1.2.3.4');
+        await login.resetAll();
+
+        expect(await login.get('1.2.3.4')).toBeUndefined();
+        expect((await contact.get('1.2.3.4')).totalHits).toBe(1);
+    });
+
+    test('counters survive a restart', async () => {
+        const store = freshStore(kind);
+        await store.increment('1.2.3.4');
+        await store.increment('1.2.3.4');
+        if (kind === 'file') await wait(FLUSH_WAIT_MS);
+
+        const restarted = freshStore(kind);
+
+        expect((await restarted.get('1.2.3.4')).totalHits).toBe(2);
+    });
+});
+
+describe('file backend', () => {
+    test('saves only counters whose window is still open', async () => {
+        let short;
+        let long;
+        jest.isolateModules(() => {
+            const { createRateLimitStore } = require('../storage/rateLimitStore');
+            short = createRateLimitStore('short', 'file');
+            long = createRateLimitStore('long', 'file');
+        });
+        short.init({ windowMs: 50 });
+        long.init({ windowMs: 60 * 1000 });
+
+        await short.increment('1.2.3.4');
+        await wait(80);
+        await long.increment('5.6.7.8');
+        await wait(FLUSH_WAIT_MS);
+
+        expect(Object.keys(JSON.parse(fs.readFileSync(process.env.RATE_LIMIT_FILE, 'utf8')))).toEqual(['long:5.6.7.8']);
+    });
+
+    test('drops counters that expired while the server was down', async () => {
+        fs.writeFileSync(process.env.RATE_LIMIT_FILE, JSON.stringify({
+            'test:1.2.3.4': { totalHits: 3, resetTime: Date.now() - 1000 },
+            'test:5.6.7.8': { totalHits: 2, resetTime: Date.now() + 60 * 1000 }
+        }));
+
+        const store = freshStore('file');
+
+        expect(await store.get('1.2.3.4')).toBeUndefined();
+        expect((await store.get('5.6.7.8')).totalHits).toBe(2);
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * Product search: stemming, synonyms, typos, ranking and suggestions
+ */
+
+const { request } = require('./helpers/openapi');
+const { catalog, seedCatalog } = require('./helpers/data');
+const app = require('../server');
+const search = require('../services/search');
+
+const named = name => catalog.find(p => p.name === name).id;
+
+beforeAll(async () => {
+    await seedCatalog();
+});
+
+async function found(text) {
+    const res = await request(app).get(`/api/products?search=${encodeURIComponent(text)}`);
+    expect(res.status).toBe(200);
+    return res.body.data.map(p => p.name);
+}
+
+test.each([
+    ['sanitiser', 'Hand Sanitizer'],
+    ['disinfectant', 'Hand Sanitizer'],
+    ['softner', 'Fabric Softener'],
+    ['hygiene', 'Hand Sanitizer']
+])('the synonym %j finds %s', async (text, name) => {
+    expect(await found(text)).toContain(name);
+});
+
+test('plurals and other word forms match by stem', async () => {
+    expect(await found('cleaners')).toEqual(expect.arrayContaining(['General Purpose Cleaner', 'Oven Cleaner']));
+});
+
+test('a typo still matches', async () => {
+    expect((await found('shampo'))[0]).toBe('Car Shampoo');
+    expect((await found('sanitzer'))[0]).toBe('Hand Sanitizer');
+});
+
+test('case and accents do not matter', async () => {
+    expect(await found('DESCALER')).toEqual(await found('déscaler'));
+});
+
+test('a match in the name ranks above one in the description', () => {
+    const products = [
+        { id: 1, name: 'Floor Polish', category: 'Floors', description: 'Leaves a shine on a freshly degreased floor.' },
+        { id: 2, name: 'Heavy Degreaser', category: 'Kitchen', description: 'For ovens and extractor hoods.' }
+    ];
+
+    expect(search.rank(products, 'degreaser').map(match => match.id)).toEqual([2, 1]);
+});
+
+test('products matching every word come before those matching some', async () => {
+    const names = await found('car wax');
+
+    expect(names[0]).toBe('Car Wash and Wax');
+    expect(names).toContain('Car Shampoo');
+    expect(names.indexOf('Car Wash and Wax')).toBeLessThan(names.indexOf('Car Shampoo'));
+});
+
+test('words that match nothing find nothing', async () => {
+    expect(await found('zzzqqq')).toEqual([]);
+});
+
+describe('suggest', () => {
+    function suggest(q, limit) {
+        return request(app).get(`/api/products/suggest?q=${encodeURIComponent(q)}${limit ? `&limit=${limit}` : ''}`);
+    }
+
+    test('completes the word being typed', async () => {
+        const res = await suggest('sof');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data[0]).toMatchObject({ id: named('Fabric Softener'), name: 'Fabric Softener' });
+    });
+
+    test('returns at most limit products', async () => {
+        const res = await suggest('clean', 2);
+
+        expect(res.body.data).toHaveLength(2);
+    });
+
+    test('asks for some text', async () => {
+        const res = await suggest('   ');
+
+        expect(res.status).toBe(400);
+    });
+});
@@ -0,0 +1,29 @@
+/**
+ * Test Environment
+ *
+ * Runs before each test file. Every file gets its own temporary SQLite
+ * database and data directories, so tests never touch products.json,
+ * stores.json or server/data.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'maschem-test-'));
+
+Object.assign(process.env, {
+    NODE_ENV: 'test',
+    LOG_LEVEL: 'error',
+    JWT_SECRET: 'test-secret',
+    STORAGE_DRIVER: 'sqlite',
+    SQLITE_FILE: path.join(dataDir, 'maschem.sqlite'),
+    BACKUP_DIR: path.join(dataDir, 'backups'),
+    UPLOADS_DIR: path.join(dataDir, 'uploads'),
+    DOCUMENTS_DIR: path.join(dataDir, 'documents'),
+    RATE_LIMIT_STORE: 'memory',
+    MAIL_TRANSPORT: 'file',
+    MAIL_OUTBOX_DIR: path.join(dataDir, 'outbox')
+});
+
+process.env.TEST_DATA_DIR = dataDir;
@@ -0,0 +1,76 @@
+/**
+ * Contact form spam checks, and how POST /api/contact answers them
+ */
+
+const fs = require('fs');
+const { request } = require('./helpers/openapi');
+const app = require('../server');
+const storage = require('../storage');
+const spam = require('../services/spam');
+
+const submission = {
+    email: 'thandi@example.com',
+    ipAddress: '203.0.113.7',
+    message: 'Do you deliver degreaser in 25L drums to Polokwane?'
+};
+
+// Issued long enough ago that the form does not count as sent too fast
+function formToken() {
+    return spam.issueFormToken(Date.now() - (spam.MIN_SUBMIT_SECONDS + 1) * 1000);
+}
+
+afterAll(async () => {
+    await storage.getDriver().close();
+    fs.rmSync(process.env.TEST_DATA_DIR, { recursive: true, force: true });
+});
+
+describe('detectSpam', () => {
+    test('accepts a message with a valid token', async () => {
+        await expect(spam.detectSpam(submission, { formToken: formToken() })).resolves.toEqual([]);
+    });
+
+    test('flags a missing token', async () => {
+        await expect(spam.detectSpam(submission, {})).resolves.toEqual(['missing_token']);
+    });
+
+    test('flags a token with a tampered signature', async () => {
+        const [issuedAt, signature] = formToken().split('.');
+        const tampered = `${issuedAt}.${signature.startsWith('A') ? 'B' : 'A'}${signature.slice(1)}`;
+
+        await expect(spam.detectSpam(submission, { formToken: tampered })).resolves.toEqual(['invalid_token']);
+    });
+
+    test('flags a signature with multibyte characters of the right length', async () => {
+        const [issuedAt, signature] = formToken().split('.');
+        const multibyte = `${issuedAt}.${'é'.repeat(signature.length)}`;
+
+        await expect(spam.detectSpam(submission, { formToken: multibyte })).resolves.toEqual(['invalid_token']);
+    });
+
+    test('flags a filled-in honeypot', async () => {
+        const form = { formToken: formToken(), [spam.HONEYPOT_FIELD]: 'https://example.com' };
+
+        await expect(spam.detectSpam(submission, form)).resolves.toEqual(['honeypot']);
+    });
+});
+
+describe('POST /api/contact', () => {
+    test('answers a multibyte token like any other message', async () => {
+        const [issuedAt, signature] = formToken().split('.');
+
+        const res = await request(app).post('/api/contact').send({
+            firstName: 'Thandi',
+            lastName: 'Mokoena',
+            email: submission.email,
+            subject: 'products',
+            message: submission.message,
+            formToken: `${issuedAt}.${'é'.repeat(signature.length)}`
+        });
+
+        expect(res.status).toBe(201);
+
+        const [stored] = await storage.collection('submissions').all();
+        expect(stored.status).toBe('spam');
+        expect(stored.spamReasons).toEqual(['invalid_token']);
+    });
+});
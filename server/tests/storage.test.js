@@ -0,0 +1,110 @@
+/**
+ * JSON driver writes: queued per file, all-or-nothing, atomic on disk and
+ * snapshotted unless told not to
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createJsonDriver } = require('../storage/jsonDriver');
+const { createCollection } = require('../storage');
+const { listBackups } = require('../storage/backups');
+const { StorageFailureError } = require('../errors');
+
+const dataDir = path.join(process.env.TEST_DATA_DIR, 'json');
+const driver = createJsonDriver({ dataDir });
+const quotes = createCollection(driver, 'quotes');
+
+afterAll(() => {
+    fs.rmSync(process.env.TEST_DATA_DIR, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    fs.rmSync(process.env.BACKUP_DIR, { recursive: true, force: true });
+});
+
+test('concurrent writes to one file are queued, so none is lost', async () => {
+    await Promise.all(Array.from({ length: 20 }, (_, i) => quotes.insert({ id: `q${i}` })));
+
+    expect(await quotes.all()).toHaveLength(20);
+});
+
+test('a callback that throws writes nothing', async () => {
+    await quotes.insert({ id: 'kept' });
+    const failure = new Error('changed my mind');
+
+    await expect(quotes.transaction(tx => {
+        tx.insert({ id: 'dropped' });
+        throw failure;
+    })).rejects.toBe(failure);
+
+    expect((await quotes.all()).map(q => q.id)).toEqual(['kept']);
+});
+
+test('writes land by rename, leaving no temp files behind', async () => {
+    await quotes.insert({ id: 'q1' });
+
+    expect(fs.readdirSync(dataDir)).toEqual(['quotes.json']);
+    expect(JSON.parse(fs.readFileSync(path.join(dataDir, 'quotes.json'), 'utf8'))).toEqual([{ id: 'q1' }]);
+});
+
+test('a corrupt file is a storage failure, not a crash', async () => {
+    fs.mkdirSync(dataDir, { recursive: true });
+    fs.writeFileSync(path.join(dataDir, 'quotes.json'), '[{"id":');
+
+    await expect(quotes.all()).rejects.toBeInstanceOf(StorageFailureError);
+});
+
+describe('snapshots', () => {
+    test('each write snapshots the previous file', async () => {
+        await quotes.insert({ id: 'q1' });
+        await quotes.insert({ id: 'q2' });
+
+        // The first write had no file to snapshot yet
+        expect(await listBackups('quotes')).toHaveLength(1);
+    });
+
+    test('{ backup: false } and { <collection>: false } skip the snapshot', async () => {
+        await quotes.insert({ id: 'q1' });
+        await quotes.insert({ id: 'q2' }, { backup: false });
+        await quotes.transaction(tx => tx.insert({ id: 'q3' }), { backup: { quotes: false } });
+
+        expect(await listBackups('quotes')).toHaveLength(0);
+        expect(await quotes.all()).toHaveLength(3);
+    });
+});
+
+describe('transactions across collections', () => {
+    test('write every changed collection', async () => {
+        await driver.transactionAcross(['quotes', 'stock_movements'], tx => {
+            tx.quotes.insert({ id: 'q1' });
+            tx.stock_movements.insert({ id: 'm1' });
+        });
+
+        expect(await quotes.all()).toHaveLength(1);
+        expect(await driver.all('stock_movements')).toHaveLength(1);
+    });
+
+    test('write nothing when the callback throws', async () => {
+        await expect(driver.transactionAcross(['quotes', 'stock_movements'], tx => {
+            tx.quotes.insert({ id: 'q1' });
+            tx.stock_movements.insert({ id: 'm1' });
+            throw new Error('changed my mind');
+        })).rejects.toThrow('changed my mind');
+
+        expect(await quotes.all()).toEqual([]);
+        expect(await driver.all('stock_movements')).toEqual([]);
+    });
+
+    test('queue behind single-collection writes to the same files', async () => {
+        await Promise.all([
+            ...Array.from({ length: 5 }, (_, i) => quotes.insert({ id: `q${i}` })),
+            driver.transactionAcross(['stock_movements', 'quotes'], tx => {
+                tx.stock_movements.insert({ id: 'm1' });
+                tx.quotes.insert({ id: 'across' });
+            })
+        ]);
+
+        expect(await quotes.all()).toHaveLength(6);
+    });
+});
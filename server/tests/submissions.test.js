@@ -0,0 +1,162 @@
+/**
+ * The contact inbox workflow: reply SLA in business hours, assignment and
+ * the change history
+ */
+
+const { request } = require('./helpers/openapi');
+const { storeList, seedCatalog, staffUser, staffToken } = require('./helpers/data');
+const { v4: uuidv4 } = require('uuid');
+const app = require('../server');
+const storage = require('../storage');
+const workflow = require('../services/submissions');
+
+// Times are UTC; the stores are at UTC+2, trading 08:00-17:00 by default
+const MONDAY_9AM = '2026-10-19T07:00:00.000Z';
+const FRIDAY_4PM = '2026-10-23T14:00:00.000Z';
+const CHRISTMAS_EVE_4PM = '2026-12-24T14:00:00.000Z';
+
+const ID = uuidv4();
+
+let token;
+
+beforeAll(async () => {
+    token = await staffToken(app);
+});
+
+beforeEach(async () => {
+    await seedCatalog();
+    await storage.collection('submissions').replaceAll([]);
+});
+
+function submission(fields) {
+    return {
+        id: uuidv4(),
+        firstName: 'Thandi',
+        lastName: 'Mokoena',
+        email: 'thandi@example.com',
+        subject: 'products',
+        message: 'Do you deliver to Polokwane?',
+        status: 'pending',
+        createdAt: MONDAY_9AM,
+        ...fields
+    };
+}
+
+async function listed(query = '') {
+    const res = await request(app)
+        .get(`/api/contact/submissions${query}`)
+        .set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(200);
+    return res.body.data;
+}
+
+describe('SLA', () => {
+    test('is due after 8 business hours on the same day', () => {
+        expect(workflow.slaDueAt(MONDAY_9AM).toISOString()).toBe('2026-10-19T15:00:00.000Z');
+    });
+
+    test('skips the weekend', () => {
+        expect(workflow.slaDueAt(FRIDAY_4PM).toISOString()).toBe('2026-10-26T13:00:00.000Z');
+    });
+
+    test('skips holidays', () => {
+        expect(workflow.slaDueAt(CHRISTMAS_EVE_4PM).toISOString()).toBe('2026-12-25T13:00:00.000Z');
+        expect(workflow.slaDueAt(CHRISTMAS_EVE_4PM, new Set(['2026-12-25'])).toISOString()).toBe('2026-12-28T13:00:00.000Z');
+    });
+
+    test('skips days every store is closed, but not a closure at one store', async () => {
+        const [closed, ...open] = storeList.map(store => ({ ...store, closures: [] }));
+        await storage.collection('stores').replaceAll([
+            { ...closed, closures: [{ date: '2026-12-25', name: 'Stocktake' }] },
+            ...open
+        ]);
+        await storage.collection('submissions').replaceAll([submission({ createdAt: CHRISTMAS_EVE_4PM })]);
+
+        expect((await listed())[0].sla.dueAt).toBe('2026-12-25T13:00:00.000Z');
+
+        await storage.collection('stores').replaceAll(storeList.map(store => ({
+            ...store,
+            closures: [{ date: '2026-12-25', name: 'Christmas Day' }]
+        })));
+
+        expect((await listed())[0].sla.dueAt).toBe('2026-12-28T13:00:00.000Z');
+    });
+
+    test('is null for a message that is no longer pending', async () => {
+        await storage.collection('submissions').replaceAll([submission({ status: 'read' })]);
+
+        expect((await listed())[0].sla).toBeNull();
+    });
+
+    // Such a record breaks the document's date-time format, so this goes
+    // through the service rather than the validated route
+    test('is null, not an error, when createdAt cannot be read', async () => {
+        await storage.collection('submissions').replaceAll([
+            submission({ id: ID, createdAt: 'yesterday-ish' }),
+            submission()
+        ]);
+
+        const data = await workflow.listSubmissions();
+
+        expect(data).toHaveLength(2);
+        expect(data.find(s => s.id === ID).sla).toBeNull();
+        expect((await workflow.findSubmission(ID)).sla).toBeNull();
+    });
+
+    test('overdue=true lists only pending messages past their SLA', async () => {
+        await storage.collection('submissions').replaceAll([
+            submission({ id: ID }),
+            submission({ createdAt: new Date().toISOString() }),
+            submission({ status: 'responded' })
+        ]);
+
+        expect((await listed('?overdue=true')).map(s => s.id)).toEqual([ID]);
+    });
+});
+
+describe('assignment', () => {
+    function patch(id, body) {
+        return request(app)
+            .patch(`/api/contact/submissions/${id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send(body);
+    }
+
+    test('assigning and changing status are recorded in the history', async () => {
+        const admin = await staffUser('admin');
+        const sales = await staffUser('sales');
+        await storage.collection('submissions').replaceAll([submission({ id: ID })]);
+
+        const res = await patch(ID, { status: 'read', assignedTo: sales.id });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ status: 'read', assignedTo: sales.id, sla: null });
+        expect(res.body.data.history).toEqual([
+            expect.objectContaining({ type: 'status', from: 'pending', to: 'read', userId: admin.id }),
+            expect.objectContaining({ type: 'assignment', from: null, to: sales.id, userId: admin.id })
+        ]);
+        expect((await listed(`?assignedTo=${sales.id}`)).map(s => s.id)).toEqual([ID]);
+    });
+
+    test('only active admin or sales staff can be assigned', async () => {
+        await storage.collection('submissions').replaceAll([submission({ id: ID })]);
+
+        const res = await patch(ID, { assignedTo: 'not-a-user' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('invalid_assignee');
+    });
+
+    test('logging a reply moves a pending message to responded', async () => {
+        await storage.collection('submissions').replaceAll([submission({ id: ID })]);
+
+        const res = await request(app)
+            .post(`/api/contact/submissions/${ID}/replies`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ channel: 'phone', message: 'Called back, delivery on Thursday' });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.status).toBe('responded');
+        expect(res.body.data.replies).toHaveLength(1);
+    });
+});